@@ -1,5 +1,6 @@
 import js from '@eslint/js';
 import eslintConfigPrettier from 'eslint-config-prettier/flat';
+import globals from 'globals';
 import nodePlugin from 'eslint-plugin-n';
 import unicorn from 'eslint-plugin-unicorn';
 import yml from 'eslint-plugin-yml';
@@ -84,6 +85,18 @@ export default [
     },
   },
 
+  // Jest specs under test/**
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+    rules: {
+      'unicorn/prefer-module': 'off',
+      'n/no-unpublished-require': 'off',
+    },
+  },
+
   // ESLint config file should not be checked for publish-related Node rules
   {
     files: ['eslint.config.mjs'],
@@ -0,0 +1,33 @@
+// Project adapters that break the ide:check rules, so the spec can see the checks catch them
+const fs = require('node:fs');
+const path = require('node:path');
+
+function writeRule(installDir, file) {
+  const filePath = path.join(installDir, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '# BMad rule\n');
+}
+
+module.exports = [
+  {
+    id: 'declares-twice',
+    name: 'Declares Twice',
+    config: { 'rule-dir': '.twice/rules/' },
+    async describe(installDir) {
+      const target = path.join(installDir, '.twice/rules');
+      return { name: this.name, targets: [target, target] };
+    },
+    generate(context) {
+      writeRule(context.installDir, '.twice/rules/dev.md');
+    },
+  },
+  {
+    id: 'writes-outside',
+    name: 'Writes Outside',
+    config: { 'rule-dir': '.outside/rules/' },
+    generate(context) {
+      writeRule(context.installDir, '.outside/rules/dev.md');
+      writeRule(context.installDir, 'OUTSIDE.md');
+    },
+  },
+];
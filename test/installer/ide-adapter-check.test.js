@@ -0,0 +1,81 @@
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('fs-extra');
+const ideRegistry = require('../../tools/installer/lib/ide-registry');
+const { stageProject, checkAdapter } = require('../../tools/installer/lib/ide-adapter-check');
+
+// Staging installs BMad core, and every adapter is checked in a copy of it
+jest.setTimeout(120_000);
+
+function findFailures(result) {
+  return result.checks
+    .filter((check) => check.status === 'fail')
+    .map((check) => `${result.id} ${check.check}: ${check.message}`);
+}
+
+describe('IDE adapter conformance', () => {
+  let stagingDir;
+
+  beforeAll(async () => {
+    stagingDir = await stageProject();
+  });
+
+  afterAll(async () => {
+    if (stagingDir) await fs.remove(stagingDir);
+  });
+
+  test('every bundled adapter passes', async () => {
+    const adapters = await ideRegistry.list(stagingDir);
+    expect(adapters.map((adapter) => adapter.id)).toEqual(
+      expect.arrayContaining(['claude-code', 'cursor', 'github-copilot', 'opencode']),
+    );
+
+    const failures = [];
+    for (const adapter of adapters) {
+      failures.push(...findFailures(await checkAdapter(adapter, stagingDir)));
+    }
+    expect(failures).toEqual([]);
+  });
+
+  describe('with broken project adapters', () => {
+    let projectDir;
+
+    beforeAll(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-broken-adapters-'));
+      await fs.copy(
+        path.join(__dirname, 'fixtures', 'ide-adapters'),
+        path.join(projectDir, '.bmad', 'ide-adapters'),
+      );
+    });
+
+    afterAll(async () => {
+      await fs.remove(projectDir);
+    });
+
+    async function check(id) {
+      const adapter = await ideRegistry.get(id, projectDir);
+      expect(adapter).not.toBeNull();
+      return checkAdapter(adapter, stagingDir);
+    }
+
+    test('fails an adapter that declares a target twice', async () => {
+      const result = await check('declares-twice');
+
+      expect(result.checks).toContainEqual({
+        check: 'describe',
+        status: 'fail',
+        message: expect.stringContaining('declares the same target twice'),
+      });
+    });
+
+    test('fails an adapter that writes outside its targets', async () => {
+      const result = await check('writes-outside');
+
+      expect(result.checks).toContainEqual({
+        check: 'generate',
+        status: 'fail',
+        message: 'wrote outside its declared targets: OUTSIDE.md',
+      });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('fs-extra');
+const InstallTransaction = require('../../tools/installer/lib/install-transaction');
+
+const { JOURNAL_DIR } = InstallTransaction;
+
+describe('InstallTransaction', () => {
+  let installDir;
+  const file = (relativePath) => path.join(installDir, relativePath);
+  const read = (relativePath) => fs.readFile(file(relativePath), 'utf8');
+  const write = (relativePath, content) => fs.outputFile(file(relativePath), content);
+
+  beforeEach(async () => {
+    installDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-transaction-test-'));
+    await write('.bmad-core/agents/dev.md', 'dev v1');
+    await write('.bmad-core/agents/pm.md', 'pm v1');
+    await write('.claude/commands/mine/my.md', 'user command');
+  });
+
+  afterEach(async () => {
+    await fs.remove(installDir);
+  });
+
+  // A run that updates dev.md and adds qa.md, leaving the other files alone
+  async function update(transaction) {
+    await transaction.begin(['.bmad-core', '.claude/commands'], 'Update to v2');
+    await write('.bmad-core/agents/dev.md', 'dev v2');
+    await write('.bmad-core/agents/qa.md', 'qa v2');
+  }
+
+  describe('rollback', () => {
+    test('restores changed files, removes created ones and the journal', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+
+      await transaction.rollback();
+
+      expect(await read('.bmad-core/agents/dev.md')).toBe('dev v1');
+      expect(await fs.pathExists(file('.bmad-core/agents/qa.md'))).toBe(false);
+      expect(await read('.claude/commands/mine/my.md')).toBe('user command');
+      expect(await fs.pathExists(file(JOURNAL_DIR))).toBe(false);
+    });
+  });
+
+  describe('commit', () => {
+    test('journals only the files the run changed or created', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+
+      const changed = await transaction.commit();
+
+      expect(changed.sort()).toEqual(['.bmad-core/agents/dev.md', '.bmad-core/agents/qa.md']);
+      const journal = await InstallTransaction.readLast(installDir);
+      expect(journal).toMatchObject({ status: 'committed', description: 'Update to v2' });
+      expect(journal.entries.map((entry) => [entry.path, entry.existed])).toEqual(
+        expect.arrayContaining([
+          ['.bmad-core/agents/dev.md', true],
+          ['.bmad-core/agents/qa.md', false],
+        ]),
+      );
+      expect(journal.entries.every((entry) => typeof entry.fingerprint === 'string')).toBe(true);
+    });
+
+    test('keeps the previous rollback point when the run changed nothing', async () => {
+      const first = new InstallTransaction(installDir);
+      await update(first);
+      await first.commit();
+
+      const second = new InstallTransaction(installDir);
+      await second.begin(['.bmad-core'], 'Repair');
+      expect(await second.commit()).toEqual([]);
+
+      expect(await InstallTransaction.readLast(installDir)).toMatchObject({
+        description: 'Update to v2',
+      });
+    });
+
+    test('keeps the journal out of version control', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+      await transaction.commit();
+
+      expect(await read(path.join(JOURNAL_DIR, '.gitignore'))).toBe('*\n');
+    });
+  });
+
+  describe('rollbackLast', () => {
+    test('undoes the last committed run', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+      await transaction.commit();
+
+      const journal = await InstallTransaction.rollbackLast(installDir);
+
+      expect(journal.description).toBe('Update to v2');
+      expect(await read('.bmad-core/agents/dev.md')).toBe('dev v1');
+      expect(await fs.pathExists(file('.bmad-core/agents/qa.md'))).toBe(false);
+      expect(await fs.pathExists(file(JOURNAL_DIR))).toBe(false);
+      expect(await InstallTransaction.rollbackLast(installDir)).toBeNull();
+    });
+
+    test('leaves files the run did not touch alone, even when edited since', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+      await transaction.commit();
+      await write('.claude/commands/mine/my.md', 'user command, edited');
+      await write('.claude/commands/mine/new.md', 'another user command');
+
+      await InstallTransaction.rollbackLast(installDir);
+
+      expect(await read('.claude/commands/mine/my.md')).toBe('user command, edited');
+      expect(await read('.claude/commands/mine/new.md')).toBe('another user command');
+    });
+
+    test('refuses to overwrite files changed since the run, unless forced', async () => {
+      const transaction = new InstallTransaction(installDir);
+      await update(transaction);
+      await transaction.commit();
+      await write('.bmad-core/agents/dev.md', 'dev v2, edited');
+
+      const journal = await InstallTransaction.readLast(installDir);
+      expect(await InstallTransaction.findChangedSinceCommit(journal, installDir)).toEqual([
+        '.bmad-core/agents/dev.md',
+      ]);
+      await expect(InstallTransaction.rollbackLast(installDir)).rejects.toThrow(
+        '.bmad-core/agents/dev.md',
+      );
+      expect(await read('.bmad-core/agents/dev.md')).toBe('dev v2, edited');
+
+      await InstallTransaction.rollbackLast(installDir, { force: true });
+      expect(await read('.bmad-core/agents/dev.md')).toBe('dev v1');
+    });
+  });
+
+  describe('recover', () => {
+    test('rolls back a run that never finished', async () => {
+      await update(new InstallTransaction(installDir));
+
+      const journal = await InstallTransaction.recover(installDir);
+
+      expect(journal.description).toBe('Update to v2');
+      expect(await read('.bmad-core/agents/dev.md')).toBe('dev v1');
+      expect(await fs.pathExists(file('.bmad-core/agents/qa.md'))).toBe(false);
+      expect(await InstallTransaction.recover(installDir)).toBeNull();
+    });
+  });
+});
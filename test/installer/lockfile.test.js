@@ -0,0 +1,96 @@
+const { diffLocks } = require('../../tools/installer/lib/lockfile');
+
+// A lock as buildLock() writes it; each call returns a fresh copy to change
+function createLock() {
+  return {
+    lockfileVersion: 1,
+    core: {
+      version: '4.44.3',
+      options: { prdSharded: true, architectureSharded: true, slashPrefix: 'BMad' },
+      files: { '.bmad-core/agents/dev.md': 'aaa', '.bmad-core/agents/pm.md': 'bbb' },
+    },
+    expansionPacks: {
+      'bmad-creative-writing': {
+        version: '1.1.1',
+        files: { '.bmad-creative-writing/agents/editor.md': 'ccc' },
+      },
+    },
+    ides: ['claude-code', 'opencode'],
+    ideSettings: { opencode: { opencode: { useAgentPrefix: true, useCommandPrefix: true } } },
+  };
+}
+
+describe('diffLocks', () => {
+  test('reports nothing when the installation matches the lock', () => {
+    expect(diffLocks(createLock(), createLock())).toEqual([]);
+  });
+
+  test('reports every locked package when nothing is installed', () => {
+    expect(diffLocks(createLock(), null)).toEqual([
+      'core: 4.44.3 is locked but not installed',
+      'bmad-creative-writing: 1.1.1 is locked but not installed',
+      'IDEs: claude-code, opencode locked, none installed',
+      'IDE settings: opencode is set up differently than locked',
+    ]);
+  });
+
+  test('reports version differences and packs missing from either side', () => {
+    const installed = createLock();
+    installed.core.version = '4.45.0';
+    delete installed.expansionPacks['bmad-creative-writing'];
+    installed.expansionPacks['bmad-godot-game-dev'] = { version: '1.0.0', files: {} };
+
+    expect(diffLocks(createLock(), installed)).toEqual([
+      'core: 4.44.3 is locked, 4.45.0 is installed',
+      'bmad-creative-writing: 1.1.1 is locked but not installed',
+      'bmad-godot-game-dev: 1.0.0 is installed but not in bmad.lock',
+    ]);
+  });
+
+  test('reports options installed differently than locked', () => {
+    const installed = createLock();
+    installed.core.options.prdSharded = false;
+
+    expect(diffLocks(createLock(), installed)).toEqual([
+      'core: prdSharded is locked as true, installed as false',
+    ]);
+  });
+
+  test('counts files whose hashes differ, were added or are missing', () => {
+    const installed = createLock();
+    installed.core.files['.bmad-core/agents/dev.md'] = 'changed';
+    delete installed.core.files['.bmad-core/agents/pm.md'];
+    installed.core.files['.bmad-core/agents/qa.md'] = 'ddd';
+
+    expect(diffLocks(createLock(), installed)).toEqual([
+      'core: 3 file(s) differ from the locked hashes (.bmad-core/agents/dev.md, .bmad-core/agents/pm.md, .bmad-core/agents/qa.md)',
+    ]);
+  });
+
+  test('reports a different set of IDEs', () => {
+    const installed = createLock();
+    installed.ides = ['opencode'];
+
+    expect(diffLocks(createLock(), installed)).toEqual([
+      'IDEs: claude-code, opencode locked, opencode installed',
+    ]);
+  });
+
+  test('reports IDEs set up with other settings than locked', () => {
+    const installed = createLock();
+    installed.ideSettings.opencode.opencode.useAgentPrefix = false;
+    installed.ideSettings['github-copilot'] = { configChoice: 'skip' };
+
+    expect(diffLocks(createLock(), installed)).toEqual([
+      'IDE settings: github-copilot is set up differently than locked',
+      'IDE settings: opencode is set up differently than locked',
+    ]);
+  });
+
+  test('ignores IDE settings for locks written before they were recorded', () => {
+    const locked = createLock();
+    delete locked.ideSettings;
+
+    expect(diffLocks(locked, createLock())).toEqual([]);
+  });
+});
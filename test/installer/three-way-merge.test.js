@@ -0,0 +1,106 @@
+const { mergeThreeWay } = require('../../tools/installer/lib/three-way-merge');
+
+const lines = (...items) => items.join('\n');
+
+describe('mergeThreeWay', () => {
+  const base = lines('# Agent', 'name: dev', 'role: developer', 'style: terse', 'end');
+
+  test('keeps the local content when upstream did not change', () => {
+    const local = lines('# Agent', 'name: dev', 'role: my developer', 'style: terse', 'end');
+    expect(mergeThreeWay(base, local, base)).toEqual({ content: local, conflicts: 0 });
+  });
+
+  test('takes the upstream content when there are no local changes', () => {
+    const upstream = lines('# Agent', 'name: dev', 'role: developer', 'style: brief', 'end');
+    expect(mergeThreeWay(base, base, upstream)).toEqual({ content: upstream, conflicts: 0 });
+  });
+
+  test('combines local and upstream changes to different lines', () => {
+    const local = lines('# Agent', 'name: my dev', 'role: developer', 'style: terse', 'end');
+    const upstream = lines('# Agent', 'name: dev', 'role: developer', 'style: brief', 'end');
+
+    expect(mergeThreeWay(base, local, upstream)).toEqual({
+      content: lines('# Agent', 'name: my dev', 'role: developer', 'style: brief', 'end'),
+      conflicts: 0,
+    });
+  });
+
+  test('keeps lines added on both sides in different places', () => {
+    const local = lines(
+      '# Agent',
+      'local: note',
+      'name: dev',
+      'role: developer',
+      'style: terse',
+      'end',
+    );
+    const upstream = lines(
+      '# Agent',
+      'name: dev',
+      'role: developer',
+      'style: terse',
+      'end',
+      'new: line',
+    );
+
+    expect(mergeThreeWay(base, local, upstream).content).toBe(
+      lines(
+        '# Agent',
+        'local: note',
+        'name: dev',
+        'role: developer',
+        'style: terse',
+        'end',
+        'new: line',
+      ),
+    );
+  });
+
+  test('merges the same change made on both sides without a conflict', () => {
+    const changed = lines('# Agent', 'name: dev', 'role: lead', 'style: terse', 'end');
+    expect(mergeThreeWay(base, changed, changed)).toEqual({ content: changed, conflicts: 0 });
+  });
+
+  test('marks changes to the same lines as a conflict, with the given labels', () => {
+    const local = lines('# Agent', 'name: dev', 'role: mine', 'style: terse', 'end');
+    const upstream = lines('# Agent', 'name: dev', 'role: theirs', 'style: terse', 'end');
+
+    const result = mergeThreeWay(base, local, upstream, { local: 'yours', upstream: 'v5' });
+
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe(
+      lines(
+        '# Agent',
+        'name: dev',
+        '<<<<<<< yours',
+        'role: mine',
+        '=======',
+        'role: theirs',
+        '>>>>>>> v5',
+        'style: terse',
+        'end',
+      ),
+    );
+  });
+
+  test('counts each conflicting region', () => {
+    const local = lines('# Mine', 'name: dev', 'role: developer', 'style: terse', 'mine');
+    const upstream = lines('# Theirs', 'name: dev', 'role: developer', 'style: terse', 'theirs');
+
+    const result = mergeThreeWay(base, local, upstream);
+
+    expect(result.conflicts).toBe(2);
+    expect(result.content).toContain('<<<<<<< local');
+    expect(result.content).toContain('>>>>>>> upstream');
+  });
+
+  test('applies an upstream deletion next to a local edit', () => {
+    const local = lines('# Agent', 'name: my dev', 'role: developer', 'style: terse', 'end');
+    const upstream = lines('# Agent', 'name: dev', 'role: developer', 'end');
+
+    expect(mergeThreeWay(base, local, upstream)).toEqual({
+      content: lines('# Agent', 'name: my dev', 'role: developer', 'end'),
+      conflicts: 0,
+    });
+  });
+});
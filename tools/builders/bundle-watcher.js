@@ -0,0 +1,224 @@
+/**
+ * Bundle Watcher - Regenerates only the web bundles affected by a changed source file
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const WATCHED_DIRS = ['bmad-core', 'common', 'expansion-packs'];
+const DEBOUNCE_MS = 200;
+
+// Editor swap/backup files that should never trigger a rebuild
+const IGNORED_FILES = [/~$/, /\.swp$/, /\.swx$/, /^\.#/, /\.tmp$/];
+
+class BundleWatcher {
+  constructor(builder) {
+    this.builder = builder;
+    this.rootDir = builder.rootDir;
+    this.watchers = [];
+    this.pending = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    const watchedDirs = WATCHED_DIRS.map((dir) => path.join(this.rootDir, dir));
+    if (this.builder.overrideDir) watchedDirs.push(this.builder.overrideDir);
+
+    for (const absoluteDir of watchedDirs) {
+      if (!fs.existsSync(absoluteDir)) continue;
+
+      const watcher = fs.watch(absoluteDir, { recursive: true }, (eventType, fileName) => {
+        if (!fileName) return;
+        if (IGNORED_FILES.some((pattern) => pattern.test(path.basename(fileName)))) return;
+        this.pending.add(path.join(absoluteDir, fileName.toString()));
+        this.schedule();
+      });
+      this.watchers.push(watcher);
+    }
+
+    const names = watchedDirs.map((dir) => path.relative(this.rootDir, dir) || '.');
+    console.log(`\nWatching ${names.join(', ')} for changes... (Ctrl+C to stop)`);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers) watcher.close();
+    this.watchers = [];
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), DEBOUNCE_MS);
+  }
+
+  async flush() {
+    if (this.running) {
+      // A rebuild is in progress - pick these changes up once it finishes
+      this.schedule();
+      return;
+    }
+
+    const changedFiles = [...this.pending].filter(
+      (file) => !fs.statSync(file, { throwIfNoEntry: false })?.isDirectory(),
+    );
+    this.pending.clear();
+    if (changedFiles.length === 0) return;
+
+    this.running = true;
+    try {
+      await this.rebuild(changedFiles);
+    } catch (error) {
+      console.error('Rebuild failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Work out which bundles depend on the changed files
+   * @returns {Promise<{agents: Set<string>, teams: Set<string>, packs: Set<string>}>}
+   */
+  async findAffectedBundles(changedFiles) {
+    const { resolver, cache } = this.builder;
+    const affected = { agents: new Set(), teams: new Set(), packs: new Set() };
+
+    resolver.clearCache();
+    for (const file of changedFiles) {
+      // Core bundles: ask the resolver which agents and teams pull this file in
+      const dependents = await resolver.findDependentBundles(file);
+      for (const agentId of dependents.agents) affected.agents.add(agentId);
+      for (const teamId of dependents.teams) affected.teams.add(teamId);
+
+      // Files belonging to an expansion pack affect that pack's bundles
+      const parts = path.relative(this.rootDir, file).split(path.sep);
+      if (parts[0] === 'expansion-packs' && parts.length > 2) {
+        affected.packs.add(parts[1]);
+      }
+
+      // Bundles built from a file that has since been deleted or moved,
+      // plus expansion bundles pulling in core/common resources
+      for (const bundleId of cache.findDependents(file)) {
+        const [kind, id] = bundleId.split('/');
+        switch (kind) {
+          case 'agents': {
+            affected.agents.add(id);
+            break;
+          }
+          case 'teams': {
+            affected.teams.add(id);
+            break;
+          }
+          case 'expansion-packs': {
+            affected.packs.add(id);
+            break;
+          }
+          // No default
+        }
+      }
+
+      // New agents and teams have no dependents yet
+      if (parts[0] === 'bmad-core' && parts.length === 3) {
+        if (parts[1] === 'agents' && file.endsWith('.md')) {
+          affected.agents.add(path.basename(file, '.md'));
+        } else if (parts[1] === 'agent-teams' && file.endsWith('.yaml')) {
+          affected.teams.add(path.basename(file, '.yaml'));
+        }
+      }
+    }
+
+    return affected;
+  }
+
+  async rebuild(changedFiles) {
+    const { builder } = this;
+    const startTime = Date.now();
+    const time = new Date().toLocaleTimeString();
+
+    console.log(`\n[${time}] Changed:`);
+    for (const file of changedFiles) console.log(`  ${path.relative(this.rootDir, file)}`);
+
+    builder.cache.invalidate(changedFiles);
+    const affected = await this.findAffectedBundles(changedFiles);
+    const agents = new Set(await builder.resolver.listAgents());
+    const teams = new Set(await builder.resolver.listTeams());
+
+    builder.changeLog = [];
+    try {
+      for (const agentId of affected.agents) {
+        if (agents.has(agentId)) await builder.buildAgent(agentId);
+      }
+      for (const teamId of affected.teams) {
+        if (teams.has(teamId)) await builder.buildTeam(teamId);
+      }
+      for (const packName of affected.packs) {
+        if (fs.existsSync(path.join(this.rootDir, 'expansion-packs', packName))) {
+          await builder.buildExpansionPack(packName, { clean: false });
+        }
+      }
+      await builder.pruneCache('agents/', new Set([...agents].map((id) => `agents/${id}`)));
+      await builder.pruneCache('teams/', new Set([...teams].map((id) => `teams/${id}`)));
+      await builder.saveCache();
+
+      this.printSummary(builder.changeLog, Date.now() - startTime);
+    } finally {
+      builder.changeLog = null;
+    }
+
+    console.log('Watching for changes...');
+  }
+
+  printSummary(changes, elapsed) {
+    if (changes.length === 0) {
+      console.log('No bundles affected.');
+      return;
+    }
+
+    const width = Math.max(...changes.map((change) => change.bundleId.length));
+    console.log('\nRebuild summary:');
+    for (const { bundleId, previous, bundle } of changes) {
+      const label = bundleId.padEnd(width);
+      if (previous === null) {
+        console.log(`  + ${label}  new (${formatSize(bundle.length)})`);
+        continue;
+      }
+
+      const { added, removed } = diffLines(previous, bundle);
+      if (added === 0 && removed === 0) {
+        console.log(`  = ${label}  unchanged`);
+      } else {
+        const size = `${formatSize(previous.length)} → ${formatSize(bundle.length)}`;
+        console.log(`  ~ ${label}  +${added} -${removed} lines (${size})`);
+      }
+    }
+    console.log(`Rebuilt ${changes.length} bundle(s) in ${elapsed}ms`);
+  }
+}
+
+/**
+ * Count added/removed lines between two texts (order-insensitive, good enough for a summary)
+ */
+function diffLines(before, after) {
+  const counts = new Map();
+  for (const line of before.split('\n')) counts.set(line, (counts.get(line) || 0) + 1);
+
+  let added = 0;
+  for (const line of after.split('\n')) {
+    const count = counts.get(line) || 0;
+    if (count > 0) {
+      counts.set(line, count - 1);
+    } else {
+      added++;
+    }
+  }
+
+  let removed = 0;
+  for (const count of counts.values()) removed += count;
+  return { added, removed };
+}
+
+function formatSize(length) {
+  return length < 1024 ? `${length} B` : `${(length / 1024).toFixed(1)} KB`;
+}
+
+module.exports = BundleWatcher;
@@ -1,13 +1,54 @@
 const fs = require('node:fs').promises;
+const { existsSync, readFileSync } = require('node:fs');
+const { execFileSync } = require('node:child_process');
 const path = require('node:path');
 const DependencyResolver = require('../lib/dependency-resolver');
+const BuildCache = require('../lib/build-cache');
 const yamlUtilities = require('../lib/yaml-utils');
+const { OVERRIDE_DIR } = require('../lib/project-overrides');
+const { estimateTokens, compressTemplate } = require('../lib/token-budget');
+
+// Bundle output formats and the file extension each one is written with
+const BUNDLE_EXTENSIONS = { md: '.txt', xml: '.xml', json: '.json' };
+
+// Agent YAML in bundles starts with these keys and ends with dependencies; other keys keep
+// their source order in between (merge patches append new keys at the end)
+const LEADING_AGENT_KEYS = ['activation-instructions', 'agent', 'persona'];
+const TRAILING_AGENT_KEYS = ['dependencies'];
+
+// Pinned so bundle output does not drift with js-yaml defaults
+const AGENT_DUMP_OPTIONS = {
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true,
+  sortKeys: false,
+  quotingType: "'",
+  forceQuotes: false,
+};
 
 class WebBuilder {
   constructor(options = {}) {
     this.rootDir = options.rootDir || process.cwd();
     this.outputDirs = options.outputDirs || [path.join(this.rootDir, 'dist')];
-    this.resolver = new DependencyResolver(this.rootDir);
+    this.overrideDir = this.findOverrideDir(options.overrideDir);
+    this.overrideReport = new Map();
+    this.resolver = new DependencyResolver(this.rootDir, { overrideDir: this.overrideDir });
+    this.packResolvers = new Map();
+    this.incremental = options.incremental || false;
+    this.slim = options.slim || false;
+    this.format = options.format || 'md';
+    this.provenance = options.provenance !== false;
+    this.sourceInfo = null;
+    if (!BUNDLE_EXTENSIONS[this.format]) {
+      throw new Error(
+        `Unknown bundle format "${this.format}" (expected ${WebBuilder.FORMATS.join(', ')})`,
+      );
+    }
+    this.bundleStats = new Map();
+    this.currentStats = null;
+    this.cache = null;
+    this.trackedSources = null;
+    this.changeLog = null;
     this.templatePath = path.join(
       this.rootDir,
       'tools',
@@ -21,14 +62,41 @@ class WebBuilder {
     return yaml.load(content);
   }
 
+  /**
+   * Use the given override directory, or the project's .bmad-overrides/ when present
+   */
+  findOverrideDir(overrideDir) {
+    if (overrideDir) return path.resolve(overrideDir);
+    const defaultDir = path.join(this.rootDir, OVERRIDE_DIR);
+    return existsSync(defaultDir) ? defaultDir : null;
+  }
+
+  /**
+   * Resolver for an expansion pack: overrides, then the pack, then bmad-core and common
+   */
+  getPackResolver(packName) {
+    if (!this.packResolvers.has(packName)) {
+      const packDir = path.join(this.rootDir, 'expansion-packs', packName);
+      this.packResolvers.set(
+        packName,
+        new DependencyResolver(this.rootDir, { packDir, overrideDir: this.overrideDir }),
+      );
+    }
+    return this.packResolvers.get(packName);
+  }
+
   convertToWebPath(filePath, bundleRoot = 'bmad-core') {
     // Convert absolute paths to web bundle paths with dot prefix
     // All resources get installed under the bundle root, so use that path
+    const overridePath = this.overrideDir ? path.relative(this.overrideDir, filePath) : '..';
     const relativePath = path.relative(this.rootDir, filePath);
     const pathParts = relativePath.split(path.sep);
 
     let resourcePath;
-    if (pathParts[0] === 'expansion-packs') {
+    if (!overridePath.startsWith('..') && !path.isAbsolute(overridePath)) {
+      // Project overrides mirror the bmad-core layout
+      resourcePath = overridePath.split(path.sep).join('/');
+    } else if (pathParts[0] === 'expansion-packs') {
       // For expansion packs, remove 'expansion-packs/packname' and use the rest
       resourcePath = pathParts.slice(2).join('/');
     } else {
@@ -39,8 +107,8 @@ class WebBuilder {
     return `.${bundleRoot}/${resourcePath}`;
   }
 
-  generateWebInstructions(bundleType, packName = null) {
-    // Generate dynamic web instructions based on bundle type
+  generateWebInstructions(bundleType, packName = null, format = this.format) {
+    // Generate dynamic web instructions based on bundle type and output format
     const rootExample = packName ? `.${packName}` : '.bmad-core';
     const examplePath = packName
       ? `.${packName}/folder/filename.md`
@@ -57,6 +125,7 @@ class WebBuilder {
     const tasksReference = packName
       ? `.${packName}/tasks/create-story.md`
       : '.bmad-core/tasks/create-story.md';
+    const markers = this.describeResourceMarkers(format);
 
     return `# Web Agent Bundle Instructions
 
@@ -66,14 +135,14 @@ You are now operating as a specialized AI agent from the BMad-Method framework.
 
 1. **Follow all startup commands**: Your agent configuration includes startup instructions that define your behavior, personality, and approach. These MUST be followed exactly.
 
-2. **Resource Navigation**: This bundle contains all resources you need. Resources are marked with tags like:
+2. **Resource Navigation**: This bundle contains all resources you need. ${markers.intro}
 
-- \`==================== START: ${examplePath} ====================\`
-- \`==================== END: ${examplePath} ====================\`
+- \`${markers.start(examplePath)}\`
+- \`${markers.end(examplePath)}\`
 
 When you need to reference a resource mentioned in your instructions:
 
-- Look for the corresponding START/END tags
+- ${markers.lookFor}
 - The format is always the full path with dot prefix (e.g., \`${personasExample}\`, \`${tasksExample}\`)
 - If a section is specified (e.g., \`{root}/tasks/create-story.md#section-name\`), navigate to that section within the file
 
@@ -89,8 +158,8 @@ dependencies:
 
 These references map directly to bundle sections:
 
-- \`utils: template-format\` → Look for \`==================== START: ${utilitiesExample} ====================\`
-- \`tasks: create-story\` → Look for \`==================== START: ${tasksReference} ====================\`
+- \`utils: template-format\` → Look for \`${markers.start(utilitiesExample)}\`
+- \`tasks: create-story\` → Look for \`${markers.start(tasksReference)}\`
 
 3. **Execution Context**: You are operating in a web environment. All your capabilities and knowledge are contained within this bundle. Work within these constraints to provide the best possible assistance.
 
@@ -101,6 +170,308 @@ These references map directly to bundle sections:
 `;
   }
 
+  /**
+   * How resources are delimited in each bundle format, for the navigation instructions
+   */
+  describeResourceMarkers(format) {
+    switch (format) {
+      case 'xml': {
+        return {
+          intro:
+            'Each resource is wrapped in a `<resource>` tag carrying its path, with its content in a CDATA section:',
+          start: (resourcePath) => `<resource path="${resourcePath}"><![CDATA[`,
+          end: () => ']]></resource>',
+          lookFor: 'Look for the `<resource>` tag whose `path` attribute matches',
+        };
+      }
+      case 'json': {
+        return {
+          intro:
+            'Resources are the entries of the `resources` array, each with its `path` and `content`:',
+          start: (resourcePath) => `"path": "${resourcePath}"`,
+          end: () => '"content": "..."',
+          lookFor: 'Look for the entry whose `path` matches and read its `content`',
+        };
+      }
+      default: {
+        const separator = '====================';
+        return {
+          intro: 'Resources are marked with tags like:',
+          start: (resourcePath) => `${separator} START: ${resourcePath} ${separator}`,
+          end: (resourcePath) => `${separator} END: ${resourcePath} ${separator}`,
+          lookFor: 'Look for the corresponding START/END tags',
+        };
+      }
+    }
+  }
+
+  /**
+   * Enable the build cache. Every build records its sources; in incremental mode
+   * bundles whose sources and outputs are unchanged are skipped.
+   */
+  async enableCache(cacheFile = path.join(this.outputDirs[0], '.build-cache.json')) {
+    this.cache = await new BuildCache(this.rootDir, cacheFile).load();
+    return this.cache;
+  }
+
+  /**
+   * Options that change bundle output; a bundle built with other options is rebuilt
+   */
+  getBuildOptions() {
+    const options = {};
+    if (this.slim) options.slim = true;
+    if (this.format !== 'md') options.format = this.format;
+    // Provenance headers name the package version. The commit is left out: a new commit
+    // alone does not rebuild a bundle, whose resource hashes already pin its content
+    if (this.provenance) {
+      const { package: packageName, version } = this.getSourceInfo();
+      options.provenance = { package: packageName, version };
+    }
+    return options;
+  }
+
+  /**
+   * Package name, version and git commit the bundles are built from
+   */
+  getSourceInfo() {
+    if (this.sourceInfo) return this.sourceInfo;
+
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(readFileSync(path.join(this.rootDir, 'package.json'), 'utf8'));
+    } catch {
+      // Not built from a package checkout
+    }
+
+    let commit = null;
+    try {
+      commit = execFileSync('git', ['rev-parse', 'HEAD'], {
+        cwd: this.rootDir,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim();
+    } catch {
+      // Not a git checkout, or git is not installed
+    }
+
+    this.sourceInfo = {
+      package: packageJson.name || null,
+      version: packageJson.version || null,
+      commit,
+    };
+    return this.sourceInfo;
+  }
+
+  /**
+   * Provenance of a bundle: where it was built from and a hash of every included resource,
+   * so a pasted bundle can be traced back to the exact agent version
+   */
+  createProvenance(bundle) {
+    const resources = (this.currentStats?.sections || []).map(({ path, hash }) => ({
+      path,
+      sha256: hash,
+    }));
+    return { ...this.getSourceInfo(), bundle: `${bundle.type} ${bundle.id}`, resources };
+  }
+
+  /**
+   * Output file name of a bundle in the current format, e.g. dev.txt or dev.json
+   */
+  getBundleFileName(bundleName) {
+    return `${bundleName}${BUNDLE_EXTENSIONS[this.format]}`;
+  }
+
+  /**
+   * Join the instructions and resource sections of a bundle into the output document
+   * @param {Array<string|Object>} sections - Web instructions followed by formatted resources
+   * @param {Object} bundle - Bundle type, id and root folder, recorded in JSON bundles
+   */
+  assembleBundle(sections, bundle) {
+    const provenance = this.provenance ? this.createProvenance(bundle) : null;
+
+    if (this.format !== 'json') {
+      const header = provenance ? [formatProvenanceComment(provenance)] : [];
+      return [...header, ...sections].join('\n');
+    }
+
+    const [instructions, ...resources] = sections;
+    const document = { bundle: { ...bundle, root: `.${bundle.root}` } };
+    if (provenance) document.provenance = provenance;
+    return JSON.stringify({ ...document, instructions, resources }, null, 2) + '\n';
+  }
+
+  async saveCache() {
+    if (this.cache) await this.cache.save();
+  }
+
+  trackSource(filePath, content, isDirectory = false) {
+    if (!this.trackedSources) return;
+    const hash = content === null ? null : BuildCache.hashContent(content);
+    const key = this.cache.toRelative(filePath) + (isDirectory ? '/' : '');
+    this.trackedSources.set(key, hash);
+  }
+
+  /**
+   * Track a resolved agent, team or resource, including the higher-layer paths that were
+   * searched first so adding a shadowing file or merge patch later invalidates the bundle
+   */
+  trackResource(resource) {
+    this.trackSource(resource.path, resource.baseContent ?? resource.content);
+    for (const searchedPath of resource.searched || []) {
+      this.trackSource(searchedPath, null);
+    }
+    for (const patch of resource.patches || []) {
+      this.trackSource(patch.path, patch.content);
+    }
+    this.recordOverrides(resource);
+  }
+
+  /**
+   * Remember which project override files were used, for the report printed after a build
+   */
+  recordOverrides(resource) {
+    if (!this.overrideDir) return;
+    const relativePath = (filePath) => path.relative(this.overrideDir, filePath);
+
+    if (resource.layer === 'override') {
+      const shadows = resource.shadows?.length > 0 ? resource.shadows.join(', ') : null;
+      this.overrideReport.set(
+        relativePath(resource.path),
+        shadows ? `replaces ${shadows} version` : 'added',
+      );
+    }
+    for (const patch of resource.patches || []) {
+      this.overrideReport.set(
+        relativePath(patch.path),
+        `merged into ${path.relative(this.rootDir, resource.path)}`,
+      );
+    }
+  }
+
+  printOverrideReport() {
+    if (this.overrideReport.size === 0) return;
+    console.log(
+      `\nProject overrides applied from ${path.relative(this.rootDir, this.overrideDir)}:`,
+    );
+    for (const [file, action] of [...this.overrideReport].sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`  ${file}: ${action}`);
+    }
+  }
+
+  /**
+   * Report expansion pack files that shadow the same file in a lower layer
+   */
+  reportLayers(resources) {
+    for (const resource of resources) {
+      if (resource.shadows?.length > 0 && resource.layer !== 'override') {
+        console.log(
+          `      ✓ ${resource.type}/${resource.id} from ${resource.layer} (shadows ${resource.shadows.join(', ')})`,
+        );
+      }
+    }
+  }
+
+  async readSource(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      this.trackSource(filePath, content);
+      return content;
+    } catch (error) {
+      this.trackSource(filePath, null);
+      throw error;
+    }
+  }
+
+  async readSourceDir(dirPath) {
+    try {
+      const entries = await fs.readdir(dirPath);
+      this.trackSource(dirPath, [...entries].sort().join('\n'), true);
+      return entries;
+    } catch (error) {
+      this.trackSource(dirPath, null, true);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a bundle and write it to its outputs, unless the cache says it is up to date
+   * @returns {Promise<boolean>} true when the bundle was (re)built
+   */
+  async buildBundle(bundleId, outputFiles, build) {
+    let reasons = ['full build'];
+    if (this.cache) {
+      if (this.incremental) {
+        const result = await this.cache.check(bundleId, outputFiles, this.getBuildOptions());
+        if (!result.stale) {
+          // Keep up-to-date bundles in the size report
+          const { stats } = this.cache.getEntry(bundleId);
+          if (stats) this.bundleStats.set(bundleId, stats);
+          return false;
+        }
+        reasons = result.reasons;
+      }
+      this.trackedSources = new Map();
+    }
+
+    this.currentStats = { sections: [], omitted: [] };
+    try {
+      const bundle = await build();
+      const stats = {
+        tokens: estimateTokens(bundle),
+        bytes: Buffer.byteLength(bundle, 'utf8'),
+        ...this.currentStats,
+      };
+      this.bundleStats.set(bundleId, stats);
+      if (this.changeLog) {
+        const previous = await fs.readFile(outputFiles[0], 'utf8').catch(() => null);
+        this.changeLog.push({ bundleId, previous, bundle });
+      }
+      for (const outputFile of outputFiles) {
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, bundle, 'utf8');
+      }
+      if (this.cache) {
+        // Outputs of a previous build in another format
+        for (const previous of this.cache.getEntry(bundleId)?.outputs || []) {
+          const previousFile = this.cache.toAbsolute(previous);
+          if (!outputFiles.includes(previousFile)) await fs.rm(previousFile, { force: true });
+        }
+        this.cache.record(bundleId, outputFiles, this.trackedSources, reasons, {
+          options: this.getBuildOptions(),
+          stats,
+        });
+      }
+    } finally {
+      this.trackedSources = null;
+      this.currentStats = null;
+    }
+    return true;
+  }
+
+  async pruneCache(prefix, keptIds) {
+    if (!this.cache) return;
+    for (const outputFile of this.cache.prune(prefix, keptIds)) {
+      await fs.rm(outputFile, { force: true });
+      console.log(`  Removed stale bundle: ${path.relative(this.rootDir, outputFile)}`);
+    }
+  }
+
+  /**
+   * Explain why a bundle would be (or last was) rebuilt
+   * @param {string} name - Bundle ID or trailing part of one (e.g. "dev", "teams/team-all")
+   */
+  async explainBundle(name) {
+    const bundleIds = this.cache.findBundles(name);
+    const reports = [];
+    for (const bundleId of bundleIds) {
+      const entry = this.cache.getEntry(bundleId);
+      const outputs = entry.outputs.map((output) => this.cache.toAbsolute(output));
+      const { stale, reasons } = await this.cache.check(bundleId, outputs, this.getBuildOptions());
+      reports.push({ bundleId, stale, reasons, lastBuild: entry });
+    }
+    return reports;
+  }
+
   async cleanOutputDirs() {
     for (const dir of this.outputDirs) {
       try {
@@ -115,65 +486,90 @@ These references map directly to bundle sections:
 
   async buildAgents() {
     const agents = await this.resolver.listAgents();
+    const bundleIds = new Set();
+    let built = 0;
 
     for (const agentId of agents) {
-      console.log(`  Building agent: ${agentId}`);
-      const bundle = await this.buildAgentBundle(agentId);
-
-      // Write to all output directories
-      for (const outputDir of this.outputDirs) {
-        const outputPath = path.join(outputDir, 'agents');
-        await fs.mkdir(outputPath, { recursive: true });
-        const outputFile = path.join(outputPath, `${agentId}.txt`);
-        await fs.writeFile(outputFile, bundle, 'utf8');
-      }
+      bundleIds.add(`agents/${agentId}`);
+      if (await this.buildAgent(agentId)) built++;
     }
 
-    console.log(`Built ${agents.length} agent bundles in ${this.outputDirs.length} locations`);
+    await this.pruneCache('agents/', bundleIds);
+    console.log(
+      `Built ${built} agent bundles in ${this.outputDirs.length} locations` +
+        (built < agents.length ? ` (${agents.length - built} up to date)` : ''),
+    );
   }
 
   async buildTeams() {
     const teams = await this.resolver.listTeams();
+    const bundleIds = new Set();
+    let built = 0;
 
     for (const teamId of teams) {
-      console.log(`  Building team: ${teamId}`);
-      const bundle = await this.buildTeamBundle(teamId);
-
-      // Write to all output directories
-      for (const outputDir of this.outputDirs) {
-        const outputPath = path.join(outputDir, 'teams');
-        await fs.mkdir(outputPath, { recursive: true });
-        const outputFile = path.join(outputPath, `${teamId}.txt`);
-        await fs.writeFile(outputFile, bundle, 'utf8');
-      }
+      bundleIds.add(`teams/${teamId}`);
+      if (await this.buildTeam(teamId)) built++;
     }
 
-    console.log(`Built ${teams.length} team bundles in ${this.outputDirs.length} locations`);
+    await this.pruneCache('teams/', bundleIds);
+    console.log(
+      `Built ${built} team bundles in ${this.outputDirs.length} locations` +
+        (built < teams.length ? ` (${teams.length - built} up to date)` : ''),
+    );
+  }
+
+  async buildAgent(agentId) {
+    // Write to all output directories
+    const outputFiles = this.outputDirs.map((dir) =>
+      path.join(dir, 'agents', this.getBundleFileName(agentId)),
+    );
+    return this.buildBundle(`agents/${agentId}`, outputFiles, () => {
+      console.log(`  Building agent: ${agentId}`);
+      return this.buildAgentBundle(agentId);
+    });
+  }
+
+  async buildTeam(teamId) {
+    // Write to all output directories
+    const outputFiles = this.outputDirs.map((dir) =>
+      path.join(dir, 'teams', this.getBundleFileName(teamId)),
+    );
+    return this.buildBundle(`teams/${teamId}`, outputFiles, () => {
+      console.log(`  Building team: ${teamId}`);
+      return this.buildTeamBundle(teamId);
+    });
   }
 
   async buildAgentBundle(agentId) {
     const dependencies = await this.resolver.resolveAgentDependencies(agentId);
     const template = this.generateWebInstructions('agent');
 
+    this.trackResource(dependencies.agent);
+    for (const resource of dependencies.resources) this.trackResource(resource);
+    this.reportLayers(dependencies.resources);
+
     const sections = [template];
 
-    // Add agent configuration
+    // Add agent configuration, then all dependencies
     const agentPath = this.convertToWebPath(dependencies.agent.path, 'bmad-core');
-    sections.push(this.formatSection(agentPath, dependencies.agent.content, 'bmad-core'));
-
-    // Add all dependencies
-    for (const resource of dependencies.resources) {
-      const resourcePath = this.convertToWebPath(resource.path, 'bmad-core');
-      sections.push(this.formatSection(resourcePath, resource.content, 'bmad-core'));
-    }
+    sections.push(
+      this.formatSection(agentPath, dependencies.agent.content, 'bmad-core'),
+      ...this.formatResources(dependencies.resources, 'bmad-core'),
+    );
 
-    return sections.join('\n');
+    return this.assembleBundle(sections, { type: 'agent', id: agentId, root: 'bmad-core' });
   }
 
   async buildTeamBundle(teamId) {
     const dependencies = await this.resolver.resolveTeamDependencies(teamId);
     const template = this.generateWebInstructions('team');
 
+    this.trackResource(dependencies.team);
+    for (const source of [...dependencies.agents, ...dependencies.resources]) {
+      this.trackResource(source);
+    }
+    this.reportLayers(dependencies.resources);
+
     const sections = [template];
 
     // Add team configuration
@@ -187,12 +583,9 @@ These references map directly to bundle sections:
     }
 
     // Add all deduplicated resources
-    for (const resource of dependencies.resources) {
-      const resourcePath = this.convertToWebPath(resource.path, 'bmad-core');
-      sections.push(this.formatSection(resourcePath, resource.content, 'bmad-core'));
-    }
+    sections.push(...this.formatResources(dependencies.resources, 'bmad-core'));
 
-    return sections.join('\n');
+    return this.assembleBundle(sections, { type: 'team', id: teamId, root: 'bmad-core' });
   }
 
   processAgentContent(content) {
@@ -229,8 +622,8 @@ These references map directly to bundle sections:
         );
       }
 
-      // Reconstruct the YAML
-      const cleanedYaml = yaml.dump(parsed, { lineWidth: -1 });
+      // Reconstruct the YAML with a stable key order
+      const cleanedYaml = yaml.dump(orderAgentKeys(parsed), AGENT_DUMP_OPTIONS);
 
       // Get the agent name from the YAML for the header
       const agentName = parsed.agent?.id || 'agent';
@@ -247,8 +640,40 @@ These references map directly to bundle sections:
     }
   }
 
+  /**
+   * Format resolved resources as bundle sections. Slim builds leave out data files and
+   * compress templates.
+   */
+  formatResources(resources, bundleRoot = 'bmad-core') {
+    const sections = [];
+    // Sorted by path so the bundle does not depend on resolution or directory listing order
+    const entries = resources
+      .map((resource) => ({ resource, webPath: this.convertToWebPath(resource.path, bundleRoot) }))
+      .sort((a, b) => compareOrdinal(a.webPath, b.webPath));
+
+    for (const { resource, webPath } of entries) {
+      let content = resource.content;
+
+      if (this.slim && resource.type === 'data') {
+        this.currentStats?.omitted.push(webPath);
+        continue;
+      }
+      if (this.slim && resource.type === 'templates') {
+        content = compressTemplate(content, resource.path);
+      }
+
+      sections.push(this.formatSection(webPath, content, bundleRoot));
+    }
+    return sections;
+  }
+
+  /**
+   * Format one resource for the bundle: text markers (md), a <resource> tag (xml) or an
+   * entry of the resources index (json)
+   * @returns {string|Object}
+   */
   formatSection(path, content, bundleRoot = 'bmad-core') {
-    const separator = '====================';
+    content = normalizeLineEndings(content);
 
     // Process agent content if this is an agent file
     if (path.includes('/agents/')) {
@@ -256,14 +681,37 @@ These references map directly to bundle sections:
     }
 
     // Replace {root} references with the actual bundle root
-    content = this.replaceRootReferences(content, bundleRoot);
+    content = this.replaceRootReferences(content, bundleRoot).trim();
+
+    let section;
+    switch (this.format) {
+      case 'xml': {
+        section = `<resource path="${escapeXmlAttribute(path)}"><![CDATA[\n${escapeCdata(content)}\n]]></resource>\n`;
+        break;
+      }
+      case 'json': {
+        const [, type, ...name] = path.split('/');
+        section = { path, type, name: name.join('/'), content };
+        break;
+      }
+      default: {
+        const separator = '====================';
+        section = [
+          `${separator} START: ${path} ${separator}`,
+          content,
+          `${separator} END: ${path} ${separator}`,
+          '',
+        ].join('\n');
+      }
+    }
 
-    return [
-      `${separator} START: ${path} ${separator}`,
-      content.trim(),
-      `${separator} END: ${path} ${separator}`,
-      '',
-    ].join('\n');
+    const text = typeof section === 'string' ? section : JSON.stringify(section);
+    this.currentStats?.sections.push({
+      path,
+      tokens: estimateTokens(text),
+      hash: BuildCache.hashContent(content),
+    });
+    return section;
   }
 
   replaceRootReferences(content, bundleRoot) {
@@ -299,18 +747,22 @@ These references map directly to bundle sections:
 
   async buildAllExpansionPacks(options = {}) {
     const expansionPacks = await this.listExpansionPacks();
+    const bundleIds = new Set();
 
     for (const packName of expansionPacks) {
       console.log(`  Building expansion pack: ${packName}`);
-      await this.buildExpansionPack(packName, options);
+      const packBundleIds = await this.buildExpansionPack(packName, options);
+      for (const bundleId of packBundleIds) bundleIds.add(bundleId);
     }
 
+    await this.pruneCache('expansion-packs/', bundleIds);
     console.log(`Built ${expansionPacks.length} expansion pack bundles`);
   }
 
   async buildExpansionPack(packName, options = {}) {
     const packDir = path.join(this.rootDir, 'expansion-packs', packName);
     const outputDirectories = [path.join(this.rootDir, 'dist', 'expansion-packs', packName)];
+    const bundleIds = new Set();
 
     // Clean output directories if requested
     if (options.clean !== false) {
@@ -334,18 +786,17 @@ These references map directly to bundle sections:
 
         for (const agentFile of agentMarkdownFiles) {
           const agentName = agentFile.replace('.md', '');
-          console.log(`      - ${agentName}`);
-
-          // Build individual agent bundle
-          const bundle = await this.buildExpansionAgentBundle(packName, packDir, agentName);
-
-          // Write to all output directories
-          for (const outputDir of outputDirectories) {
-            const agentsOutputDir = path.join(outputDir, 'agents');
-            await fs.mkdir(agentsOutputDir, { recursive: true });
-            const outputFile = path.join(agentsOutputDir, `${agentName}.txt`);
-            await fs.writeFile(outputFile, bundle, 'utf8');
-          }
+          const bundleId = `expansion-packs/${packName}/agents/${agentName}`;
+          bundleIds.add(bundleId);
+
+          // Build individual agent bundle and write to all output directories
+          const outputFiles = outputDirectories.map((dir) =>
+            path.join(dir, 'agents', this.getBundleFileName(agentName)),
+          );
+          const rebuilt = await this.buildBundle(bundleId, outputFiles, () =>
+            this.buildExpansionAgentBundle(packName, packDir, agentName),
+          );
+          console.log(`      - ${agentName}${rebuilt ? '' : ' (up to date)'}`);
         }
       }
     } catch {
@@ -362,16 +813,19 @@ These references map directly to bundle sections:
         console.log(`    Building team bundle for ${packName}`);
         const teamConfigPath = path.join(agentTeamsDir, teamFile);
 
-        // Build expansion pack as a team bundle
-        const bundle = await this.buildExpansionTeamBundle(packName, packDir, teamConfigPath);
+        const bundleId = `expansion-packs/${packName}/teams/${teamFile.replace('.yaml', '')}`;
+        bundleIds.add(bundleId);
 
-        // Write to all output directories
-        for (const outputDir of outputDirectories) {
-          const teamsOutputDir = path.join(outputDir, 'teams');
-          await fs.mkdir(teamsOutputDir, { recursive: true });
-          const outputFile = path.join(teamsOutputDir, teamFile.replace('.yaml', '.txt'));
-          await fs.writeFile(outputFile, bundle, 'utf8');
-          console.log(`    ✓ Created bundle: ${path.relative(this.rootDir, outputFile)}`);
+        // Build expansion pack as a team bundle and write to all output directories
+        const outputFiles = outputDirectories.map((dir) =>
+          path.join(dir, 'teams', this.getBundleFileName(path.basename(teamFile, '.yaml'))),
+        );
+        const rebuilt = await this.buildBundle(bundleId, outputFiles, () =>
+          this.buildExpansionTeamBundle(packName, packDir, teamConfigPath),
+        );
+        for (const outputFile of outputFiles) {
+          const status = rebuilt ? 'Created bundle' : 'Bundle up to date';
+          console.log(`    ✓ ${status}: ${path.relative(this.rootDir, outputFile)}`);
         }
       } else {
         console.warn(`    ⚠ No team configuration found in ${packName}/agent-teams/`);
@@ -379,281 +833,86 @@ These references map directly to bundle sections:
     } catch {
       console.warn(`    ⚠ No agent-teams directory found for ${packName}`);
     }
+
+    await this.pruneCache(`expansion-packs/${packName}/`, bundleIds);
+    return bundleIds;
   }
 
   async buildExpansionAgentBundle(packName, packDir, agentName) {
+    const dependencies = await this.getPackResolver(packName).resolveAgentDependencies(agentName);
     const template = this.generateWebInstructions('expansion-agent', packName);
     const sections = [template];
 
-    // Add agent configuration
-    const agentPath = path.join(packDir, 'agents', `${agentName}.md`);
-    const agentContent = await fs.readFile(agentPath, 'utf8');
-    const agentWebPath = this.convertToWebPath(agentPath, packName);
-    sections.push(this.formatSection(agentWebPath, agentContent, packName));
+    this.trackResource(dependencies.agent);
+    for (const resource of dependencies.resources) this.trackResource(resource);
+    this.reportLayers(dependencies.resources);
 
-    // Resolve and add agent dependencies
-    const yamlContent = yamlUtilities.extractYamlFromAgent(agentContent);
-    if (yamlContent) {
-      try {
-        const yaml = require('js-yaml');
-        const agentConfig = yaml.load(yamlContent);
-
-        if (agentConfig.dependencies) {
-          // Add resources, first try expansion pack, then core
-          for (const [resourceType, resources] of Object.entries(agentConfig.dependencies)) {
-            if (Array.isArray(resources)) {
-              for (const resourceName of resources) {
-                let found = false;
-
-                // Try expansion pack first
-                const resourcePath = path.join(packDir, resourceType, resourceName);
-                try {
-                  const resourceContent = await fs.readFile(resourcePath, 'utf8');
-                  const resourceWebPath = this.convertToWebPath(resourcePath, packName);
-                  sections.push(this.formatSection(resourceWebPath, resourceContent, packName));
-                  found = true;
-                } catch {
-                  // Not in expansion pack, continue
-                }
-
-                // If not found in expansion pack, try core
-                if (!found) {
-                  const corePath = path.join(this.rootDir, 'bmad-core', resourceType, resourceName);
-                  try {
-                    const coreContent = await fs.readFile(corePath, 'utf8');
-                    const coreWebPath = this.convertToWebPath(corePath, packName);
-                    sections.push(this.formatSection(coreWebPath, coreContent, packName));
-                    found = true;
-                  } catch {
-                    // Not in core either, continue
-                  }
-                }
-
-                // If not found in core, try common folder
-                if (!found) {
-                  const commonPath = path.join(this.rootDir, 'common', resourceType, resourceName);
-                  try {
-                    const commonContent = await fs.readFile(commonPath, 'utf8');
-                    const commonWebPath = this.convertToWebPath(commonPath, packName);
-                    sections.push(this.formatSection(commonWebPath, commonContent, packName));
-                    found = true;
-                  } catch {
-                    // Not in common either, continue
-                  }
-                }
-
-                if (!found) {
-                  console.warn(
-                    `    ⚠ Dependency ${resourceType}#${resourceName} not found in expansion pack or core`,
-                  );
-                }
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.debug(`Failed to parse agent YAML for ${agentName}:`, error.message);
-      }
-    }
+    // Add agent configuration, then resources, each taken from the first layer that has it
+    const agentWebPath = this.convertToWebPath(dependencies.agent.path, packName);
+    sections.push(
+      this.formatSection(agentWebPath, dependencies.agent.content, packName),
+      ...this.formatResources(dependencies.resources, packName),
+    );
 
-    return sections.join('\n');
+    return this.assembleBundle(sections, { type: 'agent', id: agentName, root: packName });
   }
 
   async buildExpansionTeamBundle(packName, packDir, teamConfigPath) {
+    const teamId = path.basename(teamConfigPath, '.yaml');
+    const dependencies = await this.getPackResolver(packName).resolveTeamDependencies(teamId);
     const template = this.generateWebInstructions('expansion-team', packName);
-
     const sections = [template];
 
-    // Add team configuration and parse to get agent list
-    const teamContent = await fs.readFile(teamConfigPath, 'utf8');
-    const teamFileName = path.basename(teamConfigPath, '.yaml');
-    const teamConfig = this.parseYaml(teamContent);
-    const teamWebPath = this.convertToWebPath(teamConfigPath, packName);
-    sections.push(this.formatSection(teamWebPath, teamContent, packName));
-
-    // Get list of expansion pack agents
-    const expansionAgents = new Set();
-    const agentsDir = path.join(packDir, 'agents');
-    try {
-      const agentFiles = await fs.readdir(agentsDir);
-      for (const agentFile of agentFiles.filter((f) => f.endsWith('.md'))) {
-        const agentName = agentFile.replace('.md', '');
-        expansionAgents.add(agentName);
-      }
-    } catch {
-      console.warn(`    ⚠ No agents directory found in ${packName}`);
+    if (!(dependencies.team.config.agents || []).includes('bmad-orchestrator')) {
+      console.warn(`    ⚠ Team ${teamId} missing bmad-orchestrator, adding automatically`);
     }
 
-    // Build a map of all available expansion pack resources for override checking
-    const expansionResources = new Map();
-    const resourceDirectories = ['templates', 'tasks', 'checklists', 'workflows', 'data'];
-    for (const resourceDir of resourceDirectories) {
-      const resourcePath = path.join(packDir, resourceDir);
-      try {
-        const resourceFiles = await fs.readdir(resourcePath);
-        for (const resourceFile of resourceFiles.filter(
-          (f) => f.endsWith('.md') || f.endsWith('.yaml'),
-        )) {
-          expansionResources.set(`${resourceDir}#${resourceFile}`, true);
-        }
-      } catch {
-        // Directory might not exist, that's fine
-      }
-    }
-
-    // Process all agents listed in team configuration
-    const agentsToProcess = teamConfig.agents || [];
-
-    // Ensure bmad-orchestrator is always included for teams
-    if (!agentsToProcess.includes('bmad-orchestrator')) {
-      console.warn(`    ⚠ Team ${teamFileName} missing bmad-orchestrator, adding automatically`);
-      agentsToProcess.unshift('bmad-orchestrator');
-    }
-
-    // Track all dependencies from all agents (deduplicated)
-    const allDependencies = new Map();
-
-    for (const agentId of agentsToProcess) {
-      if (expansionAgents.has(agentId)) {
-        // Use expansion pack version (override)
-        const agentPath = path.join(agentsDir, `${agentId}.md`);
-        const agentContent = await fs.readFile(agentPath, 'utf8');
-        const expansionAgentWebPath = this.convertToWebPath(agentPath, packName);
-        sections.push(this.formatSection(expansionAgentWebPath, agentContent, packName));
-
-        // Parse and collect dependencies from expansion agent
-        const agentYaml = agentContent.match(/```yaml\n([\s\S]*?)\n```/);
-        if (agentYaml) {
-          try {
-            const agentConfig = this.parseYaml(agentYaml[1]);
-            if (agentConfig.dependencies) {
-              for (const [resourceType, resources] of Object.entries(agentConfig.dependencies)) {
-                if (Array.isArray(resources)) {
-                  for (const resourceName of resources) {
-                    const key = `${resourceType}#${resourceName}`;
-                    if (!allDependencies.has(key)) {
-                      allDependencies.set(key, { type: resourceType, name: resourceName });
-                    }
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            console.debug(`Failed to parse agent YAML for ${agentId}:`, error.message);
-          }
-        }
-      } else {
-        // Use core BMad version
-        try {
-          const coreAgentPath = path.join(this.rootDir, 'bmad-core', 'agents', `${agentId}.md`);
-          const coreAgentContent = await fs.readFile(coreAgentPath, 'utf8');
-          const coreAgentWebPath = this.convertToWebPath(coreAgentPath, packName);
-          sections.push(this.formatSection(coreAgentWebPath, coreAgentContent, packName));
-
-          // Parse and collect dependencies from core agent
-          const yamlContent = yamlUtilities.extractYamlFromAgent(coreAgentContent, true);
-          if (yamlContent) {
-            try {
-              const agentConfig = this.parseYaml(yamlContent);
-              if (agentConfig.dependencies) {
-                for (const [resourceType, resources] of Object.entries(agentConfig.dependencies)) {
-                  if (Array.isArray(resources)) {
-                    for (const resourceName of resources) {
-                      const key = `${resourceType}#${resourceName}`;
-                      if (!allDependencies.has(key)) {
-                        allDependencies.set(key, { type: resourceType, name: resourceName });
-                      }
-                    }
-                  }
-                }
-              }
-            } catch (error) {
-              console.debug(`Failed to parse agent YAML for ${agentId}:`, error.message);
-            }
-          }
-        } catch {
-          console.warn(`    ⚠ Agent ${agentId} not found in core or expansion pack`);
-        }
-      }
+    this.trackResource(dependencies.team);
+    for (const source of [...dependencies.agents, ...dependencies.resources]) {
+      this.trackResource(source);
     }
+    this.reportLayers(dependencies.resources);
 
-    // Add all collected dependencies from agents
-    // Always prefer expansion pack versions if they exist
-    for (const [key, dep] of allDependencies) {
-      let found = false;
-
-      // Always check expansion pack first, even if the dependency came from a core agent
-      if (expansionResources.has(key)) {
-        // We know it exists in expansion pack, find and load it
-        const expansionPath = path.join(packDir, dep.type, dep.name);
-        try {
-          const content = await fs.readFile(expansionPath, 'utf8');
-          const expansionWebPath = this.convertToWebPath(expansionPath, packName);
-          sections.push(this.formatSection(expansionWebPath, content, packName));
-          console.log(`      ✓ Using expansion override for ${key}`);
-          found = true;
-        } catch {
-          // Try next extension
-        }
-      }
-
-      // If not found in expansion pack (or doesn't exist there), try core
-      if (!found) {
-        const corePath = path.join(this.rootDir, 'bmad-core', dep.type, dep.name);
-        try {
-          const content = await fs.readFile(corePath, 'utf8');
-          const coreWebPath = this.convertToWebPath(corePath, packName);
-          sections.push(this.formatSection(coreWebPath, content, packName));
-          found = true;
-        } catch {
-          // Not in core either, continue
-        }
-      }
-
-      // If not found in core, try common folder
-      if (!found) {
-        const commonPath = path.join(this.rootDir, 'common', dep.type, dep.name);
-        try {
-          const content = await fs.readFile(commonPath, 'utf8');
-          const commonWebPath = this.convertToWebPath(commonPath, packName);
-          sections.push(this.formatSection(commonWebPath, content, packName));
-          found = true;
-        } catch {
-          // Not in common either, continue
-        }
-      }
+    // Add team configuration
+    const teamWebPath = this.convertToWebPath(dependencies.team.path, packName);
+    sections.push(this.formatSection(teamWebPath, dependencies.team.content, packName));
 
-      if (!found) {
-        console.warn(`    ⚠ Dependency ${key} not found in expansion pack or core`);
-      }
+    // Add all agents (expansion pack versions take precedence over core)
+    for (const agent of dependencies.agents) {
+      const agentWebPath = this.convertToWebPath(agent.path, packName);
+      sections.push(this.formatSection(agentWebPath, agent.content, packName));
     }
 
-    // Add remaining expansion pack resources not already included as dependencies
+    // Add all deduplicated resources, plus the remaining expansion pack resources not
+    // already included as dependencies
+    const resources = [...dependencies.resources];
+    const includedPaths = new Set(resources.map((resource) => resource.path));
+    const resourceDirectories = ['templates', 'tasks', 'checklists', 'workflows', 'data'];
     for (const resourceDir of resourceDirectories) {
       const resourcePath = path.join(packDir, resourceDir);
       try {
-        const resourceFiles = await fs.readdir(resourcePath);
+        const resourceFiles = await this.readSourceDir(resourcePath);
         for (const resourceFile of resourceFiles.filter(
           (f) => f.endsWith('.md') || f.endsWith('.yaml'),
         )) {
           const filePath = path.join(resourcePath, resourceFile);
-          const fileContent = await fs.readFile(filePath, 'utf8');
-          const fileName = resourceFile.replace(/\.(md|yaml)$/, '');
-
-          // Only add if not already included as a dependency
-          const resourceKey = `${resourceDir}#${fileName}`;
-          if (!allDependencies.has(resourceKey)) {
-            const fullResourcePath = path.join(resourcePath, resourceFile);
-            const resourceWebPath = this.convertToWebPath(fullResourcePath, packName);
-            sections.push(this.formatSection(resourceWebPath, fileContent, packName));
-          }
+          if (includedPaths.has(filePath)) continue;
+
+          const fileContent = await this.readSource(filePath);
+          resources.push({
+            type: resourceDir,
+            id: resourceFile,
+            path: filePath,
+            content: fileContent,
+          });
         }
       } catch {
         // Directory might not exist, that's fine
       }
     }
+    sections.push(...this.formatResources(resources, packName));
 
-    return sections.join('\n');
+    return this.assembleBundle(sections, { type: 'team', id: teamId, root: packName });
   }
 
   async listExpansionPacks() {
@@ -672,4 +931,61 @@ These references map directly to bundle sections:
   }
 }
 
+function orderAgentKeys(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return config;
+
+  const keys = Object.keys(config);
+  const middle = keys.filter(
+    (key) => !LEADING_AGENT_KEYS.includes(key) && !TRAILING_AGENT_KEYS.includes(key),
+  );
+  const ordered = [...LEADING_AGENT_KEYS, ...middle, ...TRAILING_AGENT_KEYS].filter((key) =>
+    keys.includes(key),
+  );
+  return Object.fromEntries(ordered.map((key) => [key, config[key]]));
+}
+
+/**
+ * Compare strings by code unit, independent of the machine's locale
+ */
+function compareOrdinal(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Provenance header for text bundles, as an HTML/XML comment
+ */
+function formatProvenanceComment(provenance) {
+  const source = [provenance.package, provenance.version].filter(Boolean).join(' ');
+  const lines = [
+    '<!-- Generated by bmad-build. Do not edit.',
+    `Source: ${source || 'unknown'}${provenance.commit ? ` (commit ${provenance.commit})` : ''}`,
+    `Bundle: ${provenance.bundle}`,
+    'Resources (first 16 hex digits of sha256):',
+    ...provenance.resources.map((resource) => `  ${resource.sha256}  ${resource.path}`),
+    '-->',
+    '',
+  ];
+  return lines.join('\n');
+}
+
+function normalizeLineEndings(content) {
+  return content
+    .replace(/^\uFEFF/, '')
+    .replaceAll('\r\n', '\n')
+    .replaceAll('\r', '\n');
+}
+
+function escapeXmlAttribute(value) {
+  return value.replaceAll('&', '&amp;').replaceAll('"', '&quot;').replaceAll('<', '&lt;');
+}
+
+// Split any ]]> in the content across two CDATA sections
+function escapeCdata(content) {
+  return content.replaceAll(']]>', ']]]]><![CDATA[>');
+}
+
+WebBuilder.FORMATS = Object.keys(BUNDLE_EXTENSIONS);
+
 module.exports = WebBuilder;
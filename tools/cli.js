@@ -1,8 +1,14 @@
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const WebBuilder = require('./builders/web-builder');
+const BundleWatcher = require('./builders/bundle-watcher');
+const DependencyResolver = require('./lib/dependency-resolver');
+const DependencyGraph = require('./lib/dependency-graph');
+const { StrictValidator, formatReport } = require('./lib/strict-validator');
+const { createSizeReport, formatSizeTable } = require('./lib/token-budget');
 const V3ToV4Upgrader = require('./upgraders/v3-to-v4-upgrader');
 const IdeSetup = require('./installer/lib/ide-setup');
 const path = require('node:path');
+const fs = require('node:fs').promises;
 
 const program = new Command();
 
@@ -19,13 +25,46 @@ program
   .option('-e, --expansions-only', 'Build only expansion pack bundles')
   .option('--no-expansions', 'Skip building expansion packs')
   .option('--no-clean', 'Skip cleaning output directories')
+  .option(
+    '-i, --incremental',
+    'Only rebuild bundles whose sources changed since the last build (implies --no-clean)',
+  )
+  .option('--why <bundle>', 'Explain why a bundle would be rebuilt, without building')
+  .option('-w, --watch', 'Keep watching sources and regenerate only the affected bundles')
+  .option(
+    '--override-dir <dir>',
+    'Project override directory (default: .bmad-overrides when present)',
+  )
+  .addOption(
+    new Option('-f, --format <format>', 'Bundle output format')
+      .choices(WebBuilder.FORMATS)
+      .default('md'),
+  )
+  .option('--slim', 'Leave data files out of bundles and compress templates')
+  .option('--no-provenance', 'Leave out the source version and resource hash header')
+  .option('--max-tokens <count>', 'Warn when a bundle exceeds this estimated token count', Number)
+  .option('--strict-budget', 'Fail the build when a bundle exceeds --max-tokens')
+  .option('--sizes', 'Print the estimated token count of every bundle')
+  .option('--size-report <file>', 'Write the size report to a file (.json or .md)')
   .action(async (options) => {
     const builder = new WebBuilder({
       rootDir: process.cwd(),
+      incremental: options.incremental,
+      overrideDir: options.overrideDir,
+      slim: options.slim,
+      format: options.format,
+      provenance: options.provenance,
     });
 
     try {
-      if (options.clean) {
+      await builder.enableCache();
+
+      if (options.why) {
+        await printWhyReport(builder, options.why);
+        return;
+      }
+
+      if (options.clean && !options.incremental) {
         console.log('Cleaning output directories...');
         await builder.cleanOutputDirs();
       }
@@ -50,7 +89,20 @@ program
         }
       }
 
+      await builder.saveCache();
+      builder.printOverrideReport();
+      if (!(await reportBundleSizes(builder, options))) process.exit(1);
       console.log('Build completed successfully!');
+
+      if (options.watch) {
+        builder.incremental = true;
+        const watcher = new BundleWatcher(builder);
+        watcher.start();
+        process.on('SIGINT', () => {
+          watcher.close();
+          process.exit(0);
+        });
+      }
     } catch (error) {
       console.error('Build failed:', error.message);
       process.exit(1);
@@ -62,20 +114,48 @@ program
   .description('Build web bundles for all expansion packs')
   .option('--expansion <name>', 'Build specific expansion pack only')
   .option('--no-clean', 'Skip cleaning output directories')
+  .option('-i, --incremental', 'Only rebuild bundles whose sources changed (implies --no-clean)')
+  .option(
+    '--override-dir <dir>',
+    'Project override directory (default: .bmad-overrides when present)',
+  )
+  .addOption(
+    new Option('-f, --format <format>', 'Bundle output format')
+      .choices(WebBuilder.FORMATS)
+      .default('md'),
+  )
+  .option('--slim', 'Leave data files out of bundles and compress templates')
+  .option('--no-provenance', 'Leave out the source version and resource hash header')
+  .option('--max-tokens <count>', 'Warn when a bundle exceeds this estimated token count', Number)
+  .option('--strict-budget', 'Fail the build when a bundle exceeds --max-tokens')
+  .option('--sizes', 'Print the estimated token count of every bundle')
+  .option('--size-report <file>', 'Write the size report to a file (.json or .md)')
   .action(async (options) => {
     const builder = new WebBuilder({
       rootDir: process.cwd(),
+      incremental: options.incremental,
+      overrideDir: options.overrideDir,
+      slim: options.slim,
+      format: options.format,
+      provenance: options.provenance,
     });
+    const clean = options.clean && !options.incremental;
 
     try {
+      await builder.enableCache();
+
       if (options.expansion) {
         console.log(`Building expansion pack: ${options.expansion}`);
-        await builder.buildExpansionPack(options.expansion, { clean: options.clean });
+        await builder.buildExpansionPack(options.expansion, { clean });
       } else {
         console.log('Building all expansion packs...');
-        await builder.buildAllExpansionPacks({ clean: options.clean });
+        await builder.buildAllExpansionPacks({ clean });
       }
 
+      await builder.saveCache();
+      builder.printOverrideReport();
+      if (!(await reportBundleSizes(builder, options))) process.exit(1);
+
       console.log('Expansion pack build completed successfully!');
     } catch (error) {
       console.error('Expansion pack build failed:', error.message);
@@ -94,6 +174,94 @@ program
     process.exit(0);
   });
 
+program
+  .command('list:deps <agent>')
+  .description('Show the resources an agent pulls in, the layer each came from and why')
+  .option('-p, --pack <name>', 'Resolve the agent within an expansion pack')
+  .option(
+    '--override-dir <dir>',
+    'Project override directory (default: .bmad-overrides when present)',
+  )
+  .action(async (agentId, options) => {
+    const builder = new WebBuilder({ rootDir: process.cwd(), overrideDir: options.overrideDir });
+    const resolver = options.pack ? builder.getPackResolver(options.pack) : builder.resolver;
+    try {
+      const dependencies = await resolver.resolveAgentDependencies(agentId);
+      console.log(`Dependencies of ${agentId} (from ${dependencies.agent.layer}):`);
+      for (const resource of dependencies.resources) {
+        const shadows =
+          resource.shadows.length > 0 ? `, shadows ${resource.shadows.join(', ')}` : '';
+        console.log(`  - ${resource.type}/${resource.id} [${resource.layer}${shadows}]`);
+        if (resource.chain.length > 2) {
+          console.log(`      via ${resource.chain.join(' → ')}`);
+        }
+      }
+
+      if (dependencies.unresolved.length > 0) {
+        console.log('\nUnresolved references:');
+        for (const ref of dependencies.unresolved) console.log(`  ✗ ${ref.chain.join(' → ')}`);
+      }
+
+      if (dependencies.cycles.length > 0) {
+        console.log('\nReference cycles:');
+        for (const cycle of dependencies.cycles) console.log(`  ↻ ${cycle.join(' → ')}`);
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error('Failed to resolve dependencies:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('graph')
+  .description('Export the agent/team dependency graph as JSON, Graphviz DOT or Mermaid')
+  .option('-f, --format <format>', 'Output format: json, dot or mermaid', 'json')
+  .option('-p, --pack <name>', 'Graph an expansion pack instead of bmad-core')
+  .option('-a, --all', 'Graph bmad-core and every expansion pack')
+  .option(
+    '--focus <node>',
+    'Only keep what depends on or is used by a file, agent or team (e.g. common/tasks/create-doc.md)',
+  )
+  .option('-o, --output <file>', 'Write the graph to a file instead of stdout')
+  .action(async (options) => {
+    const builder = new WebBuilder({ rootDir: process.cwd() });
+    try {
+      let graph = new DependencyGraph(builder.rootDir);
+      const packs = options.all ? await builder.listExpansionPacks() : [options.pack];
+
+      // Missing resources show up as nodes in the graph, so don't warn about them
+      if (!options.pack) {
+        await graph.addResolver(new DependencyResolver(builder.rootDir, { warnMissing: false }));
+      }
+      for (const packName of packs.filter(Boolean)) {
+        const packDir = path.join(builder.rootDir, 'expansion-packs', packName);
+        await graph.addResolver(
+          new DependencyResolver(builder.rootDir, { packDir, warnMissing: false }),
+        );
+      }
+
+      if (options.focus) {
+        const matches = graph.findNodes(options.focus);
+        if (matches.length === 0) {
+          throw new Error(`No agent, team or resource matches "${options.focus}"`);
+        }
+        graph = graph.focus(matches.map((node) => node.id));
+      }
+
+      const output = graph.format(options.format);
+      if (options.output) {
+        await fs.writeFile(options.output, output, 'utf8');
+        console.log(`Graph written to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error('Failed to build dependency graph:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('list:expansions')
   .description('List all available expansion packs')
@@ -108,7 +276,19 @@ program
 program
   .command('validate')
   .description('Validate agent and team configurations')
-  .action(async () => {
+  .option(
+    '--strict',
+    'Report every unresolved dependency, unknown command target and orphan resource',
+  )
+  .option('--json', 'Print the strict validation report as JSON')
+  .action(async (options) => {
+    if (options.strict) {
+      const report = await new StrictValidator(process.cwd()).validate();
+      console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+      if (!report.valid) process.exit(1);
+      return;
+    }
+
     const builder = new WebBuilder({ rootDir: process.cwd() });
     try {
       // Validate by attempting to build all agents and teams
@@ -117,8 +297,11 @@ program
 
       console.log('Validating agents...');
       for (const agent of agents) {
-        await builder.resolver.resolveAgentDependencies(agent);
+        const dependencies = await builder.resolver.resolveAgentDependencies(agent);
         console.log(`  ✓ ${agent}`);
+        for (const cycle of dependencies.cycles) {
+          console.warn(`    ⚠ Reference cycle: ${cycle.join(' → ')}`);
+        }
       }
 
       console.log('\nValidating teams...');
@@ -149,4 +332,69 @@ program
     });
   });
 
+/**
+ * Print and/or write the bundle size report and check bundles against the token budget
+ * @returns {Promise<boolean>} false when a bundle is over budget and --strict-budget is set
+ */
+async function reportBundleSizes(builder, options) {
+  const budget = options.maxTokens || null;
+  if (budget !== null && !(budget > 0)) {
+    throw new Error('--max-tokens must be a positive number');
+  }
+
+  const report = createSizeReport(builder.bundleStats, budget);
+  if (options.sizes) {
+    console.log(`\nBundle sizes (estimated tokens${builder.slim ? ', slim' : ''}):`);
+    console.log(formatSizeTable(report));
+  }
+
+  if (options.sizeReport) {
+    const reportFile = path.resolve(options.sizeReport);
+    const content = reportFile.endsWith('.md')
+      ? `# Web Bundle Sizes\n\n${formatSizeTable(report)}\n`
+      : JSON.stringify(report, null, 2) + '\n';
+    await fs.mkdir(path.dirname(reportFile), { recursive: true });
+    await fs.writeFile(reportFile, content, 'utf8');
+    console.log(`Size report written to ${path.relative(process.cwd(), reportFile)}`);
+  }
+
+  if (report.overBudget.length === 0) return true;
+
+  const level = options.strictBudget ? 'ERROR' : 'Warning';
+  console.warn(`\n${level}: ${report.overBudget.length} bundle(s) exceed ${budget} tokens:`);
+  for (const bundle of report.bundles.filter((entry) => entry.overBudget)) {
+    console.warn(`  ${bundle.bundle}: ${bundle.tokens} tokens`);
+    for (const section of bundle.sections.slice(0, 5)) {
+      console.warn(`    ${String(section.tokens).padStart(7)}  ${section.path}`);
+    }
+  }
+  if (!builder.slim) console.warn('Try --slim to leave out data files and compress templates.');
+
+  return !options.strictBudget;
+}
+
+async function printWhyReport(builder, bundleName) {
+  const reports = await builder.explainBundle(bundleName);
+  if (reports.length === 0) {
+    console.log(`No cached build found for "${bundleName}". It will be built on the next run.`);
+    return;
+  }
+
+  for (const report of reports) {
+    console.log(`\n${report.bundleId}`);
+    if (report.stale) {
+      console.log('  Will be rebuilt because:');
+      for (const reason of report.reasons) console.log(`    - ${reason}`);
+    } else {
+      console.log('  Up to date');
+    }
+
+    const { lastBuild } = report;
+    console.log(`  Last built ${lastBuild.builtAt} because:`);
+    for (const reason of lastBuild.reasons) console.log(`    - ${reason}`);
+    console.log(`  Sources (${Object.keys(lastBuild.sources).length}):`);
+    for (const source of Object.keys(lastBuild.sources)) console.log(`    ${source}`);
+  }
+}
+
 program.parse();
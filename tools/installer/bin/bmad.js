@@ -12,18 +12,21 @@ const https = require('node:https');
 // Handle both execution contexts (from root via npx or from installer directory)
 let version;
 let installer;
+let installConfigFile;
 let packageName;
 try {
   // Try installer context first (when run from tools/installer/)
   version = require('../package.json').version;
   packageName = require('../package.json').name;
   installer = require('../lib/installer');
+  installConfigFile = require('../lib/install-config-file');
 } catch (error) {
   // Fall back to root context (when run via npx from GitHub)
   console.log(`Installer context not found (${error.message}), trying root context...`);
   try {
     version = require('../../../package.json').version;
     installer = require('../../../tools/installer/lib/installer');
+    installConfigFile = require('../../../tools/installer/lib/install-config-file');
   } catch (error) {
     console.error(
       'Error: Could not load required modules. Please ensure you are running from the correct directory.',
@@ -49,15 +52,41 @@ program
   .option('-d, --directory <path>', 'Installation directory')
   .option(
     '-i, --ide <ide...>',
-    'Configure for specific IDE(s) - can specify multiple (cursor, claude-code, windsurf, trae, roo, kilo, cline, gemini, qwen-code, github-copilot, codex, codex-web, auggie-cli, iflow-cli, opencode, other)',
+    'Configure for specific IDE(s) - can specify multiple (cursor, claude-code, windsurf, trae, roo, kilo, cline, gemini, qwen-code, github-copilot, codex, codex-web, auggie-cli, iflow-cli, opencode, other, or any id from ide:list)',
   )
   .option(
     '-e, --expansion-packs <packs...>',
     'Install specific expansion packs (can specify multiple)',
   )
+  .option(
+    '--pack <sources...>',
+    'Install expansion packs from a local directory, a tarball (.tgz) or a git URL (git+file://, git+https://)',
+  )
+  .option(
+    '-c, --config [file]',
+    `Install without prompts, as declared in an install file (default: ${installConfigFile.DEFAULT_FILE_NAME})`,
+  )
+  .option('--frozen', 'Reproduce the installation recorded in bmad.lock, or fail')
+  .option(
+    '--json',
+    'Print the result as JSON; needs --config, --frozen, --full, --expansion-only or --pack',
+  )
   .action(async (options) => {
+    if (options.json) {
+      await printJson(async () => {
+        const config = await getUnattendedConfig(options);
+        await installer.install(config);
+        return installer.getInstallSummary(config.directory);
+      });
+      process.exit();
+    }
+
     try {
-      if (!options.full && !options.expansionOnly) {
+      if (options.frozen || options.config) {
+        // Lockfile or declarative mode
+        await installer.install(await getUnattendedConfig(options));
+        process.exit(0);
+      } else if (!options.full && !options.expansionOnly && !options.pack) {
         // Interactive mode
         const answers = await promptInstallation();
         if (!answers._alreadyInstalled) {
@@ -73,7 +102,7 @@ program
           installType,
           directory: options.directory || '.',
           ides: (options.ide || []).filter((ide) => ide !== 'other'),
-          expansionPacks: options.expansionPacks || [],
+          expansionPacks: [...(options.expansionPacks || []), ...(options.pack || [])],
         };
         await installer.install(config);
         process.exit(0);
@@ -84,14 +113,118 @@ program
     }
   });
 
+/**
+ * Installer config for installs that cannot prompt: from bmad.lock, an install file, or for
+ * --json the direct mode options with the defaults the prompts would offer
+ */
+async function getUnattendedConfig(options) {
+  if (options.frozen) {
+    return installer.getFrozenConfig(options.directory || '.');
+  }
+  if (options.config) {
+    const config = await installConfigFile.loadInstallConfigFile(
+      options.config === true ? installConfigFile.DEFAULT_FILE_NAME : options.config,
+    );
+    if (options.directory) config.directory = path.resolve(options.directory);
+    return config;
+  }
+  if (options.full || options.expansionOnly || options.pack) {
+    return installConfigFile.buildInstallConfig(
+      {
+        directory: options.directory || '.',
+        core: !options.expansionOnly,
+        expansionPacks: [...(options.expansionPacks || []), ...(options.pack || [])],
+        ides: options.ide || [],
+      },
+      process.cwd(),
+      'command line options',
+    );
+  }
+  throw new Error(
+    '--json cannot prompt, use --config, --frozen, --full, --expansion-only or --pack',
+  );
+}
+
+/**
+ * Load a mirror of this package and work out what updating the installation from it would
+ * change, for update-check --from
+ */
+async function checkMirror(options) {
+  const mirror = await installer.useMirror(options.from);
+  const installDir = options.directory
+    ? path.resolve(options.directory)
+    : await installer.findInstallation();
+  if (!installDir) {
+    throw new Error('No BMad installation found');
+  }
+  return { mirror, changes: await installer.getUpdateChanges(installDir) };
+}
+
+/**
+ * Run a command for --json: its result goes to stdout as JSON and anything it prints to
+ * stderr, so scripts can parse stdout. A failure becomes {"error": message} and exit code 1.
+ */
+async function printJson(task) {
+  const log = console.log;
+  console.log = console.error;
+  let result;
+  try {
+    result = await task();
+  } catch (error) {
+    result = { error: error.message };
+    process.exitCode = 1;
+  } finally {
+    console.log = log;
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+/**
+ * Latest version of the installer published on the npm registry
+ */
+function fetchLatestVersion() {
+  return new Promise((resolve, reject) => {
+    const req = https.get(`https://registry.npmjs.org/${packageName}/latest`, (res) => {
+      // Check for HTTP errors (non-200 status codes)
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Received status code ${res.statusCode}`));
+        return;
+      }
+
+      // Accumulate response data chunks
+      let data = '';
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data).version);
+        } catch (error) {
+          reject(new Error(`Failed to parse npm registry data: ${error.message}`));
+        }
+      });
+    });
+
+    // Handle network/connection errors
+    req.on('error', reject);
+
+    // Set 30 second timeout to prevent hanging
+    req.setTimeout(30_000, () => req.destroy(new Error('Update check timed out')));
+  });
+}
+
 program
   .command('update')
   .description('Update existing BMad installation')
-  .option('--force', 'Force update, overwriting modified files')
+  .option('--force', 'Force update, overwriting modified files instead of merging them')
   .option('--dry-run', 'Show what would be updated without making changes')
-  .action(async () => {
+  .option(
+    '--from <mirror>',
+    'Update from a local copy of this package, a directory or .tgz, instead of the installer itself',
+  )
+  .action(async (options) => {
     try {
-      await installer.update();
+      await installer.update({ force: options.force, dryRun: options.dryRun, from: options.from });
+      if (options.from || options.dryRun) process.exit(0);
     } catch (error) {
       console.error(chalk.red('Update failed:'), error.message);
       process.exit(1);
@@ -102,62 +235,115 @@ program
 program
   .command('update-check')
   .description('Check for BMad Update')
-  .action(async () => {
-    console.log('Checking for updates...');
-
-    // Make HTTP request to npm registry for latest version info
-    const req = https.get(`https://registry.npmjs.org/${packageName}/latest`, (res) => {
-      // Check for HTTP errors (non-200 status codes)
-      if (res.statusCode !== 200) {
-        console.error(chalk.red(`Update check failed: Received status code ${res.statusCode}`));
-        return;
-      }
-
-      // Accumulate response data chunks
-      let data = '';
-      res.on('data', (chunk) => (data += chunk));
-
-      // Process complete response
-      res.on('end', () => {
+  .option('-d, --directory <path>', 'Installation directory to compare with its bmad.lock')
+  .option(
+    '--from <mirror>',
+    'Check a local copy of this package, a directory or .tgz, instead of the npm registry',
+  )
+  .option('--json', 'Print the result as JSON')
+  .action(async (options) => {
+    if (options.json) {
+      await printJson(async () => {
+        const result = {
+          currentVersion: version,
+          latestVersion: null,
+          updateAvailable: false,
+          source: options.from || 'npm registry',
+          error: null,
+          lock: await installer.getLockDrift(options.directory),
+          changes: null,
+        };
+        if (options.from) {
+          // Against a mirror, the installed version is what would be updated
+          const { mirror, changes } = await checkMirror(options);
+          result.currentVersion = changes.installedVersion;
+          result.latestVersion = mirror.version;
+          result.updateAvailable =
+            !changes.installedVersion || semver.gt(mirror.version, changes.installedVersion);
+          result.source = mirror.location;
+          result.changes = {
+            files: changes.files,
+            unchanged: changes.unchanged,
+            obsolete: changes.obsolete,
+            skippedPacks: changes.skippedPacks,
+          };
+          return result;
+        }
         try {
-          // Parse npm registry response and extract version
-          const latest = JSON.parse(data).version;
-
-          // Compare versions using semver
-          if (semver.gt(latest, version)) {
-            console.log(
-              chalk.bold.blue(`⚠️  ${packageName} update available: ${version} → ${latest}`),
-            );
-            console.log(chalk.bold.blue('\nInstall latest by running:'));
-            console.log(chalk.bold.magenta(`  npm install ${packageName}@latest`));
-            console.log(chalk.dim('  or'));
-            console.log(chalk.bold.magenta(`  npx ${packageName}@latest`));
-          } else {
-            console.log(chalk.bold.blue(`✨ ${packageName} is up to date`));
-          }
+          result.latestVersion = await fetchLatestVersion();
+          result.updateAvailable = semver.gt(result.latestVersion, version);
         } catch (error) {
-          // Handle JSON parsing errors
-          console.error(chalk.red('Failed to parse npm registry data:'), error.message);
+          result.error = `Update check failed: ${error.message}`;
         }
+        return result;
       });
-    });
+      process.exit();
+    }
 
-    // Handle network/connection errors
-    req.on('error', (error) => {
+    try {
+      await installer.checkLockDrift(options.directory);
+    } catch (error) {
+      console.error(chalk.yellow('Could not check bmad.lock:'), error.message);
+    }
+
+    if (options.from) {
+      console.log(`Checking ${options.from} for updates...`);
+      let result;
+      try {
+        result = await checkMirror(options);
+      } catch (error) {
+        console.error(chalk.red('Update check failed:'), error.message);
+        process.exit(1);
+      }
+
+      const { mirror, changes } = result;
+      const installed = changes.installedVersion;
+      if (!installed || semver.gt(mirror.version, installed)) {
+        console.log(
+          chalk.bold.blue(`⚠️  Update available: ${installed || 'unknown'} → ${mirror.version}`),
+        );
+      } else {
+        console.log(chalk.bold.blue(`✨ The installation is up to date with ${mirror.location}`));
+      }
+      installer.showUpdateChanges(changes);
+      if (changes.files.length > 0) {
+        console.log(chalk.bold.blue('\nUpdate from it by running:'));
+        console.log(chalk.bold.magenta(`  npx ${packageName} update --from ${options.from}`));
+      }
+      process.exit(0);
+    }
+
+    console.log('Checking for updates...');
+
+    let latest;
+    try {
+      latest = await fetchLatestVersion();
+    } catch (error) {
       console.error(chalk.red('Update check failed:'), error.message);
-    });
+      return;
+    }
 
-    // Set 30 second timeout to prevent hanging
-    req.setTimeout(30_000, () => {
-      req.destroy();
-      console.error(chalk.red('Update check timed out'));
-    });
+    // Compare versions using semver
+    if (semver.gt(latest, version)) {
+      console.log(chalk.bold.blue(`⚠️  ${packageName} update available: ${version} → ${latest}`));
+      console.log(chalk.bold.blue('\nInstall latest by running:'));
+      console.log(chalk.bold.magenta(`  npm install ${packageName}@latest`));
+      console.log(chalk.dim('  or'));
+      console.log(chalk.bold.magenta(`  npx ${packageName}@latest`));
+    } else {
+      console.log(chalk.bold.blue(`✨ ${packageName} is up to date`));
+    }
   });
 
 program
   .command('list:expansions')
   .description('List available expansion packs')
-  .action(async () => {
+  .option('--json', 'Print the list as JSON')
+  .action(async (options) => {
+    if (options.json) {
+      await printJson(async () => ({ expansionPacks: await installer.getExpansionPackList() }));
+      process.exit();
+    }
     try {
       await installer.listExpansionPacks();
     } catch (error) {
@@ -166,10 +352,87 @@ program
     }
   });
 
+program
+  .command('ide:list')
+  .description('List the IDE adapters available to a project')
+  .option('-d, --directory <path>', 'Project directory (default: current BMad installation)')
+  .option('--json', 'Print the list as JSON')
+  .action(async (options) => {
+    if (options.json) {
+      await printJson(async () => ({
+        adapters: await installer.getIdeAdapterList(options.directory),
+      }));
+      process.exit();
+    }
+    try {
+      await installer.listIdeAdapters(options.directory);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ide:preview <ide>')
+  .description(
+    "Show an agent's, a task's and a workflow's file for an IDE, rendered from its output templates",
+  )
+  .option('-d, --directory <path>', 'Project directory (default: current BMad installation)')
+  .option('--agent <id>', 'Agent to render (default: dev)')
+  .option('--task <id>', 'Task to render (default: create-doc)')
+  .option('--workflow <id>', 'Workflow to render (default: greenfield-fullstack)')
+  .option('--json', 'Print the rendered files as JSON')
+  .action(async (ide, options) => {
+    if (options.json) {
+      await printJson(async () => ({ files: await installer.getIdePreview(ide, options) }));
+      process.exit();
+    }
+    try {
+      await installer.previewIde(ide, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ide:check [ids...]')
+  .description('Run the conformance checks for IDE adapters (default: all of them)')
+  .option(
+    '-d, --directory <path>',
+    'Project whose adapters to check (default: current BMad installation)',
+  )
+  .option('--json', 'Print the results as JSON')
+  .action(async (ids, options) => {
+    const failed = (results) =>
+      results.some((result) => result.checks.some((check) => check.status === 'fail'));
+    if (options.json) {
+      await printJson(async () => {
+        const adapters = await installer.checkIdeAdapters(ids, options);
+        if (failed(adapters)) process.exitCode = 1;
+        return { adapters };
+      });
+      process.exit();
+    }
+    try {
+      const results = await installer.checkIdeAdapters(ids, options);
+      installer.printIdeCheckReport(results);
+      process.exit(failed(results) ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red('IDE check failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('status')
   .description('Show installation status')
-  .action(async () => {
+  .option('--json', 'Print the status as JSON')
+  .action(async (options) => {
+    if (options.json) {
+      await printJson(() => installer.getStatus());
+      process.exit();
+    }
     try {
       await installer.showStatus();
     } catch (error) {
@@ -178,6 +441,70 @@ program
     }
   });
 
+program
+  .command('package')
+  .description('Manage monorepo packages that share the core installed at the repository root')
+  .command('add <dirs...>')
+  .description('Give packages their own .bmad-package.yaml settings (PRD, stories, dev files)')
+  .option('-d, --directory <path>', 'Repository root (default: current BMad installation)')
+  .action(async (dirs, options) => {
+    try {
+      await installer.addPackages(dirs, { directory: options.directory });
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rollback')
+  .description('Undo the last successful install, update or repair')
+  .option('-d, --directory <path>', 'Project directory (default: current BMad installation)')
+  .option('-y, --yes', 'Roll back without asking for confirmation')
+  .option('-f, --force', 'With --yes, also overwrite files changed since the last change')
+  .action(async (options) => {
+    try {
+      await installer.rollback(options);
+    } catch (error) {
+      console.error(chalk.red('Rollback failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('uninstall')
+  .description('Remove the files BMad installed, or only one expansion pack or IDE integration')
+  .option('-d, --directory <path>', 'Project directory (default: current BMad installation)')
+  .option('--pack <id>', 'Only remove this expansion pack')
+  .option('--ide <id>', 'Only remove this IDE integration')
+  .option('-f, --force', 'Also remove files you have modified')
+  .option('--dry-run', 'List what would be removed without changing anything')
+  .option('-y, --yes', 'Uninstall without asking for confirmation')
+  .action(async (options) => {
+    try {
+      await installer.uninstall(options);
+    } catch (error) {
+      console.error(chalk.red('Uninstall failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Diagnose installation health and offer fixes')
+  .option('-d, --directory <path>', 'Project directory (default: current BMad installation)')
+  .option('--fix', 'Apply every available fix without asking')
+  .option('--check', 'Only report problems (exits 1 when errors are found)')
+  .action(async (options) => {
+    try {
+      const { errors } = await installer.doctor(options);
+      process.exit(errors > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red('Doctor failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('flatten')
   .description('Flatten codebase to XML format')
@@ -234,7 +561,8 @@ async function promptInstallation() {
   // Check for existing expansion packs
   const existingExpansionPacks = state.expansionPacks || {};
 
-  // Get available expansion packs
+  // Get available expansion packs, including those installed from a path, tarball or git URL
+  await installer.registerInstalledPackSources(installDir);
   const availableExpansionPacks = await installer.getAvailableExpansionPacks();
 
   // Build choices list
@@ -376,6 +704,10 @@ async function promptInstallation() {
   // Ask for IDE configuration
   let ides = [];
   let ideSelectionComplete = false;
+  // Adapters from expansion packs and .bmad/ide-adapters/ follow the bundled IDEs
+  const extraIdeChoices = (await installer.getIdeAdapterList(answers.directory))
+    .filter((adapter) => adapter.source !== 'package')
+    .map((adapter) => ({ name: `${adapter.name} (${adapter.source})`, value: adapter.id }));
 
   while (!ideSelectionComplete) {
     console.log(chalk.cyan('\n🛠️  IDE Configuration'));
@@ -411,6 +743,7 @@ async function promptInstallation() {
           { name: 'Codex CLI', value: 'codex' },
           { name: 'Codex Web', value: 'codex-web' },
           { name: 'OpenCode', value: 'opencode' },
+          ...extraIdeChoices,
         ],
       },
     ]);
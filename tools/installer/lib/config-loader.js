@@ -2,6 +2,7 @@ const fs = require('fs-extra');
 const path = require('node:path');
 const yaml = require('js-yaml');
 const { extractYamlFromAgent } = require('../../lib/yaml-utils');
+const resourceLocator = require('./resource-locator');
 
 class ConfigLoader {
   constructor() {
@@ -132,29 +133,34 @@ class ConfigLoader {
     }
   }
 
-  async getAgentDependencies(agentId) {
-    // Use DependencyResolver to dynamically parse agent dependencies
-    const DependencyResolver = require('../../lib/dependency-resolver');
-    const resolver = new DependencyResolver(path.join(__dirname, '..', '..', '..'));
-
+  /**
+   * Files needed to install an agent, resolved through the layered resolver
+   * @returns {Promise<Array<{source: string, target: string, layer: string}>>} Absolute source
+   *   paths and their install paths relative to the project
+   */
+  async getAgentDependencies(agentId, options = {}) {
+    const resolver = resourceLocator.getResolver(options);
     const agentDeps = await resolver.resolveAgentDependencies(agentId);
 
-    // Convert to flat list of file paths
-    const depPaths = [];
-
-    // Core files and utilities are included automatically by DependencyResolver
-
-    // Add agent file itself is already handled by installer
-
-    // Add all resolved resources
-    for (const resource of agentDeps.resources) {
-      const filePath = `.bmad-core/${resource.type}/${resource.id}.md`;
-      if (!depPaths.includes(filePath)) {
-        depPaths.push(filePath);
-      }
-    }
-
-    return depPaths;
+    // The resolver follows what web bundles need; an install also copies the agent's workflows
+    const workflows = (agentDeps.agent.config.dependencies?.workflows || []).map((id) => ({
+      type: 'workflows',
+      id,
+    }));
+    const workflowDeps =
+      workflows.length > 0
+        ? await resolver.resolveTransitive(`agents/${agentId}.md`, workflows)
+        : { resources: [] };
+
+    return toInstallFiles([
+      {
+        source: agentDeps.agent.path,
+        target: `agents/${agentId}.md`,
+        layer: agentDeps.agent.layer,
+      },
+      ...agentDeps.resources.map(resourceToInstallFile),
+      ...workflowDeps.resources.map(resourceToInstallFile),
+    ]);
   }
 
   async getIdeConfiguration(ide) {
@@ -164,13 +170,12 @@ class ConfigLoader {
   }
 
   getBmadCorePath() {
-    // Get the path to bmad-core relative to the installer (now under tools)
-    return path.join(__dirname, '..', '..', '..', 'bmad-core');
+    // The package being installed from, normally the one the installer runs from
+    return resourceLocator.getBmadCorePath();
   }
 
   getDistPath() {
-    // Get the path to dist directory relative to the installer
-    return path.join(__dirname, '..', '..', '..', 'dist');
+    return path.join(resourceLocator.getSourceRoot(), 'dist');
   }
 
   getAgentPath(agentId) {
@@ -217,41 +222,56 @@ class ConfigLoader {
     return path.join(this.getBmadCorePath(), 'agent-teams', `${teamId}.yaml`);
   }
 
-  async getTeamDependencies(teamId) {
-    // Use DependencyResolver to dynamically parse team dependencies
-    const DependencyResolver = require('../../lib/dependency-resolver');
-    const resolver = new DependencyResolver(path.join(__dirname, '..', '..', '..'));
+  /**
+   * Files needed to install a team (team file, agents and resources)
+   * @returns {Promise<Array<{source: string, target: string, layer: string}>>}
+   */
+  async getTeamDependencies(teamId, options = {}) {
+    const resolver = resourceLocator.getResolver(options);
 
     try {
       const teamDeps = await resolver.resolveTeamDependencies(teamId);
 
-      // Convert to flat list of file paths
-      const depPaths = [];
-
-      // Add team config file
-      depPaths.push(`.bmad-core/agent-teams/${teamId}.yaml`);
-
-      // Add all agents
-      for (const agent of teamDeps.agents) {
-        const filePath = `.bmad-core/agents/${agent.id}.md`;
-        if (!depPaths.includes(filePath)) {
-          depPaths.push(filePath);
-        }
-      }
-
-      // Add all resolved resources
-      for (const resource of teamDeps.resources) {
-        const filePath = `.bmad-core/${resource.type}/${resource.id}.${resource.type === 'workflows' ? 'yaml' : 'md'}`;
-        if (!depPaths.includes(filePath)) {
-          depPaths.push(filePath);
-        }
-      }
-
-      return depPaths;
+      return toInstallFiles([
+        {
+          source: teamDeps.team.path,
+          target: `agent-teams/${teamId}.yaml`,
+          layer: teamDeps.team.layer,
+        },
+        ...teamDeps.agents.map((agent) => ({
+          source: agent.path,
+          target: `agents/${agent.id}.md`,
+          layer: agent.layer,
+        })),
+        ...teamDeps.resources.map(resourceToInstallFile),
+      ]);
     } catch (error) {
       throw new Error(`Failed to resolve team dependencies for ${teamId}: ${error.message}`);
     }
   }
 }
 
+function resourceToInstallFile(resource) {
+  return {
+    source: resource.path,
+    target: `${resource.type}/${resource.id}`,
+    layer: resource.layer,
+  };
+}
+
+/**
+ * Prefix install targets with .bmad-core and drop duplicates
+ */
+function toInstallFiles(entries) {
+  const seen = new Set();
+  const files = [];
+  for (const entry of entries) {
+    const target = `.bmad-core/${entry.target}`;
+    if (seen.has(target)) continue;
+    seen.add(target);
+    files.push({ ...entry, target });
+  }
+  return files;
+}
+
 module.exports = new ConfigLoader();
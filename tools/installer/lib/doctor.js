@@ -0,0 +1,522 @@
+/**
+ * Doctor - Diagnoses an existing BMad installation and knows how to fix what it finds
+ *
+ * Each check returns its problems together with a fix, which reuses the installer's own
+ * repair steps where one exists. `Installer.doctor` presents the report and applies fixes.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const glob = require('glob');
+const semver = require('semver');
+const fileManager = require('./file-manager');
+const ideSetup = require('./ide-setup');
+const installer = require('./installer');
+const { OVERRIDE_DIR } = require('../../lib/project-overrides');
+
+const TEXT_EXTENSIONS = new Set(['.md', '.yaml', '.yml', '.txt', '.csv', '.json']);
+
+class Doctor {
+  /**
+   * Run every check against an installation
+   * @returns {Promise<Object[]>} Checks as {id, title, summary, problems, fix, hint}, where
+   *   problems are {severity: 'error'|'warn', message} and fix is null or
+   *   {description, paths, problems, apply(spinner)}, problems being those the fix targets
+   *   when not all of the check's
+   */
+  async diagnose(installDir) {
+    const context = await this.loadContext(installDir);
+    return [
+      await this.checkNodeVersion(),
+      await this.checkManifest(context),
+      await this.checkIdeRuleFiles(context),
+      await this.checkRootReferences(context),
+      await this.checkCoreConfigPaths(context),
+      await this.checkSlashPrefixes(context),
+      await this.checkLegacyYmlFiles(context),
+    ];
+  }
+
+  async loadContext(installDir) {
+    const manifest = await fileManager.readManifest(installDir);
+    const packs = [];
+    for (const [packId, info] of Object.entries(await installer.detectExpansionPacks(installDir))) {
+      packs.push({ id: packId, ...info });
+    }
+    packs.sort((a, b) => a.id.localeCompare(b.id));
+
+    let coreConfig = null;
+    try {
+      coreConfig = yaml.load(
+        await fs.readFile(path.join(installDir, '.bmad-core', 'core-config.yaml'), 'utf8'),
+      );
+    } catch {
+      // Reported by the manifest check
+    }
+
+    return { installDir, manifest, packs, coreConfig };
+  }
+
+  async checkNodeVersion() {
+    const packageJson = require('../../../package.json');
+    const required = packageJson.engines?.node || '>=20.0.0';
+    const ok = semver.satisfies(process.versions.node, required);
+    return {
+      id: 'node',
+      title: 'Node.js version',
+      summary: `v${process.versions.node} (requires ${required})`,
+      problems: ok
+        ? []
+        : [{ severity: 'error', message: `Node.js ${required} is required to run BMad tools` }],
+      fix: null,
+      hint: ok ? null : 'Install a supported Node.js version from https://nodejs.org',
+    };
+  }
+
+  async checkManifest({ installDir, manifest, packs }) {
+    const check = { id: 'manifest', title: 'Manifest integrity', problems: [], fix: null };
+    if (!manifest || !Array.isArray(manifest.files)) {
+      check.summary = 'no readable .bmad-core/install-manifest.yaml';
+      check.problems.push({ severity: 'error', message: 'Core manifest is missing or invalid' });
+      check.hint = 'Reinstall with `npx be-calm install`';
+      return check;
+    }
+
+    const coreIntegrity = await fileManager.checkFileIntegrity(installDir, manifest);
+    const packRepairs = [];
+    for (const pack of packs.filter((candidate) => candidate.hasManifest)) {
+      const integrity = await fileManager.checkFileIntegrity(installDir, pack.manifest);
+      if (integrity.missing.length > 0 || integrity.modified.length > 0) {
+        packRepairs.push({ pack, integrity });
+      }
+    }
+
+    // The core manifest also lists pack files installed alongside it
+    const all = [coreIntegrity, ...packRepairs.map((repair) => repair.integrity)];
+    const missing = new Set(all.flatMap((integrity) => integrity.missing));
+    const modified = new Set(all.flatMap((integrity) => integrity.modified));
+    for (const file of missing) {
+      check.problems.push({ severity: 'error', message: `${file} is missing` });
+    }
+    for (const file of modified) {
+      check.problems.push({ severity: 'warn', message: `${file} was modified` });
+    }
+    check.summary =
+      check.problems.length === 0
+        ? `${manifest.files.length} files match the manifest`
+        : `${missing.size} missing, ${modified.size} modified`;
+
+    if (check.problems.length > 0) {
+      check.fix = {
+        description:
+          'Restore missing and modified files (`bmad rollback` brings your changes back)',
+        paths: [],
+        apply: (spinner) => this.repair(installDir, manifest, coreIntegrity, packRepairs, spinner),
+      };
+    }
+    return check;
+  }
+
+  async checkIdeRuleFiles({ installDir, manifest, packs }) {
+    const check = { id: 'ide-rules', title: 'IDE rule files', problems: [], fix: null };
+    const ides = manifest?.ides_setup || [];
+    if (ides.length === 0) {
+      check.summary = 'no IDE integrations installed';
+      return check;
+    }
+
+    // Agents, tasks and workflows missing from disk are the manifest check's concern, not stale
+    // rules
+    const manifestIds = [manifest, ...packs.map((pack) => pack.manifest)]
+      .flatMap((candidate) => candidate?.files || [])
+      .filter((file) => /\/(agents|tasks)\/[^/]+\.md$|\/workflows\/[^/]+\.yaml$/.test(file.path))
+      .map((file) => path.basename(file.path, path.extname(file.path)));
+    const known = new Set([
+      ...(await ideSetup.getAllAgentIds(installDir)),
+      ...(await ideSetup.getAllTaskIds(installDir)),
+      ...(await ideSetup.getAllWorkflowIds(installDir)),
+      ...manifestIds,
+    ]);
+    const prefixes = await this.getSlashPrefixes(installDir, packs);
+    const stale = new Map();
+
+    for (const ide of ides) {
+      const layout = await ideSetup.getRuleLayout(ide, installDir);
+      if (!layout) continue;
+      const ruleDirs = layout.commandsRoot
+        ? prefixes.map(({ prefix }) => path.join(layout.commandsRoot, prefix))
+        : layout.ruleDirs;
+
+      for (const ruleDir of ruleDirs) {
+        if (!(await fs.pathExists(ruleDir))) continue;
+        for (const file of glob.sync('**/*', { cwd: ruleDir, nodir: true })) {
+          if (known.has(ideSetup.getRuleFileId(file, layout.suffix))) continue;
+
+          // Only files generated by BMad, not the user's own rules sharing the folder
+          const filePath = path.join(ruleDir, file);
+          if (!/bmad/i.test(await fs.readFile(filePath, 'utf8'))) continue;
+
+          if (!stale.has(ide)) stale.set(ide, []);
+          stale.get(ide).push(filePath);
+          check.problems.push({
+            severity: 'warn',
+            message: `${this.displayPath(installDir, filePath)} (${ide}) has no installed agent, task or workflow`,
+          });
+        }
+      }
+    }
+
+    check.summary =
+      check.problems.length === 0
+        ? `rules for ${ides.join(', ')} match the installed agents`
+        : `${check.problems.length} stale file(s)`;
+    if (stale.size > 0) {
+      check.fix = {
+        description: 'Remove stale rule files and regenerate the IDE integrations',
+        paths: [],
+        apply: async (spinner) => {
+          for (const [ide, files] of stale) {
+            for (const file of files) await fs.remove(file);
+            await this.regenerateIde(ide, installDir, manifest, spinner);
+          }
+        },
+      };
+    }
+    return check;
+  }
+
+  async checkRootReferences({ installDir, manifest, packs }) {
+    const check = { id: 'root-refs', title: '{root} references', problems: [], fix: null };
+    const roots = ['.bmad-core', ...packs.map((pack) => `.${pack.id}`)];
+    const referencePattern = new RegExp(
+      `(${roots.map((root) => root.replaceAll('.', String.raw`\.`)).join('|')})/([\\w./-]+\\.(?:md|yaml|yml|csv|txt|json))`,
+      'g',
+    );
+
+    const manifests = [manifest, ...packs.map((pack) => pack.manifest)].filter(Boolean);
+    const repairable = new Set();
+    const unresolved = [];
+    for (const { files = [] } of manifests) {
+      for (const { path: file } of files) {
+        // Manifests list every installed file, missing ones are reported by the manifest check
+        if (file.endsWith(fileManager.manifestFile)) continue;
+        if (!TEXT_EXTENSIONS.has(path.extname(file))) continue;
+        let content;
+        try {
+          content = await fs.readFile(path.join(installDir, file), 'utf8');
+        } catch {
+          continue; // Missing files are reported by the manifest check
+        }
+
+        if (content.includes('{root}')) {
+          repairable.add(file);
+          const problem = { severity: 'error', message: `${file} contains unresolved {root}` };
+          check.problems.push(problem);
+          unresolved.push(problem);
+        }
+        const targets = new Set([...content.matchAll(referencePattern)].map((match) => match[0]));
+        for (const target of targets) {
+          if (target.startsWith(`${OVERRIDE_DIR}/`)) continue;
+          if (!(await fs.pathExists(path.join(installDir, target)))) {
+            check.problems.push({
+              severity: 'warn',
+              message: `${file} references ${target}, which does not exist`,
+            });
+          }
+        }
+      }
+    }
+
+    check.summary =
+      check.problems.length === 0
+        ? 'all references resolve'
+        : `${check.problems.length} broken reference(s)`;
+    if (repairable.size > 0) {
+      check.fix = {
+        description: 'Reinstall files with unresolved {root} from the package',
+        paths: [],
+        problems: unresolved,
+        apply: async (spinner) => {
+          const coreIntegrity = { missing: [], modified: [] };
+          const packRepairs = [];
+          for (const file of repairable) {
+            const pack = packs.find((candidate) => file.startsWith(`.${candidate.id}/`));
+            if (pack) {
+              let repair = packRepairs.find((candidate) => candidate.pack === pack);
+              if (!repair) {
+                repair = { pack, integrity: { missing: [], modified: [] } };
+                packRepairs.push(repair);
+              }
+              repair.integrity.modified.push(file);
+            } else {
+              coreIntegrity.modified.push(file);
+            }
+          }
+          await this.repair(installDir, manifest, coreIntegrity, packRepairs, spinner);
+        },
+      };
+    }
+    check.hint =
+      check.problems.length > 0 && !check.fix
+        ? 'References to files that were never installed need fixing in the source resources'
+        : null;
+    return check;
+  }
+
+  async checkCoreConfigPaths({ installDir, coreConfig }) {
+    const check = { id: 'core-config', title: 'core-config.yaml paths', problems: [], fix: null };
+    if (!coreConfig) {
+      check.summary = 'no core-config.yaml';
+      return check;
+    }
+
+    const exists = (relativePath) => fs.pathExists(path.join(installDir, relativePath));
+    const placeholders = [];
+    const shardingChanges = {};
+
+    // Files the dev agent loads on every story but no agent creates
+    for (const file of coreConfig.devLoadAlwaysFiles || []) {
+      if (!(await exists(file))) {
+        placeholders.push(file);
+        check.problems.push({
+          severity: 'warn',
+          message: `devLoadAlwaysFiles: ${file} does not exist`,
+        });
+      }
+    }
+    for (const file of [coreConfig.customTechnicalDocuments || []].flat()) {
+      if (!(await exists(file))) {
+        check.problems.push({
+          severity: 'warn',
+          message: `customTechnicalDocuments: ${file} does not exist`,
+        });
+      }
+    }
+
+    // Sharding flags that disagree with the documents actually present
+    for (const [section, key, fileKey, locationKey] of [
+      ['prd', 'prdSharded', 'prdFile', 'prdShardedLocation'],
+      ['architecture', 'architectureSharded', 'architectureFile', 'architectureShardedLocation'],
+    ]) {
+      const settings = coreConfig[section];
+      if (!settings || !settings[fileKey] || !settings[locationKey]) continue;
+      const hasFile = await exists(settings[fileKey]);
+      const hasShards = await exists(settings[locationKey]);
+      if (settings[key] && !hasShards && hasFile) {
+        shardingChanges[key] = false;
+        check.problems.push({
+          severity: 'warn',
+          message: `${key} is true but only ${settings[fileKey]} exists, not ${settings[locationKey]}/`,
+        });
+      } else if (!settings[key] && !hasFile && hasShards) {
+        shardingChanges[key] = true;
+        check.problems.push({
+          severity: 'warn',
+          message: `${key} is false but only ${settings[locationKey]}/ exists, not ${settings[fileKey]}`,
+        });
+      }
+    }
+
+    check.summary =
+      check.problems.length === 0
+        ? 'configured documents are in place'
+        : `${check.problems.length} path problem(s)`;
+    if (placeholders.length > 0 || Object.keys(shardingChanges).length > 0) {
+      check.fix = {
+        description: 'Create placeholders for devLoadAlwaysFiles and match the sharding flags',
+        paths: placeholders.map((file) => path.join(installDir, file)),
+        apply: async () => {
+          for (const file of placeholders) {
+            await fileManager.writeFile(path.join(installDir, file), placeholderContent(file));
+          }
+          if (Object.keys(shardingChanges).length > 0) {
+            await fileManager.modifyCoreConfig(installDir, shardingChanges);
+            await recordFileHashes(installDir, ['.bmad-core/core-config.yaml']);
+          }
+        },
+      };
+    }
+    check.hint = check.problems.some((problem) => problem.message.startsWith('customTechnical'))
+      ? 'Create the customTechnicalDocuments or remove them from core-config.yaml'
+      : null;
+    return check;
+  }
+
+  async checkSlashPrefixes({ installDir, manifest, packs }) {
+    const check = { id: 'slash-prefix', title: 'Slash prefixes', problems: [], fix: null };
+    const prefixes = await this.getSlashPrefixes(installDir, packs);
+
+    const owners = new Map();
+    const renames = [];
+    for (const { owner, prefix } of prefixes) {
+      const key = prefix.toLowerCase();
+      if (owners.has(key)) {
+        renames.push({ packId: owner, from: prefix, to: owner });
+        check.problems.push({
+          severity: 'error',
+          message: `${owner} uses slash prefix '${prefix}', already used by ${owners.get(key)}`,
+        });
+      } else {
+        owners.set(key, owner);
+      }
+    }
+
+    check.summary =
+      renames.length === 0
+        ? `${prefixes.map((entry) => entry.prefix).join(', ')}`
+        : `${renames.length} duplicate(s)`;
+    if (renames.length > 0) {
+      check.fix = {
+        description: 'Give each clashing expansion pack its pack ID as slash prefix',
+        paths: [],
+        apply: async (spinner) => {
+          for (const rename of renames) {
+            await setPackSlashPrefix(installDir, rename.packId, rename.to);
+          }
+          await recordFileHashes(
+            installDir,
+            renames.map((rename) => `.${rename.packId}/config.yaml`),
+          );
+          for (const ide of manifest?.ides_setup || []) {
+            const layout = await ideSetup.getRuleLayout(ide, installDir);
+            if (!layout?.commandsRoot) continue;
+            for (const rename of renames) {
+              await fs.remove(path.join(layout.commandsRoot, rename.from));
+            }
+            await this.regenerateIde(ide, installDir, manifest, spinner);
+          }
+        },
+      };
+    }
+    return check;
+  }
+
+  async checkLegacyYmlFiles({ installDir }) {
+    const legacyFiles = installer.findLegacyYmlFiles(installDir);
+
+    return {
+      id: 'legacy-yml',
+      title: 'Legacy .yml files',
+      summary:
+        legacyFiles.length === 0 ? 'none left' : `${legacyFiles.length} replaced by .yaml files`,
+      problems: legacyFiles.map((file) => ({
+        severity: 'warn',
+        message: `${file} has a .yaml counterpart`,
+      })),
+      fix:
+        legacyFiles.length === 0
+          ? null
+          : {
+              description: 'Remove .yml files that have a .yaml counterpart',
+              paths: legacyFiles.map((file) => path.join(installDir, file)),
+              apply: (spinner) => installer.cleanupLegacyYmlFiles(installDir, spinner),
+            },
+    };
+  }
+
+  /**
+   * Core and expansion pack slash prefixes, core first
+   * @returns {Promise<Array<{owner: string, prefix: string}>>}
+   */
+  async getSlashPrefixes(installDir, packs) {
+    const prefixes = [{ owner: 'core', prefix: await ideSetup.getCoreSlashPrefix(installDir) }];
+    for (const pack of packs) {
+      prefixes.push({
+        owner: pack.id,
+        prefix: await ideSetup.getExpansionPackSlashPrefix(pack.path),
+      });
+    }
+    return prefixes;
+  }
+
+  /**
+   * Run IDE setup again without prompting, keeping the choices made at install time
+   */
+  async regenerateIde(ide, installDir, manifest, spinner) {
+    spinner.text = `Regenerating ${ide} integration...`;
+    await ideSetup.update(ide, installDir, manifest.agent, spinner);
+  }
+
+  /**
+   * Restore files from the package. Local changes are what these fixes undo, so they are not
+   * merged back in; the transaction around the fixes keeps them for `bmad rollback`.
+   */
+  async repair(installDir, manifest, coreIntegrity, packRepairs, spinner) {
+    if (coreIntegrity.missing.length > 0 || coreIntegrity.modified.length > 0) {
+      await installer.performRepair(
+        { backup: false },
+        installDir,
+        manifest,
+        coreIntegrity,
+        spinner,
+      );
+    }
+
+    await installer.registerInstalledPackSources(installDir);
+    const sources = await installer.getAvailableExpansionPacks();
+    for (const { pack, integrity } of packRepairs) {
+      const source = sources.find((candidate) => candidate.id === pack.id);
+      if (!source) {
+        console.warn(
+          `Expansion pack ${pack.id} is not available from this package or its recorded source, skipping`,
+        );
+        continue;
+      }
+      if (integrity.missing.length > 0 || integrity.modified.length > 0) {
+        await installer.repairExpansionPack(installDir, pack.id, source, integrity, spinner, {
+          backup: false,
+        });
+      }
+    }
+  }
+
+  displayPath(installDir, filePath) {
+    const relative = path.relative(installDir, filePath);
+    return relative.startsWith('..') ? filePath : relative;
+  }
+}
+
+function placeholderContent(file) {
+  const title = path
+    .basename(file, path.extname(file))
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+  return `# ${title}\n\n<!-- Created by bmad doctor. The dev agent loads this file for every story: fill it in, or remove it from devLoadAlwaysFiles in .bmad-core/core-config.yaml. -->\n`;
+}
+
+async function setPackSlashPrefix(installDir, packId, prefix) {
+  const configPath = path.join(installDir, `.${packId}`, 'config.yaml');
+  const content = (await fs.pathExists(configPath)) ? await fs.readFile(configPath, 'utf8') : '';
+  // Edit the line in place so the pack's comments survive
+  const updated = /^slashPrefix:.*$/m.test(content)
+    ? content.replace(/^slashPrefix:.*$/m, `slashPrefix: ${prefix}`)
+    : `${content.trimEnd()}\nslashPrefix: ${prefix}\n`;
+  await fs.writeFile(configPath, updated);
+}
+
+/**
+ * Make deliberate fixes the new baseline, so the manifest check does not undo them
+ */
+async function recordFileHashes(installDir, files) {
+  const manifestPaths = [
+    path.join(installDir, '.bmad-core', 'install-manifest.yaml'),
+    ...new Set(
+      files.map((file) => path.join(installDir, file.split('/')[0], 'install-manifest.yaml')),
+    ),
+  ];
+  for (const manifestPath of new Set(manifestPaths)) {
+    if (!(await fs.pathExists(manifestPath))) continue;
+    const manifest = yaml.load(await fs.readFile(manifestPath, 'utf8'));
+    let changed = false;
+    for (const entry of manifest.files || []) {
+      if (!files.includes(entry.path)) continue;
+      entry.hash = await fileManager.calculateFileHash(path.join(installDir, entry.path));
+      changed = true;
+    }
+    if (changed) await fs.writeFile(manifestPath, yaml.dump(manifest, { indent: 2 }));
+  }
+}
+
+module.exports = new Doctor();
@@ -6,6 +6,7 @@ const chalk = require('chalk');
 const { createReadStream, createWriteStream, promises: fsPromises } = require('node:fs');
 const { pipeline } = require('node:stream/promises');
 const resourceLocator = require('./resource-locator');
+const { mergeThreeWay } = require('./three-way-merge');
 
 class FileManager {
   constructor() {}
@@ -92,13 +93,13 @@ class FileManager {
     }
   }
 
-  async createManifest(installDir, config, files) {
+  async createManifest(installDir, config, files, ideFiles = []) {
     const manifestPath = path.join(installDir, this.manifestDir, this.manifestFile);
 
     // Read version from package.json
     let coreVersion = 'unknown';
     try {
-      const packagePath = path.join(__dirname, '..', '..', '..', 'package.json');
+      const packagePath = path.join(resourceLocator.getSourceRoot(), 'package.json');
       const packageJson = require(packagePath);
       coreVersion = packageJson.version;
     } catch {
@@ -114,6 +115,8 @@ class FileManager {
       expansion_packs: config.expansionPacks || [],
       files: [],
     };
+    if (Object.keys(config.ideSettings || {}).length > 0)
+      manifest.ide_settings = config.ideSettings;
 
     // Add file information
     for (const file of files) {
@@ -125,6 +128,18 @@ class FileManager {
         hash: hash,
         modified: false,
       });
+      await this.savePristineCopy(installDir, file);
+    }
+
+    // IDE files are regenerated on every install, so only their hashes are kept
+    if (ideFiles.length > 0) {
+      manifest.ide_files = [];
+      for (const file of ideFiles) {
+        manifest.ide_files.push({
+          path: file,
+          hash: await this.calculateFileHash(path.join(installDir, file)),
+        });
+      }
     }
 
     // Write manifest
@@ -199,6 +214,12 @@ class FileManager {
   }
 
   async backupFile(filePath) {
+    const finalBackupPath = await this.getBackupPath(filePath);
+    await fs.copy(filePath, finalBackupPath);
+    return finalBackupPath;
+  }
+
+  async getBackupPath(filePath) {
     const backupPath = filePath + '.bak';
     let counter = 1;
     let finalBackupPath = backupPath;
@@ -209,10 +230,102 @@ class FileManager {
       counter++;
     }
 
-    await fs.copy(filePath, finalBackupPath);
     return finalBackupPath;
   }
 
+  /**
+   * Where the originally installed version of a file is kept, e.g.
+   * .bmad-core/agents/dev.md → .bmad-core/.pristine/agents/dev.md
+   */
+  getPristinePath(installDir, file) {
+    const [dotFolder, ...rest] = file.split(/[/\\]/);
+    return path.join(installDir, dotFolder, this.pristineDir, ...rest);
+  }
+
+  async savePristineCopy(installDir, file) {
+    if (file.endsWith(this.manifestFile)) return;
+    try {
+      const pristinePath = this.getPristinePath(installDir, file);
+      await fs.ensureDir(path.dirname(pristinePath));
+      await fs.copy(path.join(installDir, file), pristinePath);
+    } catch (error) {
+      console.warn(`Could not keep original copy of ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read every installed file the user has changed, with its originally installed version
+   * @returns {Promise<Array<{path: string, local: string, base: string|null}>>} base is null
+   *   when no pristine copy matching the manifest exists (installs made before they were kept)
+   */
+  async collectLocalChanges(installDir, manifest) {
+    const changes = [];
+
+    for (const file of manifest.files) {
+      if (file.path.endsWith(this.manifestFile)) continue;
+
+      const currentHash = await this.calculateFileHash(path.join(installDir, file.path));
+      if (!currentHash || currentHash === file.hash) continue;
+
+      const pristinePath = this.getPristinePath(installDir, file.path);
+      const hasBase = (await this.calculateFileHash(pristinePath)) === file.hash;
+      changes.push({
+        path: file.path,
+        local: await fs.readFile(path.join(installDir, file.path), 'utf8'),
+        base: hasBase ? await fs.readFile(pristinePath, 'utf8') : null,
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Re-apply local changes on top of freshly installed upstream files with a three-way merge
+   * @param {string} installDir - Installation directory
+   * @param {Array} changes - Result of collectLocalChanges() taken before the update
+   * @param {string} upstreamLabel - Conflict marker label for the new upstream version
+   * @returns {Promise<Object>} Paths that merged cleanly, have conflicts, were backed up
+   *   because there was no original to merge against, or were kept as upstream removed them
+   */
+  async mergeLocalChanges(installDir, changes, upstreamLabel) {
+    const summary = { merged: [], conflicts: [], backedUp: [], kept: [] };
+
+    for (const change of changes) {
+      const filePath = path.join(installDir, change.path);
+
+      if (!(await fs.pathExists(filePath))) {
+        // Removed upstream - keep the user's version
+        await this.writeFile(filePath, change.local);
+        summary.kept.push(change.path);
+        continue;
+      }
+
+      const upstream = await fs.readFile(filePath, 'utf8');
+      if (change.base === null) {
+        if (upstream !== change.local) {
+          const backupPath = await this.getBackupPath(filePath);
+          await fs.writeFile(backupPath, change.local);
+          summary.backedUp.push({ path: change.path, backup: path.basename(backupPath) });
+        }
+        continue;
+      }
+
+      const { content, conflicts } = mergeThreeWay(change.base, change.local, upstream, {
+        local: `${change.path} (your changes)`,
+        upstream: `${change.path} (${upstreamLabel})`,
+      });
+      await fs.writeFile(filePath, content);
+
+      if (conflicts > 0) {
+        summary.conflicts.push({ path: change.path, conflicts });
+      } else {
+        summary.merged.push(change.path);
+      }
+    }
+
+    return summary;
+  }
+
   async ensureDirectory(dirPath) {
     try {
       await fs.ensureDir(dirPath);
@@ -243,7 +356,9 @@ class FileManager {
     const manifestPath = path.join(installDir, `.${packId}`, this.manifestFile);
 
     const manifest = {
-      version: config.expansionPackVersion || require('../../../package.json').version,
+      version:
+        config.expansionPackVersion ||
+        require(path.join(resourceLocator.getSourceRoot(), 'package.json')).version,
       installed_at: new Date().toISOString(),
       install_type: config.installType,
       expansion_pack_id: config.expansionPackId,
@@ -251,6 +366,10 @@ class FileManager {
       ides_setup: config.ides || [],
       files: [],
     };
+    if (Object.keys(config.ideSettings || {}).length > 0)
+      manifest.ide_settings = config.ideSettings;
+    // Packs from a local path, tarball or git URL record where to find them again
+    if (config.source) manifest.source = config.source;
 
     // Add file information
     for (const file of files) {
@@ -262,6 +381,7 @@ class FileManager {
         hash: hash,
         modified: false,
       });
+      await this.savePristineCopy(installDir, file);
     }
 
     // Write manifest
@@ -288,6 +408,10 @@ class FileManager {
         coreConfig.architecture.architectureSharded = config.architectureSharded;
       }
 
+      if (config.slashPrefix !== undefined) {
+        coreConfig.slashPrefix = config.slashPrefix;
+      }
+
       // Write back the modified config
       await fs.writeFile(coreConfigPath, yaml.dump(coreConfig, { indent: 2 }));
 
@@ -340,6 +464,7 @@ class FileManager {
     destination,
     rootValue,
     fileExtensions = ['.md', '.yaml', '.yml'],
+    options = {},
   ) {
     try {
       await this.ensureDirectory(destination);
@@ -369,7 +494,7 @@ class FileManager {
         }
       }
 
-      if (replacedCount > 0) {
+      if (replacedCount > 0 && !options.quiet) {
         console.log(chalk.dim(`  Processed ${replacedCount} files with {root} replacement`));
       }
 
@@ -384,6 +509,7 @@ class FileManager {
   }
   manifestDir = '.bmad-core';
   manifestFile = 'install-manifest.yaml';
+  pristineDir = '.pristine';
 }
 
 module.exports = new FileManager();
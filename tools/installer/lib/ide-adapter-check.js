@@ -0,0 +1,178 @@
+/**
+ * IDE Adapter Check - Conformance checks any IDE adapter can run, through `bmad ide:check`
+ *
+ * Each adapter runs in its own scratch project with BMad core installed, and must:
+ *   describe - return its name and the targets it writes to, each once
+ *   detect   - not report the IDE before generating, and report it afterwards
+ *   generate - write files, and only inside its declared targets
+ *   update   - leave every file as generate wrote it
+ *   remove   - restore the project, once its rule files are deleted and its edits applied
+ */
+
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('fs-extra');
+const glob = require('glob');
+const fileManager = require('./file-manager');
+const ideSetup = require('./ide-setup');
+const installer = require('./installer');
+const uninstaller = require('./uninstaller');
+const { buildInstallConfig } = require('./install-config-file');
+
+/**
+ * Install BMad core, without IDEs, into a new temporary directory
+ * @returns {Promise<string>} The directory; the caller removes it
+ */
+async function stageProject() {
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-ide-check-'));
+  const config = await buildInstallConfig({ ides: [] }, stagingDir, 'ide:check');
+  config.quiet = true;
+  try {
+    await muted(() => installer.install(config));
+  } catch (error) {
+    await fs.remove(stagingDir);
+    throw error;
+  }
+  return stagingDir;
+}
+
+/**
+ * Run the checks for one adapter against a copy of a staged project
+ * @param {Object} adapter - Adapter from ide-registry.js
+ * @param {string} stagingDir - Project from stageProject(), left unchanged
+ * @returns {Promise<Object>} {id, name, source, checks: [{check, status, message}]}, status
+ *   being pass, warn or fail
+ */
+async function checkAdapter(adapter, stagingDir) {
+  const result = { id: adapter.id, name: adapter.name, source: adapter.source, checks: [] };
+  const record = (check, status, message) => result.checks.push({ check, status, message });
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), `bmad-ide-check-${adapter.id}-`));
+  let step = 'describe';
+
+  try {
+    await fs.copy(stagingDir, projectDir);
+    const baseline = await snapshot(projectDir);
+
+    const description = await adapter.describe(projectDir);
+    if (typeof description?.name !== 'string' || !Array.isArray(description.targets)) {
+      record(step, 'fail', 'describe() must return at least {name, targets: [...]}');
+      return result;
+    }
+    const { targets, layout } = description;
+    // A target listed twice has its files snapshotted and uninstalled twice
+    const duplicates = [targets, layout?.ruleDirs || []].flatMap((list) =>
+      list.filter((target, index) => list.indexOf(target) !== index),
+    );
+    if (duplicates.length > 0) {
+      record(step, 'fail', `declares the same target twice: ${formatList(duplicates)}`);
+    } else {
+      record(step, 'pass', `${targets.length} target(s) declared`);
+    }
+
+    step = 'detect';
+    if (await adapter.detect(projectDir)) {
+      record(step, 'warn', 'reports the IDE in use before anything was generated');
+    }
+
+    step = 'generate';
+    const settings = adapter.defaultSettings || null;
+    await muted(() => adapter.generate(ideSetup.createContext(adapter, projectDir, { settings })));
+    const generated = await snapshot(projectDir);
+    const written = diffSnapshots(baseline, generated);
+    const outside = written.filter(
+      (file) => !targets.some((target) => isInside(path.join(projectDir, file), target)),
+    );
+    if (written.length === 0) {
+      record(step, 'fail', 'wrote nothing');
+    } else if (outside.length > 0) {
+      record(step, 'fail', `wrote outside its declared targets: ${formatList(outside)}`);
+    } else {
+      record(step, 'pass', `${written.length} file(s) written`);
+    }
+
+    step = 'detect';
+    if (await adapter.detect(projectDir)) {
+      if (!result.checks.some((check) => check.check === step)) {
+        record(step, 'pass', 'reports the IDE only once its files exist');
+      }
+    } else {
+      record(step, 'fail', 'does not report the IDE after generating its files');
+    }
+
+    step = 'update';
+    await muted(() => adapter.update(ideSetup.createContext(adapter, projectDir)));
+    const changed = diffSnapshots(generated, await snapshot(projectDir));
+    if (changed.length > 0) {
+      record(step, 'fail', `changed what generate() wrote: ${formatList(changed)}`);
+    } else {
+      record(step, 'pass', 'regenerated without changes');
+    }
+
+    step = 'remove';
+    const ruleFiles = layout ? await ideSetup.getLayoutFiles(layout, projectDir) : [];
+    const plan = {
+      installDir: projectDir,
+      packages: ['core'],
+      remove: ruleFiles
+        .map((file) => path.relative(projectDir, file))
+        .filter((file) => !file.startsWith('..')),
+      removeDirs: [],
+      edits: [],
+      notes: [],
+      manifestUpdates: [],
+    };
+    await uninstaller.planAdapterEdits(plan, adapter, ['.bmad-core'], true);
+    await uninstaller.apply(plan, await uninstaller.resolveEdits(plan));
+    const leftovers = diffSnapshots(baseline, await snapshot(projectDir));
+    if (leftovers.length === 0) {
+      record(step, 'pass', 'project restored');
+    } else if (plan.notes.length > 0) {
+      record(step, 'warn', `${formatList(leftovers)} left as noted: ${plan.notes.join('; ')}`);
+    } else {
+      record(step, 'fail', `left behind: ${formatList(leftovers)}`);
+    }
+  } catch (error) {
+    record(step, 'fail', `threw ${error.message}`);
+  } finally {
+    await fs.remove(projectDir);
+  }
+  return result;
+}
+
+// Adapters report their progress on the console, which would bury the results
+async function muted(task) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await task();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+async function snapshot(dir) {
+  const files = new Map();
+  for (const file of glob.sync('**/*', { cwd: dir, nodir: true, dot: true })) {
+    files.set(file, await fileManager.calculateFileHash(path.join(dir, file)));
+  }
+  return files;
+}
+
+// Files added, changed or deleted between two snapshots
+function diffSnapshots(before, after) {
+  const files = new Set([...before.keys(), ...after.keys()]);
+  return [...files].filter((file) => before.get(file) !== after.get(file)).sort();
+}
+
+function isInside(file, target) {
+  const relative = path.relative(target, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function formatList(items, limit = 3) {
+  const shown = items.slice(0, limit).join(', ');
+  return items.length > limit ? `${shown}, +${items.length - limit} more` : shown;
+}
+
+module.exports = { stageProject, checkAdapter };
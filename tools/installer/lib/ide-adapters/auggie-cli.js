@@ -0,0 +1,106 @@
+/**
+ * Auggie CLI (Augment Code) - A command per agent, task and workflow in the user's and/or the
+ * project's .augment/commands/bmad/
+ */
+
+const path = require('node:path');
+const os = require('node:os');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const fileManager = require('../file-manager');
+const { collectSources, writeOutputs } = require('../ide-templates');
+
+module.exports = {
+  id: 'auggie-cli',
+  defaultSettings: { selectedLocations: ['workspace'] },
+
+  async generate({
+    installDir,
+    selectedAgent,
+    spinner,
+    settings: preConfiguredSettings,
+    config,
+    helpers,
+  }) {
+    const locations = config.locations;
+
+    // Use pre-configured settings if provided, otherwise prompt
+    let selectedLocations;
+    if (preConfiguredSettings && preConfiguredSettings.selectedLocations) {
+      selectedLocations = preConfiguredSettings.selectedLocations;
+      console.log(
+        chalk.dim(
+          `Using pre-configured Auggie CLI (Augment Code) locations: ${selectedLocations.join(', ')}`,
+        ),
+      );
+    } else {
+      // Pause spinner during location selection to avoid UI conflicts
+      let spinnerWasActive = false;
+      if (spinner && spinner.isSpinning) {
+        spinner.stop();
+        spinnerWasActive = true;
+      }
+
+      // Clear any previous output and add spacing to avoid conflicts with loaders
+      console.log('\n'.repeat(2));
+      console.log(chalk.blue('📍 Auggie CLI Location Configuration'));
+      console.log(chalk.dim('Choose where to install BMad agents for Auggie CLI access.'));
+      console.log(''); // Add extra spacing
+
+      const response = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selectedLocations',
+          message: 'Select Auggie CLI command locations:',
+          choices: Object.entries(locations).map(([key, location]) => ({
+            name: `${location.name}: ${location.description}`,
+            value: key,
+          })),
+          validate: (selected) => {
+            if (selected.length === 0) {
+              return 'Please select at least one location';
+            }
+            return true;
+          },
+        },
+      ]);
+      selectedLocations = response.selectedLocations;
+
+      // Restart spinner if it was active before prompts
+      if (spinner && spinnerWasActive) {
+        spinner.start();
+      }
+    }
+
+    // Install the output templates in install.config.yaml to each selected location
+    const sources = await collectSources(config.output, { installDir, selectedAgent, helpers });
+    for (const locationKey of selectedLocations) {
+      const location = locations[locationKey];
+      let commandsDir = location['rule-dir'];
+
+      // Handle tilde expansion for user directory
+      if (commandsDir.startsWith('~/')) {
+        commandsDir = path.join(os.homedir(), commandsDir.slice(2));
+      } else if (commandsDir.startsWith('./')) {
+        commandsDir = path.join(installDir, commandsDir.slice(2));
+      }
+
+      await writeOutputs(config.output, commandsDir, { installDir, helpers, ...sources });
+
+      console.log(chalk.green(`\n✓ Created Auggie CLI commands in ${commandsDir}`));
+      console.log(chalk.dim(`  Location: ${location.name} - ${location.description}`));
+    }
+
+    return true;
+  },
+
+  async update(context) {
+    // Auggie has no rule-dir of its own, so its rule dirs follow the locations' order
+    const { layout } = await this.describe(context.installDir);
+    const selectedLocations = [];
+    for (const [index, key] of Object.keys(this.config.locations || {}).entries()) {
+      if (await fileManager.pathExists(layout.ruleDirs[index])) selectedLocations.push(key);
+    }
+    return this.generate({ ...context, settings: { selectedLocations } });
+  },
+};
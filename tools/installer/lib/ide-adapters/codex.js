@@ -0,0 +1,242 @@
+/**
+ * Codex - A marked BMad section in AGENTS.md, which Codex reads as project memory, plus npm
+ * scripts and .gitignore lines. Codex Web needs .bmad-core committed, so it is not ignored.
+ */
+
+const path = require('node:path');
+const chalk = require('chalk');
+const fileManager = require('../file-manager');
+const { mergeMarkedSection, queueSectionRemoval } = require('../ide-shared-files');
+
+const CODEX_SCRIPTS = {
+  'bmad:refresh': 'bmad-method install -f -i codex',
+  'bmad:list': 'bmad-method list:agents',
+  'bmad:validate': 'bmad-method validate',
+};
+const CODEX_GITIGNORE_LINES = new Set(['# BMAD (local only)', '.bmad-core/', '.bmad-*/']);
+
+function createCodexAdapter(id, webEnabled) {
+  return {
+    id,
+
+    async generate({ installDir, selectedAgent, helpers }) {
+      const options = { webEnabled };
+      // Codex reads AGENTS.md at the project root as project memory (CLI & Web).
+      // Inject/update a BMAD section with guidance, directory, and details.
+      const filePath = path.join(installDir, 'AGENTS.md');
+
+      const agents = selectedAgent ? [selectedAgent] : await helpers.getAllAgentIds(installDir);
+      const tasks = await helpers.getAllTaskIds(installDir);
+      const workflows = await helpers.getAllWorkflowIds(installDir);
+
+      // Build BMAD section content, which goes between the BMAD-AGENTS markers
+      let section = '';
+      section += `# BMAD-METHOD Agents, Tasks and Workflows\n\n`;
+      section += `This section is auto-generated by BMAD-METHOD for Codex. Codex merges this AGENTS.md into context.\n\n`;
+      section += `## How To Use With Codex\n\n`;
+      section += `- Codex CLI: run \`codex\` in this project. Reference an agent naturally, e.g., "As dev, implement ...".\n`;
+      section += `- Codex Web: open this repo and reference roles the same way; Codex reads \`AGENTS.md\`.\n`;
+      section += `- Commit \`.bmad-core\` and this \`AGENTS.md\` file to your repo so Codex (Web/CLI) can read full agent definitions.\n`;
+      section += `- Refresh this section after agent updates: \`npx be-calm install -f -i codex\`.\n\n`;
+
+      section += `### Helpful Commands\n\n`;
+      section += `- List agents: \`npx be-calm list:agents\`\n`;
+      section += `- Reinstall BMAD core and regenerate AGENTS.md: \`npx be-calm install -f -i codex\`\n`;
+      section += `- Validate configuration: \`npx be-calm validate\`\n\n`;
+
+      // Agents directory table
+      section += `## Agents\n\n`;
+      section += `### Directory\n\n`;
+      section += `| Title | ID | When To Use |\n|---|---|---|\n`;
+      const agentSummaries = [];
+      for (const agentId of agents) {
+        const agentPath = await helpers.findAgentPath(agentId, installDir);
+        if (!agentPath) continue;
+        const raw = await fileManager.readFile(agentPath);
+        const yamlMatch = raw.match(/```ya?ml\r?\n([\s\S]*?)```/);
+        const yamlBlock = yamlMatch ? yamlMatch[1].trim() : null;
+        const title = await helpers.getAgentTitle(agentId, installDir);
+        const whenToUse = yamlBlock?.match(/whenToUse:\s*"?([^\n"]+)"?/i)?.[1]?.trim() || '';
+        agentSummaries.push({ agentId, title, whenToUse, yamlBlock, raw, path: agentPath });
+        section += `| ${title} | ${agentId} | ${whenToUse || '—'} |\n`;
+      }
+      section += `\n`;
+
+      // Detailed agent sections
+      for (const { agentId, title, whenToUse, yamlBlock, raw, path: agentPath } of agentSummaries) {
+        const relativePath = path.relative(installDir, agentPath).replaceAll('\\', '/');
+        section += `### ${title} (id: ${agentId})\n`;
+        section += `Source: ${relativePath}\n\n`;
+        if (whenToUse) section += `- When to use: ${whenToUse}\n`;
+        section += `- How to activate: Mention "As ${agentId}, ..." or "Use ${title} to ..."\n\n`;
+        if (yamlBlock) {
+          section += '```yaml\n' + yamlBlock + '\n```\n\n';
+        } else {
+          section += '```md\n' + raw.trim() + '\n```\n\n';
+        }
+      }
+
+      // Tasks
+      if (tasks && tasks.length > 0) {
+        section += `## Tasks\n\n`;
+        section += `These are reusable task briefs you can reference directly in Codex.\n\n`;
+        for (const taskId of tasks) {
+          const taskPath = await helpers.findTaskPath(taskId, installDir);
+          if (!taskPath) continue;
+          const raw = await fileManager.readFile(taskPath);
+          const relativePath = path.relative(installDir, taskPath).replaceAll('\\', '/');
+          section += `### Task: ${taskId}\n`;
+          section += `Source: ${relativePath}\n`;
+          section += `- How to use: "Use task ${taskId} with the appropriate agent" and paste relevant parts as needed.\n\n`;
+          section += '```md\n' + raw.trim() + '\n```\n\n';
+        }
+      }
+
+      // Workflows
+      if (workflows.length > 0) {
+        section += `## Workflows\n\n`;
+        section += `These are multi-step plans that hand each step to an agent. Run one by asking Codex to "Run workflow <id>".\n\n`;
+        for (const workflowId of workflows) {
+          const workflowPath = await helpers.findWorkflowPath(workflowId, installDir);
+          if (!workflowPath) continue;
+          const raw = await fileManager.readFile(workflowPath);
+          const relativePath = path.relative(installDir, workflowPath).replaceAll('\\', '/');
+          section += `### Workflow: ${workflowId}\n`;
+          section += `Source: ${relativePath}\n`;
+          section += `- How to use: "Run workflow ${workflowId}". Work through its sequence one step at a time, as the agent each step names, and confirm each document with the user before moving on.\n\n`;
+          section += '```yaml\n' + raw.trim() + '\n```\n\n';
+        }
+      }
+
+      // Write or update AGENTS.md, whose content outside the markers is the user's
+      const existing = (await fileManager.pathExists(filePath))
+        ? await fileManager.readFile(filePath)
+        : null;
+      const { content, changes } = mergeMarkedSection(
+        existing,
+        'BMAD-AGENTS',
+        section,
+        '# Project Agents\n\nThis file provides guidance and memory for Codex CLI.\n\n',
+      );
+      if (content !== existing) await fileManager.writeFile(filePath, content);
+      helpers.reportSharedFile(id, 'AGENTS.md', changes);
+      console.log(
+        chalk.dim(
+          'Codex reads AGENTS.md automatically. Run `codex` in this project to use BMAD agents.',
+        ),
+      );
+
+      // Optionally add helpful npm scripts if a package.json exists
+      try {
+        const pkgPath = path.join(installDir, 'package.json');
+        if (await fileManager.pathExists(pkgPath)) {
+          const pkgRaw = await fileManager.readFile(pkgPath);
+          const pkg = JSON.parse(pkgRaw);
+          pkg.scripts = pkg.scripts || {};
+          const updated = { ...pkg.scripts };
+          if (!updated['bmad:refresh']) updated['bmad:refresh'] = 'bmad-method install -f -i codex';
+          if (!updated['bmad:list']) updated['bmad:list'] = 'bmad-method list:agents';
+          if (!updated['bmad:validate']) updated['bmad:validate'] = 'bmad-method validate';
+          const changed = JSON.stringify(updated) !== JSON.stringify(pkg.scripts);
+          if (changed) {
+            const newPkg = { ...pkg, scripts: updated };
+            await fileManager.writeFile(pkgPath, JSON.stringify(newPkg, null, 2) + '\n');
+            console.log(chalk.green('✓ Added npm scripts: bmad:refresh, bmad:list, bmad:validate'));
+          }
+        }
+      } catch {
+        console.log(
+          chalk.yellow('⚠︎ Skipped adding npm scripts (package.json not writable or invalid)'),
+        );
+      }
+
+      // Adjust .gitignore behavior depending on Codex mode
+      try {
+        const gitignorePath = path.join(installDir, '.gitignore');
+        const ignoreLines = ['# BMAD (local only)', '.bmad-core/', '.bmad-*/'];
+        const exists = await fileManager.pathExists(gitignorePath);
+        if (options.webEnabled) {
+          if (exists) {
+            let gi = await fileManager.readFile(gitignorePath);
+            const updated = gi
+              .split(/\r?\n/)
+              .filter((l) => !/^\s*\.bmad-core\/?\s*$/.test(l) && !/^\s*\.bmad-\*\/?\s*$/.test(l))
+              .join('\n');
+            if (updated !== gi) {
+              await fileManager.writeFile(gitignorePath, updated.trimEnd() + '\n');
+              console.log(chalk.green('✓ Updated .gitignore to include .bmad-core in commits'));
+            }
+          }
+        } else {
+          // Local-only: add ignores if missing
+          let base = exists ? await fileManager.readFile(gitignorePath) : '';
+          const haveCore = base.includes('.bmad-core/');
+          const haveStar = base.includes('.bmad-*/');
+          if (!haveCore || !haveStar) {
+            const sep = base.endsWith('\n') || base.length === 0 ? '' : '\n';
+            const add = [!haveCore || !haveStar ? ignoreLines.join('\n') : '']
+              .filter(Boolean)
+              .join('\n');
+            const out = base + sep + add + '\n';
+            await fileManager.writeFile(gitignorePath, out);
+            console.log(
+              chalk.green('✓ Added .bmad-core/* to .gitignore for local-only Codex setup'),
+            );
+          }
+        }
+      } catch {
+        console.log(chalk.yellow('⚠︎ Could not update .gitignore (skipping)'));
+      }
+
+      return true;
+    },
+
+    // Codex has no commands; tasks and workflows are asked for by name
+    async listCommands(installDir, helpers) {
+      return [
+        { kind: 'tasks', usage: 'Use task <id>', ids: await helpers.getAllTaskIds(installDir) },
+        {
+          kind: 'workflows',
+          usage: 'Run workflow <id>',
+          ids: await helpers.getAllWorkflowIds(installDir),
+        },
+      ].filter((commands) => commands.ids.length > 0);
+    },
+
+    remove(context) {
+      queueSectionRemoval(context, 'AGENTS.md', 'BMAD-AGENTS');
+      if (!context.allPackages) return;
+      context.edit('package.json', 'remove bmad:* scripts', removeCodexScripts);
+      context.edit('.gitignore', 'remove BMad ignore lines', removeCodexIgnores);
+    },
+  };
+}
+
+function removeCodexScripts(content) {
+  let pkg;
+  try {
+    pkg = JSON.parse(content);
+  } catch {
+    return content;
+  }
+  if (!pkg.scripts) return content;
+
+  let changed = false;
+  for (const [name, command] of Object.entries(CODEX_SCRIPTS)) {
+    if (pkg.scripts[name] === command) {
+      delete pkg.scripts[name];
+      changed = true;
+    }
+  }
+  return changed ? JSON.stringify(pkg, null, 2) + '\n' : content;
+}
+
+function removeCodexIgnores(content) {
+  const lines = content.split(/\r?\n/);
+  const kept = lines.filter((line) => !CODEX_GITIGNORE_LINES.has(line.trim()));
+  if (kept.length === lines.length) return content;
+  const result = kept.join('\n').trim();
+  return result === '' ? null : `${result}\n`;
+}
+
+module.exports = [createCodexAdapter('codex', false), createCodexAdapter('codex-web', true)];
@@ -0,0 +1,236 @@
+/**
+ * GitHub Copilot - A chat mode per agent in .github/chatmodes/, a prompt file per task and
+ * workflow in .github/prompts/, plus the VS Code settings agent mode needs in
+ * .vscode/settings.json
+ */
+
+const path = require('node:path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const fileManager = require('../file-manager');
+const { mergeSettings } = require('../ide-shared-files');
+const { collectSources, writeOutputs } = require('../ide-templates');
+
+module.exports = {
+  id: 'github-copilot',
+  defaultSettings: { configChoice: 'defaults' },
+
+  // Every GitHub repository has a .github folder, so only Copilot's own files count
+  async detect(installDir) {
+    return (
+      (await fileManager.pathExists(path.join(installDir, '.github', 'chatmodes'))) ||
+      (await fileManager.pathExists(path.join(installDir, '.github', 'copilot-instructions.md')))
+    );
+  },
+
+  async generate({
+    installDir,
+    selectedAgent,
+    spinner,
+    settings: preConfiguredSettings,
+    config,
+    helpers,
+  }) {
+    // Configure VS Code workspace settings first to avoid UI conflicts with loading spinners
+    await configureVsCodeSettings(installDir, spinner, preConfiguredSettings, helpers);
+
+    // The chat modes and prompt files are the output templates in install.config.yaml
+    const chatmodesDir = path.join(installDir, config['rule-dir']);
+    const sources = await collectSources(config.output, { installDir, selectedAgent, helpers });
+    await writeOutputs(config.output, chatmodesDir, { installDir, helpers, ...sources });
+
+    console.log(chalk.green(`\n✓ Github Copilot setup complete!`));
+    console.log(chalk.dim(`You can now find the BMad agents in the Chat view's mode selector.`));
+    console.log(chalk.dim(`Run BMad tasks and workflows with /<name> in the Chat view.`));
+
+    return true;
+  },
+
+  update(context) {
+    // Settings were configured at install time; only the chat modes are regenerated
+    return this.generate({ ...context, settings: { configChoice: 'skip' } });
+  },
+
+  remove({ allPackages, note }) {
+    if (allPackages) {
+      note('.vscode/settings.json was left as is, remove chat settings you no longer want');
+    }
+  },
+};
+
+async function configureVsCodeSettings(installDir, spinner, preConfiguredSettings, helpers) {
+  const vscodeDir = path.join(installDir, '.vscode');
+  const settingsPath = path.join(vscodeDir, 'settings.json');
+
+  // Use pre-configured settings if provided, otherwise prompt
+  let configChoice;
+  if (preConfiguredSettings && preConfiguredSettings.configChoice) {
+    configChoice = preConfiguredSettings.configChoice;
+    console.log(chalk.dim(`Using pre-configured GitHub Copilot settings: ${configChoice}`));
+  } else {
+    // Clear any previous output and add spacing to avoid conflicts with loaders
+    console.log('\n'.repeat(2));
+    console.log(chalk.blue('🔧 Github Copilot Agent Settings Configuration'));
+    console.log(
+      chalk.dim('BMad works best with specific VS Code settings for optimal agent experience.'),
+    );
+    console.log(''); // Add extra spacing
+
+    const response = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'configChoice',
+        message: chalk.yellow('How would you like to configure GitHub Copilot settings?'),
+        choices: [
+          {
+            name: 'Use recommended defaults (fastest setup)',
+            value: 'defaults',
+          },
+          {
+            name: 'Configure each setting manually (customize to your preferences)',
+            value: 'manual',
+          },
+          {
+            name: "Skip settings configuration (I'll configure manually later)",
+            value: 'skip',
+          },
+        ],
+        default: 'defaults',
+      },
+    ]);
+    configChoice = response.configChoice;
+  }
+
+  let bmadSettings = {};
+
+  if (configChoice === 'skip') {
+    console.log(chalk.yellow('⚠️  Skipping VS Code settings configuration.'));
+    console.log(chalk.dim('You can manually configure these settings in .vscode/settings.json:'));
+    console.log(chalk.dim('  • chat.agent.enabled: true'));
+    console.log(chalk.dim('  • chat.agent.maxRequests: 15'));
+    console.log(chalk.dim('  • github.copilot.chat.agent.runTasks: true'));
+    console.log(chalk.dim('  • chat.mcp.discovery.enabled: true'));
+    console.log(chalk.dim('  • github.copilot.chat.agent.autoFix: true'));
+    console.log(chalk.dim('  • chat.tools.autoApprove: false'));
+    return true;
+  }
+
+  if (configChoice === 'defaults') {
+    // Use recommended defaults
+    bmadSettings = {
+      'chat.agent.enabled': true,
+      'chat.agent.maxRequests': 15,
+      'github.copilot.chat.agent.runTasks': true,
+      'chat.mcp.discovery.enabled': true,
+      'github.copilot.chat.agent.autoFix': true,
+      'chat.tools.autoApprove': false,
+    };
+    console.log(chalk.green('✓ Using recommended BMad defaults for Github Copilot settings'));
+  } else {
+    // Manual configuration
+    let manualSettings;
+    if (preConfiguredSettings && preConfiguredSettings.manualSettings) {
+      // Settings given in an install file, on top of the prompts' defaults
+      manualSettings = {
+        maxRequests: 15,
+        runTasks: true,
+        mcpDiscovery: true,
+        autoFix: true,
+        autoApprove: false,
+        ...preConfiguredSettings.manualSettings,
+      };
+    } else {
+      console.log(chalk.blue("\n📋 Let's configure each setting for your preferences:"));
+
+      // Pause spinner during manual configuration prompts
+      let spinnerWasActive = false;
+      if (spinner && spinner.isSpinning) {
+        spinner.stop();
+        spinnerWasActive = true;
+      }
+
+      manualSettings = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'maxRequests',
+          message: 'Maximum requests per agent session (recommended: 15)?',
+          default: '15',
+          validate: (input) => {
+            const number_ = Number.parseInt(input);
+            if (isNaN(number_) || number_ < 1 || number_ > 50) {
+              return 'Please enter a number between 1 and 50';
+            }
+            return true;
+          },
+        },
+        {
+          type: 'confirm',
+          name: 'runTasks',
+          message: 'Allow agents to run workspace tasks (package.json scripts, etc.)?',
+          default: true,
+        },
+        {
+          type: 'confirm',
+          name: 'mcpDiscovery',
+          message: 'Enable MCP (Model Context Protocol) server discovery?',
+          default: true,
+        },
+        {
+          type: 'confirm',
+          name: 'autoFix',
+          message: 'Enable automatic error detection and fixing in generated code?',
+          default: true,
+        },
+        {
+          type: 'confirm',
+          name: 'autoApprove',
+          message: 'Auto-approve ALL tools without confirmation? (⚠️  EXPERIMENTAL - less secure)',
+          default: false,
+        },
+      ]);
+
+      // Restart spinner if it was active before prompts
+      if (spinner && spinnerWasActive) {
+        spinner.start();
+      }
+
+      // Keep the answers with the install settings, so bmad.lock records them
+      manualSettings.maxRequests = Number.parseInt(manualSettings.maxRequests);
+      if (preConfiguredSettings) preConfiguredSettings.manualSettings = manualSettings;
+    }
+
+    bmadSettings = {
+      'chat.agent.enabled': true, // Always enabled - required for BMad agents
+      'chat.agent.maxRequests': Number.parseInt(manualSettings.maxRequests),
+      'github.copilot.chat.agent.runTasks': manualSettings.runTasks,
+      'chat.mcp.discovery.enabled': manualSettings.mcpDiscovery,
+      'github.copilot.chat.agent.autoFix': manualSettings.autoFix,
+      'chat.tools.autoApprove': manualSettings.autoApprove,
+    };
+
+    console.log(chalk.green('✓ Custom settings configured'));
+  }
+
+  // Settings the user already has keep their values, and comments stay in place
+  const existingContent = (await fileManager.pathExists(settingsPath))
+    ? await fileManager.readFile(settingsPath)
+    : null;
+  let merged;
+  try {
+    merged = mergeSettings(existingContent, bmadSettings);
+  } catch {
+    console.warn(
+      chalk.yellow('Could not parse .vscode/settings.json, so it was left as is. Add these:'),
+    );
+    for (const [key, value] of Object.entries(bmadSettings)) {
+      console.log(chalk.dim(`  • ${key}: ${value}`));
+    }
+    return;
+  }
+  if (merged.content !== existingContent) {
+    await fileManager.ensureDirectory(vscodeDir);
+    await fileManager.writeFile(settingsPath, merged.content);
+  }
+  helpers.reportSharedFile('github-copilot', '.vscode/settings.json', merged.changes);
+  console.log(chalk.dim('You can modify these settings anytime in .vscode/settings.json'));
+}
@@ -0,0 +1,47 @@
+/**
+ * Kilo Code - Roo Code's custom modes, one per agent, in .kilocodemodes,
+ * and a workflow per task and BMad workflow in .kilocode/workflows/ from the output templates in
+ * install.config.yaml
+ */
+
+const path = require('node:path');
+const chalk = require('chalk');
+const fileManager = require('../file-manager');
+const { mergeModes, isStaleMode, removeModes } = require('../ide-shared-files');
+const { collectSources, writeOutputs } = require('../ide-templates');
+const roo = require('./roo');
+
+module.exports = {
+  id: 'kilo',
+
+  async generate(context) {
+    const { installDir, config: ideConfig, helpers } = context;
+
+    const filePath = path.join(installDir, '.kilocodemodes');
+    const existingContent = (await fileManager.pathExists(filePath))
+      ? await fileManager.readFile(filePath)
+      : null;
+    const { content, changes } = mergeModes(
+      existingContent,
+      await roo.buildModes(context),
+      (mode) => isStaleMode(mode, installDir),
+    );
+    if (content !== existingContent) await fileManager.writeFile(filePath, content);
+    helpers.reportSharedFile(this.id, '.kilocodemodes', changes);
+
+    const workflowsDir = path.join(installDir, ideConfig['rule-dir']);
+    const sources = await collectSources(ideConfig.output, { installDir, helpers });
+    await writeOutputs(ideConfig.output, workflowsDir, { installDir, helpers, ...sources });
+    console.log(chalk.green(`✓ Created task and workflow commands in ${workflowsDir}`));
+    console.log(chalk.green(`✓ KiloCode setup complete!`));
+    console.log(chalk.dim('Custom modes will be available when you open this project in KiloCode'));
+
+    return true;
+  },
+
+  remove({ edit, referencesRemoved }) {
+    edit('.kilocodemodes', 'remove BMad modes', (content) =>
+      removeModes(content, referencesRemoved),
+    );
+  },
+};
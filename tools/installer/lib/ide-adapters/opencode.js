@@ -0,0 +1,791 @@
+/**
+ * OpenCode - BMad agents, and commands for its tasks and workflows, merged into
+ * opencode.json(c), plus a marked BMad section in AGENTS.md. Entries the user added themselves
+ * are left alone.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const cjson = require('comment-json');
+const fileManager = require('../file-manager');
+const { getAgentCapabilities } = require('../ide-templates');
+const {
+  mergeJsonEntry,
+  pruneJsonEntries,
+  mergeMarkedSection,
+  queueSectionRemoval,
+} = require('../ide-shared-files');
+
+module.exports = {
+  id: 'opencode',
+  defaultSettings: {
+    opencode: { useAgentPrefix: true, useCommandPrefix: true },
+    selectedPackages: { includeCore: true, packs: [] },
+  },
+
+  async generate({ installDir, selectedAgent, spinner, settings: preConfiguredSettings, helpers }) {
+    // Minimal JSON-only integration per plan:
+    // - If opencode.json or opencode.jsonc exists: only ensure instructions include .bmad-core/core-config.yaml
+    // - If none exists: create minimal opencode.jsonc with $schema and instructions array including that file
+
+    const jsonPath = path.join(installDir, 'opencode.json');
+    const jsoncPath = path.join(installDir, 'opencode.jsonc');
+    const hasJson = await fileManager.pathExists(jsonPath);
+    const hasJsonc = await fileManager.pathExists(jsoncPath);
+
+    // Determine key prefix preferences (with sensible defaults)
+    // Defaults: non-prefixed (agents = "dev", commands = "create-doc")
+    let useAgentPrefix = false;
+    let useCommandPrefix = false;
+
+    // Allow pre-configuration (if passed) to skip prompts
+    const pre = preConfiguredSettings && preConfiguredSettings.opencode;
+    if (pre && typeof pre.useAgentPrefix === 'boolean') useAgentPrefix = pre.useAgentPrefix;
+    if (pre && typeof pre.useCommandPrefix === 'boolean') useCommandPrefix = pre.useCommandPrefix;
+
+    // If no pre-config and in interactive mode, prompt the user
+    if (!pre) {
+      // Pause spinner during prompts if active
+      let spinnerWasActive = false;
+      if (spinner && spinner.isSpinning) {
+        spinner.stop();
+        spinnerWasActive = true;
+      }
+
+      try {
+        const resp = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'useAgentPrefix',
+            message:
+              "Prefix agent keys with 'bmad-'? (Recommended to avoid collisions, e.g., 'bmad-dev')",
+            default: true,
+          },
+          {
+            type: 'confirm',
+            name: 'useCommandPrefix',
+            message:
+              "Prefix command keys with 'bmad:tasks:'? (Recommended, e.g., 'bmad:tasks:create-doc')",
+            default: true,
+          },
+        ]);
+        useAgentPrefix = resp.useAgentPrefix;
+        useCommandPrefix = resp.useCommandPrefix;
+      } catch {
+        // Keep defaults if prompt fails or is not interactive
+      } finally {
+        if (spinner && spinnerWasActive) spinner.start();
+      }
+    }
+
+    const ensureInstructionRef = (obj) => {
+      const preferred = '.bmad-core/core-config.yaml';
+      const alt = './.bmad-core/core-config.yaml';
+      if (!obj.instructions) obj.instructions = [];
+      if (!Array.isArray(obj.instructions)) obj.instructions = [obj.instructions];
+      // Normalize alternative form (with './') to preferred without './'
+      obj.instructions = obj.instructions.map((it) =>
+        typeof it === 'string' && it === alt ? preferred : it,
+      );
+      const hasPreferred = obj.instructions.some(
+        (it) => typeof it === 'string' && it === preferred,
+      );
+      if (!hasPreferred) obj.instructions.push(preferred);
+      return obj;
+    };
+
+    const mergeBmadAgentsAndCommands = async (configObj) => {
+      // Ensure objects exist
+      if (!configObj.agent || typeof configObj.agent !== 'object') configObj.agent = {};
+      if (!configObj.command || typeof configObj.command !== 'object') configObj.command = {};
+      if (!configObj.instructions) configObj.instructions = [];
+      if (!Array.isArray(configObj.instructions)) configObj.instructions = [configObj.instructions];
+
+      // Track the changes, entry by entry
+      const summary = { agents: [], commands: [] };
+
+      // Helper: merge an agent or command, BMAD-managed when it points at the same file, and
+      // leave the user's own entry under the same key alone
+      const mergeEntry = (section, key, definition, rel) => {
+        const field = section === 'agent' ? 'prompt' : 'template';
+        const change = mergeJsonEntry(configObj[section], key, definition, (existing) =>
+          String(existing[field]).includes(rel),
+        );
+        summary[section === 'agent' ? 'agents' : 'commands'].push(change);
+        if (change.change === 'skipped') {
+          const kind = section === 'agent' ? 'agent' : 'command';
+          console.log(
+            chalk.yellow(
+              `⚠︎ Skipped ${kind} key '${key}' (existing entry not BMAD-managed). Tip: enable ${kind} prefixes to avoid collisions.`,
+            ),
+          );
+        }
+      };
+
+      // Determine package scope: previously SELECTED packages in installer UI
+      const selectedPackages = preConfiguredSettings?.selectedPackages || {
+        includeCore: true,
+        packs: [],
+      };
+
+      // Helper: ensure an instruction path is present without './' prefix, de-duplicating './' variants
+      const ensureInstructionPath = (pathNoDot) => {
+        const withDot = `./${pathNoDot}`;
+        // Normalize any existing './' variant to non './'
+        configObj.instructions = configObj.instructions.map((it) =>
+          typeof it === 'string' && it === withDot ? pathNoDot : it,
+        );
+        const has = configObj.instructions.some((it) => typeof it === 'string' && it === pathNoDot);
+        if (!has) configObj.instructions.push(pathNoDot);
+      };
+
+      // Helper: detect orchestrator agents to set as primary mode
+      const isOrchestratorAgent = (agentId) => /(^|-)orchestrator$/i.test(agentId);
+
+      // Helper: the tools an agent's capabilities allow, as OpenCode names them. What they leave
+      // out is also denied as a permission, which holds even where the user enables the tool;
+      // permission is undefined, so an update drops it, when nothing is denied. The model is
+      // the one model-tiers in ide-agent-config.yaml names for the agent's tier, if any.
+      const modelTiers = (await helpers.loadIdeAgentConfig())['model-tiers']?.opencode || {};
+      const getAgentAccess = async (absPath) => {
+        const { capabilities, modelTier } = getAgentCapabilities(
+          await fileManager.readFile(absPath),
+        );
+        const allowed = {
+          edit: capabilities.includes('edit'),
+          bash: capabilities.includes('run-commands'),
+          webfetch: capabilities.includes('web-fetch'),
+        };
+        const denied = Object.keys(allowed).filter((tool) => !allowed[tool]);
+        return {
+          tools: { write: allowed.edit, ...allowed },
+          permission:
+            denied.length > 0
+              ? Object.fromEntries(denied.map((tool) => [tool, 'deny']))
+              : undefined,
+          ...(modelTiers[modelTier] ? { model: modelTiers[modelTier] } : {}),
+        };
+      };
+
+      // Helper: extract whenToUse string from an agent markdown file
+      const extractWhenToUseFromFile = async (absPath) => {
+        try {
+          const raw = await fileManager.readFile(absPath);
+          const yamlMatch = raw.match(/```ya?ml\r?\n([\s\S]*?)```/);
+          const yamlBlock = yamlMatch ? yamlMatch[1].trim() : null;
+          if (!yamlBlock) return null;
+          // Try quoted first, then unquoted
+          const quoted = yamlBlock.match(/whenToUse:\s*"([^"]+)"/i);
+          if (quoted && quoted[1]) return quoted[1].trim();
+          const unquoted = yamlBlock.match(/whenToUse:\s*([^\n\r]+)/i);
+          if (unquoted && unquoted[1]) return unquoted[1].trim();
+        } catch {
+          // ignore
+        }
+        return null;
+      };
+
+      // Helper: extract Purpose string from a task file (YAML fenced block, Markdown heading, or inline 'Purpose:')
+      const extractTaskPurposeFromFile = async (absPath) => {
+        const cleanupAndSummarize = (text) => {
+          if (!text) return null;
+          let t = String(text);
+          // Drop code fences and HTML comments
+          t = t.replaceAll(/```[\s\S]*?```/g, '');
+          t = t.replaceAll(/<!--([\s\S]*?)-->/g, '');
+          // Normalize line endings
+          t = t.replaceAll(/\r\n?/g, '\n');
+          // Take the first non-empty paragraph
+          const paragraphs = t.split(/\n\s*\n/g).map((p) => p.trim());
+          let first = paragraphs.find((p) => p.length > 0) || '';
+          // Remove leading list markers, quotes, and headings remnants
+          first = first.replaceAll(/^\s*[>*-]\s+/gm, '');
+          first = first.replaceAll(/^#{1,6}\s+/gm, '');
+          // Strip simple Markdown formatting
+          first = first.replaceAll(/\*\*([^*]+)\*\*/g, '$1').replaceAll(/\*([^*]+)\*/g, '$1');
+          first = first.replaceAll(/`([^`]+)`/g, '$1');
+          // Collapse whitespace
+          first = first.replaceAll(/\s+/g, ' ').trim();
+          if (!first) return null;
+          // Prefer ending at a sentence boundary if long
+          const maxLen = 320;
+          if (first.length > maxLen) {
+            const boundary = first.slice(0, maxLen + 40).match(/^[\s\S]*?[.!?](\s|$)/);
+            const cut = boundary ? boundary[0] : first.slice(0, maxLen);
+            return cut.trim();
+          }
+          return first;
+        };
+
+        try {
+          const raw = await fileManager.readFile(absPath);
+          // 1) YAML fenced block: look for Purpose fields
+          const yamlMatch = raw.match(/```ya?ml\r?\n([\s\S]*?)```/);
+          const yamlBlock = yamlMatch ? yamlMatch[1].trim() : null;
+          if (yamlBlock) {
+            try {
+              const data = yaml.load(yamlBlock);
+              if (data) {
+                let val = data.Purpose ?? data.purpose;
+                if (!val && data.task && (data.task.Purpose || data.task.purpose)) {
+                  val = data.task.Purpose ?? data.task.purpose;
+                }
+                if (typeof val === 'string') {
+                  const cleaned = cleanupAndSummarize(val);
+                  if (cleaned) return cleaned;
+                }
+              }
+            } catch {
+              // ignore YAML parse errors
+            }
+            // Fallback regex inside YAML block
+            const quoted = yamlBlock.match(/(?:^|\n)\s*(?:Purpose|purpose):\s*"([^"]+)"/);
+            if (quoted && quoted[1]) {
+              const cleaned = cleanupAndSummarize(quoted[1]);
+              if (cleaned) return cleaned;
+            }
+            const unquoted = yamlBlock.match(/(?:^|\n)\s*(?:Purpose|purpose):\s*([^\n\r]+)/);
+            if (unquoted && unquoted[1]) {
+              const cleaned = cleanupAndSummarize(unquoted[1]);
+              if (cleaned) return cleaned;
+            }
+          }
+
+          // 2) Markdown heading section: ## Purpose (any level >= 2)
+          const headingRe = /^(#{2,6})\s*Purpose\s*$/im;
+          const headingMatch = headingRe.exec(raw);
+          if (headingMatch) {
+            const headingLevel = headingMatch[1].length;
+            const sectionStart = headingMatch.index + headingMatch[0].length;
+            const rest = raw.slice(sectionStart);
+            // Next heading of same or higher level ends the section
+            const nextHeadingRe = new RegExp(`^#{1,${headingLevel}}\\s+[^\n]+`, 'im');
+            const nextMatch = nextHeadingRe.exec(rest);
+            const section = nextMatch ? rest.slice(0, nextMatch.index) : rest;
+            const cleaned = cleanupAndSummarize(section);
+            if (cleaned) return cleaned;
+          }
+
+          // 3) Inline single-line fallback: Purpose: ...
+          const inline = raw.match(/(?:^|\n)\s*Purpose\s*:\s*([^\n\r]+)/i);
+          if (inline && inline[1]) {
+            const cleaned = cleanupAndSummarize(inline[1]);
+            if (cleaned) return cleaned;
+          }
+        } catch {
+          // ignore
+        }
+        return null;
+      };
+
+      // Helper: merge a command that launches a workflow, keeping entries the user added
+      const mergeWorkflowCommand = async (key, workflowPath) => {
+        const rel = path.relative(installDir, workflowPath).replaceAll('\\', '/');
+        let definition = {};
+        try {
+          definition = yaml.load(await fs.readFile(workflowPath, 'utf8'))?.workflow || {};
+        } catch {
+          // ignore
+        }
+        const description = String(definition.description || '')
+          .replaceAll(/\s+/g, ' ')
+          .trim();
+        const cmdDef = {
+          template: `Run the BMad workflow below. Work through its sequence one step at a time: take on the persona of the step's agent, create or update the documents the step names, and confirm each result with the user before moving on to the next step.\n\n{file:./${rel}}`,
+          description: description || `Runs the ${definition.name || key} workflow`,
+        };
+        mergeEntry('command', key, cmdDef, rel);
+      };
+
+      // Build core sets
+      const coreAgentIds = new Set();
+      const coreTaskIds = new Set();
+      const coreWorkflowIds = new Set();
+      if (selectedPackages.includeCore) {
+        for (const id of await helpers.getCoreAgentIds(installDir)) coreAgentIds.add(id);
+        for (const id of await helpers.getCoreTaskIds(installDir)) coreTaskIds.add(id);
+        for (const id of await helpers.getCoreWorkflowIds(installDir)) coreWorkflowIds.add(id);
+      }
+
+      // Build packs info: { packId, packPath, packKey, agents:Set, tasks:Set, workflows:Set }
+      const packsInfo = [];
+      if (Array.isArray(selectedPackages.packs)) {
+        for (const packId of selectedPackages.packs) {
+          const dotPackPath = path.join(installDir, `.${packId}`);
+          const altPackPath = path.join(installDir, 'expansion-packs', packId);
+          const packPath = (await fileManager.pathExists(dotPackPath))
+            ? dotPackPath
+            : (await fileManager.pathExists(altPackPath))
+              ? altPackPath
+              : null;
+          if (!packPath) continue;
+
+          // Ensure pack config.yaml is added to instructions (relative path, no './')
+          const packConfigAbs = path.join(packPath, 'config.yaml');
+          if (await fileManager.pathExists(packConfigAbs)) {
+            const relCfg = path.relative(installDir, packConfigAbs).replaceAll('\\', '/');
+            ensureInstructionPath(relCfg);
+          }
+
+          const packKey = packId.replace(/^bmad-/, '').replaceAll('/', '-');
+          const info = {
+            packId,
+            packPath,
+            packKey,
+            agents: new Set(),
+            tasks: new Set(),
+            workflows: new Set(await helpers.getExpansionPackWorkflows(packPath)),
+          };
+
+          const glob = require('glob');
+          const agentsDir = path.join(packPath, 'agents');
+          if (await fileManager.pathExists(agentsDir)) {
+            const files = glob.sync('*.md', { cwd: agentsDir });
+            for (const f of files) info.agents.add(path.basename(f, '.md'));
+          }
+          const tasksDir = path.join(packPath, 'tasks');
+          if (await fileManager.pathExists(tasksDir)) {
+            const files = glob.sync('*.md', { cwd: tasksDir });
+            for (const f of files) info.tasks.add(path.basename(f, '.md'));
+          }
+          packsInfo.push(info);
+        }
+      }
+
+      // Generate agents - core first (respect optional agent prefix)
+      for (const agentId of coreAgentIds) {
+        const p = await helpers.findAgentPath(agentId, installDir); // prefers core
+        if (!p) continue;
+        const rel = path.relative(installDir, p).replaceAll('\\', '/');
+        const fileRef = `{file:./${rel}}`;
+        const baseKey = agentId;
+        const key = useAgentPrefix
+          ? baseKey.startsWith('bmad-')
+            ? baseKey
+            : `bmad-${baseKey}`
+          : baseKey;
+        const whenToUse = await extractWhenToUseFromFile(p);
+        const agentDef = {
+          prompt: fileRef,
+          mode: isOrchestratorAgent(agentId) ? 'primary' : 'all',
+          ...(await getAgentAccess(p)),
+          ...(whenToUse ? { description: whenToUse } : {}),
+        };
+        mergeEntry('agent', key, agentDef, rel);
+      }
+
+      // Generate agents - expansion packs (forced pack-specific prefix)
+      for (const pack of packsInfo) {
+        for (const agentId of pack.agents) {
+          const p = path.join(pack.packPath, 'agents', `${agentId}.md`);
+          if (!(await fileManager.pathExists(p))) continue;
+          const rel = path.relative(installDir, p).replaceAll('\\', '/');
+          const fileRef = `{file:./${rel}}`;
+          const prefixedKey = `bmad-${pack.packKey}-${agentId}`;
+          const whenToUse = await extractWhenToUseFromFile(p);
+          const agentDef = {
+            prompt: fileRef,
+            mode: isOrchestratorAgent(agentId) ? 'primary' : 'all',
+            ...(await getAgentAccess(p)),
+            ...(whenToUse ? { description: whenToUse } : {}),
+          };
+          mergeEntry('agent', prefixedKey, agentDef, rel);
+        }
+      }
+
+      // Generate commands - core first (respect optional command prefix)
+      for (const taskId of coreTaskIds) {
+        const p = await helpers.findTaskPath(taskId, installDir); // prefers core/common
+        if (!p) continue;
+        const rel = path.relative(installDir, p).replaceAll('\\', '/');
+        const fileRef = `{file:./${rel}}`;
+        const key = useCommandPrefix ? `bmad:tasks:${taskId}` : `${taskId}`;
+        const purpose = await extractTaskPurposeFromFile(p);
+        const cmdDef = { template: fileRef, ...(purpose ? { description: purpose } : {}) };
+        mergeEntry('command', key, cmdDef, rel);
+      }
+
+      // Generate commands - expansion packs (forced pack-specific prefix)
+      for (const pack of packsInfo) {
+        for (const taskId of pack.tasks) {
+          const p = path.join(pack.packPath, 'tasks', `${taskId}.md`);
+          if (!(await fileManager.pathExists(p))) continue;
+          const rel = path.relative(installDir, p).replaceAll('\\', '/');
+          const fileRef = `{file:./${rel}}`;
+          const prefixedKey = `bmad:${pack.packKey}:${taskId}`;
+          const purpose = await extractTaskPurposeFromFile(p);
+          const cmdDef = { template: fileRef, ...(purpose ? { description: purpose } : {}) };
+          mergeEntry('command', prefixedKey, cmdDef, rel);
+        }
+      }
+
+      // Generate workflow commands - core ones respect the command prefix, packs' are prefixed
+      for (const workflowId of coreWorkflowIds) {
+        const p = await helpers.findWorkflowPath(workflowId, installDir);
+        if (!p) continue;
+        await mergeWorkflowCommand(
+          useCommandPrefix ? `bmad:workflows:${workflowId}` : workflowId,
+          p,
+        );
+      }
+      for (const pack of packsInfo) {
+        for (const workflowId of pack.workflows) {
+          const p = path.join(pack.packPath, 'workflows', `${workflowId}.yaml`);
+          await mergeWorkflowCommand(`bmad:${pack.packKey}:workflows:${workflowId}`, p);
+        }
+      }
+
+      // Drop BMAD entries whose files are no longer installed
+      summary.agents.push(
+        ...pruneJsonEntries(configObj.agent, (entry) => isStaleEntry(entry.prompt)),
+      );
+      summary.commands.push(
+        ...pruneJsonEntries(configObj.command, (entry) => isStaleEntry(entry.template)),
+      );
+
+      return { configObj, summary };
+    };
+
+    // An entry pointing at a BMAD package file that is gone, such as an agent a pack dropped
+    const isStaleEntry = (reference) => {
+      const rel = String(reference).match(
+        /\{file:\.\/(\.bmad-[^/}]+\/(?:agents|tasks|workflows)\/[^}]+)\}/,
+      )?.[1];
+      return Boolean(rel) && !fs.existsSync(path.join(installDir, rel));
+    };
+
+    // Helper: generate AGENTS.md section for OpenCode (acts as system prompt memory)
+    const generateOpenCodeAgentsMd = async () => {
+      try {
+        const filePath = path.join(installDir, 'AGENTS.md');
+
+        const agents = selectedAgent ? [selectedAgent] : await helpers.getAllAgentIds(installDir);
+        const tasks = await helpers.getAllTaskIds(installDir);
+        const workflows = await helpers.getAllWorkflowIds(installDir);
+
+        let section = '';
+        section += `# BMAD-METHOD Agents and Tasks (OpenCode)\n\n`;
+        section += `OpenCode reads AGENTS.md during initialization and uses it as part of its system prompt for the session. This section is auto-generated by BMAD-METHOD for OpenCode.\n\n`;
+        section += `## How To Use With OpenCode\n\n`;
+        section += `- Run \`opencode\` in this project. OpenCode will read \`AGENTS.md\` and your OpenCode config (opencode.json[c]).\n`;
+        section += `- Reference a role naturally, e.g., "As dev, implement ..." or use commands defined in your BMAD tasks.\n`;
+        section += `- Commit \`.bmad-core\` and \`AGENTS.md\` if you want teammates to share the same configuration.\n`;
+        section += `- Refresh this section after BMAD updates: \`npx be-calm install -f -i opencode\`.\n\n`;
+
+        section += `### Helpful Commands\n\n`;
+        section += `- List agents: \`npx be-calm list:agents\`\n`;
+        section += `- Reinstall BMAD core and regenerate this section: \`npx be-calm install -f -i opencode\`\n`;
+        section += `- Validate configuration: \`npx be-calm validate\`\n\n`;
+
+        // Brief context note for modes and tools
+        section += `Note\n`;
+        section += `- Orchestrators run as mode: primary; other agents as all.\n`;
+        section += `- Agents get the tools their capabilities allow; read-only agents such as qa cannot edit files.\n\n`;
+
+        section += `## Agents\n\n`;
+        section += `### Directory\n\n`;
+        section += `| Title | ID | When To Use |\n|---|---|---|\n`;
+
+        // Fallback descriptions for core agents (used if whenToUse is missing)
+        const fallbackDescriptions = {
+          'ux-expert':
+            'Use for UI/UX design, wireframes, prototypes, front-end specs, and user experience optimization',
+          sm: 'Use for story creation, epic management, retrospectives in party-mode, and agile process guidance',
+          qa: 'Ensure quality strategy, test design, risk profiling, and QA gates across features',
+          po: 'Backlog management, story refinement, acceptance criteria, sprint planning, prioritization decisions',
+          pm: 'PRDs, product strategy, feature prioritization, roadmap planning, and stakeholder communication',
+          dev: 'Code implementation, debugging, refactoring, and development best practices',
+          'bmad-orchestrator':
+            'Workflow coordination, multi-agent tasks, role switching guidance, and when unsure which specialist to consult',
+          'bmad-master':
+            'Comprehensive cross-domain execution for tasks that do not require a specific persona',
+          architect:
+            'System design, architecture docs, technology selection, API design, and infrastructure planning',
+          analyst:
+            'Discovery/research, competitive analysis, project briefs, initial discovery, and brownfield documentation',
+        };
+
+        const sanitizeDesc = (s) => {
+          if (!s) return '';
+          let t = String(s).trim();
+          // Drop surrounding single/double/backtick quotes
+          t = t.replaceAll(/^['"`]+|['"`]+$/g, '');
+          // Collapse whitespace
+          t = t.replaceAll(/\s+/g, ' ').trim();
+          return t;
+        };
+        const agentSummaries = [];
+        for (const agentId of agents) {
+          const agentPath = await helpers.findAgentPath(agentId, installDir);
+          if (!agentPath) continue;
+          let whenToUse = '';
+          try {
+            const raw = await fileManager.readFile(agentPath);
+            const yamlMatch = raw.match(/```ya?ml\r?\n([\s\S]*?)```/);
+            const yamlBlock = yamlMatch ? yamlMatch[1].trim() : null;
+            if (yamlBlock) {
+              try {
+                const data = yaml.load(yamlBlock);
+                if (data && typeof data.whenToUse === 'string') {
+                  whenToUse = data.whenToUse;
+                }
+              } catch {
+                // ignore YAML parse errors
+              }
+              if (!whenToUse) {
+                // Fallback regex supporting single or double quotes
+                const m1 = yamlBlock.match(/whenToUse:\s*"([^\n"]+)"/i);
+                const m2 = yamlBlock.match(/whenToUse:\s*'([^\n']+)'/i);
+                const m3 = yamlBlock.match(/whenToUse:\s*([^\n\r]+)/i);
+                whenToUse = (m1?.[1] || m2?.[1] || m3?.[1] || '').trim();
+              }
+            }
+          } catch {
+            // ignore read/parse errors for agent metadata extraction
+          }
+          const title = await helpers.getAgentTitle(agentId, installDir);
+          const finalDesc = sanitizeDesc(whenToUse) || fallbackDescriptions[agentId] || '—';
+          agentSummaries.push({ agentId, title, whenToUse: finalDesc, path: agentPath });
+          // Strict 3-column row
+          section += `| ${title} | ${agentId} | ${finalDesc} |\n`;
+        }
+        section += `\n`;
+
+        for (const { agentId, title, whenToUse, path: agentPath } of agentSummaries) {
+          const relativePath = path.relative(installDir, agentPath).replaceAll('\\', '/');
+          section += `### ${title} (id: ${agentId})\n`;
+          section += `Source: [${relativePath}](${relativePath})\n\n`;
+          if (whenToUse) section += `- When to use: ${whenToUse}\n`;
+          section += `- How to activate: Mention "As ${agentId}, ..." to get role-aligned behavior\n`;
+          section += `- Full definition: open the source file above (content not embedded)\n\n`;
+        }
+
+        if (tasks && tasks.length > 0) {
+          section += `## Tasks\n\n`;
+          section += `These are reusable task briefs; use the paths to open them as needed.\n\n`;
+          for (const taskId of tasks) {
+            const taskPath = await helpers.findTaskPath(taskId, installDir);
+            if (!taskPath) continue;
+            const relativePath = path.relative(installDir, taskPath).replaceAll('\\', '/');
+            section += `### Task: ${taskId}\n`;
+            section += `Source: [${relativePath}](${relativePath})\n`;
+            section += `- How to use: Reference the task in your prompt or execute via your configured commands.\n`;
+            section += `- Full brief: open the source file above (content not embedded)\n\n`;
+          }
+        }
+
+        if (workflows.length > 0) {
+          section += `## Workflows\n\n`;
+          section += `These are multi-step plans that hand each step to an agent; run them through your configured commands.\n\n`;
+          for (const workflowId of workflows) {
+            const workflowPath = await helpers.findWorkflowPath(workflowId, installDir);
+            if (!workflowPath) continue;
+            const relativePath = path.relative(installDir, workflowPath).replaceAll('\\', '/');
+            section += `### Workflow: ${workflowId}\n`;
+            section += `Source: [${relativePath}](${relativePath})\n`;
+            section += `- How to use: Run its command, or ask to run the workflow and work through its sequence step by step.\n\n`;
+          }
+        }
+
+        const existing = (await fileManager.pathExists(filePath))
+          ? await fileManager.readFile(filePath)
+          : null;
+        const { content, changes } = mergeMarkedSection(
+          existing,
+          'BMAD-AGENTS-OPENCODE',
+          section,
+          '# Project Agents\n\nThis file provides guidance and memory for your coding CLI.\n\n',
+        );
+        if (content !== existing) await fileManager.writeFile(filePath, content);
+        helpers.reportSharedFile('opencode', 'AGENTS.md', changes);
+        console.log(
+          chalk.dim(
+            'OpenCode reads AGENTS.md automatically on init. Run `opencode` in this project to use BMAD agents.',
+          ),
+        );
+      } catch {
+        console.log(chalk.yellow('⚠︎ Skipped creating AGENTS.md for OpenCode (write failed)'));
+      }
+    };
+
+    if (hasJson || hasJsonc) {
+      // Preserve existing top-level fields; only touch instructions
+      const targetPath = hasJsonc ? jsoncPath : jsonPath;
+      try {
+        const raw = await fs.readFile(targetPath, 'utf8');
+        // Use comment-json for both .json and .jsonc for resilience
+        // Comments are kept, so the user's notes survive the rewrite
+        const parsed = cjson.parse(raw, undefined, false);
+        ensureInstructionRef(parsed);
+        const { summary } = await mergeBmadAgentsAndCommands(parsed);
+        const output = cjson.stringify(parsed, null, 2);
+        const content = output + (output.endsWith('\n') ? '' : '\n');
+        if (content !== raw) await fs.writeFile(targetPath, content);
+        helpers.openCodeSummary = describeOpenCodeMerge(path.basename(targetPath), false, summary);
+        helpers.reportSharedFile('opencode', path.basename(targetPath), [
+          ...summary.agents,
+          ...summary.commands,
+        ]);
+        // Ensure AGENTS.md is created/updated for OpenCode as well
+        await generateOpenCodeAgentsMd();
+      } catch (error) {
+        console.log(chalk.red('✗ Failed to update existing OpenCode config'), error.message);
+        return false;
+      }
+      return true;
+    }
+
+    // Create minimal opencode.jsonc
+    const minimal = {
+      $schema: 'https://opencode.ai/config.json',
+      instructions: ['.bmad-core/core-config.yaml'],
+      agent: {},
+      command: {},
+    };
+    try {
+      const { summary } = await mergeBmadAgentsAndCommands(minimal);
+      const output = cjson.stringify(minimal, null, 2);
+      await fs.writeFile(jsoncPath, output + (output.endsWith('\n') ? '' : '\n'));
+      helpers.openCodeSummary = describeOpenCodeMerge('opencode.jsonc', true, summary);
+      console.log(
+        chalk.green('✓ Created opencode.jsonc with BMAD instructions, agents, and commands'),
+      );
+      helpers.reportSharedFile('opencode', 'opencode.jsonc', [
+        ...summary.agents,
+        ...summary.commands,
+      ]);
+      // Also create/update AGENTS.md for OpenCode on new-config path
+      await generateOpenCodeAgentsMd();
+      return true;
+    } catch (error) {
+      console.log(chalk.red('✗ Failed to create opencode.jsonc'), error.message);
+      return false;
+    }
+  },
+
+  async update(context) {
+    // Keep the key prefixes the installed entries use, and the packages they came from
+    const { installDir, helpers } = context;
+    const opencode = { useAgentPrefix: true, useCommandPrefix: true };
+    const config = await readOpenCodeConfig(installDir);
+    if (config) {
+      const coreKeys = (section, field, folder) =>
+        Object.entries(config[section] || {})
+          .filter(([, entry]) => String(entry?.[field]).includes(`.bmad-core/${folder}`))
+          .map(([key]) => key);
+      const agentKeys = coreKeys('agent', 'prompt', 'agents/');
+      const commandKeys = coreKeys('command', 'template', 'tasks/');
+      if (agentKeys.length > 0) {
+        opencode.useAgentPrefix = agentKeys.every((key) => key.startsWith('bmad-'));
+      }
+      if (commandKeys.length > 0) {
+        opencode.useCommandPrefix = commandKeys.every((key) => key.startsWith('bmad:tasks:'));
+      }
+    }
+    const selectedPackages = {
+      includeCore: await fileManager.pathExists(path.join(installDir, '.bmad-core')),
+      packs: (await helpers.getInstalledExpansionPacks(installDir)).map((pack) => pack.name),
+    };
+    return this.generate({ ...context, settings: { opencode, selectedPackages } });
+  },
+
+  // The commands are whatever opencode.json(c) holds for BMad's tasks and workflows
+  async listCommands(installDir) {
+    const commands = Object.entries((await readOpenCodeConfig(installDir))?.command || {});
+    return ['tasks', 'workflows']
+      .map((kind) => ({
+        kind,
+        usage: '/<id>',
+        ids: commands
+          .filter(([, entry]) =>
+            new RegExp(String.raw`\{file:\./\.[^/}]+/${kind}/`).test(String(entry?.template)),
+          )
+          .map(([key]) => key),
+      }))
+      .filter((commands) => commands.ids.length > 0);
+  },
+
+  remove(context) {
+    queueSectionRemoval(context, 'AGENTS.md', 'BMAD-AGENTS-OPENCODE');
+    for (const file of ['opencode.jsonc', 'opencode.json']) {
+      context.edit(file, 'remove BMad agents, commands and instructions', (content) =>
+        removeOpenCodeEntries(content, context.referencesRemoved),
+      );
+    }
+  },
+};
+
+// The project's opencode.jsonc or opencode.json, null when it has none or it does not parse
+async function readOpenCodeConfig(installDir) {
+  for (const file of ['opencode.jsonc', 'opencode.json']) {
+    const filePath = path.join(installDir, file);
+    if (!(await fileManager.pathExists(filePath))) continue;
+    try {
+      return cjson.parse(await fs.readFile(filePath, 'utf8'), undefined, true);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function describeOpenCodeMerge(file, created, summary) {
+  const count = (changes) => {
+    const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0, removed: 0 };
+    for (const { change } of changes) counts[change === 'added' ? 'created' : change]++;
+    return counts;
+  };
+  return { file, created, agents: count(summary.agents), commands: count(summary.commands) };
+}
+
+/**
+ * Remove agents, commands and instructions pointing into removed packages, keeping the
+ * user's own entries and comments
+ */
+function removeOpenCodeEntries(content, referencesRemoved) {
+  let config;
+  try {
+    config = cjson.parse(content, undefined, false);
+  } catch {
+    return content;
+  }
+
+  let changed = false;
+  for (const [section, field] of [
+    ['agent', 'prompt'],
+    ['command', 'template'],
+  ]) {
+    if (!config[section] || typeof config[section] !== 'object') continue;
+    for (const [key, entry] of Object.entries(config[section])) {
+      if (entry && referencesRemoved(entry[field])) {
+        delete config[section][key];
+        changed = true;
+      }
+    }
+  }
+  if (Array.isArray(config.instructions)) {
+    for (let index = config.instructions.length - 1; index >= 0; index--) {
+      const instruction = String(config.instructions[index]).replace(/^\.\//, '');
+      if (referencesRemoved(instruction)) {
+        config.instructions.splice(index, 1);
+        changed = true;
+      }
+    }
+  }
+  if (!changed) return content;
+
+  // A config holding nothing but what the installer created goes entirely
+  const leftover = Object.keys(config).filter((key) => {
+    const value = config[key];
+    if (key === '$schema') return false;
+    if (!value || typeof value !== 'object') return true;
+    return Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0;
+  });
+  if (leftover.length === 0) return null;
+
+  const output = cjson.stringify(config, null, 2);
+  return output.endsWith('\n') ? output : `${output}\n`;
+}
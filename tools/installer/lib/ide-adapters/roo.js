@@ -0,0 +1,111 @@
+/**
+ * Roo Code - A custom mode per agent in .roomodes, whose tool groups follow the agent's
+ * capabilities and whose edits are narrowed by ide-agent-config.yaml's roo-permissions, and a slash command per task and workflow in
+ * .roo/commands/ from the output templates in install.config.yaml
+ */
+
+const path = require('node:path');
+const chalk = require('chalk');
+const fileManager = require('../file-manager');
+const { mergeModes, isStaleMode, removeModes } = require('../ide-shared-files');
+const { collectSources, writeOutputs, getAgentCapabilities } = require('../ide-templates');
+
+module.exports = {
+  id: 'roo',
+
+  async generate(context) {
+    const { installDir, config: ideConfig, helpers } = context;
+
+    // BMad's modes are replaced in place and the user's own left as they are
+    const roomodesPath = path.join(installDir, '.roomodes');
+    const existingContent = (await fileManager.pathExists(roomodesPath))
+      ? await fileManager.readFile(roomodesPath)
+      : null;
+    const { content, changes } = mergeModes(
+      existingContent,
+      await this.buildModes(context),
+      (mode) => isStaleMode(mode, installDir),
+    );
+    if (content !== existingContent) await fileManager.writeFile(roomodesPath, content);
+    helpers.reportSharedFile(this.id, '.roomodes', changes);
+
+    const commandsDir = path.join(installDir, ideConfig['rule-dir']);
+    const sources = await collectSources(ideConfig.output, { installDir, helpers });
+    await writeOutputs(ideConfig.output, commandsDir, { installDir, helpers, ...sources });
+    console.log(chalk.green(`✓ Created task and workflow commands in ${commandsDir}`));
+
+    console.log(chalk.green(`\n✓ Roo Code setup complete!`));
+    console.log(chalk.dim('Custom modes will be available when you open this project in Roo Code'));
+
+    return true;
+  },
+
+  /**
+   * A custom mode per agent, also used by Kilo Code, which understands the same mode schema
+   * @returns {Promise<Object[]>} Modes as .roomodes lists them
+   */
+  async buildModes({ installDir, selectedAgent, helpers }) {
+    const agents = selectedAgent ? [selectedAgent] : await helpers.getAllAgentIds(installDir);
+
+    // Load dynamic agent permissions from configuration
+    const config = await helpers.loadIdeAgentConfig();
+    const agentPermissions = config['roo-permissions'] || {};
+
+    const modes = [];
+    for (const agentId of agents) {
+      const agentPath = await helpers.findAgentPath(agentId, installDir);
+      if (!agentPath) {
+        console.log(chalk.red(`✗ Could not find agent file for ${agentId}`));
+        continue;
+      }
+
+      const agentContent = await fileManager.readFile(agentPath);
+      const yamlMatch = agentContent.match(/```ya?ml\r?\n([\s\S]*?)```/);
+      if (!yamlMatch) {
+        console.log(chalk.red(`✗ Could not extract YAML block for ${agentId}`));
+        continue;
+      }
+      const yaml = yamlMatch[1];
+
+      const title =
+        yaml.match(/title:\s*(.+)/)?.[1]?.trim() ||
+        (await helpers.getAgentTitle(agentId, installDir));
+      const icon = yaml.match(/icon:\s*(.+)/)?.[1]?.trim() || '🤖';
+      const whenToUse = yaml.match(/whenToUse:\s*"(.+)"/)?.[1]?.trim() || `Use for ${title} tasks`;
+      const roleDefinition =
+        yaml.match(/roleDefinition:\s*"(.+)"/)?.[1]?.trim() ||
+        `You are a ${title} specializing in ${title.toLowerCase()} tasks and responsibilities.`;
+      const relativePath = path.relative(installDir, agentPath).replaceAll('\\', '/');
+      const { capabilities } = getAgentCapabilities(agentContent);
+      const permissions = capabilities.includes('edit') ? agentPermissions[agentId] : null;
+
+      // Roo fetches web pages with its browser
+      const groups = ['read'];
+      if (capabilities.includes('edit')) {
+        groups.push(
+          permissions
+            ? ['edit', { fileRegex: permissions.fileRegex, description: permissions.description }]
+            : 'edit',
+        );
+      }
+      if (capabilities.includes('run-commands')) groups.push('command');
+      if (capabilities.includes('web-fetch')) groups.push('browser');
+
+      // Avoid double "bmad-" prefix for agents that already have it
+      modes.push({
+        slug: agentId.startsWith('bmad-') ? agentId : `bmad-${agentId}`,
+        name: `${icon} ${title}`,
+        ...(permissions && { description: permissions.description }),
+        roleDefinition,
+        whenToUse,
+        customInstructions: `CRITICAL Read the full YAML from ${relativePath} start activation to alter your state of being follow startup section instructions stay in this being until told to exit this mode`,
+        groups,
+      });
+    }
+    return modes;
+  },
+
+  remove({ edit, referencesRemoved }) {
+    edit('.roomodes', 'remove BMad modes', (content) => removeModes(content, referencesRemoved));
+  },
+};
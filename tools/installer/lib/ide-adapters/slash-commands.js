@@ -0,0 +1,131 @@
+/**
+ * Claude Code, iFlow CLI and Crush - A command per agent, task and workflow, in a folder per
+ * package named after its slash prefix: <tool dir>/commands/<prefix>/agents|tasks|workflows/
+ * <id>.md. The commands are the output templates in install.config.yaml.
+ */
+
+const path = require('node:path');
+const chalk = require('chalk');
+const fileManager = require('../file-manager');
+const { describeCommands, writeOutputs } = require('../ide-templates');
+
+const FIND_PATH = {
+  agents: 'findAgentPath',
+  tasks: 'findTaskPath',
+  workflows: 'findWorkflowPath',
+};
+
+function createSlashCommandAdapter(id, toolDir, label) {
+  return {
+    id,
+    prefixFolders: true,
+
+    async generate({ installDir, selectedAgent, config, helpers }) {
+      // Setup bmad-core commands
+      const coreSlashPrefix = await helpers.getCoreSlashPrefix(installDir);
+      const coreAgents = selectedAgent
+        ? [selectedAgent]
+        : await helpers.getCoreAgentIds(installDir);
+      const coreTasks = await helpers.getCoreTaskIds(installDir);
+      const coreWorkflows = await helpers.getCoreWorkflowIds(installDir);
+      await setupForPackage(helpers, installDir, {
+        commandsDir: path.join(installDir, toolDir, 'commands', coreSlashPrefix),
+        config,
+        label,
+        packageName: 'core',
+        agentIds: coreAgents,
+        taskIds: coreTasks,
+        workflowIds: coreWorkflows,
+        rootPath: '.bmad-core',
+      });
+
+      // Setup expansion pack commands
+      const expansionPacks = await helpers.getInstalledExpansionPacks(installDir);
+      for (const packInfo of expansionPacks) {
+        const packSlashPrefix = await helpers.getExpansionPackSlashPrefix(packInfo.path);
+        const packAgents = await helpers.getExpansionPackAgents(packInfo.path);
+        const packTasks = await helpers.getExpansionPackTasks(packInfo.path);
+        const packWorkflows = await helpers.getExpansionPackWorkflows(packInfo.path);
+
+        if (packAgents.length > 0 || packTasks.length > 0 || packWorkflows.length > 0) {
+          // Use the actual directory name where the expansion pack is installed
+          await setupForPackage(helpers, installDir, {
+            commandsDir: path.join(installDir, toolDir, 'commands', packSlashPrefix),
+            config,
+            label,
+            packageName: packInfo.name,
+            agentIds: packAgents,
+            taskIds: packTasks,
+            workflowIds: packWorkflows,
+            rootPath: path.relative(installDir, packInfo.path),
+          });
+        }
+      }
+
+      return true;
+    },
+
+    // Each package's commands are under its own slash prefix
+    async listCommands(installDir, helpers) {
+      const packages = [
+        {
+          prefix: await helpers.getCoreSlashPrefix(installDir),
+          tasks: await helpers.getCoreTaskIds(installDir),
+          workflows: await helpers.getCoreWorkflowIds(installDir),
+        },
+      ];
+      for (const packInfo of await helpers.getInstalledExpansionPacks(installDir)) {
+        packages.push({
+          prefix: await helpers.getExpansionPackSlashPrefix(packInfo.path),
+          tasks: await helpers.getExpansionPackTasks(packInfo.path),
+          workflows: await helpers.getExpansionPackWorkflows(packInfo.path),
+        });
+      }
+      return packages.flatMap((ids) => describeCommands(this.config.output, ids));
+    },
+  };
+}
+
+async function setupForPackage(helpers, installDir, options) {
+  const { commandsDir, config, label, packageName, rootPath } = options;
+  const ids = { agents: options.agentIds, tasks: options.taskIds, workflows: options.workflowIds };
+
+  // Find each file - for expansion packs, prefer the expansion pack version and fall back to core
+  const findSource = async (kind, id) => {
+    if (packageName !== 'core') {
+      const extension = kind === 'workflows' ? '.yaml' : '.md';
+      const expansionPackPath = path.join(installDir, rootPath, kind, `${id}${extension}`);
+      if (await fileManager.pathExists(expansionPackPath)) return expansionPackPath;
+    }
+    return helpers[FIND_PATH[kind]](id, installDir);
+  };
+  const sources = {};
+  for (const [kind, kindIds] of Object.entries(ids)) {
+    sources[kind] = [];
+    for (const id of kindIds || []) {
+      const sourcePath = await findSource(kind, id);
+      if (sourcePath) sources[kind].push({ id, path: sourcePath });
+    }
+  }
+
+  // {root} becomes the root path of this package
+  await writeOutputs(config.output, commandsDir, {
+    installDir,
+    helpers,
+    ...sources,
+    root: rootPath,
+  });
+
+  console.log(chalk.green(`\n✓ Created ${label} commands for ${packageName} in ${commandsDir}`));
+  console.log(chalk.dim(`  - Agents in: ${path.join(commandsDir, 'agents')}`));
+  console.log(chalk.dim(`  - Tasks in: ${path.join(commandsDir, 'tasks')}`));
+  if (sources.workflows.length > 0) {
+    console.log(chalk.dim(`  - Workflows in: ${path.join(commandsDir, 'workflows')}`));
+  }
+}
+
+module.exports = [
+  createSlashCommandAdapter('claude-code', '.claude', 'Claude Code'),
+  createSlashCommandAdapter('iflow-cli', '.iflow', 'iFlow CLI'),
+  createSlashCommandAdapter('crush', '.crush', 'Crush'),
+];
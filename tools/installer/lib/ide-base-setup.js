@@ -176,46 +176,6 @@ class BaseIdeSetup {
     return agentFiles.map((file) => path.basename(file, '.md'));
   }
 
-  /**
-   * Create agent rule content (shared logic)
-   */
-  async createAgentRuleContent(agentId, agentPath, installDir, format = 'mdc') {
-    const agentContent = await fileManager.readFile(agentPath);
-    const agentTitle = await this.getAgentTitle(agentId, installDir);
-    const yamlContent = extractYamlFromAgent(agentContent);
-
-    let content = '';
-
-    if (format === 'mdc') {
-      // MDC format for Cursor
-      content = '---\n';
-      content += 'description: \n';
-      content += 'globs: []\n';
-      content += 'alwaysApply: false\n';
-      content += '---\n\n';
-      content += `# ${agentId.toUpperCase()} Agent Rule\n\n`;
-      content += `This rule is triggered when the user types \`@${agentId}\` and activates the ${agentTitle} agent persona.\n\n`;
-      content += '## Agent Activation\n\n';
-      content +=
-        'CRITICAL: Read the full YAML, start activation to alter your state of being, follow startup section instructions, stay in this being until told to exit this mode:\n\n';
-      content += '```yaml\n';
-      content += yamlContent || agentContent.replace(/^#.*$/m, '').trim();
-      content += '\n```\n\n';
-      content += '## File Reference\n\n';
-      const relativePath = path.relative(installDir, agentPath).replaceAll('\\', '/');
-      content += `The complete agent definition is available in [${relativePath}](mdc:${relativePath}).\n\n`;
-      content += '## Usage\n\n';
-      content += `When the user types \`@${agentId}\`, activate this ${agentTitle} persona and follow all instructions defined in the YAML configuration above.\n`;
-    } else if (format === 'claude') {
-      // Claude Code format
-      content = `# /${agentId} Command\n\n`;
-      content += `When this command is used, adopt the following agent persona:\n\n`;
-      content += agentContent;
-    }
-
-    return content;
-  }
-
   /**
    * Clear all caches
    */
@@ -0,0 +1,263 @@
+/**
+ * IDE Registry - Finds the adapters that set BMad up for each IDE
+ *
+ * An adapter is a module exporting one adapter object, or an array of them:
+ *   id                   - Name used by --ide, install files and manifests (required)
+ *   name                 - Shown in prompts and summaries
+ *   config               - Files the IDE uses, shaped like an ide-configurations entry of
+ *                          install.config.yaml; adapters for IDEs listed there get that entry
+ *   prefixFolders        - Commands are kept in a folder per package, named after its slash prefix
+ *   defaultSettings      - Settings for runs where nobody can be asked (see `bmad ide:check`)
+ *   generate(context)    - Write the IDE files (required)
+ *   update(context)      - Write them again without prompting, keeping the install-time choices
+ *   remove(context)      - Queue the edits that take BMad out of files shared with the user
+ *   detect(installDir)   - Whether the project already uses the IDE
+ *   describe(installDir) - {id, name, source, targets, layout, instructions}
+ *   listCommands(installDir, helpers) - [{kind, usage, ids}], how to run the tasks and
+ *                          workflows set up for the IDE, shown after installing
+ *
+ * generate and update get {installDir, selectedAgent, spinner, settings, config, helpers}, where
+ * helpers is the IdeSetup instance with its agent and task lookups. remove gets {installDir,
+ * packages, allPackages, referencesRemoved, edit, note} from the uninstaller. The other methods
+ * default to what the adapter's config describes.
+ *
+ * IDEs whose files are plain templates need no module: an install.config.yaml entry with an
+ * output section (see ide-templates.js) is an adapter, and so is a .yaml file holding the id and
+ * such an entry.
+ *
+ * Adapters come from this package (install.config.yaml and ide-adapters/), from expansion packs
+ * (ide-adapters/ in the pack, copied to .<pack>/ide-adapters/ when installed) and from the
+ * project (.bmad/ide-adapters/); a later one replaces an earlier one with the same id.
+ */
+
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const glob = require('glob');
+const yaml = require('js-yaml');
+const configLoader = require('./config-loader');
+const resourceLocator = require('./resource-locator');
+const { createTemplateAdapter, describeCommands } = require('./ide-templates');
+
+const ADAPTER_DIR = 'ide-adapters';
+const LOCAL_ADAPTER_DIR = path.join('.bmad', ADAPTER_DIR);
+
+const defaults = {
+  async detect(installDir) {
+    for (const target of getProjectTargets(this.config)) {
+      if (await fs.pathExists(path.join(installDir, target.split('/')[0]))) return true;
+    }
+    return false;
+  },
+
+  async describe(installDir) {
+    return {
+      id: this.id,
+      name: this.name,
+      source: this.source,
+      targets: getTargets(this.config, installDir),
+      layout: getLayout(this, installDir),
+      instructions: this.config.instructions || null,
+    };
+  },
+
+  async listCommands(installDir, helpers) {
+    if (!this.config.output) return [];
+    return describeCommands(this.config.output, {
+      prefix: await helpers.getCoreSlashPrefix(installDir),
+      tasks: await helpers.getAllTaskIds(installDir),
+      workflows: await helpers.getAllWorkflowIds(installDir),
+    });
+  },
+
+  update(context) {
+    return this.generate(context);
+  },
+
+  async remove() {
+    // Per-agent and per-task files are removed from the rule layout; nothing else is shared
+  },
+};
+
+class IdeRegistry {
+  constructor() {
+    this._adapters = new Map();
+  }
+
+  /**
+   * Every adapter available to a project, the bundled ones in install.config.yaml's order
+   * @returns {Promise<Map<string, Object>>} Adapters by IDE id
+   */
+  async load(installDir) {
+    const projectDir = path.resolve(installDir);
+    if (this._adapters.has(projectDir)) return this._adapters.get(projectDir);
+
+    const ideConfigs = (await configLoader.load())['ide-configurations'] || {};
+    const packDirs = glob
+      .sync(`.*/${ADAPTER_DIR}`, { cwd: projectDir })
+      .filter((dir) =>
+        fs.existsSync(path.join(projectDir, path.dirname(dir), 'install-manifest.yaml')),
+      )
+      .sort();
+    const sources = [
+      ['package', path.join(__dirname, ADAPTER_DIR)],
+      ...(await resourceLocator.getExpansionPacks()).map((pack) => [
+        `expansion pack ${pack.id}`,
+        path.join(pack.path, ADAPTER_DIR),
+      ]),
+      ...packDirs.map((dir) => [
+        `expansion pack ${path.dirname(dir).slice(1)}`,
+        path.join(projectDir, dir),
+      ]),
+      ['project', path.join(projectDir, LOCAL_ADAPTER_DIR)],
+    ];
+
+    const adapters = new Map(
+      Object.entries(ideConfigs).map(([ide, config]) => [
+        ide,
+        config.output
+          ? createAdapter(
+              createTemplateAdapter(ide),
+              ideConfigs,
+              'package',
+              configLoader.configPath,
+            )
+          : null,
+      ]),
+    );
+    for (const [source, dir] of sources) {
+      for (const file of glob.sync('*.{js,yaml}', { cwd: dir }).sort()) {
+        const filePath = path.join(dir, file);
+        try {
+          const exported = file.endsWith('.yaml')
+            ? loadTemplateAdapter(filePath)
+            : require(filePath);
+          for (const adapter of Array.isArray(exported) ? exported : [exported]) {
+            adapters.set(adapter?.id, createAdapter(adapter, ideConfigs, source, filePath));
+          }
+        } catch (error) {
+          console.warn(`Skipping IDE adapter ${filePath}: ${error.message}`);
+        }
+      }
+    }
+    for (const [ide, adapter] of adapters) {
+      if (!adapter) adapters.delete(ide);
+    }
+
+    this._adapters.set(projectDir, adapters);
+    return adapters;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The adapter for an IDE, null when there is none
+   */
+  async get(ide, installDir) {
+    return (await this.load(installDir)).get(ide) || null;
+  }
+
+  async list(installDir) {
+    return [...(await this.load(installDir)).values()];
+  }
+
+  clearCache() {
+    this._adapters.clear();
+  }
+}
+
+// An adapter .yaml file is an ide-configurations entry with the IDE's id added
+function loadTemplateAdapter(filePath) {
+  const { id, ...config } = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  if (!config['rule-dir'] || !config.output) {
+    throw new Error('an adapter .yaml file needs a rule-dir and an output section');
+  }
+  return { ...createTemplateAdapter(id), config };
+}
+
+function createAdapter(adapter, ideConfigs, source, file) {
+  if (!adapter || typeof adapter.id !== 'string' || !/^[\w-]+$/.test(adapter.id)) {
+    throw new Error('an adapter needs an id made of letters, digits, - and _');
+  }
+  if (typeof adapter.generate !== 'function') {
+    throw new TypeError(`adapter ${adapter.id} has no generate() function`);
+  }
+  const config = adapter.config || ideConfigs[adapter.id] || {};
+  return {
+    ...defaults,
+    ...adapter,
+    name: adapter.name || config.name || adapter.id,
+    config,
+    source,
+    file,
+  };
+}
+
+function resolveTarget(target, installDir) {
+  return target.startsWith('~/')
+    ? path.join(os.homedir(), target.slice(2))
+    : path.resolve(installDir, target);
+}
+
+/**
+ * Every file and directory an adapter may write, so installs can snapshot them
+ * @returns {string[]} Absolute paths
+ */
+function getTargets(config, installDir) {
+  const targets = [];
+  if (config['rule-dir']) targets.push(config['rule-dir']);
+  if (config.file) targets.push(config.file);
+  for (const location of Object.values(config.locations || {})) {
+    if (location['rule-dir']) targets.push(location['rule-dir']);
+  }
+  targets.push(...getOutputRuleDirs(config), ...(config['also-writes'] || []));
+  // Templates can share a folder, e.g. Copilot's tasks and workflows in .github/prompts
+  return [...new Set(targets.map((target) => resolveTarget(target, installDir)))];
+}
+
+// Targets inside the project, relative to it, which show the IDE is in use
+function getProjectTargets(config) {
+  return [
+    config['rule-dir'],
+    config.file,
+    ...Object.values(config.locations || {}).map((location) => location['rule-dir']),
+  ]
+    .filter((target) => target && !target.startsWith('~/'))
+    .map((target) => target.replace(/^\.\//, ''));
+}
+
+/**
+ * Where an IDE keeps its per-agent and per-task files. IDEs with slash commands keep a folder
+ * per package under commandsRoot, named after the package's slash prefix.
+ * @returns {{ruleDirs: string[], commandsRoot: string|null, suffix: string}|null} null for IDEs
+ *   that write shared files only
+ */
+function getLayout(adapter, installDir) {
+  const { config } = adapter;
+  if (!config['command-suffix']) return null;
+
+  if (adapter.prefixFolders) {
+    return {
+      ruleDirs: [],
+      commandsRoot: path.dirname(resolveTarget(config['rule-dir'], installDir)),
+      suffix: config['command-suffix'],
+    };
+  }
+
+  const ruleDirs = config['rule-dir'] ? [resolveTarget(config['rule-dir'], installDir)] : [];
+  for (const location of Object.values(config.locations || {})) {
+    ruleDirs.push(resolveTarget(location['rule-dir'], installDir));
+  }
+  for (const ruleDir of getOutputRuleDirs(config)) {
+    ruleDirs.push(resolveTarget(ruleDir, installDir));
+  }
+  return { ruleDirs: [...new Set(ruleDirs)], commandsRoot: null, suffix: config['command-suffix'] };
+}
+
+// Folders of the output templates that have a rule-dir of their own
+function getOutputRuleDirs(config) {
+  return Object.values(config.output || {})
+    .map((template) => template['rule-dir'])
+    .filter(Boolean);
+}
+
+module.exports = new IdeRegistry();
+module.exports.LOCAL_ADAPTER_DIR = LOCAL_ADAPTER_DIR;
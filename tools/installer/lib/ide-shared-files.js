@@ -0,0 +1,380 @@
+/**
+ * IDE Shared Files - Putting BMad into files IDE adapters share with the user, such as
+ * .roomodes, opencode.jsonc, .vscode/settings.json or the marked sections of AGENTS.md, and
+ * taking it back out
+ *
+ * Merges replace BMad's entries in place, add the missing ones and drop the stale ones, leaving
+ * everything else as the user wrote it. Besides the new content they return the changes entry by
+ * entry, [{key, change}], change being added, updated, unchanged, removed or skipped when the
+ * user has an entry of their own under that key.
+ *
+ * Removals take a file's content and return the new content, or null when nothing but what the
+ * installer created is left and the file should be deleted.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const cjson = require('comment-json');
+
+/**
+ * The customModes list of a .roomodes-style YAML file, as blocks of its lines
+ * @returns {{lines: string[], keyLine: number, indent: number|null, blocks: Object[]}} keyLine is
+ *   -1 when the file has no customModes key; blocks are [{start, end, mode}], mode being null for
+ *   an item that does not parse
+ */
+function parseModeList(content) {
+  const lines = content.replaceAll('\r\n', '\n').split('\n');
+  const keyLine = lines.findIndex((line) => line.startsWith('customModes:'));
+  const list = { lines, keyLine, indent: null, blocks: [] };
+  if (keyLine === -1) return list;
+
+  // An item runs until the next one, or until a line as far left as the items that is not one
+  for (let index = keyLine + 1; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim() === '' || /^\s*#/.test(line)) continue;
+    const lineIndent = line.match(/^ */)[0].length;
+    if (list.indent === null) {
+      if (!/^ *-(?: |$)/.test(line)) break;
+      list.indent = lineIndent;
+    }
+    const isItem = lineIndent === list.indent && /^ *-(?: |$)/.test(line);
+    if (!isItem && lineIndent <= list.indent) break;
+    if (isItem) {
+      list.blocks.push({ start: index, end: index + 1 });
+    } else {
+      list.blocks.at(-1).end = index + 1;
+    }
+  }
+
+  for (const block of list.blocks) {
+    const text = lines
+      .slice(block.start, block.end)
+      .map((line) => line.slice(list.indent))
+      .join('\n');
+    try {
+      block.mode = yaml.load(text)?.[0] || null;
+    } catch {
+      block.mode = null;
+    }
+  }
+  return list;
+}
+
+function renderMode(mode, indent) {
+  return yaml
+    .dump([mode], { lineWidth: -1 })
+    .trimEnd()
+    .split('\n')
+    .map((line) => ' '.repeat(indent) + line);
+}
+
+/**
+ * Merge BMad's custom modes into a .roomodes-style file, YAML or JSON, by their slugs
+ * @param {string|null} content - The file's content, null when there is none yet
+ * @param {Object[]} modes - BMad's modes
+ * @param {Function} isStale - Whether a mode the file has, other than BMad's current ones, is
+ *   one of BMad's that should go
+ * @returns {{content: string, changes: Object[]}}
+ */
+function mergeModes(content, modes, isStale) {
+  if (content?.trim().startsWith('{')) return mergeJsonModes(content, modes, isStale);
+
+  let list = parseModeList(content || '');
+  if (list.keyLine === -1) {
+    const base = (content || '').trimEnd();
+    list = parseModeList(`${base}${base ? '\n\n' : ''}customModes:\n`);
+  }
+  const { lines, keyLine, blocks } = list;
+  const indent = list.indent ?? 2;
+  const pending = new Map(modes.map((mode) => [mode.slug, mode]));
+  const changes = [];
+
+  const output = lines.slice(0, keyLine);
+  // An empty flow list can't take items
+  output.push(modes.length > 0 ? lines[keyLine].replace(/:\s*\[\s*\]/, ':') : lines[keyLine]);
+  let cursor = keyLine + 1;
+  for (const block of blocks) {
+    output.push(...lines.slice(cursor, block.start));
+    cursor = block.end;
+    const original = lines.slice(block.start, block.end);
+    const slug = block.mode?.slug;
+    if (pending.has(slug)) {
+      const rendered = renderMode(pending.get(slug), indent);
+      const unchanged = rendered.join('\n') === original.join('\n');
+      changes.push({ key: slug, change: unchanged ? 'unchanged' : 'updated' });
+      output.push(...rendered);
+      pending.delete(slug);
+    } else if (block.mode && isStale(block.mode)) {
+      changes.push({ key: slug, change: 'removed' });
+    } else {
+      output.push(...original);
+    }
+  }
+  // New modes follow the last one
+  for (const mode of pending.values()) {
+    output.push(...renderMode(mode, indent));
+    changes.push({ key: mode.slug, change: 'added' });
+  }
+  output.push(...lines.slice(cursor));
+  return { content: output.join('\n'), changes };
+}
+
+function mergeJsonModes(content, modes, isStale) {
+  const config = cjson.parse(content, undefined, false);
+  if (!Array.isArray(config.customModes)) config.customModes = [];
+  const list = config.customModes;
+  const slugs = new Set(modes.map((mode) => mode.slug));
+  const changes = [];
+
+  for (let index = list.length - 1; index >= 0; index--) {
+    if (list[index] && !slugs.has(list[index].slug) && isStale(list[index])) {
+      changes.push({ key: list[index].slug, change: 'removed' });
+      list.splice(index, 1);
+    }
+  }
+  for (const mode of modes) {
+    const index = list.findIndex((existing) => existing?.slug === mode.slug);
+    if (index === -1) {
+      list.push(mode);
+      changes.push({ key: mode.slug, change: 'added' });
+    } else {
+      const unchanged = JSON.stringify(list[index]) === JSON.stringify(mode);
+      list[index] = mode;
+      changes.push({ key: mode.slug, change: unchanged ? 'unchanged' : 'updated' });
+    }
+  }
+  return { content: `${cjson.stringify(config, null, 2)}\n`, changes };
+}
+
+/**
+ * Whether a custom mode is one of BMad's whose agent file is no longer installed
+ */
+function isStaleMode(mode, installDir) {
+  const agentFile = String(mode?.customInstructions).match(/from (\S+\/agents\/[\w-]+\.md)/)?.[1];
+  return (
+    String(mode?.slug).startsWith('bmad-') &&
+    Boolean(agentFile) &&
+    !fs.existsSync(path.join(installDir, agentFile))
+  );
+}
+
+/**
+ * Drop the custom modes that point at removed agent files
+ */
+function removeModes(content, referencesRemoved) {
+  const { content: result } = mergeModes(
+    content,
+    [],
+    (mode) => String(mode.slug).startsWith('bmad-') && referencesRemoved(yaml.dump(mode)),
+  );
+  if (result.trim().startsWith('{')) {
+    const config = cjson.parse(result, undefined, false);
+    const others = Object.keys(config).filter((key) => key !== 'customModes');
+    return others.length === 0 && config.customModes.length === 0 ? null : result;
+  }
+  return /^customModes:\s*$/.test(result.trim()) ? null : result;
+}
+
+/**
+ * Merge an entry into a keyed section of a parsed JSON config, such as opencode.jsonc's agent:
+ * a missing one is added, and BMad's own one is updated in place, keeping the fields the user
+ * added to it. A field whose value is undefined is one BMad no longer sets, and is dropped.
+ * @param {Function} isManaged - Whether the entry the section has under the key is BMad's
+ * @returns {Object} {key, change}
+ */
+function mergeJsonEntry(section, key, value, isManaged) {
+  const existing = section[key];
+  if (existing === undefined) {
+    section[key] = Object.fromEntries(
+      Object.entries(value).filter(([, fieldValue]) => fieldValue !== undefined),
+    );
+    return { key, change: 'added' };
+  }
+  if (!existing || typeof existing !== 'object' || !isManaged(existing)) {
+    return { key, change: 'skipped' };
+  }
+
+  let changed = false;
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue === undefined) {
+      if (Object.hasOwn(existing, field)) {
+        delete existing[field];
+        changed = true;
+      }
+    } else if (JSON.stringify(existing[field]) !== JSON.stringify(fieldValue)) {
+      existing[field] = fieldValue;
+      changed = true;
+    }
+  }
+  return { key, change: changed ? 'updated' : 'unchanged' };
+}
+
+/**
+ * Drop the entries of a keyed section that isStale picks, such as BMad's for files that are no
+ * longer installed
+ * @returns {Object[]} The removed entries as changes
+ */
+function pruneJsonEntries(section, isStale) {
+  const changes = [];
+  for (const [key, entry] of Object.entries(section)) {
+    if (entry && typeof entry === 'object' && isStale(entry)) {
+      delete section[key];
+      changes.push({ key, change: 'removed' });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Add settings to a JSON settings file that may have comments, such as .vscode/settings.json.
+ * A setting the file already has keeps the user's value.
+ * @throws When the file is not valid JSON, so it is not overwritten
+ * @returns {{content: string, changes: Object[]}}
+ */
+function mergeSettings(content, settings) {
+  const config = content?.trim() ? cjson.parse(content, undefined, false) : {};
+  const changes = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (Object.hasOwn(config, key)) {
+      const unchanged = JSON.stringify(config[key]) === JSON.stringify(value);
+      changes.push({ key, change: unchanged ? 'unchanged' : 'skipped' });
+    } else {
+      config[key] = value;
+      changes.push({ key, change: 'added' });
+    }
+  }
+  const added = changes.some((change) => change.change === 'added');
+  return { content: added ? `${cjson.stringify(config, null, 2)}\n` : content, changes };
+}
+
+// A marked section, by the entry headings followed by their Source line and the headings of
+// the Agents, Tasks and Workflows parts. Entries embed agent and task content with headings of
+// their own, so only those are split on.
+function splitSection(section) {
+  return section.split(/(?=^### [^\n]+\nSource: |^## (?:Agents|Tasks|Workflows)\n)/m);
+}
+
+function getSectionEntries(section) {
+  const entries = new Map();
+  for (const chunk of splitSection(section)) {
+    if (chunk.startsWith('### ') && /^Source: /m.test(chunk)) {
+      entries.set(chunk.slice(4, chunk.indexOf('\n')), chunk);
+    }
+  }
+  return entries;
+}
+
+function findMarkedSection(content, marker) {
+  const startMarker = `<!-- BEGIN: ${marker} -->`;
+  const endMarker = `<!-- END: ${marker} -->`;
+  const start = content.indexOf(startMarker);
+  const end = content.indexOf(endMarker, start);
+  if (start === -1 || end === -1) return null;
+  return { start, end: end + endMarker.length, text: content.slice(start, end + endMarker.length) };
+}
+
+/**
+ * Put a `<!-- BEGIN: marker -->` section into a Markdown file such as AGENTS.md, in place of the
+ * one it has. The changes are those of the section's entries, by their headings.
+ * @param {string|null} content - The file's content, null when there is none yet
+ * @param {string} body - The section between its markers
+ * @param {string} header - What a new file starts with
+ * @returns {{content: string, changes: Object[]}}
+ */
+function mergeMarkedSection(content, marker, body, header) {
+  const section = `<!-- BEGIN: ${marker} -->\n${body}<!-- END: ${marker} -->`;
+  const existing = content ? findMarkedSection(content, marker) : null;
+  let merged;
+  if (existing) {
+    merged = content.slice(0, existing.start) + section + content.slice(existing.end);
+  } else if (content) {
+    merged = `${content.trimEnd()}\n\n${section}\n`;
+  } else {
+    merged = `${header}${section}\n`;
+  }
+
+  const before = getSectionEntries(existing?.text || '');
+  const after = getSectionEntries(section);
+  const changes = [...after].map(([key, text]) => ({
+    key,
+    change: before.has(key) ? (before.get(key) === text ? 'unchanged' : 'updated') : 'added',
+  }));
+  for (const key of before.keys()) {
+    if (!after.has(key)) changes.push({ key, change: 'removed' });
+  }
+  return { content: merged, changes };
+}
+
+/**
+ * Remove a `<!-- BEGIN: marker -->` section, or only the entries in it whose Source is a
+ * removed package when referencesRemoved is given
+ */
+function removeMarkedSection(content, marker, referencesRemoved) {
+  const endMarker = `<!-- END: ${marker} -->`;
+  const found = findMarkedSection(content, marker);
+  if (!found) return content;
+  const { start, end: sectionEnd } = found;
+
+  if (referencesRemoved) {
+    const chunks = splitSection(found.text);
+    const removedIds = new Set();
+    const keptChunks = chunks.filter((chunk) => {
+      const source = chunk.match(/^Source: (.+)$/m);
+      if (!chunk.startsWith('### ') || !source || !referencesRemoved(source[1])) return true;
+      const id = chunk.match(/\(id: ([^)]+)\)/);
+      if (id) removedIds.add(id[1]);
+      return false;
+    });
+    let pruned = keptChunks.join('');
+    // Directory table rows of the removed agents
+    pruned = pruned
+      .split('\n')
+      .filter((line) => {
+        const row = line.match(/^\| [^|]+ \| ([^|]+) \|/);
+        return !row || !removedIds.has(row[1].trim());
+      })
+      .join('\n');
+    // A trailing entry swallows the end marker when it is removed
+    if (!pruned.includes(endMarker)) pruned = `${pruned.trimEnd()}\n\n${endMarker}`;
+    return content.slice(0, start) + pruned + content.slice(sectionEnd);
+  }
+
+  const before = content.slice(0, start).trimEnd();
+  const after = content.slice(sectionEnd).trim();
+  const remaining = [before, after].filter(Boolean).join('\n\n');
+
+  // AGENTS.md created by the installer holds nothing but its header once the section goes
+  const header = remaining
+    .replace(/^# Project Agents\n\nThis file provides guidance and memory for [^\n]+\.$/, '')
+    .trim();
+  if (header === '') return null;
+  return `${remaining}\n`;
+}
+
+/**
+ * Queue the removal of an adapter's marked section, or of the removed packages' entries in it
+ * when other packages stay installed
+ * @param {Object} context - The context an adapter's remove() gets
+ */
+function queueSectionRemoval(context, file, marker) {
+  const { allPackages, packages, referencesRemoved } = context;
+  const description = allPackages
+    ? `remove the ${marker} section`
+    : `remove ${packages.join(', ')} from the ${marker} section`;
+  context.edit(file, description, (content) =>
+    removeMarkedSection(content, marker, allPackages ? null : referencesRemoved),
+  );
+}
+
+module.exports = {
+  mergeModes,
+  isStaleMode,
+  removeModes,
+  mergeJsonEntry,
+  pruneJsonEntries,
+  mergeSettings,
+  mergeMarkedSection,
+  removeMarkedSection,
+  queueSectionRemoval,
+};
@@ -0,0 +1,363 @@
+/**
+ * IDE Templates - Agent, task and workflow files described as data, by the output section of an
+ * IDE's entry in install.config.yaml (or of an adapter .yaml file):
+ *
+ *   output:
+ *     agents:                          # and/or tasks:, workflows:
+ *       path: '{{id}}.mdc'             # relative to the IDE's rule-dir
+ *       rule-dir: .ide/prompts/        # optional, another folder for this kind of file
+ *       command: '@{{id}}'             # optional, how the user runs one, shown after installing
+ *       front-matter:                  # optional, written as a YAML block before the body
+ *         description: '{{description}}'
+ *       capabilities:                  # agents only, front-matter lists made of what they may do
+ *         tools: { read: [search], edit: [edit], run-commands: [terminal], web-fetch: [fetch] }
+ *       model-tiers:                   # agents only, a front-matter value for their model tier
+ *         model: { fast: small, balanced: medium, reasoning: large }
+ *       body: |
+ *         # {{title}}
+ *         {{content}}
+ *
+ * Strings take {{variable}} or {{variable | filter}}. All kinds have id, title, file, root and
+ * content; agents add description, whenToUse, yaml, order, capabilities and modelTier, and
+ * workflows description and type. A command only takes id and prefix, the core slash prefix.
+ * The filters are upper, lower and quote, which gives a double-quoted string for TOML or YAML.
+ */
+
+const path = require('node:path');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const fileManager = require('./file-manager');
+const { extractYamlFromAgent } = require('../../lib/yaml-utils');
+
+// What an agent may do, in the order IDE tool lists get them
+const CAPABILITIES = ['read', 'edit', 'run-commands', 'web-fetch'];
+
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  quote: (value) => JSON.stringify(value),
+};
+
+/**
+ * Replace the {{variables}} in a template string
+ */
+function render(template, variables) {
+  return String(template).replaceAll(
+    /{{\s*([\w-]+)\s*(?:\|\s*(\w+)\s*)?}}/g,
+    (placeholder, name, filter) => {
+      if (!Object.hasOwn(variables, name)) {
+        throw new Error(`unknown template variable ${name} in ${placeholder}`);
+      }
+      const value = String(variables[name] ?? '');
+      if (!filter) return value;
+      if (!FILTERS[filter]) throw new Error(`unknown template filter ${filter} in ${placeholder}`);
+      return FILTERS[filter](value);
+    },
+  );
+}
+
+// Front-matter values keep their YAML types; only the strings in them are templates
+function renderValue(value, variables) {
+  if (typeof value === 'string') return render(value, variables);
+  if (Array.isArray(value)) return value.map((item) => renderValue(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, variables)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Render one agent, task or workflow file
+ * @param {Object} template - {path, front-matter, body} from an output section
+ * @returns {{path: string, content: string}} The path relative to the IDE's rule-dir, or to the
+ *   template's own
+ */
+function renderOutput(template, variables) {
+  let content = '';
+  const frontMatter = {
+    ...renderValue(template['front-matter'] || {}, variables),
+    ...getCapabilityFrontMatter(template, variables),
+  };
+  if (Object.keys(frontMatter).length > 0) {
+    content += `---\n${yaml.dump(frontMatter, { flowLevel: 1, lineWidth: -1 })}---\n\n`;
+  }
+  content += render(template.body || '', variables);
+  return { path: render(template.path, variables), content };
+}
+
+// The IDE's own names for what an agent may do, and for the model tier it asks for
+function getCapabilityFrontMatter(template, { capabilities, modelTier }) {
+  const granted = String(capabilities || '')
+    .split(', ')
+    .filter(Boolean);
+  const frontMatter = {};
+  for (const [key, names] of Object.entries(template.capabilities || {})) {
+    frontMatter[key] = granted.flatMap((capability) => names[capability] || []);
+  }
+  for (const [key, models] of Object.entries(template['model-tiers'] || {})) {
+    if (models[modelTier]) frontMatter[key] = models[modelTier];
+  }
+  return frontMatter;
+}
+
+/**
+ * What an agent may do, from the capabilities and modelTier in the agent block of its YAML.
+ * Every agent may read; one that declares no capabilities may do everything.
+ * @param {string} content - The agent file
+ * @returns {{capabilities: string[], modelTier: string|null}} capabilities are read, edit,
+ *   run-commands and web-fetch
+ */
+function getAgentCapabilities(content) {
+  let agent = null;
+  try {
+    agent = yaml.load(extractYamlFromAgent(content) || '')?.agent;
+  } catch {
+    // An agent without a parsable YAML block declares nothing
+  }
+  const declared = Array.isArray(agent?.capabilities) ? agent.capabilities : CAPABILITIES;
+  return {
+    capabilities: CAPABILITIES.filter(
+      (capability) => capability === 'read' || declared.includes(capability),
+    ),
+    modelTier: typeof agent?.modelTier === 'string' ? agent.modelTier : null,
+  };
+}
+
+async function getAgentVariables(agent, { installDir, helpers, root }) {
+  const raw = await fileManager.readFile(agent.path);
+  const content = root ? raw.replaceAll('{root}', root) : raw;
+  const title = await helpers.getAgentTitle(agent.id, installDir);
+  const yamlContent = extractYamlFromAgent(content);
+
+  let whenToUse = '';
+  try {
+    whenToUse = yaml.load(yamlContent)?.agent?.whenToUse || '';
+  } catch {
+    // Agents without a parsable YAML block have no whenToUse
+  }
+
+  const agentOrder = (await helpers.loadIdeAgentConfig())['cline-order'] || {};
+  const { capabilities, modelTier } = getAgentCapabilities(content);
+  const file = getRelativePath(installDir, agent.path);
+  return {
+    id: agent.id,
+    title,
+    description: whenToUse || `Activates the ${title} agent persona.`,
+    whenToUse,
+    file,
+    root: getPackageRoot(file),
+    content,
+    yaml: yamlContent || content.replace(/^#.*$/m, '').trim(),
+    order: String(agentOrder[agent.id] || 99).padStart(2, '0'),
+    capabilities: capabilities.join(', '),
+    modelTier: modelTier || '',
+  };
+}
+
+async function getTaskVariables(task, { installDir, root }) {
+  const raw = await fileManager.readFile(task.path);
+  const file = getRelativePath(installDir, task.path);
+  return {
+    id: task.id,
+    title: toTitle(task.id),
+    file,
+    root: getPackageRoot(file),
+    content: root ? raw.replaceAll('{root}', root) : raw,
+  };
+}
+
+async function getWorkflowVariables(workflow, { installDir, root }) {
+  const raw = await fileManager.readFile(workflow.path);
+  let definition = {};
+  try {
+    definition = yaml.load(raw)?.workflow || {};
+  } catch {
+    // A workflow that does not parse is still launched from its file
+  }
+
+  const title = definition.name || toTitle(workflow.id);
+  const file = getRelativePath(installDir, workflow.path);
+  return {
+    id: workflow.id,
+    title,
+    description:
+      String(definition.description || '')
+        .replaceAll(/\s+/g, ' ')
+        .trim() || `Runs the ${title} workflow.`,
+    type: definition.type || '',
+    file,
+    root: getPackageRoot(file),
+    content: root ? raw.replaceAll('{root}', root) : raw,
+  };
+}
+
+function getRelativePath(installDir, filePath) {
+  return path.relative(installDir, filePath).replaceAll('\\', '/');
+}
+
+// .bmad-core/tasks/create-doc.md → .bmad-core
+function getPackageRoot(file) {
+  return path.posix.dirname(path.posix.dirname(file));
+}
+
+function toTitle(id) {
+  return id
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// How the installed files of each kind are found, and what their templates get
+const KINDS = {
+  agents: {
+    name: 'agent',
+    listIds: 'getAllAgentIds',
+    findPath: 'findAgentPath',
+    getVariables: getAgentVariables,
+  },
+  tasks: {
+    name: 'task',
+    listIds: 'getAllTaskIds',
+    findPath: 'findTaskPath',
+    getVariables: getTaskVariables,
+  },
+  workflows: {
+    name: 'workflow',
+    listIds: 'getAllWorkflowIds',
+    findPath: 'findWorkflowPath',
+    getVariables: getWorkflowVariables,
+  },
+};
+
+/**
+ * The installed agents, tasks and workflows an output section has templates for
+ * @returns {Promise<{agents: Object[], tasks: Object[], workflows: Object[]}>} [{id, path}] each
+ */
+async function collectSources(output, { installDir, selectedAgent, helpers }) {
+  const sources = {};
+  for (const [kind, { name, listIds, findPath }] of Object.entries(KINDS)) {
+    sources[kind] = [];
+    if (!output[kind]) continue;
+    const ids =
+      kind === 'agents' && selectedAgent ? [selectedAgent] : await helpers[listIds](installDir);
+    for (const id of ids) {
+      const sourcePath = await helpers[findPath](id, installDir);
+      if (sourcePath) {
+        sources[kind].push({ id, path: sourcePath });
+      } else {
+        console.log(chalk.yellow(`✗ ${toTitle(name)} file not found for ${id}, skipping.`));
+      }
+    }
+  }
+  return sources;
+}
+
+/**
+ * Write the agent, task and workflow files of an output section
+ * @param {string} baseDir - Directory the templates' paths are relative to, unless a template
+ *   has a rule-dir of its own
+ * @param {Object} options - {installDir, helpers, agents, tasks, workflows, root}, root
+ *   replacing {root} in the files' content when given
+ * @returns {Promise<string[]>} The files written
+ */
+async function writeOutputs(output, baseDir, options) {
+  const written = [];
+  for (const [kind, { getVariables }] of Object.entries(KINDS)) {
+    const template = output[kind];
+    if (!template) continue;
+    const dir = template['rule-dir']
+      ? path.join(options.installDir, template['rule-dir'])
+      : baseDir;
+    for (const source of options[kind] || []) {
+      const file = renderOutput(template, await getVariables(source, options));
+      written.push(await writeOutput(dir, file));
+    }
+  }
+  return written;
+}
+
+async function writeOutput(baseDir, file) {
+  const filePath = path.join(baseDir, file.path);
+  await fileManager.writeFile(filePath, file.content);
+  console.log(chalk.green(`✓ Created ${file.path}`));
+  return filePath;
+}
+
+/**
+ * Render an agent's, a task's and a workflow's file without writing them, for `bmad ide:preview`
+ * @param {Object} config - The IDE's configuration, with its output section
+ * @returns {Promise<Object[]>} [{kind, id, path, content}], path relative to the project
+ */
+async function previewOutputs(config, { installDir, helpers, agentId, taskId, workflowId }) {
+  const baseDir = config['rule-dir'] || Object.values(config.locations || {})[0]?.['rule-dir'];
+  const previews = [];
+  for (const [kind, id] of [
+    ['agents', agentId],
+    ['tasks', taskId],
+    ['workflows', workflowId],
+  ]) {
+    const template = config.output[kind];
+    if (!template || !id) continue;
+    const { name, findPath, getVariables } = KINDS[kind];
+    const sourcePath = await helpers[findPath](id, installDir);
+    if (!sourcePath) throw new Error(`No installed ${name} ${id}`);
+
+    const variables = await getVariables({ id, path: sourcePath }, { installDir, helpers });
+    const file = renderOutput(template, variables);
+    previews.push({
+      kind,
+      id,
+      path: path.posix.join((template['rule-dir'] || baseDir).replace(/^\.\//, ''), file.path),
+      content: file.content,
+    });
+  }
+  return previews;
+}
+
+/**
+ * How to run the tasks and workflows of an output section, for install summaries
+ * @param {Object} options - {prefix, tasks, workflows}: the slash prefix their commands get, and
+ *   the IDs of each kind
+ * @returns {Object[]} [{kind, usage, ids}], usage being the command with <id> in place of the ID,
+ *   or null when the template has no command
+ */
+function describeCommands(output, { prefix, ...ids }) {
+  return ['tasks', 'workflows']
+    .filter((kind) => output[kind] && ids[kind]?.length > 0)
+    .map((kind) => ({
+      kind,
+      usage: output[kind].command ? render(output[kind].command, { id: '<id>', prefix }) : null,
+      ids: ids[kind],
+    }));
+}
+
+/**
+ * An adapter for IDEs described by data alone: the templates of its output section, written to
+ * its rule-dir
+ */
+function createTemplateAdapter(id) {
+  return {
+    id,
+
+    async generate({ installDir, selectedAgent, config, helpers }) {
+      const ruleDir = path.join(installDir, config['rule-dir']);
+      const sources = await collectSources(config.output, { installDir, selectedAgent, helpers });
+      await writeOutputs(config.output, ruleDir, { installDir, helpers, ...sources });
+      console.log(chalk.green(`\n✓ Created ${this.name} files in ${ruleDir}`));
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  render,
+  renderOutput,
+  collectSources,
+  writeOutputs,
+  previewOutputs,
+  describeCommands,
+  getAgentCapabilities,
+  createTemplateAdapter,
+};
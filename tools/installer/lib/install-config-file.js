@@ -0,0 +1,274 @@
+/**
+ * Install Config File - Reads a declarative install file (bmad.install.yaml) into the config
+ * object the interactive installer builds from its prompts, so installs can run unattended
+ *
+ * Relative paths in the file are resolved against the file's own directory, so the same file
+ * installs the same tree wherever the command is run from.
+ */
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const yaml = require('js-yaml');
+const configLoader = require('./config-loader');
+const fileManager = require('./file-manager');
+const ideRegistry = require('./ide-registry');
+const resourceLocator = require('./resource-locator');
+const { isPackSource } = require('./pack-source');
+
+const DEFAULT_FILE_NAME = 'bmad.install.yaml';
+
+const KNOWN_KEYS = new Set([
+  'directory',
+  'core',
+  'expansionPacks',
+  'prdSharded',
+  'architectureSharded',
+  'slashPrefix',
+  'ides',
+  'ideSettings',
+  'webBundles',
+  'existingInstall',
+  'packages',
+]);
+const EXISTING_INSTALL_ACTIONS = ['update', 'repair', 'reinstall'];
+const WEB_BUNDLE_TYPES = ['all', 'teams', 'agents', 'custom'];
+const COPILOT_CONFIG_CHOICES = ['defaults', 'manual', 'skip'];
+
+/**
+ * Load and validate an install file
+ * @param {string} filePath - Path to the install file
+ * @returns {Promise<Object>} Installer config, with nonInteractive set
+ * @throws {Error} Listing every problem found in the file
+ */
+async function loadInstallConfigFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  let data;
+  try {
+    data = yaml.load(await fs.readFile(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read install file ${filePath}: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Install file ${filePath} must contain a YAML mapping`);
+  }
+
+  return buildInstallConfig(data, path.dirname(absolutePath), `install file ${filePath}`);
+}
+
+/**
+ * Validate install settings in the install file's shape and turn them into installer config
+ * @param {Object} data - Settings keyed like bmad.install.yaml
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {string} source - Where the settings came from, for error messages
+ * @returns {Promise<Object>} Installer config, with nonInteractive set
+ */
+async function buildInstallConfig(data, baseDir, source) {
+  const errors = [];
+
+  for (const key of Object.keys(data)) {
+    if (!KNOWN_KEYS.has(key)) errors.push(`unknown key '${key}'`);
+  }
+
+  const availablePacks = (await resourceLocator.getExpansionPacks()).map((pack) => pack.id);
+  const availableTeams = (await configLoader.getAvailableTeams()).map((team) => team.id);
+
+  const core = data.core ?? true;
+  const directory = path.resolve(baseDir, data.directory ?? '.');
+  const expansionPacks = readList(data, 'expansionPacks', errors);
+  const ides = readList(data, 'ides', errors).filter((ide) => ide !== 'other');
+  // Packs can also come from a local path, tarball or git URL, loaded when installing, or be
+  // found again through the source recorded when they were installed from one
+  const namedPacks = [];
+  for (const spec of expansionPacks) {
+    if (isPackSource(spec)) continue;
+    const manifest = await fileManager.readExpansionPackManifest(directory, spec);
+    if (!manifest?.source) namedPacks.push(spec);
+  }
+  checkChoices(namedPacks, availablePacks, 'expansion pack', errors);
+  const availableIdes = (await ideRegistry.list(directory)).map((adapter) => adapter.id);
+  checkChoices(ides, availableIdes, 'IDE', errors);
+  if (!core && expansionPacks.length === 0) {
+    errors.push("'core: false' needs at least one entry in 'expansionPacks'");
+  }
+
+  for (const key of ['core', 'prdSharded', 'architectureSharded']) {
+    if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+      errors.push(`'${key}' must be true or false`);
+    }
+  }
+  if (
+    data.slashPrefix !== undefined &&
+    (typeof data.slashPrefix !== 'string' || !/^[\w-]+$/.test(data.slashPrefix))
+  ) {
+    errors.push("'slashPrefix' must be a single word (letters, digits, '-' or '_')");
+  }
+  // Monorepo packages that get their own .bmad-package.yaml, relative to the directory
+  const packages = readList(data, 'packages', errors, 'packages').map((packageDir) =>
+    path.relative(directory, path.resolve(directory, packageDir)).split(path.sep).join('/'),
+  );
+  for (const packageDir of packages) {
+    if (!packageDir || packageDir.startsWith('..') || path.isAbsolute(packageDir)) {
+      errors.push(`'packages': ${packageDir || '.'} is not a directory below ${directory}`);
+    }
+  }
+  if (packages.length > 0 && !core) {
+    errors.push("'packages' needs the core, remove 'core: false'");
+  }
+
+  const existingInstall = data.existingInstall ?? 'update';
+  checkChoices([existingInstall], EXISTING_INSTALL_ACTIONS, 'existingInstall value', errors);
+
+  const config = {
+    directory,
+    installType: core ? 'full' : 'expansion-only',
+    expansionPacks,
+    ides,
+    existingInstall,
+    packages,
+    packSourceDir: baseDir,
+    nonInteractive: true,
+  };
+  if (core) {
+    if (data.prdSharded !== undefined) config.prdSharded = data.prdSharded;
+    if (data.architectureSharded !== undefined) {
+      config.architectureSharded = data.architectureSharded;
+    }
+    if (data.slashPrefix !== undefined) config.slashPrefix = data.slashPrefix;
+  }
+
+  Object.assign(config, readIdeSettings(data.ideSettings, ides, config, errors));
+  Object.assign(config, readWebBundles(data.webBundles, baseDir, availableTeams, errors));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Per-IDE settings in the preConfiguredSettings shape IdeSetup expects. IDEs that would
+ * otherwise prompt get the defaults the prompts offer.
+ */
+function readIdeSettings(ideSettings = {}, ides, config, errors) {
+  if (typeof ideSettings !== 'object' || Array.isArray(ideSettings)) {
+    errors.push("'ideSettings' must map IDE names to their settings");
+    return {};
+  }
+
+  const configurable = ['github-copilot', 'opencode', 'auggie-cli'];
+  for (const ide of Object.keys(ideSettings)) {
+    if (!configurable.includes(ide)) {
+      errors.push(`'ideSettings.${ide}': only ${configurable.join(', ')} take settings`);
+    } else if (!ides.includes(ide)) {
+      errors.push(`'ideSettings.${ide}': ${ide} is not listed in 'ides'`);
+    }
+  }
+
+  const settings = {};
+
+  if (ides.includes('github-copilot')) {
+    const copilot = ideSettings['github-copilot'] || {};
+    const configChoice = copilot.configChoice || 'defaults';
+    checkChoices([configChoice], COPILOT_CONFIG_CHOICES, 'GitHub Copilot configChoice', errors);
+    if (configChoice === 'manual' && !copilot.manualSettings) {
+      errors.push("'ideSettings.github-copilot': configChoice 'manual' needs 'manualSettings'");
+    }
+    const maxRequests = copilot.manualSettings?.maxRequests;
+    if (
+      maxRequests !== undefined &&
+      !(Number.isInteger(maxRequests) && maxRequests >= 1 && maxRequests <= 50)
+    ) {
+      errors.push("'ideSettings.github-copilot.manualSettings.maxRequests' must be 1-50");
+    }
+    settings.githubCopilotConfig = { ...copilot, configChoice };
+  }
+
+  if (ides.includes('opencode')) {
+    const opencode = ideSettings.opencode?.opencode || {};
+    settings.openCodeConfig = {
+      opencode: {
+        useAgentPrefix: opencode.useAgentPrefix ?? true,
+        useCommandPrefix: opencode.useCommandPrefix ?? true,
+      },
+      selectedPackages: {
+        includeCore: config.installType !== 'expansion-only',
+        packs: config.expansionPacks,
+      },
+    };
+  }
+
+  if (ides.includes('auggie-cli')) {
+    const selectedLocations = ideSettings['auggie-cli']?.selectedLocations || ['workspace'];
+    checkChoices(selectedLocations, ['user', 'workspace'], 'Auggie CLI location', errors);
+    settings.augmentCodeConfig = { selectedLocations };
+  }
+
+  return settings;
+}
+
+/**
+ * The IDE settings of an installer config in the install file's 'ideSettings' shape, as the
+ * manifests and bmad.lock record them
+ */
+function toIdeSettings(config) {
+  const ides = config.ides || [];
+  const ideSettings = {};
+  if (ides.includes('github-copilot') && config.githubCopilotConfig?.configChoice) {
+    ideSettings['github-copilot'] = config.githubCopilotConfig;
+  }
+  if (ides.includes('opencode') && config.openCodeConfig?.opencode) {
+    ideSettings.opencode = { opencode: config.openCodeConfig.opencode };
+  }
+  if (ides.includes('auggie-cli') && config.augmentCodeConfig?.selectedLocations) {
+    ideSettings['auggie-cli'] = { selectedLocations: config.augmentCodeConfig.selectedLocations };
+  }
+  return ideSettings;
+}
+
+function readWebBundles(webBundles, baseDir, availableTeams, errors) {
+  if (!webBundles) return { includeWebBundles: false };
+  if (typeof webBundles !== 'object' || Array.isArray(webBundles)) {
+    errors.push("'webBundles' must be a mapping with at least a 'directory'");
+    return { includeWebBundles: false };
+  }
+  if (!webBundles.directory) errors.push("'webBundles.directory' is required");
+
+  const webBundleType = webBundles.type || 'all';
+  checkChoices([webBundleType], WEB_BUNDLE_TYPES, 'web bundle type', errors);
+
+  const settings = {
+    includeWebBundles: true,
+    webBundleType,
+    webBundlesDirectory: path.resolve(baseDir, webBundles.directory || '.'),
+  };
+  if (webBundleType === 'teams' || webBundleType === 'custom') {
+    const teams = readList(webBundles, 'teams', errors, 'webBundles.teams');
+    if (teams.length === 0) errors.push(`'webBundles.teams' is required for type ${webBundleType}`);
+    checkChoices(teams, availableTeams, 'team', errors);
+    settings.selectedWebBundleTeams = teams;
+  }
+  if (webBundleType === 'custom') {
+    settings.includeIndividualAgents = webBundles.includeIndividualAgents ?? true;
+  }
+  return settings;
+}
+
+function readList(data, key, errors, label = key) {
+  const value = data[key];
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    errors.push(`'${label}' must be a list of names`);
+    return [];
+  }
+  return value;
+}
+
+function checkChoices(values, allowed, label, errors) {
+  for (const value of values) {
+    if (!allowed.includes(value)) {
+      errors.push(`unknown ${label} '${value}' (expected one of: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+module.exports = { loadInstallConfigFile, buildInstallConfig, toIdeSettings, DEFAULT_FILE_NAME };
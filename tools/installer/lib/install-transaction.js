@@ -0,0 +1,317 @@
+/**
+ * Install Transaction - Journals every file an install, update or repair may touch so a
+ * failed run can be undone, and the last successful run rolled back with `bmad rollback`
+ *
+ * Before anything is written, each file under the given paths is copied into
+ * .bmad-journal/pending/. A failure restores those copies and removes the files the run
+ * created; success keeps only the files the run changed, with their new fingerprints, and
+ * moves the journal to .bmad-journal/last/, replacing the previous one. A pending journal
+ * left behind by a crashed or killed run is rolled back the next time the installer starts.
+ */
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const yaml = require('js-yaml');
+
+const JOURNAL_DIR = '.bmad-journal';
+const JOURNAL_FILE = 'journal.yaml';
+
+class InstallTransaction {
+  constructor(installDir) {
+    this.installDir = installDir;
+    this.journalRoot = path.join(installDir, JOURNAL_DIR);
+    this.pendingDir = path.join(this.journalRoot, 'pending');
+    this.journal = null;
+    this.fingerprints = null;
+  }
+
+  /**
+   * Snapshot the files under the given paths and start the transaction
+   * @param {string[]} paths - Files and directories, absolute or relative to installDir
+   * @param {string} description - What is being done, shown by `bmad rollback`
+   */
+  async begin(paths, description) {
+    await fs.remove(this.pendingDir);
+    await fs.ensureDir(path.join(this.pendingDir, 'snapshot'));
+    // Snapshots are local undo data, keep them out of version control
+    await fs.writeFile(path.join(this.journalRoot, '.gitignore'), '*\n');
+
+    this.journal = {
+      version: 2,
+      status: 'pending',
+      description,
+      started_at: new Date().toISOString(),
+      roots: [],
+      entries: [],
+    };
+
+    for (const target of collapsePaths(paths.map((p) => path.resolve(this.installDir, p)))) {
+      this.journal.roots.push(toJournalPath(target, this.installDir));
+      for (const file of await listFiles(target)) {
+        const entry = {
+          path: toJournalPath(file, this.installDir),
+          existed: true,
+          snapshot: String(this.journal.entries.length),
+        };
+        await fs.copy(file, path.join(this.pendingDir, 'snapshot', entry.snapshot));
+        this.journal.entries.push(entry);
+      }
+    }
+
+    await this.writeJournal(this.pendingDir);
+    this.fingerprints = await fingerprintEntries(this.journal.entries, this.installDir);
+  }
+
+  /**
+   * Replace the description once it is known what the run does (e.g. the user chose repair)
+   */
+  describe(description) {
+    if (this.journal) this.journal.description = description;
+  }
+
+  /**
+   * Keep the snapshot as the rollback point for `bmad rollback`
+   * @returns {Promise<string[]>} The journaled files the run changed; when there are none the
+   *   previous rollback point is kept
+   */
+  async commit() {
+    if (!this.journal) return [];
+
+    // Only files the run actually changed are rolled back later
+    await addCreatedFiles(this.journal, this.installDir);
+    const fingerprints = await fingerprintEntries(this.journal.entries, this.installDir);
+    const unchanged = this.journal.entries.filter(
+      (entry) =>
+        entry.existed && fingerprints.get(entry.path) === this.fingerprints.get(entry.path),
+    );
+    for (const entry of unchanged) {
+      await fs.remove(path.join(this.pendingDir, 'snapshot', entry.snapshot));
+    }
+    this.journal.entries = this.journal.entries.filter((entry) => !unchanged.includes(entry));
+    const changed = this.journal.entries.map((entry) => entry.path);
+
+    if (changed.length > 0) {
+      // What the run left, so a rollback can tell which files were changed since
+      for (const entry of this.journal.entries) entry.fingerprint = fingerprints.get(entry.path);
+      this.journal.status = 'committed';
+      this.journal.committed_at = new Date().toISOString();
+      await this.writeJournal(this.pendingDir);
+
+      const lastDir = path.join(this.journalRoot, 'last');
+      await fs.remove(lastDir);
+      await fs.move(this.pendingDir, lastDir);
+    } else {
+      await fs.remove(this.pendingDir);
+      await removeJournalRoot(this.installDir);
+    }
+
+    this.journal = null;
+    return changed;
+  }
+
+  /**
+   * Restore every journaled file to its state before the transaction began
+   */
+  async rollback() {
+    if (!this.journal) return;
+    await addCreatedFiles(this.journal, this.installDir);
+    await restoreJournal(this.pendingDir, this.journal, this.installDir);
+    await fs.remove(this.pendingDir);
+    await removeJournalRoot(this.installDir);
+    this.journal = null;
+  }
+
+  async writeJournal(dir) {
+    await fs.writeFile(path.join(dir, JOURNAL_FILE), yaml.dump(this.journal, { indent: 2 }));
+  }
+
+  /**
+   * Roll back a run that was interrupted before it could commit or roll back
+   * @returns {Promise<Object|null>} The journal that was rolled back
+   */
+  static async recover(installDir) {
+    const pendingDir = path.join(installDir, JOURNAL_DIR, 'pending');
+    const journal = await readJournal(pendingDir);
+    if (!journal) return null;
+
+    await addCreatedFiles(journal, installDir);
+    await restoreJournal(pendingDir, journal, installDir);
+    await fs.remove(pendingDir);
+    await removeJournalRoot(installDir);
+    return journal;
+  }
+
+  /**
+   * The journal of the last successful run, if any
+   */
+  static async readLast(installDir) {
+    return readJournal(path.join(installDir, JOURNAL_DIR, 'last'));
+  }
+
+  /**
+   * Journaled files that no longer match what the run left, which a rollback would overwrite
+   * @returns {Promise<string[]>} Journal paths
+   */
+  static async findChangedSinceCommit(journal, installDir) {
+    const fingerprints = await fingerprintEntries(journal.entries, installDir);
+    return journal.entries
+      .filter(
+        (entry) =>
+          entry.fingerprint === undefined || fingerprints.get(entry.path) !== entry.fingerprint,
+      )
+      .map((entry) => entry.path);
+  }
+
+  /**
+   * Undo the last successful run
+   * @param {Object} [options] - force: also overwrite files changed since the run
+   * @returns {Promise<Object|null>} The journal that was rolled back
+   * @throws {Error} When files were changed since the run and force is not set
+   */
+  static async rollbackLast(installDir, options = {}) {
+    const lastDir = path.join(installDir, JOURNAL_DIR, 'last');
+    const journal = await readJournal(lastDir);
+    if (!journal) return null;
+
+    const changed = await InstallTransaction.findChangedSinceCommit(journal, installDir);
+    if (changed.length > 0 && !options.force) {
+      throw new Error(
+        `These files were changed since ${journal.description}, rolling back would overwrite them:\n${changed.map((file) => `  - ${file}`).join('\n')}`,
+      );
+    }
+
+    await restoreJournal(lastDir, journal, installDir);
+    await fs.remove(lastDir);
+    await removeJournalRoot(installDir);
+    return journal;
+  }
+}
+
+async function readJournal(dir) {
+  try {
+    return yaml.load(await fs.readFile(path.join(dir, JOURNAL_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function restoreJournal(dir, journal, installDir) {
+  for (const entry of journal.entries) {
+    const target = path.resolve(installDir, entry.path);
+    await fs.remove(target);
+    if (entry.existed) {
+      await fs.copy(path.join(dir, 'snapshot', entry.snapshot), target);
+    } else {
+      await removeEmptyParents(target, installDir);
+    }
+  }
+}
+
+/**
+ * Journal the files the run created under its paths, so undoing it removes them
+ */
+async function addCreatedFiles(journal, installDir) {
+  const journaled = new Set(journal.entries.map((entry) => entry.path));
+  for (const root of journal.roots || []) {
+    for (const file of await listFiles(path.resolve(installDir, root))) {
+      const journalPath = toJournalPath(file, installDir);
+      if (journaled.has(journalPath)) continue;
+      journal.entries.push({ path: journalPath, existed: false, snapshot: null });
+      journaled.add(journalPath);
+    }
+  }
+}
+
+/**
+ * Journal paths are relative to the project, except for paths outside it (e.g. commands
+ * installed into the home directory)
+ */
+function toJournalPath(target, installDir) {
+  const relative = path.relative(installDir, target);
+  return relative.startsWith('..') || path.isAbsolute(relative)
+    ? target
+    : relative.split(path.sep).join('/');
+}
+
+/**
+ * Every file at or under target, none when it does not exist
+ */
+async function listFiles(target) {
+  let stats;
+  try {
+    stats = await fs.lstat(target);
+  } catch {
+    return [];
+  }
+  if (!stats.isDirectory()) return [target];
+
+  const files = [];
+  for (const entry of (await fs.readdir(target)).sort()) {
+    files.push(...(await listFiles(path.join(target, entry))));
+  }
+  return files;
+}
+
+/**
+ * Hash of each journaled file's current content, null for missing files
+ * @returns {Promise<Map<string, string|null>>} Journal path to hash
+ */
+async function fingerprintEntries(entries, installDir) {
+  const fingerprints = new Map();
+  for (const entry of entries) {
+    let hash = null;
+    try {
+      const content = await fs.readFile(path.resolve(installDir, entry.path));
+      hash = crypto.createHash('sha256').update(content).digest('hex');
+    } catch {
+      // Missing
+    }
+    fingerprints.set(entry.path, hash);
+  }
+  return fingerprints;
+}
+
+/**
+ * Remove directories the run created only to hold a path that is now gone
+ */
+async function removeEmptyParents(target, installDir) {
+  let parent = path.dirname(target);
+  while (parent.startsWith(installDir + path.sep)) {
+    try {
+      if ((await fs.readdir(parent)).length > 0) return;
+      await fs.rmdir(parent);
+    } catch {
+      return;
+    }
+    parent = path.dirname(parent);
+  }
+}
+
+/**
+ * Remove the journal folder once it holds nothing but its .gitignore
+ */
+async function removeJournalRoot(installDir) {
+  const journalRoot = path.join(installDir, JOURNAL_DIR);
+  try {
+    if ((await fs.readdir(journalRoot)).every((entry) => entry === '.gitignore')) {
+      await fs.remove(journalRoot);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Drop duplicates and paths inside another listed directory
+ */
+function collapsePaths(paths) {
+  const unique = [...new Set(paths)].sort();
+  return unique.filter(
+    (candidate) =>
+      !unique.some((other) => other !== candidate && candidate.startsWith(other + path.sep)),
+  );
+}
+
+module.exports = InstallTransaction;
+module.exports.JOURNAL_DIR = JOURNAL_DIR;
@@ -1,19 +1,36 @@
+const os = require('node:os');
 const path = require('node:path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
+const yaml = require('js-yaml');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const fileManager = require('./file-manager');
 const configLoader = require('./config-loader');
 const ideSetup = require('./ide-setup');
+const ideRegistry = require('./ide-registry');
+const { previewOutputs } = require('./ide-templates');
+const { mergeThreeWay } = require('./three-way-merge');
 const { extractYamlFromAgent } = require('../../lib/yaml-utils');
 const resourceLocator = require('./resource-locator');
+const InstallTransaction = require('./install-transaction');
+const lockfile = require('./lockfile');
+const packSource = require('./pack-source');
+const packageConfig = require('./package-config');
+const { resolveMirror } = require('./package-mirror');
+const { buildInstallConfig, toIdeSettings } = require('./install-config-file');
+const {
+  OVERRIDE_DIR,
+  MERGE_SUFFIX,
+  isMergePatch,
+  applyMergePatch,
+} = require('../../lib/project-overrides');
 
 class Installer {
   async getCoreVersion() {
     try {
-      // Always use package.json version
-      const packagePath = path.join(__dirname, '..', '..', '..', 'package.json');
+      // Always use the package.json version of the package being installed from
+      const packagePath = path.join(resourceLocator.getSourceRoot(), 'package.json');
       const packageJson = require(packagePath);
       return packageJson.version;
     } catch {
@@ -23,7 +40,10 @@ class Installer {
   }
 
   async install(config) {
-    const spinner = ora('Analyzing installation directory...').start();
+    const spinner = ora({
+      text: 'Analyzing installation directory...',
+      isSilent: Boolean(config.quiet),
+    }).start();
 
     try {
       // Store the original CWD where npx was executed
@@ -49,27 +69,29 @@ class Installer {
         spinner.stop();
         console.log(`\nThe directory ${installDir} does not exist.`);
 
-        const { action } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'action',
-            message: 'What would you like to do?',
-            choices: [
-              {
-                name: 'Create the directory and continue',
-                value: 'create',
-              },
-              {
-                name: 'Choose a different directory',
-                value: 'change',
-              },
+        const { action } = config.nonInteractive
+          ? { action: 'create' }
+          : await inquirer.prompt([
               {
-                name: 'Cancel installation',
-                value: 'cancel',
+                type: 'list',
+                name: 'action',
+                message: 'What would you like to do?',
+                choices: [
+                  {
+                    name: 'Create the directory and continue',
+                    value: 'create',
+                  },
+                  {
+                    name: 'Choose a different directory',
+                    value: 'change',
+                  },
+                  {
+                    name: 'Cancel installation',
+                    value: 'cancel',
+                  },
+                ],
               },
-            ],
-          },
-        ]);
+            ]);
 
         switch (action) {
           case 'cancel': {
@@ -114,37 +136,40 @@ class Installer {
         spinner.start('Analyzing installation directory...');
       }
 
-      // If this is an update request from early detection, handle it directly
-      if (config.installType === 'update') {
-        const state = await this.detectInstallationState(installDir);
-        if (state.type === 'v4_existing') {
-          return await this.performUpdate(config, installDir, state.manifest, spinner);
-        } else {
-          spinner.fail('No existing v4 installation found to update');
-          throw new Error('No existing v4 installation found');
-        }
+      // Undo a previous run that was interrupted before it could finish
+      const interrupted = await InstallTransaction.recover(installDir);
+      if (interrupted) {
+        spinner.warn(`Rolled back an interrupted run: ${interrupted.description}`);
+        spinner.start('Analyzing installation directory...');
       }
 
-      // Detect current state
-      const state = await this.detectInstallationState(installDir);
-
-      // Handle different states
-      switch (state.type) {
-        case 'clean': {
-          return await this.performFreshInstall(config, installDir, spinner);
-        }
-
-        case 'v4_existing': {
-          return await this.handleExistingV4Installation(config, installDir, state, spinner);
-        }
+      // Load expansion packs given as a local path, tarball or git URL, and those installed
+      // from one before
+      spinner.text = 'Loading expansion pack sources...';
+      await this.resolvePackSources(config, installDir);
 
-        case 'v3_existing': {
-          return await this.handleV3Installation(config, installDir, state, spinner);
-        }
+      // Snapshot everything this run may write, so a failure leaves the previous tree intact
+      const transaction = new InstallTransaction(installDir);
+      await transaction.begin(
+        await this.getTransactionPaths(installDir, config),
+        this.describeInstall(config),
+      );
+      const outerTransaction = this.transaction;
+      this.transaction = transaction;
 
-        case 'unknown_existing': {
-          return await this.handleUnknownInstallation(config, installDir, state, spinner);
-        }
+      try {
+        const result = await this.runInstall(config, installDir, spinner);
+        await this.createPackageConfigs(installDir, config.packages);
+        await this.recordLock(installDir, config.frozenLock);
+        await transaction.commit();
+        return result;
+      } catch (error) {
+        spinner.stop();
+        await transaction.rollback();
+        console.log(chalk.yellow('\nRestored the previous installation, no changes were kept.'));
+        throw error;
+      } finally {
+        this.transaction = outerTransaction;
       }
     } catch (error) {
       // Check if modules were initialized
@@ -157,6 +182,266 @@ class Installer {
     }
   }
 
+  async runInstall(config, installDir, spinner) {
+    // If this is an update request from early detection, handle it directly
+    if (config.installType === 'update') {
+      const state = await this.detectInstallationState(installDir);
+      if (state.type === 'v4_existing') {
+        return await this.performUpdate(config, installDir, state.manifest, spinner);
+      } else {
+        spinner.fail('No existing v4 installation found to update');
+        throw new Error('No existing v4 installation found');
+      }
+    }
+
+    // Detect current state
+    const state = await this.detectInstallationState(installDir);
+
+    // Handle different states
+    switch (state.type) {
+      case 'clean': {
+        return await this.performFreshInstall(config, installDir, spinner);
+      }
+
+      case 'v4_existing': {
+        return await this.handleExistingV4Installation(config, installDir, state, spinner);
+      }
+
+      case 'v3_existing': {
+        return await this.handleV3Installation(config, installDir, state, spinner);
+      }
+
+      case 'unknown_existing': {
+        return await this.handleUnknownInstallation(config, installDir, state, spinner);
+      }
+    }
+  }
+
+  /**
+   * Replace expansion packs given as a local path, tarball or git URL with their pack ids,
+   * making them available for this run
+   * @throws {Error} When a source cannot be loaded or is not a valid expansion pack
+   */
+  async resolvePackSources(config, installDir) {
+    await this.registerInstalledPackSources(installDir);
+    if (!config.expansionPacks?.some((spec) => packSource.isPackSource(spec))) return;
+
+    // Install files resolve relative sources against their own directory
+    const baseDir =
+      config.packSourceDir || process.env.INIT_CWD || process.env.PWD || process.cwd();
+    const packIds = [];
+    for (const spec of config.expansionPacks) {
+      if (!packSource.isPackSource(spec)) {
+        packIds.push(spec);
+        continue;
+      }
+      const pack = await packSource.resolvePackSource(spec, { baseDir, installDir });
+      resourceLocator.registerExpansionPack(pack);
+      packIds.push(pack.id);
+    }
+    config.expansionPacks = [...new Set(packIds)];
+  }
+
+  /**
+   * Load expansion packs that were installed from a local path, tarball or git URL again
+   * from the source recorded in their manifests, so they can be updated and repaired
+   */
+  async registerInstalledPackSources(installDir) {
+    for (const [packId, info] of Object.entries(await this.detectExpansionPacks(installDir))) {
+      const source = info.manifest?.source;
+      if (!source?.location || resourceLocator.hasExternalPack(packId)) continue;
+
+      try {
+        const pack = await packSource.resolvePackSource(source.location, {
+          baseDir: installDir,
+          installDir,
+        });
+        if (pack.id !== packId) {
+          throw new Error(`it now contains ${pack.id}`);
+        }
+        resourceLocator.registerExpansionPack(pack);
+      } catch (error) {
+        console.warn(
+          chalk.yellow(`Could not load ${packId} from ${source.location}: ${error.message}`),
+        );
+      }
+    }
+  }
+
+  /**
+   * Files and directories an install into installDir may write: core, every expansion pack
+   * that is installed or could be selected, the IDE integrations and the web bundle directory
+   */
+  async getTransactionPaths(installDir, config) {
+    const manifest = await fileManager.readManifest(installDir);
+    const packIds = new Set([
+      ...(config.expansionPacks || []),
+      ...(await resourceLocator.getExpansionPacks()).map((pack) => pack.id),
+      ...Object.keys(await this.detectExpansionPacks(installDir)),
+    ]);
+    const ides = new Set([
+      ...(config.ides || []),
+      ...(config.ide ? [config.ide] : []),
+      ...(manifest?.ides_setup || []),
+    ]);
+
+    const paths = [
+      '.bmad-core',
+      ...[...packIds].map((packId) => `.${packId}`),
+      lockfile.LOCK_FILE,
+      ...(config.packages || []).map((packageDir) =>
+        path.join(packageDir, packageConfig.PACKAGE_CONFIG_FILE),
+      ),
+    ];
+    for (const ide of ides) {
+      paths.push(...(await ideSetup.getTargetPaths(ide, installDir)));
+    }
+    if (config.includeWebBundles && config.webBundlesDirectory) {
+      const originalCwd = process.env.INIT_CWD || process.env.PWD || process.cwd();
+      paths.push(path.resolve(originalCwd, config.webBundlesDirectory));
+    }
+    return paths.map((target) => path.resolve(installDir, target));
+  }
+
+  /**
+   * Update bmad.lock after an install, or check a frozen install reproduced it exactly
+   */
+  async recordLock(installDir, frozenLock) {
+    if (!frozenLock) {
+      await lockfile.writeLock(installDir);
+      return;
+    }
+
+    const drift = lockfile.diffLocks(frozenLock, await lockfile.buildLock(installDir));
+    if (drift.length > 0) {
+      throw new Error(
+        `Installation does not match ${lockfile.LOCK_FILE}:\n${drift.map((line) => `  - ${line}`).join('\n')}`,
+      );
+    }
+  }
+
+  /**
+   * Installer config that reproduces a project's bmad.lock
+   * @throws {Error} When this installer cannot provide the locked versions
+   */
+  async getFrozenConfig(directory) {
+    const installDir = path.resolve(directory);
+    const lock = await lockfile.readLock(installDir);
+    if (!lock) {
+      throw new Error(`--frozen needs a ${lockfile.LOCK_FILE} in ${installDir}`);
+    }
+
+    const problems = [];
+    const coreVersion = await this.getCoreVersion();
+    if (lock.core && lock.core.version !== coreVersion) {
+      problems.push(`core ${lock.core.version} is locked, this installer provides ${coreVersion}`);
+    }
+    const available = await resourceLocator.getExpansionPacks();
+    for (const [packId, locked] of Object.entries(lock.expansionPacks || {})) {
+      // Packs from a path, tarball or git URL are checked against the lock after installing
+      if (locked.source) continue;
+      const pack = available.find((candidate) => candidate.id === packId);
+      if (!pack) {
+        problems.push(`${packId} is locked but this installer does not provide it`);
+      } else if (String(pack.version) !== locked.version) {
+        problems.push(
+          `${packId} ${locked.version} is locked, this installer provides ${pack.version}`,
+        );
+      }
+    }
+    if (problems.length > 0) {
+      throw new Error(
+        `Cannot reproduce ${lockfile.LOCK_FILE}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}` +
+          (lock.core
+            ? `\nRun the locked version instead: npx be-calm@${lock.core.version} install --frozen`
+            : ''),
+      );
+    }
+
+    const settings = lockfile.toInstallSettings(lock, installDir);
+    // An untouched core-config.yaml must stay byte-identical, rewriting it would change its hash
+    const lockedCoreConfig = lock.core?.files?.['.bmad-core/core-config.yaml'];
+    const shippedCoreConfig = await fileManager.calculateFileHash(
+      path.join(resourceLocator.getBmadCorePath(), 'core-config.yaml'),
+    );
+    if (lockedCoreConfig === shippedCoreConfig) {
+      delete settings.prdSharded;
+      delete settings.architectureSharded;
+      delete settings.slashPrefix;
+    }
+
+    const config = await buildInstallConfig(settings, installDir, lockfile.LOCK_FILE);
+    config.frozenLock = lock;
+    return config;
+  }
+
+  /**
+   * How the installation differs from its bmad.lock
+   * @returns {Promise<Object|null>} {file, drift[]}, or null without a lock
+   */
+  async getLockDrift(directory) {
+    const installDir = directory
+      ? path.resolve(directory)
+      : (await this.findInstallation()) || process.cwd();
+    const lock = await lockfile.readLock(installDir);
+    if (!lock) return null;
+
+    return {
+      file: path.join(installDir, lockfile.LOCK_FILE),
+      drift: lockfile.diffLocks(lock, await lockfile.buildLock(installDir)),
+    };
+  }
+
+  /**
+   * Report how the installation differs from its bmad.lock
+   * @returns {Promise<string[]|null>} Drift lines, or null without a lock
+   */
+  async checkLockDrift(directory) {
+    const result = await this.getLockDrift(directory);
+    if (!result) return null;
+
+    const { drift } = result;
+    if (drift.length === 0) {
+      console.log(chalk.green(`✓ Installation matches ${lockfile.LOCK_FILE}`));
+    } else {
+      console.log(chalk.yellow(`⚠️  Installation differs from ${lockfile.LOCK_FILE}:`));
+      for (const line of drift) console.log(chalk.yellow(`  - ${line}`));
+      console.log(
+        chalk.dim(
+          '  Run `npx be-calm install --frozen` to restore the locked state, or `npx be-calm install` to update the lock.',
+        ),
+      );
+    }
+    return drift;
+  }
+
+  describeInstall(config) {
+    switch (config.installType) {
+      case 'update': {
+        return 'update';
+      }
+      case 'single-agent': {
+        return `install agent ${config.agent}`;
+      }
+      case 'team': {
+        return `install team ${config.team}`;
+      }
+      case 'expansion-only': {
+        return `install expansion packs ${(config.expansionPacks || []).join(', ')}`;
+      }
+      default: {
+        return 'install';
+      }
+    }
+  }
+
+  /**
+   * Roll back the running install before the process exits early (e.g. a cancelled prompt)
+   */
+  async abortTransaction() {
+    if (this.transaction) await this.transaction.rollback();
+  }
+
   async detectInstallationState(installDir) {
     const state = {
       type: 'clean',
@@ -222,6 +507,7 @@ class Installer {
 
   async performFreshInstall(config, installDir, spinner, options = {}) {
     spinner.text = 'Installing BMad Method...';
+    const quiet = Boolean(config.quiet);
 
     let files = [];
 
@@ -235,15 +521,17 @@ class Installer {
           sourceDir,
           bmadCoreDestDir,
           '.bmad-core',
+          undefined,
+          { quiet },
         );
 
         // Copy common/ items to .bmad-core
         spinner.text = 'Copying common utilities...';
-        await this.copyCommonItems(installDir, '.bmad-core', spinner);
+        await this.copyCommonItems(installDir, '.bmad-core', spinner, { quiet });
 
         // Copy documentation files from docs/ to .bmad-core
         spinner.text = 'Copying documentation files...';
-        await this.copyDocsItems(installDir, '.bmad-core', spinner);
+        await this.copyDocsItems(installDir, '.bmad-core', spinner, { quiet });
 
         // Get list of all files for manifest
         const foundFiles = await resourceLocator.findFiles('**/*', {
@@ -259,64 +547,25 @@ class Installer {
         // Single agent installation
         spinner.text = `Installing ${config.agent} agent...`;
 
-        // Copy agent file with {root} replacement
-        const agentPath = configLoader.getAgentPath(config.agent);
-        const destinationAgentPath = path.join(
-          installDir,
-          '.bmad-core',
-          'agents',
-          `${config.agent}.md`,
-        );
-        await fileManager.copyFileWithRootReplacement(
-          agentPath,
-          destinationAgentPath,
-          '.bmad-core',
+        // Copy the agent and everything it references, each from the first layer that has it
+        const dependencies = await configLoader.getAgentDependencies(
+          config.agent,
+          await this.getResolverOptions(installDir),
         );
-        files.push(`.bmad-core/agents/${config.agent}.md`);
-
-        // Copy dependencies
-        const { all: dependencies } = await resourceLocator.getAgentDependencies(config.agent);
-        const sourceBase = resourceLocator.getBmadCorePath();
-
-        for (const dep of dependencies) {
-          spinner.text = `Copying dependency: ${dep}`;
-
-          if (dep.includes('*')) {
-            // Handle glob patterns with {root} replacement
-            const copiedFiles = await fileManager.copyGlobPattern(
-              dep.replace('.bmad-core/', ''),
-              sourceBase,
-              path.join(installDir, '.bmad-core'),
-              '.bmad-core',
-            );
-            files.push(...copiedFiles.map((f) => `.bmad-core/${f}`));
-          } else {
-            // Handle single files with {root} replacement if needed
-            const sourcePath = path.join(sourceBase, dep.replace('.bmad-core/', ''));
-            const destinationPath = path.join(installDir, dep);
-
-            const needsRootReplacement =
-              dep.endsWith('.md') || dep.endsWith('.yaml') || dep.endsWith('.yml');
-            let success = false;
-
-            success = await (needsRootReplacement
-              ? fileManager.copyFileWithRootReplacement(sourcePath, destinationPath, '.bmad-core')
-              : fileManager.copyFile(sourcePath, destinationPath));
-
-            if (success) {
-              files.push(dep);
-            }
-          }
-        }
+        files.push(...(await this.copyResolvedFiles(installDir, dependencies, spinner)));
 
         // Copy common/ items to .bmad-core
         spinner.text = 'Copying common utilities...';
-        const commonFiles = await this.copyCommonItems(installDir, '.bmad-core', spinner);
+        const commonFiles = await this.copyCommonItems(installDir, '.bmad-core', spinner, {
+          quiet,
+        });
         files.push(...commonFiles);
 
         // Copy documentation files from docs/ to .bmad-core
         spinner.text = 'Copying documentation files...';
-        const documentFiles = await this.copyDocsItems(installDir, '.bmad-core', spinner);
+        const documentFiles = await this.copyDocsItems(installDir, '.bmad-core', spinner, {
+          quiet,
+        });
         files.push(...documentFiles);
 
         break;
@@ -325,50 +574,25 @@ class Installer {
         // Team installation
         spinner.text = `Installing ${config.team} team...`;
 
-        // Get team dependencies
-        const teamDependencies = await configLoader.getTeamDependencies(config.team);
-        const sourceBase = resourceLocator.getBmadCorePath();
-
-        // Install all team dependencies
-        for (const dep of teamDependencies) {
-          spinner.text = `Copying team dependency: ${dep}`;
-
-          if (dep.includes('*')) {
-            // Handle glob patterns with {root} replacement
-            const copiedFiles = await fileManager.copyGlobPattern(
-              dep.replace('.bmad-core/', ''),
-              sourceBase,
-              path.join(installDir, '.bmad-core'),
-              '.bmad-core',
-            );
-            files.push(...copiedFiles.map((f) => `.bmad-core/${f}`));
-          } else {
-            // Handle single files with {root} replacement if needed
-            const sourcePath = path.join(sourceBase, dep.replace('.bmad-core/', ''));
-            const destinationPath = path.join(installDir, dep);
-
-            const needsRootReplacement =
-              dep.endsWith('.md') || dep.endsWith('.yaml') || dep.endsWith('.yml');
-            let success = false;
-
-            success = await (needsRootReplacement
-              ? fileManager.copyFileWithRootReplacement(sourcePath, destinationPath, '.bmad-core')
-              : fileManager.copyFile(sourcePath, destinationPath));
-
-            if (success) {
-              files.push(dep);
-            }
-          }
-        }
+        // Copy the team, its agents and their resources
+        const teamDependencies = await configLoader.getTeamDependencies(
+          config.team,
+          await this.getResolverOptions(installDir),
+        );
+        files.push(...(await this.copyResolvedFiles(installDir, teamDependencies, spinner)));
 
         // Copy common/ items to .bmad-core
         spinner.text = 'Copying common utilities...';
-        const commonFiles = await this.copyCommonItems(installDir, '.bmad-core', spinner);
+        const commonFiles = await this.copyCommonItems(installDir, '.bmad-core', spinner, {
+          quiet,
+        });
         files.push(...commonFiles);
 
         // Copy documentation files from docs/ to .bmad-core
         spinner.text = 'Copying documentation files...';
-        const documentFiles = await this.copyDocsItems(installDir, '.bmad-core', spinner);
+        const documentFiles = await this.copyDocsItems(installDir, '.bmad-core', spinner, {
+          quiet,
+        });
         files.push(...documentFiles);
 
         break;
@@ -392,6 +616,10 @@ class Installer {
     );
     files.push(...expansionFiles);
 
+    // Re-apply project overrides so updates don't wipe local customisations
+    const overrideFiles = await this.applyProjectOverrides(installDir, config, spinner);
+    files.push(...overrideFiles.filter((file) => !files.includes(file)));
+
     // Install web bundles if requested
     if (config.includeWebBundles && config.webBundlesDirectory) {
       spinner.text = 'Installing web bundles...';
@@ -403,9 +631,24 @@ class Installer {
       await this.installWebBundles(resolvedWebBundlesDir, config, spinner);
     }
 
+    // Modify core-config.yaml if sharding or slash prefix preferences were provided (before
+    // IDE setup, which reads the slash prefix from it)
+    if (
+      config.installType !== 'expansion-only' &&
+      (config.prdSharded !== undefined ||
+        config.architectureSharded !== undefined ||
+        config.slashPrefix !== undefined)
+    ) {
+      spinner.text = 'Configuring core settings...';
+      await fileManager.modifyCoreConfig(installDir, config);
+    }
+
     // Set up IDE integration if requested
     const ides = config.ides || (config.ide ? [config.ide] : []);
     if (ides.length > 0) {
+      // Expansion packs just installed may bring IDE adapters of their own
+      ideRegistry.clearCache();
+      ideSetup.clearSharedFileChanges();
       for (const ide of ides) {
         spinner.text = `Setting up ${ide} integration...`;
         let preConfiguredSettings = null;
@@ -431,23 +674,34 @@ class Installer {
       }
     }
 
-    // Modify core-config.yaml if sharding preferences were provided
-    if (
-      config.installType !== 'expansion-only' &&
-      (config.prdSharded !== undefined || config.architectureSharded !== undefined)
-    ) {
-      spinner.text = 'Configuring document sharding settings...';
-      await fileManager.modifyCoreConfig(installDir, config);
-    }
-
     // Create manifest (skip for expansion-only installations)
     if (config.installType !== 'expansion-only') {
       spinner.text = 'Creating installation manifest...';
-      await fileManager.createManifest(installDir, config, files);
+      await fileManager.createManifest(
+        installDir,
+        { ...config, ideSettings: toIdeSettings(config) },
+        files,
+        await this.getGeneratedIdeFiles(installDir, ides),
+      );
     }
 
     spinner.succeed('Installation complete!');
-    this.showSuccessMessage(config, installDir, options);
+    await this.showSuccessMessage(config, installDir, options);
+  }
+
+  /**
+   * IDE files generated inside the project, recorded so uninstall can tell which ones the
+   * user edited since
+   */
+  async getGeneratedIdeFiles(installDir, ides) {
+    const ideFiles = [];
+    for (const ide of ides) {
+      for (const file of await ideSetup.getGeneratedFiles(ide, installDir)) {
+        const relativePath = path.relative(installDir, file);
+        if (!relativePath.startsWith('..')) ideFiles.push(relativePath);
+      }
+    }
+    return ideFiles;
   }
 
   async handleExistingV4Installation(config, installDir, state, spinner) {
@@ -500,6 +754,26 @@ class Installer {
       }
     }
 
+    // Install files decide up front what happens to an existing installation
+    if (config.nonInteractive) {
+      switch (config.existingInstall) {
+        case 'repair': {
+          return await this.performRepair(config, installDir, state.manifest, integrity, spinner);
+        }
+        case 'reinstall': {
+          return await this.performReinstall(config, installDir, spinner);
+        }
+        default: {
+          if (versionCompare > 0) {
+            throw new Error(
+              `Installed version v${currentVersion} is newer than v${newVersion}; set 'existingInstall: reinstall' to downgrade`,
+            );
+          }
+          return await this.performUpdate(config, installDir, state.manifest, spinner);
+        }
+      }
+    }
+
     let choices = [];
 
     if (versionCompare < 0) {
@@ -611,6 +885,10 @@ class Installer {
     console.log(chalk.yellow('\n🔍 Found BMad v3 installation (bmad-agent/ directory)'));
     console.log(`   Directory: ${installDir}`);
 
+    if (config.nonInteractive) {
+      throw new Error('Upgrading a BMad v3 installation needs an interactive install');
+    }
+
     const { action } = await inquirer.prompt([
       {
         type: 'list',
@@ -657,18 +935,21 @@ class Installer {
       console.log('   Found: Other files in directory');
     }
 
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'What would you like to do?',
-        choices: [
-          { name: 'Install anyway (may overwrite files)', value: 'force' },
-          { name: 'Choose different directory', value: 'different' },
-          { name: 'Cancel', value: 'cancel' },
-        ],
-      },
-    ]);
+    // An install file names its target directory explicitly, so install into it
+    const { action } = config.nonInteractive
+      ? { action: 'force' }
+      : await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'action',
+            message: 'What would you like to do?',
+            choices: [
+              { name: 'Install anyway (may overwrite files)', value: 'force' },
+              { name: 'Choose different directory', value: 'different' },
+              { name: 'Cancel', value: 'cancel' },
+            ],
+          },
+        ]);
 
     switch (action) {
       case 'force': {
@@ -695,6 +976,7 @@ class Installer {
 
   async performUpdate(newConfig, installDir, manifest, spinner) {
     spinner.start('Checking for updates...');
+    this.transaction?.describe(`update from v${manifest.version}`);
 
     try {
       // Get current and new versions
@@ -702,74 +984,104 @@ class Installer {
       const newVersion = await this.getCoreVersion();
       const versionCompare = this.compareVersions(currentVersion, newVersion);
 
-      // Only check for modified files if it's an actual version upgrade
-      let modifiedFiles = [];
-      if (versionCompare !== 0) {
-        spinner.text = 'Checking for modified files...';
-        modifiedFiles = await fileManager.checkModifiedFiles(installDir, manifest);
-      }
-
-      if (modifiedFiles.length > 0) {
-        spinner.warn('Found modified files');
-        console.log(chalk.yellow('\nThe following files have been modified:'));
-        for (const file of modifiedFiles) {
-          console.log(`  - ${file}`);
-        }
-
-        const { action } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'action',
-            message: 'How would you like to proceed?',
-            choices: [
-              { name: 'Backup and overwrite modified files', value: 'backup' },
-              { name: 'Skip modified files', value: 'skip' },
-              { name: 'Cancel update', value: 'cancel' },
-            ],
-          },
-        ]);
-
-        if (action === 'cancel') {
-          console.log('Update cancelled.');
-          return;
+      // Read the user's changes before the new version overwrites them
+      spinner.text = 'Checking for modified files...';
+      const localChanges = await fileManager.collectLocalChanges(installDir, manifest);
+      // A frozen install restores the locked files, so local changes are replaced as with
+      // --force; backups would be installed files the lock does not have, the journal keeps them
+      const replaceChanges = Boolean(newConfig?.force || newConfig?.frozenLock);
+
+      if (localChanges.length > 0 && newConfig?.frozenLock) {
+        for (const change of localChanges) {
+          console.log(
+            chalk.dim(`  Restoring the locked ${change.path}, undo with \`bmad rollback\``),
+          );
         }
-
-        if (action === 'backup') {
-          spinner.start('Backing up modified files...');
-          for (const file of modifiedFiles) {
-            const filePath = path.join(installDir, file);
-            const backupPath = await fileManager.backupFile(filePath);
-            console.log(chalk.dim(`  Backed up: ${file} → ${path.basename(backupPath)}`));
-          }
+      } else if (localChanges.length > 0 && replaceChanges) {
+        spinner.text = 'Backing up modified files...';
+        for (const change of localChanges) {
+          const backupPath = await fileManager.backupFile(path.join(installDir, change.path));
+          console.log(chalk.dim(`  Backed up: ${change.path} → ${path.basename(backupPath)}`));
         }
       }
 
       // Perform update by re-running installation
       spinner.text = versionCompare === 0 ? 'Reinstalling files...' : 'Updating files...';
-      const config = {
-        installType: manifest.install_type,
-        agent: manifest.agent,
-        directory: installDir,
-        ides: newConfig?.ides || manifest.ides_setup || [],
-      };
+      // An install file describes the whole installation; otherwise keep what was installed
+      const config = newConfig?.nonInteractive
+        ? { ...newConfig, directory: installDir }
+        : {
+            installType: manifest.install_type,
+            agent: manifest.agent,
+            directory: installDir,
+            ides: newConfig?.ides || manifest.ides_setup || [],
+          };
 
       await this.performFreshInstall(config, installDir, spinner, { isUpdate: true });
 
       // Clean up .yml files that now have .yaml counterparts
       spinner.text = 'Cleaning up legacy .yml files...';
       await this.cleanupLegacyYmlFiles(installDir, spinner);
+
+      // Re-apply local changes on top of the new version (--force keeps the new version)
+      if (localChanges.length > 0 && !replaceChanges) {
+        spinner.start('Merging your changes into the updated files...');
+        const summary = await fileManager.mergeLocalChanges(
+          installDir,
+          localChanges,
+          `v${newVersion}`,
+        );
+        spinner.stop();
+        this.showMergeSummary(summary);
+      }
     } catch (error) {
       spinner.fail('Update failed');
       throw error;
     }
   }
 
+  showMergeSummary(summary) {
+    console.log(chalk.bold('\n🔀 Local changes:'));
+    if (summary.merged.length > 0) {
+      console.log(chalk.green(`  ✓ ${summary.merged.length} file(s) merged cleanly`));
+      for (const file of summary.merged) console.log(chalk.dim(`    - ${file}`));
+    }
+    if (summary.kept.length > 0) {
+      console.log(chalk.cyan(`  ✓ ${summary.kept.length} file(s) kept (removed upstream)`));
+      for (const file of summary.kept) console.log(chalk.dim(`    - ${file}`));
+    }
+    if (summary.backedUp.length > 0) {
+      console.log(
+        chalk.yellow(
+          `  ⚠ ${summary.backedUp.length} file(s) replaced, no original copy to merge against:`,
+        ),
+      );
+      for (const { path: file, backup } of summary.backedUp) {
+        console.log(chalk.dim(`    - ${file} (your version saved as ${backup})`));
+      }
+    }
+    if (summary.conflicts.length > 0) {
+      console.log(chalk.red(`  ✗ ${summary.conflicts.length} file(s) with conflicts:`));
+      for (const { path: file, conflicts } of summary.conflicts) {
+        console.log(
+          chalk.red(`    - ${file} (${conflicts} conflict${conflicts === 1 ? '' : 's'})`),
+        );
+      }
+      console.log(
+        chalk.yellow(
+          '  Resolve the <<<<<<< / ======= / >>>>>>> markers in these files, keeping the parts you want.',
+        ),
+      );
+    }
+  }
+
   async performRepair(config, installDir, manifest, integrity, spinner) {
     spinner.start('Preparing to repair installation...');
+    this.transaction?.describe('repair');
 
     try {
-      // Back up modified files
-      if (integrity.modified.length > 0) {
+      // Back up modified files, unless the caller merges the user's changes back in
+      if (integrity.modified.length > 0 && config.backup !== false) {
         spinner.text = 'Backing up modified files...';
         for (const file of integrity.modified) {
           const filePath = path.join(installDir, file);
@@ -793,7 +1105,7 @@ class Installer {
         const destinationPath = path.join(installDir, file);
 
         // Check if this is a common/ file that needs special processing
-        const commonBase = path.dirname(path.dirname(path.dirname(path.dirname(__filename))));
+        const commonBase = resourceLocator.getSourceRoot();
         const commonSourcePath = path.join(commonBase, 'common', relativePath);
 
         if (await fileManager.pathExists(commonSourcePath)) {
@@ -808,7 +1120,7 @@ class Installer {
           // Regular file from bmad-core
           const sourcePath = path.join(sourceBase, relativePath);
           if (await fileManager.pathExists(sourcePath)) {
-            await fileManager.copyFile(sourcePath, destinationPath);
+            await this.restoreFile(sourcePath, destinationPath, '.bmad-core');
             spinner.text = `Restored: ${file}`;
 
             // If this is a .yaml file, check for and remove corresponding .yml file
@@ -840,7 +1152,9 @@ class Installer {
       }
       if (integrity.modified.length > 0) {
         console.log(
-          chalk.green(`  Restored ${integrity.modified.length} modified files (backups created)`),
+          chalk.green(
+            `  Restored ${integrity.modified.length} modified files${config.backup === false ? '' : ' (backups created)'}`,
+          ),
         );
       }
 
@@ -862,6 +1176,7 @@ class Installer {
 
   async performReinstall(config, installDir, spinner) {
     spinner.start('Preparing to reinstall BMad Method...');
+    this.transaction?.describe('reinstall');
 
     // Remove existing .bmad-core
     const bmadCorePath = path.join(installDir, '.bmad-core');
@@ -880,17 +1195,23 @@ class Installer {
     return result;
   }
 
-  showSuccessMessage(config, installDir, options = {}) {
+  async showSuccessMessage(config, installDir, options = {}) {
+    if (config.quiet) return;
+
     console.log(chalk.green('\n✓ BMad Method installed successfully!\n'));
 
     const ides = config.ides || (config.ide ? [config.ide] : []);
+    const adapters = new Map();
+    for (const ide of ides) {
+      adapters.set(ide, await ideRegistry.get(ide, installDir));
+    }
     if (ides.length > 0) {
-      for (const ide of ides) {
-        const ideConfig = configLoader.getIdeConfiguration(ide);
-        if (ideConfig?.instructions) {
-          console.log(chalk.bold(`To use BMad agents in ${ideConfig.name}:`));
-          console.log(ideConfig.instructions);
-        }
+      const listed = new Map();
+      for (const [ide, adapter] of adapters) {
+        if (!adapter) continue;
+        // The instructions open with their own "To use BMad agents in ..." line
+        if (adapter.config.instructions) console.log(adapter.config.instructions);
+        await this.showIdeCommands(adapter, installDir, listed);
       }
     } else {
       console.log(chalk.yellow('No IDE configuration was set up.'));
@@ -923,12 +1244,7 @@ class Installer {
     }
 
     if (ides.length > 0) {
-      const ideNames = ides
-        .map((ide) => {
-          const ideConfig = configLoader.getIdeConfiguration(ide);
-          return ideConfig?.name || ide;
-        })
-        .join(', ');
+      const ideNames = ides.map((ide) => adapters.get(ide)?.name || ide).join(', ');
       console.log(chalk.green(`✓ IDE rules and configurations set up for: ${ideNames}`));
     }
 
@@ -969,23 +1285,266 @@ class Installer {
     );
   }
 
+  /**
+   * List the tasks and workflows set up for an IDE, with how to run them
+   * @param {Map<string, string>} listed - IDE names by the lists already shown, so a list
+   *   several IDEs share is only shown once
+   */
+  async showIdeCommands(adapter, installDir, listed) {
+    const labels = { tasks: 'Tasks', workflows: 'Workflows' };
+    for (const { kind, usage, ids } of await ideSetup.getCommands(adapter.id, installDir)) {
+      const sorted = [...ids].sort();
+      const key = `${kind}:${sorted.join(',')}`;
+      console.log(
+        chalk.bold(`${labels[kind]} (${ids.length})${usage ? `, run as ${usage}` : ''}:`),
+      );
+      console.log(
+        chalk.dim(
+          listed.has(key) ? `  the same as for ${listed.get(key)}` : `  ${sorted.join(', ')}`,
+        ),
+      );
+      if (!listed.has(key)) listed.set(key, adapter.name);
+    }
+    console.log('');
+  }
+
   // Legacy method for backward compatibility
-  async update() {
-    console.log(chalk.yellow('The "update" command is deprecated.'));
-    console.log(
-      'Please use "install" instead - it will detect and offer to update existing installations.',
-    );
+  async update(options = {}) {
+    if (options.from) {
+      const mirror = await this.useMirror(options.from);
+      console.log(chalk.dim(`Using ${mirror.location} (v${mirror.version})`));
+    } else if (!options.dryRun) {
+      console.log(chalk.yellow('The "update" command is deprecated.'));
+      console.log(
+        'Please use "install" instead - it will detect and offer to update existing installations.',
+      );
+    }
 
     const installDir = await this.findInstallation();
-    if (installDir) {
-      const config = {
-        installType: 'full',
-        directory: path.dirname(installDir),
-        ide: null,
+    if (!installDir) {
+      console.log(chalk.red('No BMad installation found.'));
+      return;
+    }
+
+    if (options.dryRun) {
+      this.showUpdateChanges(await this.getUpdateChanges(installDir), options);
+      return;
+    }
+
+    const config = await this.getUpdateConfig(installDir);
+    config.force = options.force;
+    for (const packId of config.skippedPacks) {
+      console.log(chalk.yellow(`  ${packId} is not in these sources, leaving it as it is`));
+    }
+    return await this.install(config);
+  }
+
+  /**
+   * Install from a mirror of this package, a directory or tarball, instead of the package the
+   * installer runs from
+   * @returns {Promise<Object>} The mirror, see package-mirror.js
+   */
+  async useMirror(spec) {
+    const mirror = await resolveMirror(
+      spec,
+      process.env.INIT_CWD || process.env.PWD || process.cwd(),
+    );
+    resourceLocator.useSourceRoot(mirror.root);
+    return mirror;
+  }
+
+  /**
+   * Config that reinstalls what installDir has, with the same settings, from the current
+   * sources. Bundled packs the sources do not provide are left out.
+   * @param {string} installDir - Installation to update
+   * @param {string} [targetDir] - Where to install, another directory to rehearse the update
+   * @returns {Promise<Object>} Installer config, with skippedPacks listing the packs left out
+   */
+  async getUpdateConfig(installDir, targetDir = installDir) {
+    const lock = await lockfile.buildLock(installDir);
+    if (!lock) {
+      throw new Error(`No BMad installation found in ${installDir}`);
+    }
+
+    const settings = lockfile.toInstallSettings(lock, targetDir);
+    // Options the new core-config.yaml already has need no rewrite, which would drop its comments
+    const shipped = yaml.load(
+      await fs.readFile(path.join(resourceLocator.getBmadCorePath(), 'core-config.yaml'), 'utf8'),
+    );
+    if (settings.prdSharded === shipped.prd?.prdSharded) delete settings.prdSharded;
+    if (settings.architectureSharded === shipped.architecture?.architectureSharded) {
+      delete settings.architectureSharded;
+    }
+    if (settings.slashPrefix === shipped.slashPrefix) delete settings.slashPrefix;
+
+    const available = new Set((await resourceLocator.getExpansionPacks()).map((pack) => pack.id));
+    const skippedPacks = settings.expansionPacks.filter(
+      (spec) => !packSource.isPackSource(spec) && !available.has(spec),
+    );
+    settings.expansionPacks = settings.expansionPacks.filter(
+      (spec) => !skippedPacks.includes(spec),
+    );
+
+    const config = await buildInstallConfig(settings, installDir, 'installed settings');
+    config.skippedPacks = skippedPacks;
+    return config;
+  }
+
+  /**
+   * What updating installDir from the current sources would change, file by file. The update
+   * is rehearsed in a scratch directory and the result compared with the installed files;
+   * IDE files are not compared as every install regenerates them.
+   * @returns {Promise<Object>} {directory, installedVersion, version, files[{path, change,
+   *   modified, merge, conflicts}], unchanged, obsolete[], skippedPacks[]}; change is added or
+   *   changed, modified whether the installed file has local changes and, for those, merge how
+   *   the update re-applies them (clean, conflicts or replaced)
+   */
+  async getUpdateChanges(installDir) {
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-update-'));
+    try {
+      const config = await this.getUpdateConfig(installDir, stagingDir);
+      config.ides = [];
+      config.quiet = true;
+
+      await this.install(config);
+
+      const installed = await this.collectInstalledFiles(installDir);
+      const updated = await this.collectInstalledFiles(stagingDir);
+      // Updates reinstall the core but skip packs already at the version the sources have
+      const roots = new Set(
+        [...updated.versions]
+          .filter(
+            ([root, version]) => root === '.bmad-core' || installed.versions.get(root) !== version,
+          )
+          .map(([root]) => root),
+      );
+      const files = [];
+      let unchanged = 0;
+
+      for (const [file, { root, hash }] of updated.files) {
+        const current = installed.files.get(file);
+        if (!roots.has(root)) {
+          unchanged++;
+        } else if (!current?.hash) {
+          files.push({ path: file, change: 'added', modified: false });
+        } else if (current.hash === hash || current.recorded === hash) {
+          // Unchanged upstream, local changes to it are kept
+          unchanged++;
+        } else if (current.hash === current.recorded) {
+          files.push({ path: file, change: 'changed', modified: false });
+        } else {
+          files.push({
+            path: file,
+            change: 'changed',
+            modified: true,
+            ...(await this.previewMerge(installDir, stagingDir, file, current.recorded)),
+          });
+        }
+      }
+      // Updates leave files the sources no longer have in place
+      const obsolete = [...installed.files]
+        .filter(([file, current]) => roots.has(current.root) && !updated.files.has(file))
+        .filter(([, current]) => current.hash)
+        .map(([file]) => file);
+
+      return {
+        directory: installDir,
+        installedVersion: (await fileManager.readManifest(installDir))?.version || null,
+        version: await this.getCoreVersion(),
+        files: files.sort((a, b) => a.path.localeCompare(b.path)),
+        unchanged,
+        obsolete: obsolete.sort(),
+        skippedPacks: config.skippedPacks,
       };
-      return await this.install(config);
+    } finally {
+      await fs.remove(stagingDir);
+    }
+  }
+
+  // How the update would re-apply the local changes to file: merged cleanly, merged with
+  // conflict markers, or replaced with the user's version backed up when no original is kept
+  async previewMerge(installDir, stagingDir, file, recorded) {
+    const pristinePath = fileManager.getPristinePath(installDir, file);
+    const local = await fs.readFile(path.join(installDir, file), 'utf8');
+    const upstream = await fs.readFile(path.join(stagingDir, file), 'utf8');
+    if ((await fileManager.calculateFileHash(pristinePath)) !== recorded) {
+      return { merge: upstream === local ? 'clean' : 'replaced' };
+    }
+
+    const { conflicts } = mergeThreeWay(await fs.readFile(pristinePath, 'utf8'), local, upstream);
+    return conflicts > 0 ? { merge: 'conflicts', conflicts } : { merge: 'clean' };
+  }
+
+  // What the install manifests in dir record: files by path as {root, recorded, hash}, hash
+  // being that of the file on disk or null when it is missing, and versions by root folder
+  async collectInstalledFiles(dir) {
+    const glob = require('glob');
+    const files = new Map();
+    const versions = new Map();
+    for (const manifestFile of glob.sync('.*/install-manifest.yaml', { cwd: dir }).sort()) {
+      const root = path.dirname(manifestFile);
+      const manifest = yaml.load(await fs.readFile(path.join(dir, manifestFile), 'utf8'));
+      versions.set(root, manifest?.version);
+      for (const entry of manifest?.files || []) {
+        if (!entry.path.startsWith(`${root}/`) || entry.path.endsWith('install-manifest.yaml')) {
+          continue;
+        }
+        files.set(entry.path, {
+          root,
+          recorded: entry.hash,
+          hash: await fileManager.calculateFileHash(path.join(dir, entry.path)),
+        });
+      }
+    }
+    return { files, versions };
+  }
+
+  showUpdateChanges(changes, options = {}) {
+    const from = changes.installedVersion ? `v${changes.installedVersion}` : 'the installed files';
+    console.log(chalk.bold(`\nUpdating ${from} to v${changes.version} would change:\n`));
+
+    if (changes.files.length === 0) {
+      console.log(chalk.green('  Nothing, the installed files are up to date'));
+    }
+    const notes = {
+      clean: ' (your changes are merged in)',
+      replaced: ' (your changes are backed up and replaced, no original copy to merge against)',
+    };
+    const conflicting = options.force ? [] : changes.files.filter((f) => f.merge === 'conflicts');
+    for (const file of changes.files) {
+      if (conflicting.includes(file)) continue;
+      const label = file.change === 'added' ? chalk.green('+') : chalk.yellow('~');
+      let note = '';
+      if (file.modified) {
+        note = options.force ? ' (your changes are backed up and replaced)' : notes[file.merge];
+      }
+      console.log(`  ${label} ${file.path}${chalk.dim(note)}`);
+    }
+
+    if (conflicting.length > 0) {
+      console.log(
+        chalk.red('\n  Your changes conflict with the update, markers would be written:'),
+      );
+      for (const { path: file, conflicts } of conflicting) {
+        console.log(chalk.red(`  ✗ ${file} (${conflicts} conflict${conflicts === 1 ? '' : 's'})`));
+      }
+    }
+
+    if (changes.obsolete.length > 0) {
+      console.log(chalk.dim('\n  No longer shipped, left in place:'));
+      for (const file of changes.obsolete) console.log(chalk.dim(`    ${file}`));
+    }
+    for (const packId of changes.skippedPacks) {
+      console.log(chalk.yellow(`  ${packId} is not in these sources and stays as it is`));
+    }
+    console.log(
+      chalk.dim(
+        `\n${changes.files.length} file(s) would change, ${changes.unchanged} unchanged. IDE files are regenerated.`,
+      ),
+    );
+    if (options.dryRun) {
+      console.log(chalk.dim('Dry run, nothing was changed.'));
     }
-    console.log(chalk.red('No BMad installation found.'));
   }
 
   async listAgents() {
@@ -1000,6 +1559,21 @@ class Installer {
     console.log(chalk.dim('\nInstall with: npx be-calm install --agent=<id>\n'));
   }
 
+  /**
+   * Available expansion packs without their local paths, for --json
+   */
+  async getExpansionPackList() {
+    return (await resourceLocator.getExpansionPacks()).map((pack) => ({
+      id: pack.id,
+      name: pack.name,
+      version: String(pack.version),
+      shortTitle: pack.shortTitle,
+      description: pack.description,
+      author: pack.author,
+      source: pack.source?.location || null,
+    }));
+  }
+
   async listExpansionPacks() {
     const expansionPacks = await resourceLocator.getExpansionPacks();
 
@@ -1022,46 +1596,635 @@ class Installer {
     console.log(chalk.dim('Install with: npx be-calm install --full --expansion-packs <id>\n'));
   }
 
+  /**
+   * IDE adapters available to the project in directory, for --json
+   */
+  async getIdeAdapterList(directory) {
+    const installDir = directory
+      ? path.resolve(directory)
+      : (await this.findInstallation()) || process.cwd();
+    const adapters = await ideRegistry.list(installDir);
+    return Promise.all(
+      adapters.map(async (adapter) => ({
+        id: adapter.id,
+        name: adapter.name,
+        source: adapter.source,
+        file: adapter.file,
+        detected: Boolean(await adapter.detect(installDir)),
+      })),
+    );
+  }
+
+  async listIdeAdapters(directory) {
+    const adapters = await this.getIdeAdapterList(directory);
+
+    console.log(chalk.bold('\nAvailable IDE Adapters:\n'));
+    for (const adapter of adapters) {
+      const detected = adapter.detected ? chalk.green(' (in use)') : '';
+      console.log(chalk.cyan(`  ${adapter.id.padEnd(20)}`), `${adapter.name}${detected}`);
+      if (adapter.source !== 'package') {
+        console.log(chalk.dim(`  ${' '.repeat(22)}from ${adapter.source}: ${adapter.file}`));
+      }
+    }
+
+    console.log(chalk.dim('\nCheck an adapter with: npx be-calm ide:check <id>\n'));
+  }
+
+  /**
+   * An agent's, a task's and a workflow's file for an IDE, rendered from its output templates,
+   * for --json
+   * @returns {Promise<Object[]>} [{kind, id, path, content}]
+   */
+  async getIdePreview(ide, options = {}) {
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : (await this.findInstallation()) || process.cwd();
+    if (!(await fileManager.readManifest(installDir))) {
+      throw new Error(`No BMad installation found in ${installDir}`);
+    }
+
+    const adapter = await ideRegistry.get(ide, installDir);
+    if (!adapter) {
+      throw new Error(`No IDE adapter found for ${ide}`);
+    }
+    if (!adapter.config.output) {
+      throw new Error(`${adapter.name} has no output templates, its files are written by code`);
+    }
+
+    const agentIds = await ideSetup.getAllAgentIds(installDir);
+    const taskIds = await ideSetup.getAllTaskIds(installDir);
+    const workflowIds = await ideSetup.getAllWorkflowIds(installDir);
+    return previewOutputs(adapter.config, {
+      installDir,
+      helpers: ideSetup,
+      agentId: options.agent || (agentIds.includes('dev') ? 'dev' : agentIds[0]),
+      taskId: options.task || (taskIds.includes('create-doc') ? 'create-doc' : taskIds[0]),
+      workflowId:
+        options.workflow ||
+        (workflowIds.includes('greenfield-fullstack') ? 'greenfield-fullstack' : workflowIds[0]),
+    });
+  }
+
+  async previewIde(ide, options = {}) {
+    for (const preview of await this.getIdePreview(ide, options)) {
+      console.log(chalk.bold.cyan(`\n── ${preview.path}\n`));
+      console.log(preview.content);
+    }
+  }
+
+  /**
+   * Run the conformance checks of ide-adapter-check.js for the given adapters, or all of them
+   * @returns {Promise<Object[]>} A result per adapter
+   */
+  async checkIdeAdapters(ids = [], options = {}) {
+    // Required here because the checks install through this installer instance
+    const { stageProject, checkAdapter } = require('./ide-adapter-check');
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : (await this.findInstallation()) || process.cwd();
+
+    const available = await ideRegistry.load(installDir);
+    const unknown = ids.filter((id) => !available.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`No IDE adapter found for ${unknown.join(', ')}`);
+    }
+    const adapters = ids.length > 0 ? ids.map((id) => available.get(id)) : [...available.values()];
+
+    const spinner = ora('Installing BMad into a scratch project...').start();
+    const stagingDir = await stageProject();
+    const results = [];
+    try {
+      for (const adapter of adapters) {
+        spinner.text = `Checking ${adapter.name}...`;
+        results.push(await checkAdapter(adapter, stagingDir));
+      }
+    } finally {
+      spinner.stop();
+      await fs.remove(stagingDir);
+    }
+    return results;
+  }
+
+  printIdeCheckReport(results) {
+    const icons = { pass: chalk.green('✓'), warn: chalk.yellow('⚠'), fail: chalk.red('✗') };
+    for (const result of results) {
+      const failed = result.checks.some((check) => check.status === 'fail');
+      console.log(
+        `${failed ? icons.fail : icons.pass} ${chalk.bold(result.name)} ${chalk.dim(`(${result.id}, ${result.source})`)}`,
+      );
+      for (const check of result.checks) {
+        console.log(`    ${icons[check.status]} ${check.check.padEnd(9)} ${check.message}`);
+      }
+    }
+    const failures = results.filter((result) =>
+      result.checks.some((check) => check.status === 'fail'),
+    ).length;
+    console.log(
+      failures > 0
+        ? chalk.red(`\n${failures} of ${results.length} adapter(s) failed`)
+        : chalk.green(`\nAll ${results.length} adapter(s) passed`),
+    );
+  }
+
+  /**
+   * State of the installation around the current directory, or in directory
+   * @returns {Promise<Object>} {installed: false} when there is none
+   */
+  async getStatus(directory) {
+    const installDir = directory ? path.resolve(directory) : await this.findInstallation();
+    const manifest = installDir ? await fileManager.readManifest(installDir) : null;
+    if (!manifest) {
+      return {
+        installed: false,
+        directory: installDir,
+        error: installDir ? 'manifest not found' : 'no installation found',
+      };
+    }
+
+    const expansionPacks = [];
+    for (const [packId, info] of Object.entries(await this.detectExpansionPacks(installDir))) {
+      expansionPacks.push({
+        id: packId,
+        version: info.manifest?.version ? String(info.manifest.version) : null,
+        source: info.manifest?.source?.location || null,
+      });
+    }
+
+    // Newer versions this installer would bring in
+    const availableUpdates = [];
+    const coreVersion = await this.getCoreVersion();
+    if (this.compareVersions(String(manifest.version), coreVersion) < 0) {
+      availableUpdates.push({ id: 'core', installed: manifest.version, available: coreVersion });
+    }
+    const availablePacks = await resourceLocator.getExpansionPacks();
+    for (const pack of expansionPacks) {
+      const available = availablePacks.find((candidate) => candidate.id === pack.id);
+      if (
+        available &&
+        this.compareVersions(pack.version || '0.0.0', String(available.version)) < 0
+      ) {
+        availableUpdates.push({
+          id: pack.id,
+          installed: pack.version,
+          available: String(available.version),
+        });
+      }
+    }
+
+    return {
+      installed: true,
+      directory: installDir,
+      version: manifest.version,
+      installedAt: manifest.installed_at,
+      installType: manifest.install_type,
+      agent: manifest.agent || null,
+      ides: manifest.ides_setup || [],
+      expansionPacks: expansionPacks.sort((a, b) => a.id.localeCompare(b.id)),
+      totalFiles: manifest.files.length,
+      modifiedFiles: await fileManager.checkModifiedFiles(installDir, manifest),
+      availableUpdates,
+      packages: (await this.getPackages(installDir)).map((pkg) => ({
+        path: pkg.path,
+        name: pkg.name,
+        settings: Object.fromEntries(
+          Object.entries(pkg.settings).map(([key, setting]) => [key, setting.value]),
+        ),
+        problems: pkg.problems,
+      })),
+    };
+  }
+
   async showStatus() {
-    const installDir = await this.findInstallation();
+    const status = await this.getStatus();
 
-    if (!installDir) {
+    if (!status.directory) {
       console.log(chalk.yellow('No BMad installation found in current directory tree'));
       return;
     }
 
-    const manifest = await fileManager.readManifest(installDir);
-
-    if (!manifest) {
+    if (!status.installed) {
       console.log(chalk.red('Invalid installation - manifest not found'));
       return;
     }
 
     console.log(chalk.bold('\nBMad Installation Status:\n'));
-    console.log(`  Directory:      ${installDir}`);
-    console.log(`  Version:        ${manifest.version}`);
-    console.log(`  Installed:      ${new Date(manifest.installed_at).toLocaleDateString()}`);
-    console.log(`  Type:           ${manifest.install_type}`);
+    console.log(`  Directory:      ${status.directory}`);
+    console.log(`  Version:        ${status.version}`);
+    console.log(`  Installed:      ${new Date(status.installedAt).toLocaleDateString()}`);
+    console.log(`  Type:           ${status.installType}`);
 
-    if (manifest.agent) {
-      console.log(`  Agent:          ${manifest.agent}`);
+    if (status.agent) {
+      console.log(`  Agent:          ${status.agent}`);
     }
 
-    if (manifest.ides_setup && manifest.ides_setup.length > 0) {
-      console.log(`  IDE Setup:      ${manifest.ides_setup.join(', ')}`);
+    if (status.ides.length > 0) {
+      console.log(`  IDE Setup:      ${status.ides.join(', ')}`);
     }
 
-    console.log(`  Total Files:    ${manifest.files.length}`);
+    if (status.expansionPacks.length > 0) {
+      const packs = status.expansionPacks.map((pack) => `${pack.id} v${pack.version}`);
+      console.log(`  Expansions:     ${packs.join(', ')}`);
+    }
+
+    console.log(`  Total Files:    ${status.totalFiles}`);
 
     // Check for modifications
-    const modifiedFiles = await fileManager.checkModifiedFiles(installDir, manifest);
-    if (modifiedFiles.length > 0) {
-      console.log(chalk.yellow(`  Modified Files: ${modifiedFiles.length}`));
+    if (status.modifiedFiles.length > 0) {
+      console.log(chalk.yellow(`  Modified Files: ${status.modifiedFiles.length}`));
+    }
+
+    if (status.availableUpdates.length > 0) {
+      const updates = status.availableUpdates.map(
+        (update) => `${update.id} ${update.installed} → ${update.available}`,
+      );
+      console.log(chalk.cyan(`  Updates:        ${updates.join(', ')}`));
+    }
+
+    const packages = await this.getPackages(status.directory);
+    if (packages.length > 0) {
+      console.log(`  Packages:       ${packages.length}`);
+      for (const pkg of packages) {
+        console.log(
+          chalk.cyan(`\n  ${pkg.path}`) +
+            (pkg.name === path.basename(pkg.path) ? '' : ` (${pkg.name})`),
+        );
+        for (const key of ['prdFile', 'devStoryLocation', 'devLoadAlwaysFiles']) {
+          const setting = pkg.settings[key];
+          if (!setting) continue;
+          const value = Array.isArray(setting.value) ? setting.value.join(', ') : setting.value;
+          console.log(
+            `    ${`${key}:`.padEnd(20)}${value}${setting.fromPackage ? '' : chalk.dim(' (core)')}`,
+          );
+        }
+        for (const problem of pkg.problems) console.log(chalk.yellow(`    ⚠ ${problem}`));
+      }
     }
 
     console.log('');
   }
 
+  /**
+   * Machine-readable result of an install, for --json: the installation's status after it
+   * and what was merged into shared IDE configuration
+   */
+  async getInstallSummary(directory) {
+    const status = await this.getStatus(directory);
+    return {
+      ...status,
+      ideResults: {
+        opencode: ideSetup.openCodeSummary,
+        sharedFiles: ideSetup.sharedFileChanges,
+      },
+    };
+  }
+
+  /**
+   * Monorepo packages with their own .bmad-package.yaml, and their effective settings
+   */
+  async getPackages(installDir) {
+    let coreConfig = {};
+    try {
+      coreConfig = yaml.load(
+        await fs.readFile(path.join(installDir, '.bmad-core', 'core-config.yaml'), 'utf8'),
+      );
+    } catch {
+      // Packages then only show their own settings
+    }
+
+    const packages = [];
+    for (const packageDir of packageConfig.findPackages(installDir)) {
+      packages.push(await packageConfig.loadPackage(installDir, packageDir, coreConfig));
+    }
+    return packages;
+  }
+
+  /**
+   * Create the .bmad-package.yaml of monorepo packages listed in an install file that do
+   * not have one yet
+   */
+  async createPackageConfigs(installDir, packageDirs = []) {
+    if (packageDirs.length === 0) return;
+    const coreConfig = yaml.load(
+      await fs.readFile(path.join(installDir, '.bmad-core', 'core-config.yaml'), 'utf8'),
+    );
+    for (const packageDir of packageDirs) {
+      await fs.ensureDir(path.join(installDir, packageDir));
+      if (await packageConfig.createPackageConfig(installDir, packageDir, coreConfig)) {
+        console.log(chalk.green(`✓ Created ${packageDir}/${packageConfig.PACKAGE_CONFIG_FILE}`));
+      }
+    }
+  }
+
+  /**
+   * Give monorepo packages their own .bmad-package.yaml, next to a core installed once at
+   * the repository root
+   * @param {string[]} packageDirs - Package directories, relative to the current directory
+   */
+  async addPackages(packageDirs, options = {}) {
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : await this.findInstallation();
+    if (!installDir || !(await fileManager.readManifest(installDir))) {
+      throw new Error('No BMad installation found, install BMad at the repository root first');
+    }
+
+    const coreConfig = yaml.load(
+      await fs.readFile(path.join(installDir, '.bmad-core', 'core-config.yaml'), 'utf8'),
+    );
+    for (const packageDir of packageDirs) {
+      const absoluteDir = path.resolve(packageDir);
+      const relativeDir = path.relative(installDir, absoluteDir).split(path.sep).join('/');
+      if (!relativeDir || relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+        throw new Error(`${packageDir} is not a directory below ${installDir}`);
+      }
+      if (!(await fs.pathExists(absoluteDir))) {
+        throw new Error(`${packageDir} does not exist`);
+      }
+
+      const configFile = `${relativeDir}/${packageConfig.PACKAGE_CONFIG_FILE}`;
+      if (await packageConfig.createPackageConfig(installDir, relativeDir, coreConfig)) {
+        console.log(chalk.green(`✓ Created ${configFile}`));
+      } else {
+        console.log(chalk.dim(`  ${configFile} already exists, left unchanged`));
+      }
+    }
+    console.log(
+      chalk.dim(
+        `\nEdit the settings in each ${packageConfig.PACKAGE_CONFIG_FILE}; \`npx be-calm status\` shows what agents will use.`,
+      ),
+    );
+  }
+
+  async rollback(options = {}) {
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : (await this.findInstallation()) || process.cwd();
+
+    const journal = await InstallTransaction.readLast(installDir);
+    if (!journal) {
+      console.log(chalk.yellow(`Nothing to roll back in ${installDir}`));
+      return;
+    }
+
+    const completedAt = new Date(journal.committed_at || journal.started_at).toLocaleString();
+    console.log(chalk.bold('\nLast change:'));
+    console.log(`  Directory:  ${installDir}`);
+    console.log(`  Change:     ${journal.description}`);
+    console.log(`  Completed:  ${completedAt}`);
+    console.log(`  Files:      ${journal.entries.length}`);
+
+    // Rolling back files edited since would throw those edits away
+    const changed = await InstallTransaction.findChangedSinceCommit(journal, installDir);
+    if (changed.length > 0) {
+      console.log(chalk.yellow('\nChanged since then, rolling back overwrites your changes to:'));
+      for (const file of changed) console.log(chalk.yellow(`  - ${file}`));
+      if (options.yes && !options.force) {
+        throw new Error('files were changed since the last change, add --force to overwrite them');
+      }
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message:
+            changed.length > 0
+              ? 'Restore the project to its state before this change, overwriting these files?'
+              : 'Restore the project to its state before this change?',
+          default: false,
+        },
+      ]);
+      if (!confirm) {
+        console.log('Rollback cancelled.');
+        return;
+      }
+    }
+
+    const spinner = ora('Rolling back...').start();
+    await InstallTransaction.rollbackLast(installDir, { force: true });
+    spinner.succeed(`Rolled back: ${journal.description}`);
+
+    for (const entry of journal.entries) {
+      const action = entry.existed ? 'restored' : 'removed';
+      console.log(chalk.dim(`  ${action.padEnd(9)} ${entry.path}`));
+    }
+  }
+
+  async doctor(options = {}) {
+    // Required here because doctor builds on this installer instance
+    const doctor = require('./doctor');
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : (await this.findInstallation()) || process.cwd();
+
+    if (!(await fileManager.readManifest(installDir))) {
+      console.log(chalk.red(`No BMad installation found in ${installDir}`));
+      return { errors: 1 };
+    }
+
+    console.log(chalk.bold(`\n🩺 Checking ${installDir}\n`));
+    let checks = await doctor.diagnose(installDir);
+    this.printDoctorReport(checks);
+
+    const fixable = checks.filter((check) => check.fix);
+    if (fixable.length > 0 && !options.check) {
+      const fixes = [];
+      for (const check of fixable) {
+        if (options.fix) {
+          fixes.push(check);
+          continue;
+        }
+        const { apply } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'apply',
+            message: `${check.title}: ${check.fix.description}?`,
+            default: true,
+          },
+        ]);
+        if (apply) fixes.push(check);
+      }
+
+      if (fixes.length > 0) {
+        const transaction = new InstallTransaction(installDir);
+        await transaction.begin(
+          [
+            ...(await this.getTransactionPaths(installDir, {})),
+            ...fixes.flatMap((check) => check.fix.paths),
+          ],
+          `doctor fixes: ${fixes.map((check) => check.id).join(', ')}`,
+        );
+
+        const spinner = ora('Applying fixes...').start();
+        try {
+          for (const check of fixes) {
+            spinner.text = `Fixing ${check.title.toLowerCase()}...`;
+            await check.fix.apply(spinner);
+          }
+          await lockfile.writeLock(installDir);
+          await transaction.commit();
+          spinner.stop();
+        } catch (error) {
+          spinner.fail('Fixing failed');
+          await transaction.rollback();
+          console.log(chalk.yellow('Restored the previous installation, no changes were kept.'));
+          throw error;
+        }
+
+        console.log(chalk.bold('\nAfter fixes:\n'));
+        checks = await doctor.diagnose(installDir);
+        this.printDoctorReport(checks);
+
+        // A fix only counts when none of the problems it targets are left
+        const remaining = new Set(
+          checks.flatMap((check) =>
+            check.problems.map((problem) => `${check.id}\0${problem.message}`),
+          ),
+        );
+        const failed = fixes.filter((check) =>
+          (check.fix.problems || check.problems).some((problem) =>
+            remaining.has(`${check.id}\0${problem.message}`),
+          ),
+        );
+        const cleared = fixes.length - failed.length;
+        if (cleared > 0) {
+          console.log(chalk.green(`✓ Applied ${cleared} fix(es), undo with \`bmad rollback\``));
+        }
+        for (const check of failed) {
+          console.log(chalk.yellow(`⚠ ${check.title}: the fix did not clear the problems above`));
+        }
+      }
+    }
+
+    const problems = checks.flatMap((check) => check.problems);
+    return {
+      errors: problems.filter((problem) => problem.severity === 'error').length,
+      warnings: problems.filter((problem) => problem.severity === 'warn').length,
+    };
+  }
+
+  async uninstall(options = {}) {
+    // Required here because uninstaller builds on this installer instance
+    const uninstaller = require('./uninstaller');
+    const installDir = options.directory
+      ? path.resolve(options.directory)
+      : (await this.findInstallation()) || process.cwd();
+
+    const plan = await uninstaller.plan(installDir, options);
+    const edits = await uninstaller.resolveEdits(plan);
+
+    console.log(chalk.bold(`\n🗑️  Uninstalling BMad from ${installDir}`));
+    console.log(`  Packages: ${options.ide ? chalk.dim('(kept)') : plan.packages.join(', ')}`);
+    console.log(`  IDEs:     ${plan.ides.join(', ') || chalk.dim('none')}`);
+
+    console.log(chalk.cyan(`\nFiles to remove: ${plan.remove.length}`));
+    if (options.dryRun) {
+      for (const file of plan.remove) console.log(chalk.dim(`  - ${file}`));
+    } else {
+      for (const [group, count] of Object.entries(this.groupByFolder(plan.remove))) {
+        console.log(chalk.dim(`  - ${group} (${count})`));
+      }
+    }
+    if (edits.length > 0) {
+      console.log(chalk.cyan('\nShared files to edit:'));
+      for (const edit of edits) {
+        const action = edit.content === null ? 'delete, nothing else left' : 'edit';
+        console.log(chalk.dim(`  - ${edit.path}: ${edit.descriptions.join(', ')} (${action})`));
+      }
+    }
+    if (plan.keep.length > 0) {
+      console.log(chalk.yellow(`\nModified files to keep (use --force to remove them too):`));
+      for (const file of plan.keep) console.log(chalk.yellow(`  - ${file.path}`));
+    }
+    for (const note of plan.notes) console.log(chalk.dim(`\nℹ ${note}`));
+
+    if (plan.remove.length === 0 && edits.length === 0) {
+      console.log(chalk.yellow('\nNothing to uninstall.'));
+      return;
+    }
+    if (options.dryRun) {
+      console.log(chalk.dim('\nDry run, nothing was changed.'));
+      return;
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Remove these files from the project?',
+          default: false,
+        },
+      ]);
+      if (!confirm) {
+        console.log('Uninstall cancelled.');
+        return;
+      }
+    }
+
+    // Snapshot what is removed or edited, so `bmad rollback` can bring it back
+    const targets = [
+      ...plan.packages.map((id) => (id === 'core' ? '.bmad-core' : `.${id}`)),
+      ...edits.map((edit) => edit.path),
+      ...plan.manifestUpdates.map((update) => update.path),
+      lockfile.LOCK_FILE,
+    ];
+    for (const ide of plan.ides) targets.push(...(await ideSetup.getTargetPaths(ide, installDir)));
+    const transaction = new InstallTransaction(installDir);
+    await transaction.begin(
+      targets.map((target) => path.resolve(installDir, target)),
+      ['uninstall', options.pack, options.ide && `from ${options.ide}`].filter(Boolean).join(' '),
+    );
+
+    const spinner = ora('Uninstalling...').start();
+    try {
+      await uninstaller.apply(plan, edits);
+      await lockfile.writeLock(installDir);
+      await transaction.commit();
+    } catch (error) {
+      spinner.fail('Uninstall failed');
+      await transaction.rollback();
+      console.log(chalk.yellow('Restored the previous installation, no changes were kept.'));
+      throw error;
+    }
+    spinner.succeed(`Removed ${plan.remove.length} file(s), edited ${edits.length} shared file(s)`);
+    console.log(
+      chalk.dim(
+        `Undo with \`bmad rollback\`. Delete ${InstallTransaction.JOURNAL_DIR}/ once you no longer need to.`,
+      ),
+    );
+  }
+
+  /**
+   * Count files per top-level folder, e.g. .claude/commands/BMad/agents/dev.md → .claude
+   */
+  groupByFolder(files) {
+    const groups = {};
+    for (const file of files) {
+      const [group] = file.split(path.sep);
+      groups[group] = (groups[group] || 0) + 1;
+    }
+    return groups;
+  }
+
+  printDoctorReport(checks) {
+    for (const check of checks) {
+      const severities = new Set(check.problems.map((problem) => problem.severity));
+      let symbol = chalk.green('✓');
+      if (severities.has('error')) symbol = chalk.red('✗');
+      else if (severities.has('warn')) symbol = chalk.yellow('⚠');
+
+      console.log(`${symbol} ${chalk.bold(check.title)} ${chalk.dim(`- ${check.summary}`)}`);
+      for (const problem of check.problems) {
+        const color = problem.severity === 'error' ? chalk.red : chalk.yellow;
+        console.log(color(`    ${problem.message}`));
+      }
+      if (check.hint) console.log(chalk.dim(`    ${check.hint}`));
+    }
+    console.log('');
+  }
+
   async getAvailableAgents() {
     return resourceLocator.getAvailableAgents();
   }
@@ -1089,12 +2252,13 @@ class Installer {
         const pack = expansionPacks.find((p) => p.id === packId);
 
         if (!pack) {
-          console.warn(`Expansion pack ${packId} not found, skipping...`);
+          if (!config.quiet) console.warn(`Expansion pack ${packId} not found, skipping...`);
           continue;
         }
 
         // Check if expansion pack already exists
         let expansionDotFolder = path.join(installDir, `.${packId}`);
+        let localChanges = [];
         const existingManifestPath = path.join(expansionDotFolder, 'install-manifest.yaml');
 
         if (await fileManager.pathExists(existingManifestPath)) {
@@ -1138,14 +2302,16 @@ class Installer {
               { name: 'Cancel installation', value: 'cancel' },
             );
 
-            const { action } = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'action',
-                message: `${pack.name} v${pack.version} is already installed. What would you like to do?`,
-                choices: choices,
-              },
-            ]);
+            const { action } = config.nonInteractive
+              ? { action: this.getSameVersionPackAction(config, hasPackIntegrityIssues) }
+              : await inquirer.prompt([
+                  {
+                    type: 'list',
+                    name: 'action',
+                    message: `${pack.name} v${pack.version} is already installed. What would you like to do?`,
+                    choices: choices,
+                  },
+                ]);
 
             switch (action) {
               case 'skip': {
@@ -1156,30 +2322,41 @@ class Installer {
               }
               case 'cancel': {
                 console.log('Installation cancelled.');
+                await this.abortTransaction();
                 process.exit(0);
 
                 break;
               }
               case 'repair': {
                 // Repair the expansion pack
-                await this.repairExpansionPack(installDir, packId, pack, packIntegrity, spinner);
+                await this.repairExpansionPack(installDir, packId, pack, packIntegrity, spinner, {
+                  backup: !config.frozenLock,
+                });
                 continue;
 
                 break;
               }
+              case 'overwrite': {
+                // Force reinstall discards local changes
+                localChanges = null;
+
+                break;
+              }
               // No default
             }
           } else if (versionCompare < 0) {
             console.log(chalk.cyan('   ⬆️  Upgrade available'));
 
-            const { proceed } = await inquirer.prompt([
-              {
-                type: 'confirm',
-                name: 'proceed',
-                message: `Upgrade ${pack.name} from v${existingManifest.version} to v${pack.version}?`,
-                default: true,
-              },
-            ]);
+            const { proceed } = config.nonInteractive
+              ? { proceed: true }
+              : await inquirer.prompt([
+                  {
+                    type: 'confirm',
+                    name: 'proceed',
+                    message: `Upgrade ${pack.name} from v${existingManifest.version} to v${pack.version}?`,
+                    default: true,
+                  },
+                ]);
 
             if (!proceed) {
               spinner.start();
@@ -1188,29 +2365,35 @@ class Installer {
           } else {
             console.log(chalk.yellow('   ⬇️  Installed version is newer than available version'));
 
-            const { action } = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'action',
-                message: 'What would you like to do?',
-                choices: [
-                  { name: 'Keep current version', value: 'skip' },
-                  { name: 'Downgrade to available version', value: 'downgrade' },
-                  { name: 'Cancel installation', value: 'cancel' },
-                ],
-              },
-            ]);
+            const { action } = config.nonInteractive
+              ? { action: config.existingInstall === 'reinstall' ? 'downgrade' : 'skip' }
+              : await inquirer.prompt([
+                  {
+                    type: 'list',
+                    name: 'action',
+                    message: 'What would you like to do?',
+                    choices: [
+                      { name: 'Keep current version', value: 'skip' },
+                      { name: 'Downgrade to available version', value: 'downgrade' },
+                      { name: 'Cancel installation', value: 'cancel' },
+                    ],
+                  },
+                ]);
 
             if (action === 'skip') {
               spinner.start();
               continue;
             } else if (action === 'cancel') {
               console.log('Installation cancelled.');
+              await this.abortTransaction();
               process.exit(0);
             }
           }
 
           // If we get here, we're proceeding with installation
+          if (localChanges) {
+            localChanges = await fileManager.collectLocalChanges(installDir, existingManifest);
+          }
           spinner.start(`Removing old ${pack.name} installation...`);
           await fileManager.removeDirectory(expansionDotFolder);
         }
@@ -1232,6 +2415,7 @@ class Installer {
           'data',
           'utils',
           'schemas',
+          'ide-adapters',
         ];
 
         // Copy each folder if it exists
@@ -1298,7 +2482,7 @@ class Installer {
 
         // Copy common/ items to expansion pack folder
         spinner.text = `Copying common utilities to ${packId}...`;
-        await this.copyCommonItems(installDir, `.${packId}`, spinner);
+        await this.copyCommonItems(installDir, `.${packId}`, spinner, { quiet: config.quiet });
 
         // Check and resolve core dependencies
         await this.resolveExpansionPackCoreDependencies(
@@ -1307,10 +2491,18 @@ class Installer {
           packId,
           pack,
           spinner,
+          { quiet: config.quiet },
         );
 
         // Check and resolve core agents referenced by teams
-        await this.resolveExpansionPackCoreAgents(installDir, expansionDotFolder, packId, spinner);
+        await this.resolveExpansionPackCoreAgents(
+          installDir,
+          expansionDotFolder,
+          packId,
+          pack,
+          spinner,
+          { quiet: config.quiet },
+        );
 
         // Create manifest for this expansion pack
         spinner.text = `Creating manifest for ${packId}...`;
@@ -1319,7 +2511,9 @@ class Installer {
           expansionPackId: packId,
           expansionPackName: pack.name,
           expansionPackVersion: pack.version,
+          source: pack.source,
           ides: config.ides || [], // Use ides_setup instead of ide_setup
+          ideSettings: toIdeSettings(config),
         };
 
         // Get all files installed in this expansion pack
@@ -1336,273 +2530,248 @@ class Installer {
           expansionPackFiles,
         );
 
-        console.log(chalk.green(`✓ Installed expansion pack: ${pack.name} to ${`.${packId}`}`));
+        if (!config.quiet) {
+          console.log(chalk.green(`✓ Installed expansion pack: ${pack.name} to ${`.${packId}`}`));
+        }
+
+        if (localChanges?.length > 0) {
+          const summary = await fileManager.mergeLocalChanges(
+            installDir,
+            localChanges,
+            `v${pack.version}`,
+          );
+          this.showMergeSummary(summary);
+        }
       } catch (error) {
-        console.error(`Failed to install expansion pack ${packId}: ${error.message}`);
-        console.error(`Stack trace: ${error.stack}`);
+        throw new Error(`Failed to install expansion pack ${packId}: ${error.message}`, {
+          cause: error,
+        });
       }
     }
 
     return installedFiles;
   }
 
-  async resolveExpansionPackCoreDependencies(
-    installDir,
-    expansionDotFolder,
-    packId,
-    pack,
-    spinner,
-  ) {
-    const yaml = require('js-yaml');
-    const fs = require('node:fs').promises;
+  /**
+   * What an install file's existingInstall setting means for a pack that is already
+   * installed at the same version
+   */
+  getSameVersionPackAction(config, hasIntegrityIssues) {
+    // A frozen install restores locked files the user changed
+    if (config.frozenLock) return hasIntegrityIssues ? 'repair' : 'skip';
 
-    // Find all agent files in the expansion pack
-    const agentFiles = await resourceLocator.findFiles('agents/*.md', {
-      cwd: expansionDotFolder,
+    switch (config.existingInstall) {
+      case 'reinstall': {
+        return 'overwrite';
+      }
+      case 'repair': {
+        return hasIntegrityIssues ? 'repair' : 'skip';
+      }
+      default: {
+        return 'skip';
+      }
+    }
+  }
+
+  /**
+   * Resolver options for a project, so dependencies added by its overrides get installed
+   */
+  async getResolverOptions(installDir) {
+    const overrideDir = path.join(installDir, OVERRIDE_DIR);
+    return (await fileManager.pathExists(overrideDir)) ? { overrideDir } : {};
+  }
+
+  /**
+   * Apply .bmad-overrides/ from the project: files with the same path replace installed
+   * resources, <name>.merge.yaml files are deep-merged into them. Core receives every
+   * override; expansion packs only get overrides for files they already contain.
+   * @returns {Promise<string[]>} Installed files written by overrides
+   */
+  async applyProjectOverrides(installDir, config, spinner) {
+    const overrideDir = path.join(installDir, OVERRIDE_DIR);
+    if (!(await fileManager.pathExists(overrideDir))) return [];
+
+    spinner.text = 'Applying project overrides...';
+    const targets = (config.expansionPacks || []).map((packId) => `.${packId}`);
+    if (config.installType !== 'expansion-only') targets.unshift('.bmad-core');
+
+    const overrideFiles = await resourceLocator.findFiles('**/*', {
+      cwd: overrideDir,
+      nodir: true,
     });
+    const written = [];
+    const report = [];
 
-    for (const agentFile of agentFiles) {
-      const agentPath = path.join(expansionDotFolder, agentFile);
-      const agentContent = await fs.readFile(agentPath, 'utf8');
+    for (const file of overrideFiles.sort()) {
+      const sourcePath = path.join(overrideDir, file);
+      let applied = false;
 
-      // Extract YAML frontmatter to check dependencies
-      const yamlContent = extractYamlFromAgent(agentContent);
-      if (yamlContent) {
-        try {
-          const agentConfig = yaml.load(yamlContent);
-          const dependencies = agentConfig.dependencies || {};
-
-          // Check for core dependencies (those that don't exist in the expansion pack)
-          for (const depType of [
-            'tasks',
-            'templates',
-            'checklists',
-            'workflows',
-            'utils',
-            'data',
-          ]) {
-            const deps = dependencies[depType] || [];
-
-            for (const dep of deps) {
-              const depFileName =
-                dep.endsWith('.md') || dep.endsWith('.yaml')
-                  ? dep
-                  : depType === 'templates'
-                    ? `${dep}.yaml`
-                    : `${dep}.md`;
-              const expansionDepPath = path.join(expansionDotFolder, depType, depFileName);
-
-              // Check if dependency exists in expansion pack dot folder
-              if (!(await fileManager.pathExists(expansionDepPath))) {
-                // Try to find it in expansion pack source
-                const sourceDepPath = path.join(pack.path, depType, depFileName);
-
-                if (await fileManager.pathExists(sourceDepPath)) {
-                  // Copy from expansion pack source
-                  spinner.text = `Copying ${packId} dependency ${dep}...`;
-                  const destinationPath = path.join(expansionDotFolder, depType, depFileName);
-                  await fileManager.copyFileWithRootReplacement(
-                    sourceDepPath,
-                    destinationPath,
-                    `.${packId}`,
-                  );
-                  console.log(chalk.dim(`  Added ${packId} dependency: ${depType}/${depFileName}`));
-                } else {
-                  // Try to find it in core
-                  const coreDepPath = path.join(
-                    resourceLocator.getBmadCorePath(),
-                    depType,
-                    depFileName,
-                  );
-
-                  if (await fileManager.pathExists(coreDepPath)) {
-                    spinner.text = `Copying core dependency ${dep} for ${packId}...`;
-
-                    // Copy from core to expansion pack dot folder with {root} replacement
-                    const destinationPath = path.join(expansionDotFolder, depType, depFileName);
-                    await fileManager.copyFileWithRootReplacement(
-                      coreDepPath,
-                      destinationPath,
-                      `.${packId}`,
-                    );
-
-                    console.log(chalk.dim(`  Added core dependency: ${depType}/${depFileName}`));
-                  } else {
-                    console.warn(
-                      chalk.yellow(
-                        `  Warning: Dependency ${depType}/${dep} not found in core or expansion pack`,
-                      ),
-                    );
-                  }
-                }
-              }
+      for (const target of targets) {
+        if (isMergePatch(file)) {
+          const baseName = file.slice(0, -MERGE_SUFFIX.length);
+          for (const extension of ['.md', '.yaml', '.yml']) {
+            const targetFile = path.join(target, `${baseName}${extension}`);
+            const targetPath = path.join(installDir, targetFile);
+            if (!(await fileManager.pathExists(targetPath))) continue;
+
+            try {
+              const patchContent = (await fs.readFile(sourcePath, 'utf8')).replaceAll(
+                '{root}',
+                target,
+              );
+              const content = await fs.readFile(targetPath, 'utf8');
+              await fs.writeFile(targetPath, applyMergePatch(targetFile, content, patchContent));
+              report.push(`${file} merged into ${targetFile}`);
+              written.push(targetFile);
+              applied = true;
+            } catch (error) {
+              console.warn(chalk.yellow(`  Warning: Could not merge ${file}: ${error.message}`));
             }
           }
-        } catch (error) {
-          console.warn(`  Warning: Could not parse agent dependencies: ${error.message}`);
+        } else {
+          const targetFile = path.join(target, file);
+          const targetPath = path.join(installDir, targetFile);
+          const exists = await fileManager.pathExists(targetPath);
+          if (target !== '.bmad-core' && !exists) continue;
+
+          if (await fileManager.copyFileWithRootReplacement(sourcePath, targetPath, target)) {
+            report.push(`${file} ${exists ? 'replaced' : 'added as'} ${targetFile}`);
+            written.push(targetFile);
+            applied = true;
+          }
         }
       }
+
+      if (!applied) {
+        report.push(`${file} not applied (no matching installed file)`);
+      }
     }
-  }
 
-  async resolveExpansionPackCoreAgents(installDir, expansionDotFolder, packId, spinner) {
-    const yaml = require('js-yaml');
-    const fs = require('node:fs').promises;
+    if (report.length > 0) {
+      console.log(chalk.cyan(`\n🧩 Project overrides (${OVERRIDE_DIR}):`));
+      for (const line of report) console.log(chalk.dim(`  ${line}`));
+    }
 
-    // Find all team files in the expansion pack
-    const teamFiles = await resourceLocator.findFiles('agent-teams/*.yaml', {
-      cwd: expansionDotFolder,
-    });
+    return written;
+  }
 
-    // Also get existing agents in the expansion pack
-    const existingAgents = new Set();
-    const agentFiles = await resourceLocator.findFiles('agents/*.md', {
-      cwd: expansionDotFolder,
-    });
-    for (const agentFile of agentFiles) {
-      const agentName = path.basename(agentFile, '.md');
-      existingAgents.add(agentName);
+  /**
+   * Copy files resolved by the layered resolver into the install directory
+   * @param {Array<{source: string, target: string}>} resolvedFiles - From ConfigLoader
+   * @returns {Promise<string[]>} Installed paths relative to the install directory
+   */
+  async copyResolvedFiles(installDir, resolvedFiles, spinner) {
+    const installed = [];
+    for (const { source, target } of resolvedFiles) {
+      spinner.text = `Copying dependency: ${target}`;
+      const destinationPath = path.join(installDir, target);
+      if (await fileManager.copyFileWithRootReplacement(source, destinationPath, '.bmad-core')) {
+        installed.push(target);
+      }
     }
+    return installed;
+  }
 
-    // Process each team file
-    for (const teamFile of teamFiles) {
-      const teamPath = path.join(expansionDotFolder, teamFile);
-      const teamContent = await fs.readFile(teamPath, 'utf8');
+  async resolveExpansionPackCoreDependencies(
+    installDir,
+    expansionDotFolder,
+    packId,
+    pack,
+    spinner,
+    options = {},
+  ) {
+    const resolver = resourceLocator.getResolver({ packDir: pack.path });
 
+    for (const agentId of await resolver.listAgents()) {
       try {
-        const teamConfig = yaml.load(teamContent);
-        const agents = teamConfig.agents || [];
-
-        // Add bmad-orchestrator if not present (required for all teams)
-        if (!agents.includes('bmad-orchestrator')) {
-          agents.unshift('bmad-orchestrator');
+        const dependencies = await resolver.resolveAgentDependencies(agentId);
+        await this.copyExpansionPackDependencies(
+          expansionDotFolder,
+          packId,
+          dependencies,
+          spinner,
+          options,
+        );
+      } catch (error) {
+        if (!options.quiet) {
+          console.warn(`  Warning: Could not parse agent dependencies: ${error.message}`);
         }
+      }
+    }
+  }
 
-        // Check each agent in the team
-        for (const agentId of agents) {
-          if (!existingAgents.has(agentId)) {
-            // Agent not in expansion pack, try to get from core
-            const coreAgentPath = path.join(
-              resourceLocator.getBmadCorePath(),
-              'agents',
-              `${agentId}.md`,
-            );
-
-            if (await fileManager.pathExists(coreAgentPath)) {
-              spinner.text = `Copying core agent ${agentId} for ${packId}...`;
+  async resolveExpansionPackCoreAgents(
+    installDir,
+    expansionDotFolder,
+    packId,
+    pack,
+    spinner,
+    options = {},
+  ) {
+    const resolver = resourceLocator.getResolver({ packDir: pack.path });
 
-              // Copy agent file with {root} replacement
-              const destinationPath = path.join(expansionDotFolder, 'agents', `${agentId}.md`);
-              await fileManager.copyFileWithRootReplacement(
-                coreAgentPath,
-                destinationPath,
-                `.${packId}`,
-              );
-              existingAgents.add(agentId);
-
-              console.log(chalk.dim(`  Added core agent: ${agentId}`));
-
-              // Now resolve this agent's dependencies too
-              const agentContent = await fs.readFile(coreAgentPath, 'utf8');
-              const yamlContent = extractYamlFromAgent(agentContent, true);
-
-              if (yamlContent) {
-                try {
-                  const agentConfig = yaml.load(yamlContent);
-                  const dependencies = agentConfig.dependencies || {};
-
-                  // Copy all dependencies for this agent
-                  for (const depType of [
-                    'tasks',
-                    'templates',
-                    'checklists',
-                    'workflows',
-                    'utils',
-                    'data',
-                  ]) {
-                    const deps = dependencies[depType] || [];
-
-                    for (const dep of deps) {
-                      const depFileName =
-                        dep.endsWith('.md') || dep.endsWith('.yaml')
-                          ? dep
-                          : depType === 'templates'
-                            ? `${dep}.yaml`
-                            : `${dep}.md`;
-                      const expansionDepPath = path.join(expansionDotFolder, depType, depFileName);
-
-                      // Check if dependency exists in expansion pack
-                      if (!(await fileManager.pathExists(expansionDepPath))) {
-                        // Try to find it in core
-                        const coreDepPath = path.join(
-                          resourceLocator.getBmadCorePath(),
-                          depType,
-                          depFileName,
-                        );
-
-                        if (await fileManager.pathExists(coreDepPath)) {
-                          const destinationDepPath = path.join(
-                            expansionDotFolder,
-                            depType,
-                            depFileName,
-                          );
-                          await fileManager.copyFileWithRootReplacement(
-                            coreDepPath,
-                            destinationDepPath,
-                            `.${packId}`,
-                          );
-                          console.log(
-                            chalk.dim(`    Added agent dependency: ${depType}/${depFileName}`),
-                          );
-                        } else {
-                          // Try common folder
-                          const sourceBase = path.dirname(
-                            path.dirname(path.dirname(path.dirname(__filename))),
-                          ); // Go up to project root
-                          const commonDepPath = path.join(
-                            sourceBase,
-                            'common',
-                            depType,
-                            depFileName,
-                          );
-                          if (await fileManager.pathExists(commonDepPath)) {
-                            const destinationDepPath = path.join(
-                              expansionDotFolder,
-                              depType,
-                              depFileName,
-                            );
-                            await fileManager.copyFile(commonDepPath, destinationDepPath);
-                            console.log(
-                              chalk.dim(
-                                `    Added agent dependency from common: ${depType}/${depFileName}`,
-                              ),
-                            );
-                          }
-                        }
-                      }
-                    }
-                  }
-                } catch (error) {
-                  console.warn(
-                    `  Warning: Could not parse agent ${agentId} dependencies: ${error.message}`,
-                  );
-                }
-              }
-            } else {
-              console.warn(
-                chalk.yellow(
-                  `  Warning: Core agent ${agentId} not found for team ${path.basename(teamFile, '.yaml')}`,
-                ),
-              );
-            }
-          }
+    for (const teamId of await resolver.listTeams()) {
+      try {
+        // Teams always include bmad-orchestrator; agents missing from the pack come from core
+        const dependencies = await resolver.resolveTeamDependencies(teamId);
+        for (const agent of dependencies.agents) {
+          const destinationPath = path.join(expansionDotFolder, 'agents', `${agent.id}.md`);
+          if (await fileManager.pathExists(destinationPath)) continue;
+
+          spinner.text = `Copying core agent ${agent.id} for ${packId}...`;
+          await fileManager.copyFileWithRootReplacement(agent.path, destinationPath, `.${packId}`);
+          if (!options.quiet) console.log(chalk.dim(`  Added core agent: ${agent.id}`));
         }
+
+        await this.copyExpansionPackDependencies(
+          expansionDotFolder,
+          packId,
+          dependencies,
+          spinner,
+          options,
+        );
       } catch (error) {
-        console.warn(`  Warning: Could not parse team file ${teamFile}: ${error.message}`);
+        if (!options.quiet) {
+          console.warn(`  Warning: Could not resolve team ${teamId}: ${error.message}`);
+        }
       }
     }
   }
 
+  /**
+   * Copy resources that an expansion pack resolved from another layer (core, common,
+   * project overrides) into the pack's dot folder
+   * @param {Object} [options] - quiet: leave out the progress and warning messages
+   */
+  async copyExpansionPackDependencies(
+    expansionDotFolder,
+    packId,
+    dependencies,
+    spinner,
+    options = {},
+  ) {
+    for (const resource of dependencies.resources) {
+      const destinationPath = path.join(expansionDotFolder, resource.type, resource.id);
+      if (await fileManager.pathExists(destinationPath)) continue;
+
+      spinner.text = `Copying ${resource.layer} dependency ${resource.id} for ${packId}...`;
+      await fileManager.copyFileWithRootReplacement(resource.path, destinationPath, `.${packId}`);
+      if (!options.quiet) {
+        console.log(
+          chalk.dim(`  Added ${resource.layer} dependency: ${resource.type}/${resource.id}`),
+        );
+      }
+    }
+
+    if (options.quiet) return;
+    for (const { type, id, chain } of dependencies.unresolved) {
+      if (chain.length > 2) continue; // Only report what agents declare directly
+      console.warn(
+        chalk.yellow(`  Warning: Dependency ${type}/${id} not found in core or expansion pack`),
+      );
+    }
+  }
+
   getWebBundleInfo(config) {
     const webBundleType = config.webBundleType || 'all';
 
@@ -1709,16 +2878,16 @@ class Installer {
     }
   }
 
-  async copyCommonItems(installDir, targetSubdir, spinner) {
+  async copyCommonItems(installDir, targetSubdir, spinner, options = {}) {
     const fs = require('node:fs').promises;
-    const sourceBase = path.dirname(path.dirname(path.dirname(path.dirname(__filename)))); // Go up to project root
+    const sourceBase = resourceLocator.getSourceRoot();
     const commonPath = path.join(sourceBase, 'common');
     const targetPath = path.join(installDir, targetSubdir);
     const copiedFiles = [];
 
     // Check if common/ exists
     if (!(await fileManager.pathExists(commonPath))) {
-      console.warn('Warning: common/ folder not found');
+      if (!options.quiet) console.warn('Warning: common/ folder not found');
       return copiedFiles;
     }
 
@@ -1746,13 +2915,13 @@ class Installer {
       copiedFiles.push(path.join(targetSubdir, item));
     }
 
-    console.log(chalk.dim(`  Added ${commonItems.length} common utilities`));
+    if (!options.quiet) console.log(chalk.dim(`  Added ${commonItems.length} common utilities`));
     return copiedFiles;
   }
 
-  async copyDocsItems(installDir, targetSubdir, spinner) {
+  async copyDocsItems(installDir, targetSubdir, spinner, options = {}) {
     const fs = require('node:fs').promises;
-    const sourceBase = path.dirname(path.dirname(path.dirname(path.dirname(__filename)))); // Go up to project root
+    const sourceBase = resourceLocator.getSourceRoot();
     const docsPath = path.join(sourceBase, 'docs');
     const targetPath = path.join(installDir, targetSubdir);
     const copiedFiles = [];
@@ -1766,7 +2935,7 @@ class Installer {
 
     // Check if docs/ exists
     if (!(await fileManager.pathExists(docsPath))) {
-      console.warn('Warning: docs/ folder not found');
+      if (!options.quiet) console.warn('Warning: docs/ folder not found');
       return copiedFiles;
     }
 
@@ -1792,7 +2961,7 @@ class Installer {
       }
     }
 
-    if (copiedFiles.length > 0) {
+    if (copiedFiles.length > 0 && !options.quiet) {
       console.log(chalk.dim(`  Added ${copiedFiles.length} documentation files`));
     }
     return copiedFiles;
@@ -1841,14 +3010,14 @@ class Installer {
     return expansionPacks;
   }
 
-  async repairExpansionPack(installDir, packId, pack, integrity, spinner) {
+  async repairExpansionPack(installDir, packId, pack, integrity, spinner, options = {}) {
     spinner.start(`Repairing ${pack.name}...`);
 
     try {
       const expansionDotFolder = path.join(installDir, `.${packId}`);
 
-      // Back up modified files
-      if (integrity.modified.length > 0) {
+      // Back up modified files, unless the caller merges the user's changes back in
+      if (integrity.modified.length > 0 && options.backup !== false) {
         spinner.text = 'Backing up modified files...';
         for (const file of integrity.modified) {
           const filePath = path.join(installDir, file);
@@ -1872,7 +3041,7 @@ class Installer {
         const destinationPath = path.join(installDir, file);
 
         // Check if this is a common/ file that needs special processing
-        const commonBase = path.dirname(path.dirname(path.dirname(path.dirname(__filename))));
+        const commonBase = resourceLocator.getSourceRoot();
         const commonSourcePath = path.join(commonBase, 'common', relativePath);
 
         if (await fileManager.pathExists(commonSourcePath)) {
@@ -1885,7 +3054,7 @@ class Installer {
           spinner.text = `Restored: ${file}`;
         } else if (await fileManager.pathExists(sourcePath)) {
           // Regular file from expansion pack
-          await fileManager.copyFile(sourcePath, destinationPath);
+          await this.restoreFile(sourcePath, destinationPath, `.${packId}`);
           spinner.text = `Restored: ${file}`;
         } else {
           console.warn(chalk.yellow(`  Warning: Source file not found: ${file}`));
@@ -1901,15 +3070,27 @@ class Installer {
       }
       if (integrity.modified.length > 0) {
         console.log(
-          chalk.green(`  Restored ${integrity.modified.length} modified files (backups created)`),
+          chalk.green(
+            `  Restored ${integrity.modified.length} modified files${options.backup === false ? '' : ' (backups created)'}`,
+          ),
         );
       }
     } catch (error) {
       if (spinner) spinner.fail(`Failed to repair ${pack.name}`);
-      console.error(`Error: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Copy a file back from its source the way it was installed, with {root} replaced in
+   * Markdown and YAML
+   */
+  async restoreFile(sourcePath, destinationPath, rootValue) {
+    return ['.md', '.yaml', '.yml'].some((extension) => sourcePath.endsWith(extension))
+      ? fileManager.copyFileWithRootReplacement(sourcePath, destinationPath, rootValue)
+      : fileManager.copyFile(sourcePath, destinationPath);
+  }
+
   compareVersions(v1, v2) {
     // Simple semver comparison
     const parts1 = v1.split('.').map(Number);
@@ -1926,31 +3107,38 @@ class Installer {
     return 0;
   }
 
-  async cleanupLegacyYmlFiles(installDir, spinner) {
+  /**
+   * .yml files left from older versions that now have a .yaml counterpart
+   */
+  findLegacyYmlFiles(installDir) {
     const glob = require('glob');
+    const fs = require('node:fs');
+
+    // Installed resources live in dot folders, which a plain ** does not enter
+    const ymlFiles = new Set(
+      ['**/*.yml', '.bmad-*/**/*.yml'].flatMap((pattern) =>
+        glob.sync(pattern, {
+          cwd: installDir,
+          ignore: ['**/node_modules/**', '**/.git/**', `${InstallTransaction.JOURNAL_DIR}/**`],
+        }),
+      ),
+    );
+    return [...ymlFiles].filter((ymlFile) =>
+      fs.existsSync(path.join(installDir, ymlFile.replace(/\.yml$/, '.yaml'))),
+    );
+  }
+
+  async cleanupLegacyYmlFiles(installDir, spinner) {
     const fs = require('node:fs').promises;
 
     try {
-      // Find all .yml files in the installation directory
-      const ymlFiles = glob.sync('**/*.yml', {
-        cwd: installDir,
-        ignore: ['**/node_modules/**', '**/.git/**'],
-      });
-
       let deletedCount = 0;
 
-      for (const ymlFile of ymlFiles) {
-        // Check if corresponding .yaml file exists
+      for (const ymlFile of this.findLegacyYmlFiles(installDir)) {
         const yamlFile = ymlFile.replace(/\.yml$/, '.yaml');
-        const ymlPath = path.join(installDir, ymlFile);
-        const yamlPath = path.join(installDir, yamlFile);
-
-        if (await fileManager.pathExists(yamlPath)) {
-          // .yaml counterpart exists, delete the .yml file
-          await fs.unlink(ymlPath);
-          deletedCount++;
-          console.log(chalk.dim(`  Removed legacy: ${ymlFile} (replaced by ${yamlFile})`));
-        }
+        await fs.unlink(path.join(installDir, ymlFile));
+        deletedCount++;
+        console.log(chalk.dim(`  Removed legacy: ${ymlFile} (replaced by ${yamlFile})`));
       }
 
       if (deletedCount > 0) {
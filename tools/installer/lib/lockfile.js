@@ -0,0 +1,267 @@
+/**
+ * Lockfile - Pins what a project has installed in a committed bmad.lock, so every teammate
+ * can reproduce the same core and expansion pack versions with `install --frozen`
+ *
+ * The lock is built from the install manifests. It has no timestamps, so it only changes
+ * when the installed versions, files, IDE targets or IDE settings do.
+ */
+
+const path = require('node:path');
+const { isDeepStrictEqual } = require('node:util');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const glob = require('glob');
+const fileManager = require('./file-manager');
+
+const LOCK_FILE = 'bmad.lock';
+const LOCK_VERSION = 1;
+const LOCK_HEADER =
+  '# bmad.lock - written by `bmad install`, do not edit by hand.\n' +
+  '# Commit this file; `npx be-calm install --frozen` reproduces exactly this installation.\n';
+
+// core-config.yaml settings the installer writes, which change the installed file hashes
+const LOCKED_OPTIONS = [
+  ['prdSharded', (config) => config.prd?.prdSharded],
+  ['architectureSharded', (config) => config.architecture?.architectureSharded],
+  ['slashPrefix', (config) => config.slashPrefix],
+];
+
+/**
+ * Describe the installation in installDir as a lock
+ * @returns {Promise<Object|null>} null when nothing is installed
+ */
+async function buildLock(installDir) {
+  const coreManifest = await fileManager.readManifest(installDir);
+  const lock = { lockfileVersion: LOCK_VERSION };
+  const ides = new Set(coreManifest?.ides_setup || []);
+  // The settings the IDEs were set up with (OpenCode prefixes, Copilot settings, ...)
+  const ideSettings = { ...coreManifest?.ide_settings };
+
+  if (coreManifest) {
+    lock.core = {
+      version: coreManifest.version,
+      options: await readCoreOptions(installDir),
+      files: await collectHashes(installDir, coreManifest, '.bmad-core'),
+    };
+  }
+
+  const packs = {};
+  const packDirs = glob.sync('.*/install-manifest.yaml', { cwd: installDir });
+  for (const packDir of packDirs.map((file) => path.dirname(file)).sort()) {
+    if (packDir === '.bmad-core') continue;
+    const packId = packDir.slice(1);
+    const manifest = await fileManager.readExpansionPackManifest(installDir, packId);
+    if (!manifest) continue;
+    for (const ide of manifest.ides_setup || []) ides.add(ide);
+    for (const [ide, settings] of Object.entries(manifest.ide_settings || {})) {
+      ideSettings[ide] ??= settings;
+    }
+    packs[packId] = {
+      version: (await readPackVersion(installDir, packId)) || manifest.version,
+      ...(manifest.source && { source: manifest.source.location }),
+      files: await collectHashes(installDir, manifest, packDir),
+    };
+  }
+  if (Object.keys(packs).length > 0) lock.expansionPacks = packs;
+
+  if (!lock.core && !lock.expansionPacks) return null;
+  lock.ides = [...ides].sort();
+  const lockedSettings = lock.ides.filter((ide) => ideSettings[ide]);
+  if (lockedSettings.length > 0) {
+    lock.ideSettings = Object.fromEntries(lockedSettings.map((ide) => [ide, ideSettings[ide]]));
+  }
+  return lock;
+}
+
+async function readLock(installDir) {
+  const lockPath = path.join(installDir, LOCK_FILE);
+  if (!(await fs.pathExists(lockPath))) return null;
+
+  let lock;
+  try {
+    lock = yaml.load(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${lockPath}: ${error.message}`);
+  }
+  if (!lock || lock.lockfileVersion !== LOCK_VERSION) {
+    throw new Error(`${lockPath} is not a version ${LOCK_VERSION} lockfile`);
+  }
+  return lock;
+}
+
+/**
+ * Write bmad.lock for the current installation, or remove it once nothing is installed
+ * @returns {Promise<Object|null>} The lock written
+ */
+async function writeLock(installDir) {
+  const lockPath = path.join(installDir, LOCK_FILE);
+  const lock = await buildLock(installDir);
+  if (lock) {
+    await fs.writeFile(lockPath, LOCK_HEADER + yaml.dump(lock, { indent: 2, lineWidth: -1 }));
+  } else {
+    await fs.remove(lockPath);
+  }
+  return lock;
+}
+
+/**
+ * Differences between a lock and the installed state
+ * @returns {string[]} One line per difference, empty when they match
+ */
+function diffLocks(locked, installed) {
+  const drift = [];
+  installed = installed || {};
+
+  const packages = [
+    ['core', locked.core, installed.core],
+    ...[
+      ...new Set([
+        ...Object.keys(locked.expansionPacks || {}),
+        ...Object.keys(installed.expansionPacks || {}),
+      ]),
+    ]
+      .sort()
+      .map((packId) => [
+        packId,
+        locked.expansionPacks?.[packId],
+        installed.expansionPacks?.[packId],
+      ]),
+  ];
+
+  for (const [name, lockedPackage, installedPackage] of packages) {
+    if (!lockedPackage && !installedPackage) continue;
+    if (!installedPackage) {
+      drift.push(`${name}: ${lockedPackage.version} is locked but not installed`);
+      continue;
+    }
+    if (!lockedPackage) {
+      drift.push(`${name}: ${installedPackage.version} is installed but not in ${LOCK_FILE}`);
+      continue;
+    }
+    if (lockedPackage.version !== installedPackage.version) {
+      drift.push(
+        `${name}: ${lockedPackage.version} is locked, ${installedPackage.version} is installed`,
+      );
+    }
+    for (const [option] of LOCKED_OPTIONS) {
+      const lockedValue = lockedPackage.options?.[option];
+      const installedValue = installedPackage.options?.[option];
+      if (lockedValue !== installedValue) {
+        drift.push(
+          `${name}: ${option} is locked as ${lockedValue}, installed as ${installedValue}`,
+        );
+      }
+    }
+
+    const files = new Set([
+      ...Object.keys(lockedPackage.files || {}),
+      ...Object.keys(installedPackage.files || {}),
+    ]);
+    const changed = [...files].filter(
+      (file) => lockedPackage.files?.[file] !== installedPackage.files?.[file],
+    );
+    if (changed.length > 0) {
+      drift.push(
+        `${name}: ${changed.length} file(s) differ from the locked hashes (${formatList(changed)})`,
+      );
+    }
+  }
+
+  const lockedIdes = (locked.ides || []).join(', ') || 'none';
+  const installedIdes = (installed.ides || []).join(', ') || 'none';
+  if (lockedIdes !== installedIdes) {
+    drift.push(`IDEs: ${lockedIdes} locked, ${installedIdes} installed`);
+  }
+  // Locks written before IDE settings were recorded do not pin them
+  if (locked.ideSettings) {
+    const ides = new Set([
+      ...Object.keys(locked.ideSettings),
+      ...Object.keys(installed.ideSettings || {}),
+    ]);
+    for (const ide of [...ides].sort()) {
+      if (!isDeepStrictEqual(locked.ideSettings[ide], installed.ideSettings?.[ide])) {
+        drift.push(`IDE settings: ${ide} is set up differently than locked`);
+      }
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Settings for a non-interactive install that reproduces the lock, in the install file's
+ * shape (see install-config-file.js)
+ */
+function toInstallSettings(lock, installDir) {
+  const settings = {
+    directory: installDir,
+    core: Boolean(lock.core),
+    expansionPacks: Object.entries(lock.expansionPacks || {}).map(
+      ([packId, pack]) => pack.source || packId,
+    ),
+    ides: lock.ides || [],
+    existingInstall: 'update',
+  };
+  if (lock.ideSettings) settings.ideSettings = lock.ideSettings;
+  for (const [option] of LOCKED_OPTIONS) {
+    const value = lock.core?.options?.[option];
+    if (value !== undefined) settings[option] = value;
+  }
+  return settings;
+}
+
+// Hashes of the files on disk, so local edits show up as drift; missing files are left out
+async function collectHashes(installDir, manifest, root) {
+  const files = {};
+  const entries = (manifest.files || [])
+    .filter((file) => file.path.startsWith(`${root}/`))
+    .filter((file) => !file.path.endsWith('install-manifest.yaml'))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  for (const file of entries) {
+    const filePath = path.join(installDir, file.path);
+    if (await fs.pathExists(filePath))
+      files[file.path] = await fileManager.calculateFileHash(filePath);
+  }
+  return files;
+}
+
+async function readCoreOptions(installDir) {
+  const options = {};
+  try {
+    const coreConfig = yaml.load(
+      await fs.readFile(path.join(installDir, '.bmad-core', 'core-config.yaml'), 'utf8'),
+    );
+    for (const [option, read] of LOCKED_OPTIONS) {
+      const value = read(coreConfig);
+      if (value !== undefined) options[option] = value;
+    }
+  } catch {
+    // No readable core-config.yaml, nothing to pin
+  }
+  return options;
+}
+
+async function readPackVersion(installDir, packId) {
+  try {
+    const config = yaml.load(
+      await fs.readFile(path.join(installDir, `.${packId}`, 'config.yaml'), 'utf8'),
+    );
+    return config?.version ? String(config.version) : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatList(items, limit = 3) {
+  const shown = items.slice(0, limit).join(', ');
+  return items.length > limit ? `${shown}, +${items.length - limit} more` : shown;
+}
+
+module.exports = {
+  LOCK_FILE,
+  buildLock,
+  readLock,
+  writeLock,
+  diffLocks,
+  toInstallSettings,
+};
@@ -0,0 +1,215 @@
+/**
+ * Pack Source - Loads expansion packs that do not ship with this package: a local directory,
+ * a tarball (.tgz, .tar.gz, .tar) or a git URL (git+file://, git+https://, git+ssh://,
+ * optionally ending in #<branch-or-tag>)
+ *
+ * Tarballs and git repositories are unpacked into a temporary directory that is removed
+ * when the process exits. The source is recorded in the pack's install manifest, so update,
+ * repair and uninstall can find the pack again.
+ */
+
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { extractYamlFromAgent } = require('../../lib/yaml-utils');
+
+const PACK_ID_PATTERN = /^[a-z0-9][\w-]*$/i;
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/i;
+
+const temporaryDirs = [];
+
+/**
+ * Whether an expansion pack entry names a source rather than a pack bundled in this package
+ */
+function isPackSource(spec) {
+  return getSourceType(spec) !== null;
+}
+
+function getSourceType(spec) {
+  if (typeof spec !== 'string') return null;
+  if (spec.startsWith('git+')) return 'git';
+  if (TARBALL_PATTERN.test(spec)) return 'tarball';
+  if (/^[.~]|[/\\]/.test(spec)) return 'path';
+  return null;
+}
+
+/**
+ * Load and validate an expansion pack from a source
+ * @param {string} spec - Local path, tarball or git URL
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory relative paths in spec are resolved against
+ * @param {string} options.installDir - Project directory, local sources are recorded relative to it
+ * @returns {Promise<Object>} Pack in the shape ResourceLocator.getExpansionPacks returns, plus
+ *   source {type, location} for the manifest
+ * @throws {Error} When the source cannot be read or is not a valid expansion pack
+ */
+async function resolvePackSource(spec, { baseDir, installDir }) {
+  const type = getSourceType(spec);
+  let packDir;
+  let location = spec;
+
+  switch (type) {
+    case 'path':
+    case 'tarball': {
+      const sourcePath = path.resolve(baseDir, spec.replace(/^~(?=$|[/\\])/, os.homedir()));
+      if (!(await fs.pathExists(sourcePath))) {
+        throw new Error(`Expansion pack source ${spec} does not exist`);
+      }
+      packDir = type === 'path' ? sourcePath : await extractTarball(sourcePath);
+      location = path.relative(installDir, sourcePath).split(path.sep).join('/') || '.';
+      break;
+    }
+    case 'git': {
+      packDir = await cloneRepository(spec);
+      break;
+    }
+    default: {
+      throw new Error(`${spec} is not a local path, tarball or git URL`);
+    }
+  }
+
+  const problems = await validatePackLayout(packDir);
+  if (problems.length > 0) {
+    throw new Error(
+      `${spec} is not a valid expansion pack:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`,
+    );
+  }
+
+  const config = yaml.load(await fs.readFile(path.join(packDir, 'config.yaml'), 'utf8'));
+  return {
+    id: config.name,
+    name: config.name,
+    version: String(config.version),
+    description: config.description || 'No description available',
+    shortTitle: config['short-title'] || config.description || 'No description available',
+    author: config.author || 'Unknown',
+    path: packDir,
+    source: { type, location },
+  };
+}
+
+/**
+ * Check a directory has the expansion pack layout: a config.yaml naming and versioning the
+ * pack, and an agents/ folder whose agents each carry their YAML block
+ * @returns {Promise<string[]>} Problems found, empty for a valid pack
+ */
+async function validatePackLayout(packDir) {
+  const problems = [];
+
+  const configPath = path.join(packDir, 'config.yaml');
+  if (await fs.pathExists(configPath)) {
+    let config;
+    try {
+      config = yaml.load(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+      problems.push(`config.yaml is not valid YAML: ${error.message}`);
+    }
+    if (config !== undefined && (!config || typeof config !== 'object')) {
+      problems.push('config.yaml must contain a YAML mapping');
+    } else if (config) {
+      if (!config.name) {
+        problems.push("config.yaml has no 'name' (the pack id, e.g. my-pack)");
+      } else if (!PACK_ID_PATTERN.test(config.name) || config.name === 'bmad-core') {
+        problems.push(`'${config.name}' cannot be used as a pack id`);
+      }
+      if (!config.version) problems.push("config.yaml has no 'version'");
+    }
+  } else {
+    problems.push('config.yaml is missing');
+  }
+
+  const agentsDir = path.join(packDir, 'agents');
+  const agentFiles = (await fs.pathExists(agentsDir))
+    ? (await fs.readdir(agentsDir)).filter((file) => file.endsWith('.md'))
+    : [];
+  if (agentFiles.length === 0) {
+    problems.push('agents/ has no agent (.md) files');
+  }
+  for (const file of agentFiles) {
+    const yamlContent = extractYamlFromAgent(await fs.readFile(path.join(agentsDir, file), 'utf8'));
+    if (!yamlContent) {
+      problems.push(`agents/${file} has no YAML block`);
+      continue;
+    }
+    try {
+      yaml.load(yamlContent);
+    } catch (error) {
+      problems.push(`agents/${file} has invalid YAML: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  const teamsDir = path.join(packDir, 'agent-teams');
+  if (await fs.pathExists(teamsDir)) {
+    for (const file of await fs.readdir(teamsDir)) {
+      if (!file.endsWith('.yaml')) continue;
+      try {
+        yaml.load(await fs.readFile(path.join(teamsDir, file), 'utf8'));
+      } catch (error) {
+        problems.push(`agent-teams/${file} is not valid YAML: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Unpack a tarball into a temporary directory
+ * @returns {Promise<string>} The unpacked directory, inside package/ for `npm pack` tarballs
+ */
+async function extractTarball(tarballPath) {
+  const targetDir = await makeTemporaryDir();
+  try {
+    execFileSync('tar', ['-xf', tarballPath, '-C', targetDir], { stdio: 'pipe' });
+  } catch (error) {
+    throw new Error(`Cannot extract ${tarballPath}: ${commandError(error)}`);
+  }
+
+  // npm pack puts everything under package/
+  const entries = await fs.readdir(targetDir);
+  if (
+    entries.length === 1 &&
+    !(await fs.pathExists(path.join(targetDir, 'config.yaml'))) &&
+    (await fs.stat(path.join(targetDir, entries[0]))).isDirectory()
+  ) {
+    return path.join(targetDir, entries[0]);
+  }
+  return targetDir;
+}
+
+async function cloneRepository(spec) {
+  const [url, ref] = spec.slice('git+'.length).split('#');
+  const targetDir = await makeTemporaryDir();
+
+  const arguments_ = ['clone', '--quiet', '--depth', '1'];
+  if (ref) arguments_.push('--branch', ref);
+  try {
+    execFileSync('git', [...arguments_, url, targetDir], { stdio: 'pipe' });
+  } catch (error) {
+    throw new Error(`Cannot clone ${url}: ${commandError(error)}`);
+  }
+  return targetDir;
+}
+
+async function makeTemporaryDir() {
+  const targetDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-pack-'));
+  temporaryDirs.push(targetDir);
+  return targetDir;
+}
+
+function commandError(error) {
+  return error.stderr?.toString().trim() || error.message;
+}
+
+process.once('exit', () => {
+  for (const targetDir of temporaryDirs) fs.removeSync(targetDir);
+});
+
+module.exports = {
+  isPackSource,
+  resolvePackSource,
+  validatePackLayout,
+  extractTarball,
+};
@@ -0,0 +1,155 @@
+/**
+ * Package Config - Per-package settings for monorepos that install BMad once at the root
+ *
+ * A package directory with a .bmad-package.yaml overrides the path settings of
+ * .bmad-core/core-config.yaml for work inside it. The file mirrors core-config's shape and its
+ * paths are relative to the package directory; agents find it through core-config's
+ * packageConfigFile setting.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const glob = require('glob');
+
+const PACKAGE_CONFIG_FILE = '.bmad-package.yaml';
+
+// Settings a package can override, as paths into core-config.yaml
+const PACKAGE_SETTINGS = [
+  ['prd', 'prdFile'],
+  ['prd', 'prdShardedLocation'],
+  ['architecture', 'architectureFile'],
+  ['architecture', 'architectureShardedLocation'],
+  ['qa', 'qaLocation'],
+  ['devStoryLocation'],
+  ['devLoadAlwaysFiles'],
+  ['devDebugLog'],
+];
+
+// Settings whose files agents read rather than write, so a missing one is worth reporting
+const READ_SETTINGS = new Set(['prdFile', 'architectureFile', 'devLoadAlwaysFiles']);
+
+/**
+ * Package directories under installDir, relative to it with forward slashes
+ * @returns {string[]}
+ */
+function findPackages(installDir) {
+  return glob
+    .sync(`**/${PACKAGE_CONFIG_FILE}`, {
+      cwd: installDir,
+      dot: true,
+      ignore: ['**/node_modules/**', '**/.git/**', '.bmad-*/**'],
+    })
+    .map((file) => path.dirname(file).split(path.sep).join('/'))
+    .filter((packageDir) => packageDir !== '.')
+    .sort();
+}
+
+/**
+ * Effective settings of a package: its own, resolved against the package directory, or the
+ * core-config ones it does not override
+ * @param {string} installDir - Repository root
+ * @param {string} packageDir - Package directory relative to installDir
+ * @param {Object} coreConfig - Parsed .bmad-core/core-config.yaml
+ * @returns {Promise<Object>} {path, name, settings: {key: {value, fromPackage}}, problems[]}
+ */
+async function loadPackage(installDir, packageDir, coreConfig) {
+  const result = { path: packageDir, name: path.basename(packageDir), settings: {}, problems: [] };
+
+  let overlay;
+  try {
+    overlay = yaml.load(
+      await fs.readFile(path.join(installDir, packageDir, PACKAGE_CONFIG_FILE), 'utf8'),
+    );
+  } catch (error) {
+    result.problems.push(
+      `${PACKAGE_CONFIG_FILE} is not valid YAML: ${error.message.split('\n')[0]}`,
+    );
+    overlay = {};
+  }
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    if (overlay) result.problems.push(`${PACKAGE_CONFIG_FILE} must contain a YAML mapping`);
+    overlay = {};
+  }
+  if (typeof overlay.name === 'string') result.name = overlay.name;
+
+  const known = new Set(['name', ...PACKAGE_SETTINGS.map((setting) => setting[0])]);
+  for (const key of Object.keys(overlay)) {
+    if (!known.has(key)) result.problems.push(`unknown setting '${key}'`);
+  }
+
+  for (const setting of PACKAGE_SETTINGS) {
+    const key = setting.at(-1);
+    const packageValue = readSetting(overlay, setting);
+    if (packageValue === undefined) {
+      const coreValue = readSetting(coreConfig || {}, setting);
+      if (coreValue !== undefined) result.settings[key] = { value: coreValue, fromPackage: false };
+      continue;
+    }
+
+    if (packageValue === null) {
+      result.settings[key] = { value: null, fromPackage: true };
+      continue;
+    }
+    const isList = Array.isArray(packageValue);
+    const values = isList ? packageValue : [packageValue];
+    if (values.some((value) => typeof value !== 'string')) {
+      result.problems.push(`'${setting.join('.')}' must be a path${isList ? ' list' : ''}`);
+      continue;
+    }
+    const resolved = values.map((value) => path.posix.join(packageDir, value));
+    result.settings[key] = { value: isList ? resolved : resolved[0], fromPackage: true };
+
+    if (READ_SETTINGS.has(key)) {
+      for (const file of resolved) {
+        if (!(await fs.pathExists(path.join(installDir, file)))) {
+          result.problems.push(`${file} (${key}) does not exist yet`);
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create a package's .bmad-package.yaml, starting from the core-config settings so the
+ * package gets its own docs/, stories and so on
+ * @returns {Promise<boolean>} false when the package already has one
+ */
+async function createPackageConfig(installDir, packageDir, coreConfig) {
+  const configPath = path.join(installDir, packageDir, PACKAGE_CONFIG_FILE);
+  if (await fs.pathExists(configPath)) return false;
+
+  const overlay = { name: path.basename(packageDir) };
+  for (const setting of PACKAGE_SETTINGS) {
+    const value = readSetting(coreConfig || {}, setting);
+    if (value === undefined || value === null) continue;
+    let target = overlay;
+    for (const key of setting.slice(0, -1)) target = target[key] ||= {};
+    target[setting.at(-1)] = value;
+  }
+
+  const header =
+    `# BMad settings for the ${packageDir} package. Agents working inside this directory use\n` +
+    '# them instead of the matching .bmad-core/core-config.yaml settings.\n' +
+    '# Paths are relative to this directory.\n';
+  await fs.writeFile(configPath, header + yaml.dump(overlay, { indent: 2, lineWidth: -1 }));
+  return true;
+}
+
+function readSetting(config, setting) {
+  let value = config;
+  for (const key of setting) {
+    if (!value || typeof value !== 'object') return;
+    value = value[key];
+  }
+  return value;
+}
+
+module.exports = {
+  PACKAGE_CONFIG_FILE,
+  findPackages,
+  loadPackage,
+  createPackageConfig,
+};
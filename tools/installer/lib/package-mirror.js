@@ -0,0 +1,52 @@
+/**
+ * Package Mirror - A copy of this package to update from without the npm registry, for
+ * machines that cannot reach it: a directory (a checkout, or an unpacked `npm pack` tarball)
+ * or the tarball itself
+ */
+
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { extractTarball } = require('./pack-source');
+
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/i;
+
+/**
+ * Load a mirror and check it is a copy of this package
+ * @param {string} spec - Directory or tarball
+ * @param {string} baseDir - Directory a relative spec is resolved against
+ * @returns {Promise<Object>} {root, name, version, location}; root contains bmad-core/
+ * @throws {Error} When the mirror cannot be read or holds no installable package
+ */
+async function resolveMirror(spec, baseDir) {
+  const location = path.resolve(baseDir, spec.replace(/^~(?=$|[/\\])/, os.homedir()));
+  if (!(await fs.pathExists(location))) {
+    throw new Error(`Mirror ${spec} does not exist`);
+  }
+
+  let root = TARBALL_PATTERN.test(location) ? await extractTarball(location) : location;
+  // An unpacked `npm pack` tarball keeps everything under package/
+  if (
+    !(await fs.pathExists(path.join(root, 'package.json'))) &&
+    (await fs.pathExists(path.join(root, 'package', 'package.json')))
+  ) {
+    root = path.join(root, 'package');
+  }
+
+  let packageJson;
+  try {
+    packageJson = await fs.readJson(path.join(root, 'package.json'));
+  } catch (error) {
+    throw new Error(`Mirror ${spec} has no readable package.json: ${error.message}`);
+  }
+  if (!packageJson.version) {
+    throw new Error(`Mirror ${spec} has no version in its package.json`);
+  }
+  if (!(await fs.pathExists(path.join(root, 'bmad-core', 'core-config.yaml')))) {
+    throw new Error(`Mirror ${spec} is not a BMad Method package, bmad-core/ is missing`);
+  }
+
+  return { root, name: packageJson.name, version: packageJson.version, location };
+}
+
+module.exports = { resolveMirror };
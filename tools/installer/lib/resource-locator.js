@@ -13,6 +13,25 @@ class ResourceLocator {
     this._globCache = new Map();
     this._bmadCorePath = null;
     this._expansionPacksPath = null;
+    this._externalPacks = new Map();
+  }
+
+  /**
+   * Get the root of the package the installer copies from (bmad-core/, common/, docs/, ...)
+   */
+  getSourceRoot() {
+    return path.dirname(this.getBmadCorePath());
+  }
+
+  /**
+   * Copy from another copy of this package, such as an offline mirror, instead of the one the
+   * installer runs from
+   * @param {string} rootDir - Package root containing bmad-core/ and expansion-packs/
+   */
+  useSourceRoot(rootDir) {
+    this._bmadCorePath = path.join(rootDir, 'bmad-core');
+    this._expansionPacksPath = path.join(rootDir, 'expansion-packs');
+    this.clearCache();
   }
 
   /**
@@ -35,6 +54,21 @@ class ResourceLocator {
     return this._expansionPacksPath;
   }
 
+  /**
+   * Get the layered dependency resolver (overrides, expansion pack, bmad-core, common)
+   * @param {Object} [options] - Optional packDir and overrideDir, see DependencyResolver
+   * @returns {DependencyResolver}
+   */
+  getResolver(options = {}) {
+    const cacheKey = `resolver:${options.packDir || ''}:${options.overrideDir || ''}`;
+    if (!this._pathCache.has(cacheKey)) {
+      const DependencyResolver = require('../../lib/dependency-resolver');
+      const rootDir = path.dirname(this.getBmadCorePath());
+      this._pathCache.set(cacheKey, new DependencyResolver(rootDir, options));
+    }
+    return this._pathCache.get(cacheKey);
+  }
+
   /**
    * Find all files matching a pattern, with caching
    * @param {string} pattern - Glob pattern
@@ -51,9 +85,9 @@ class ResourceLocator {
     const { glob } = await moduleManager.getModules(['glob']);
     const files = await glob(pattern, options);
 
-    // Cache for 5 minutes
+    // Cache for 5 minutes, without keeping the process alive for it
     this._globCache.set(cacheKey, files);
-    setTimeout(() => this._globCache.delete(cacheKey), 5 * 60 * 1000);
+    setTimeout(() => this._globCache.delete(cacheKey), 5 * 60 * 1000).unref();
 
     return files;
   }
@@ -128,9 +162,9 @@ class ResourceLocator {
       }
     }
 
-    // Cache for 10 minutes
+    // Cache for 10 minutes, without keeping the process alive for it
     this._pathCache.set(cacheKey, agents);
-    setTimeout(() => this._pathCache.delete(cacheKey), 10 * 60 * 1000);
+    setTimeout(() => this._pathCache.delete(cacheKey), 10 * 60 * 1000).unref();
 
     return agents;
   }
@@ -143,7 +177,7 @@ class ResourceLocator {
     const cacheKey = 'expansion-packs';
 
     if (this._pathCache.has(cacheKey)) {
-      return this._pathCache.get(cacheKey);
+      return this.withExternalPacks(this._pathCache.get(cacheKey));
     }
 
     const packs = [];
@@ -177,11 +211,39 @@ class ResourceLocator {
       }
     }
 
-    // Cache for 10 minutes
+    // Cache for 10 minutes, without keeping the process alive for it
     this._pathCache.set(cacheKey, packs);
-    setTimeout(() => this._pathCache.delete(cacheKey), 10 * 60 * 1000);
+    setTimeout(() => this._pathCache.delete(cacheKey), 10 * 60 * 1000).unref();
+
+    return this.withExternalPacks(packs);
+  }
+
+  /**
+   * Make an expansion pack loaded from outside this package (see pack-source.js) available
+   * alongside the bundled ones; it replaces a bundled pack with the same id
+   * @param {Object} pack - Pack in the shape getExpansionPacks returns
+   */
+  registerExpansionPack(pack) {
+    this._externalPacks.set(pack.id, pack);
+    for (const key of this._pathCache.keys()) {
+      if (key.startsWith('agent:')) this._pathCache.delete(key);
+    }
+  }
+
+  /**
+   * Whether an expansion pack was registered from outside this package
+   * @param {string} packId - Pack identifier
+   */
+  hasExternalPack(packId) {
+    return this._externalPacks.has(packId);
+  }
 
-    return packs;
+  withExternalPacks(packs) {
+    if (this._externalPacks.size === 0) return packs;
+    return [
+      ...packs.filter((pack) => !this._externalPacks.has(pack.id)),
+      ...this._externalPacks.values(),
+    ];
   }
 
   /**
@@ -0,0 +1,142 @@
+/**
+ * Three-way merge - Line-based diff3 merge of a locally modified file with its new upstream
+ * version, using the originally installed (pristine) copy as the common base
+ */
+
+// Files whose line count product exceeds this are not diffed line by line
+const MAX_DIFF_CELLS = 25_000_000;
+
+/**
+ * Merge local and upstream changes made to the same base text
+ * @param {string} base - Originally installed content
+ * @param {string} local - Content with the user's changes
+ * @param {string} upstream - New upstream content
+ * @param {Object} [labels] - Conflict marker labels for the local and upstream sides
+ * @returns {{content: string, conflicts: number}} Merged content and number of conflict regions
+ */
+function mergeThreeWay(base, local, upstream, labels = {}) {
+  const localLabel = labels.local || 'local';
+  const upstreamLabel = labels.upstream || 'upstream';
+
+  if (local === upstream || upstream === base) return { content: local, conflicts: 0 };
+  if (local === base) return { content: upstream, conflicts: 0 };
+
+  const baseLines = base.split('\n');
+  const localLines = local.split('\n');
+  const upstreamLines = upstream.split('\n');
+  const localMatches = matchLines(baseLines, localLines);
+  const upstreamMatches = matchLines(baseLines, upstreamLines);
+
+  if (!localMatches || !upstreamMatches) {
+    // Too large to diff - treat the whole file as one conflict
+    return {
+      content: conflictBlock(localLines, upstreamLines, localLabel, upstreamLabel).join('\n'),
+      conflicts: 1,
+    };
+  }
+
+  const output = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let localIndex = 0;
+  let upstreamIndex = 0;
+
+  while (baseIndex <= baseLines.length) {
+    // Lines unchanged on both sides
+    if (
+      baseIndex < baseLines.length &&
+      localMatches[baseIndex] === localIndex &&
+      upstreamMatches[baseIndex] === upstreamIndex
+    ) {
+      output.push(baseLines[baseIndex]);
+      baseIndex++;
+      localIndex++;
+      upstreamIndex++;
+      continue;
+    }
+
+    // Find the end of the changed region: the next base line kept by both sides
+    let nextBase = baseIndex;
+    while (
+      nextBase < baseLines.length &&
+      (localMatches[nextBase] === -1 || upstreamMatches[nextBase] === -1)
+    ) {
+      nextBase++;
+    }
+    const nextLocal = nextBase < baseLines.length ? localMatches[nextBase] : localLines.length;
+    const nextUpstream =
+      nextBase < baseLines.length ? upstreamMatches[nextBase] : upstreamLines.length;
+
+    const baseChunk = baseLines.slice(baseIndex, nextBase);
+    const localChunk = localLines.slice(localIndex, nextLocal);
+    const upstreamChunk = upstreamLines.slice(upstreamIndex, nextUpstream);
+
+    if (sameLines(localChunk, baseChunk) || sameLines(localChunk, upstreamChunk)) {
+      output.push(...upstreamChunk);
+    } else if (sameLines(upstreamChunk, baseChunk)) {
+      output.push(...localChunk);
+    } else {
+      output.push(...conflictBlock(localChunk, upstreamChunk, localLabel, upstreamLabel));
+      conflicts++;
+    }
+
+    if (nextBase === baseLines.length) break;
+    baseIndex = nextBase;
+    localIndex = nextLocal;
+    upstreamIndex = nextUpstream;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
+
+/**
+ * Longest common subsequence of two line lists
+ * @returns {Int32Array|null} For each line of `a`, the index of its matching line in `b`
+ *   (or -1); null when the inputs are too large to diff
+ */
+function matchLines(a, b) {
+  const rows = a.length + 1;
+  const columns = b.length + 1;
+  if (rows * columns > MAX_DIFF_CELLS) return null;
+
+  // lengths[i * columns + j] = LCS length of a[i..] and b[j..]
+  const lengths = new Int32Array(rows * columns);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * columns + j + 1] + 1
+          : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const matches = new Int32Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+function conflictBlock(localLines, upstreamLines, localLabel, upstreamLabel) {
+  return [
+    `<<<<<<< ${localLabel}`,
+    ...localLines,
+    '=======',
+    ...upstreamLines,
+    `>>>>>>> ${upstreamLabel}`,
+  ];
+}
+
+module.exports = { mergeThreeWay };
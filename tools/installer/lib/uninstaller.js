@@ -0,0 +1,369 @@
+/**
+ * Uninstaller - Works out what removing BMad from a project involves and carries it out
+ *
+ * Files are only deleted when a manifest says the installer created them. Files shared with
+ * the user (.roomodes, AGENTS.md, opencode.jsonc, ...) are edited so only BMad's entries go.
+ * `Installer.uninstall` presents the plan, asks for confirmation and wraps it in a transaction.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const fileManager = require('./file-manager');
+const ideSetup = require('./ide-setup');
+const ideRegistry = require('./ide-registry');
+const installer = require('./installer');
+
+class Uninstaller {
+  /**
+   * Work out what an uninstall would do, without changing anything
+   * @param {string} installDir - Project directory
+   * @param {Object} options - {pack, ide, force}
+   * @returns {Promise<Object>} Plan with packages, ides, remove, keep, edits and notes
+   */
+  async plan(installDir, options = {}) {
+    const coreManifest = await fileManager.readManifest(installDir);
+    const detected = await installer.detectExpansionPacks(installDir);
+    const packages = [
+      ...(coreManifest ? [{ id: 'core', root: '.bmad-core', manifest: coreManifest }] : []),
+      ...Object.entries(detected).map(([packId, info]) => ({
+        id: packId,
+        root: `.${packId}`,
+        manifest: info.manifest,
+      })),
+    ];
+    if (packages.length === 0) {
+      throw new Error(`No BMad installation found in ${installDir}`);
+    }
+
+    const installedIdes = [
+      ...new Set(packages.flatMap((installed) => installed.manifest?.ides_setup || [])),
+    ];
+    if (options.pack && !detected[options.pack]) {
+      const packIds = Object.keys(detected);
+      throw new Error(
+        `Expansion pack ${options.pack} is not installed` +
+          (packIds.length > 0 ? ` (installed: ${packIds.join(', ')})` : ''),
+      );
+    }
+    if (options.ide && !installedIdes.includes(options.ide)) {
+      throw new Error(
+        `${options.ide} is not set up in this project` +
+          (installedIdes.length > 0 ? ` (set up: ${installedIdes.join(', ')})` : ''),
+      );
+    }
+
+    const removed = options.pack
+      ? packages.filter((installed) => installed.id === options.pack)
+      : packages;
+    const plan = {
+      installDir,
+      packages: removed.map((installed) => installed.id),
+      ides: options.ide ? [options.ide] : installedIdes,
+      everything: !options.pack && !options.ide,
+      remove: [],
+      removeDirs: [],
+      keep: [],
+      edits: [],
+      notes: [],
+      manifestUpdates: [],
+    };
+    // Shared sections and settings belong to the installation as a whole
+    const allPackages = removed.length === packages.length;
+
+    if (!options.ide) {
+      await this.planPackageFiles(plan, packages, removed, options.force);
+    }
+    for (const ide of plan.ides) {
+      await this.planIdeFiles(plan, ide, packages, removed, options.force);
+      await this.planSharedFiles(plan, ide, removed, allPackages);
+    }
+    if (!plan.everything && coreManifest) {
+      plan.manifestUpdates.push(this.planManifestUpdate(plan, coreManifest, options));
+    }
+    if (options.ide && !options.pack) {
+      for (const pack of packages.filter((installed) => installed.id !== 'core')) {
+        if (pack.manifest?.ides_setup?.includes(options.ide)) {
+          plan.manifestUpdates.push({
+            path: path.join(pack.root, 'install-manifest.yaml'),
+            update: (manifest) => {
+              manifest.ides_setup = manifest.ides_setup.filter((ide) => ide !== options.ide);
+            },
+          });
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  async planPackageFiles(plan, packages, removed, force) {
+    const modified = new Set();
+    for (const installed of packages) {
+      if (!installed.manifest) continue;
+      const integrity = await fileManager.checkFileIntegrity(plan.installDir, installed.manifest);
+      for (const file of integrity.modified) modified.add(file);
+    }
+
+    for (const installed of removed) {
+      if (!installed.manifest) {
+        plan.notes.push(
+          `${installed.root}/ has no install manifest, so its files were left in place`,
+        );
+        continue;
+      }
+
+      // The core manifest also lists the pack files installed alongside it
+      const files = new Set(
+        packages
+          .flatMap((entry) => entry.manifest?.files || [])
+          .map((file) => file.path)
+          .filter((file) => file.startsWith(`${installed.root}/`)),
+      );
+      files.add(`${installed.root}/install-manifest.yaml`);
+      for (const file of files) {
+        if (!(await fs.pathExists(path.join(plan.installDir, file)))) continue;
+        if (modified.has(file) && !force) {
+          plan.keep.push({ path: file, reason: 'modified' });
+        } else {
+          plan.remove.push(file);
+        }
+      }
+      plan.removeDirs.push(path.join(installed.root, fileManager.pristineDir));
+
+      const glob = require('glob');
+      const others = glob
+        .sync('**/*', {
+          cwd: path.join(plan.installDir, installed.root),
+          nodir: true,
+          dot: true,
+          ignore: [`${fileManager.pristineDir}/**`],
+        })
+        .filter((file) => !files.has(`${installed.root}/${file}`));
+      if (others.length > 0) {
+        plan.notes.push(
+          `${installed.root}/: ${others.length} file(s) not created by the installer were left in place`,
+        );
+      }
+    }
+  }
+
+  async planIdeFiles(plan, ide, packages, removed, force) {
+    const layout = await ideSetup.getRuleLayout(ide, plan.installDir);
+    if (!layout) return;
+
+    const glob = require('glob');
+    const candidates = [];
+    if (layout.commandsRoot) {
+      const prefixes = new Map();
+      for (const installed of packages) {
+        const prefix = await this.getSlashPrefix(plan.installDir, installed);
+        if (!prefixes.has(prefix)) prefixes.set(prefix, []);
+        prefixes.get(prefix).push(installed);
+      }
+      for (const [prefix, owners] of prefixes) {
+        if (!owners.some((owner) => removed.includes(owner))) continue;
+        if (!owners.every((owner) => removed.includes(owner))) {
+          plan.notes.push(
+            `${ide}: ${prefix} commands are shared with ${owners.map((owner) => owner.id).join(', ')} and were left in place`,
+          );
+          continue;
+        }
+        const prefixDir = path.join(layout.commandsRoot, prefix);
+        for (const file of glob.sync('**/*', { cwd: prefixDir, nodir: true })) {
+          candidates.push(path.join(prefixDir, file));
+        }
+      }
+    } else {
+      // Files are named after agents, tasks and workflows; one still provided by a kept package
+      // stays
+      const keptIds = new Set(
+        packages
+          .filter((installed) => !removed.includes(installed))
+          .flatMap((installed) => this.getResourceIds(installed)),
+      );
+      const removedIds = new Set(
+        removed
+          .flatMap((installed) => this.getResourceIds(installed))
+          .filter((id) => !keptIds.has(id)),
+      );
+      for (const ruleDir of layout.ruleDirs) {
+        for (const file of glob.sync('**/*', { cwd: ruleDir, nodir: true })) {
+          if (removedIds.has(ideSetup.getRuleFileId(file, layout.suffix))) {
+            candidates.push(path.join(ruleDir, file));
+          }
+        }
+      }
+    }
+
+    const recorded = new Map(
+      (packages.find((installed) => installed.id === 'core')?.manifest?.ide_files || []).map(
+        (file) => [file.path, file.hash],
+      ),
+    );
+    let sharedLocation = false;
+    for (const file of candidates) {
+      const relativePath = path.relative(plan.installDir, file);
+      if (relativePath.startsWith('..')) {
+        sharedLocation = true;
+        continue;
+      }
+      const hash = recorded.get(relativePath);
+      if (hash && hash !== (await fileManager.calculateFileHash(file)) && !force) {
+        plan.keep.push({ path: relativePath, reason: 'modified' });
+      } else {
+        plan.remove.push(relativePath);
+      }
+    }
+    if (sharedLocation) {
+      plan.notes.push(
+        `${ide}: commands outside the project are shared with other projects and were left in place`,
+      );
+    }
+  }
+
+  async planSharedFiles(plan, ide, removed, allPackages) {
+    const adapter = await ideRegistry.get(ide, plan.installDir);
+    if (!adapter) {
+      plan.notes.push(`${ide}: no adapter was found, so files it shares were left as is`);
+      return;
+    }
+    const roots = removed.map((installed) => installed.root);
+    await this.planAdapterEdits(plan, adapter, roots, allPackages);
+  }
+
+  /**
+   * Let an adapter queue its edits to files shared with the user
+   * @param {string[]} roots - Folders of the packages being removed, e.g. .bmad-core
+   * @param {boolean} allPackages - Whether nothing stays installed
+   */
+  async planAdapterEdits(plan, adapter, roots, allPackages) {
+    await adapter.remove({
+      installDir: plan.installDir,
+      packages: plan.packages,
+      allPackages,
+      referencesRemoved: (text) =>
+        typeof text === 'string' && roots.some((root) => text.includes(`${root}/`)),
+      edit: (file, description, transform) => this.addEdit(plan, file, description, transform),
+      note: (message) => plan.notes.push(`${adapter.id}: ${message}`),
+    });
+  }
+
+  /**
+   * Queue a change to a shared file; several IDEs may edit the same file in turn
+   * @param {Function} transform - Takes the content, returns new content or null to delete
+   */
+  addEdit(plan, file, description, transform) {
+    let edit = plan.edits.find((candidate) => candidate.path === file);
+    if (!edit) {
+      edit = { path: file, descriptions: [], transforms: [] };
+      plan.edits.push(edit);
+    }
+    if (!edit.descriptions.includes(description)) edit.descriptions.push(description);
+    edit.transforms.push(transform);
+  }
+
+  planManifestUpdate(plan, coreManifest, options) {
+    const removedFiles = new Set(plan.remove);
+    return {
+      path: path.join('.bmad-core', 'install-manifest.yaml'),
+      update: (manifest) => {
+        if (options.pack && !options.ide) {
+          manifest.files = manifest.files.filter(
+            (file) => !file.path.startsWith(`.${options.pack}/`),
+          );
+          manifest.expansion_packs = (manifest.expansion_packs || []).filter(
+            (packId) => packId !== options.pack,
+          );
+        }
+        if (options.ide && !options.pack) {
+          manifest.ides_setup = (manifest.ides_setup || []).filter((ide) => ide !== options.ide);
+        }
+        if (manifest.ide_files) {
+          manifest.ide_files = manifest.ide_files.filter((file) => !removedFiles.has(file.path));
+        }
+      },
+    };
+  }
+
+  /**
+   * Resolve queued edits against the current files
+   * @returns {Promise<Array<{path, descriptions, content}>>} Edits that change something;
+   *   content is null when the file is left empty and should be deleted
+   */
+  async resolveEdits(plan) {
+    const changes = [];
+    for (const edit of plan.edits) {
+      const filePath = path.join(plan.installDir, edit.path);
+      if (!(await fs.pathExists(filePath))) continue;
+      const original = await fs.readFile(filePath, 'utf8');
+      let content = original;
+      for (const transform of edit.transforms) {
+        if (content === null) break;
+        content = transform(content);
+      }
+      if (content !== original) changes.push({ ...edit, content });
+    }
+    return changes;
+  }
+
+  async apply(plan, changes) {
+    const { installDir } = plan;
+    for (const file of plan.remove) {
+      await fs.remove(path.join(installDir, file));
+    }
+    for (const dir of plan.removeDirs) {
+      await fs.remove(path.join(installDir, dir));
+    }
+    for (const change of changes) {
+      const filePath = path.join(installDir, change.path);
+      await (change.content === null
+        ? fs.remove(filePath)
+        : fs.writeFile(filePath, change.content));
+    }
+    for (const { path: manifestPath, update } of plan.manifestUpdates) {
+      const filePath = path.join(installDir, manifestPath);
+      if (!(await fs.pathExists(filePath))) continue;
+      const manifest = yaml.load(await fs.readFile(filePath, 'utf8'));
+      update(manifest);
+      await fs.writeFile(filePath, yaml.dump(manifest, { indent: 2 }));
+    }
+
+    // Folders the installer created go too once nothing is left in them
+    const dirs = new Set([...plan.remove, ...plan.removeDirs].map((file) => path.dirname(file)));
+    for (const dir of dirs) await removeEmptyParents(installDir, path.join(installDir, dir));
+  }
+
+  async getSlashPrefix(installDir, installed) {
+    return installed.id === 'core'
+      ? ideSetup.getCoreSlashPrefix(installDir)
+      : ideSetup.getExpansionPackSlashPrefix(path.join(installDir, installed.root));
+  }
+
+  /**
+   * Agent and task IDs a package installed, which IDE files are named after
+   */
+  getResourceIds(installed) {
+    return (installed.manifest?.files || [])
+      .map((file) => file.path)
+      .filter((file) => file.startsWith(`${installed.root}/`))
+      .filter((file) => /\/(agents|tasks)\/[^/]+\.md$|\/workflows\/[^/]+\.yaml$/.test(file))
+      .map((file) => path.basename(file, path.extname(file)));
+  }
+}
+
+async function removeEmptyParents(installDir, dir) {
+  let current = dir;
+  while (current.startsWith(installDir + path.sep)) {
+    try {
+      const entries = await fs.readdir(current);
+      if (entries.length > 0) return;
+      await fs.rmdir(current);
+    } catch (error) {
+      if (error.code !== 'ENOENT') return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+module.exports = new Uninstaller();
@@ -0,0 +1,221 @@
+/**
+ * Build Cache - Content-hash cache for incremental web bundle builds
+ * Records which source files fed each bundle so unchanged bundles can be skipped
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const CACHE_VERSION = 1;
+
+// Files whose changes invalidate every cached bundle
+const TOOLING_FILES = [
+  path.join(__dirname, '..', 'builders', 'web-builder.js'),
+  path.join(__dirname, 'dependency-resolver.js'),
+  path.join(__dirname, 'yaml-utils.js'),
+  path.join(__dirname, 'project-overrides.js'),
+  path.join(__dirname, 'token-budget.js'),
+  __filename,
+];
+
+class BuildCache {
+  constructor(rootDir, cacheFile) {
+    this.rootDir = rootDir;
+    this.cacheFile = cacheFile;
+    this.data = { version: CACHE_VERSION, tooling: null, bundles: {} };
+    this.toolingHash = null;
+    this._hashes = new Map();
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Load the cache file from disk, discarding it if the format is unknown
+   */
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+      if (parsed.version === CACHE_VERSION && parsed.bundles) {
+        this.data = parsed;
+      }
+    } catch {
+      // No cache yet (or unreadable) - every bundle will be rebuilt
+    }
+
+    const toolingContents = await Promise.all(
+      TOOLING_FILES.map((file) => fs.readFile(file, 'utf8').catch(() => '')),
+    );
+    this.toolingHash = BuildCache.hashContent(toolingContents.join('\0'));
+    return this;
+  }
+
+  async save() {
+    this.data.tooling = this.toolingHash;
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(this.cacheFile, JSON.stringify(this.data, null, 2) + '\n', 'utf8');
+  }
+
+  toRelative(filePath) {
+    return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+
+  toAbsolute(relativePath) {
+    return path.join(this.rootDir, ...relativePath.split('/'));
+  }
+
+  /**
+   * Hash a tracked source. Keys ending in "/" are directories and hash their listing.
+   * @returns {Promise<string|null>} Hash, or null if the path does not exist
+   */
+  async hashSource(relativePath) {
+    if (this._hashes.has(relativePath)) {
+      return this._hashes.get(relativePath);
+    }
+
+    let hash = null;
+    try {
+      if (relativePath.endsWith('/')) {
+        const entries = await fs.readdir(this.toAbsolute(relativePath));
+        hash = BuildCache.hashContent(entries.sort().join('\n'));
+      } else {
+        hash = BuildCache.hashContent(await fs.readFile(this.toAbsolute(relativePath)));
+      }
+    } catch {
+      // Missing source - recorded as null
+    }
+
+    this._hashes.set(relativePath, hash);
+    return hash;
+  }
+
+  /**
+   * Forget memoised hashes, e.g. after files changed on disk
+   * @param {string[]} [filePaths] - Absolute paths to forget; all when omitted
+   */
+  invalidate(filePaths) {
+    if (!filePaths) {
+      this._hashes.clear();
+      return;
+    }
+    for (const filePath of filePaths) {
+      const relativePath = this.toRelative(filePath);
+      this._hashes.delete(relativePath);
+      this._hashes.delete(path.posix.dirname(relativePath) + '/');
+    }
+  }
+
+  /**
+   * Work out whether a bundle has to be rebuilt
+   * @param {string} bundleId - Bundle identifier, e.g. "agents/dev"
+   * @param {string[]} outputFiles - Absolute paths the bundle is written to
+   * @param {Object} [options] - Build options that change the bundle output (e.g. slim)
+   * @returns {Promise<{stale: boolean, reasons: string[]}>}
+   */
+  async check(bundleId, outputFiles, options = {}) {
+    const entry = this.data.bundles[bundleId];
+    const reasons = [];
+
+    if (!entry) {
+      reasons.push('no previous build recorded');
+      return { stale: true, reasons };
+    }
+
+    if (this.data.tooling !== this.toolingHash) {
+      reasons.push('build tooling changed');
+    }
+
+    if (JSON.stringify(entry.options || {}) !== JSON.stringify(options)) {
+      reasons.push('build options changed');
+    }
+
+    for (const outputFile of outputFiles) {
+      try {
+        await fs.access(outputFile);
+      } catch {
+        reasons.push(`output missing: ${this.toRelative(outputFile)}`);
+      }
+    }
+
+    for (const [source, recordedHash] of Object.entries(entry.sources)) {
+      const currentHash = await this.hashSource(source);
+      if (currentHash === recordedHash) continue;
+
+      if (recordedHash === null) {
+        reasons.push(`source added: ${source}`);
+      } else if (currentHash === null) {
+        reasons.push(`source removed: ${source}`);
+      } else {
+        reasons.push(`source changed: ${source}`);
+      }
+    }
+
+    return { stale: reasons.length > 0, reasons };
+  }
+
+  /**
+   * Record a freshly built bundle
+   * @param {string} bundleId - Bundle identifier
+   * @param {string[]} outputFiles - Absolute output paths
+   * @param {Map<string, string|null>} sources - Relative source path to content hash
+   * @param {string[]} reasons - Why the bundle was rebuilt
+   * @param {Object} [details] - Build options used and size stats of the bundle
+   */
+  record(bundleId, outputFiles, sources, reasons = [], { options = {}, stats = null } = {}) {
+    this.data.bundles[bundleId] = {
+      builtAt: new Date().toISOString(),
+      reasons,
+      options,
+      stats,
+      outputs: outputFiles.map((file) => this.toRelative(file)),
+      sources: Object.fromEntries([...sources.entries()].sort(([a], [b]) => a.localeCompare(b))),
+    };
+    for (const [source, hash] of sources) {
+      this._hashes.set(source, hash);
+    }
+  }
+
+  /**
+   * Drop cached bundles under a prefix that were not produced by the current build
+   * @returns {string[]} Output files (absolute) belonging to the dropped bundles
+   */
+  prune(prefix, keptIds) {
+    const staleOutputs = [];
+    for (const [bundleId, entry] of Object.entries(this.data.bundles)) {
+      if (bundleId.startsWith(prefix) && !keptIds.has(bundleId)) {
+        staleOutputs.push(...entry.outputs.map((output) => this.toAbsolute(output)));
+        delete this.data.bundles[bundleId];
+      }
+    }
+    return staleOutputs;
+  }
+
+  /**
+   * Find bundle IDs matching a user supplied name ("dev", "agents/dev", ...)
+   */
+  findBundles(name) {
+    const ids = Object.keys(this.data.bundles);
+    if (ids.includes(name)) return [name];
+    return ids.filter((id) => id.endsWith(`/${name}`));
+  }
+
+  /**
+   * Find cached bundles that recorded a file (or its directory listing) as a source
+   * @param {string} filePath - Absolute path of the file
+   */
+  findDependents(filePath) {
+    const relativePath = this.toRelative(filePath);
+    const directoryKey = path.posix.dirname(relativePath) + '/';
+    return Object.entries(this.data.bundles)
+      .filter(([, entry]) => relativePath in entry.sources || directoryKey in entry.sources)
+      .map(([bundleId]) => bundleId);
+  }
+
+  getEntry(bundleId) {
+    return this.data.bundles[bundleId] || null;
+  }
+}
+
+module.exports = BuildCache;
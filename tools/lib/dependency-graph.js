@@ -0,0 +1,279 @@
+/**
+ * Dependency Graph - Agent/team/resource graph built from the DependencyResolver,
+ * exportable as JSON, Graphviz DOT or Mermaid
+ */
+
+const path = require('node:path');
+
+const KIND_BY_TYPE = {
+  tasks: 'task',
+  templates: 'template',
+  checklists: 'checklist',
+  data: 'data',
+  utils: 'util',
+  workflows: 'workflow',
+};
+
+const DOT_SHAPES = {
+  team: 'tab',
+  agent: 'box',
+  task: 'ellipse',
+  template: 'note',
+  checklist: 'folder',
+  data: 'cylinder',
+  util: 'component',
+  workflow: 'hexagon',
+};
+
+class DependencyGraph {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.nodes = new Map();
+    this.edges = new Map();
+    this.expanded = new Set();
+  }
+
+  /**
+   * Add every agent and team visible to a resolver (bmad-core or one expansion pack)
+   * @param {DependencyResolver} resolver
+   */
+  async addResolver(resolver) {
+    for (const agentId of await resolver.listAgents()) {
+      await this.addAgent(resolver, agentId);
+    }
+
+    for (const teamId of await resolver.listTeams()) {
+      let deps;
+      try {
+        deps = await resolver.resolveTeamDependencies(teamId);
+      } catch (error) {
+        console.warn(`Skipping team ${teamId}: ${error.message}`);
+        continue;
+      }
+      const teamNode = this.addNode(deps.team.path, 'team', teamId);
+
+      for (const agent of deps.agents) {
+        const agentNode = await this.addAgent(resolver, agent.id, agent.path);
+        this.addEdge(teamNode, agentNode, 'member');
+      }
+      for (const id of deps.team.config.workflows || []) {
+        await this.addReference(resolver, teamNode, { type: 'workflows', id }, 'workflow');
+      }
+    }
+  }
+
+  async addAgent(resolver, agentId, agentPath) {
+    const filePath = agentPath || (await resolver.findAgentPath(agentId));
+    const agentNode = this.addNode(filePath, 'agent', agentId);
+    if (this.expanded.has(agentNode.id)) return agentNode;
+    this.expanded.add(agentNode.id);
+
+    const { agent } = await resolver.resolveAgentDependencies(agentId);
+    for (const [type, ids] of Object.entries(agent.config.dependencies || {})) {
+      if (!KIND_BY_TYPE[type] || !Array.isArray(ids)) continue;
+      for (const id of ids) {
+        await this.addReference(resolver, agentNode, { type, id: String(id) }, 'depends');
+      }
+    }
+    return agentNode;
+  }
+
+  /**
+   * Add an edge to a referenced resource, then follow that resource's own references
+   */
+  async addReference(resolver, fromNode, { type, id }, edgeKind) {
+    const resource = await resolver.loadReference(type, id, false);
+    if (!resource) {
+      const missing = this.addMissingNode(type, id);
+      this.addEdge(fromNode, missing, edgeKind);
+      return;
+    }
+
+    const node = this.addNode(resource.path, KIND_BY_TYPE[type], resource.id);
+    this.addEdge(fromNode, node, edgeKind);
+    if (this.expanded.has(node.id)) return;
+    this.expanded.add(node.id);
+
+    for (const reference of resolver.extractReferences(resource)) {
+      await this.addReference(resolver, node, reference, 'references');
+    }
+  }
+
+  addNode(filePath, kind, name) {
+    const id = path.relative(this.rootDir, filePath).split(path.sep).join('/');
+    if (!this.nodes.has(id)) {
+      const parts = id.split('/');
+      const source = parts[0] === 'expansion-packs' ? parts.slice(0, 2).join('/') : parts[0];
+      this.nodes.set(id, { id, kind, name, source, missing: false });
+    }
+    return this.nodes.get(id);
+  }
+
+  addMissingNode(type, id) {
+    const nodeId = `missing/${type}/${id}`;
+    if (!this.nodes.has(nodeId)) {
+      this.nodes.set(nodeId, {
+        id: nodeId,
+        kind: KIND_BY_TYPE[type],
+        name: id,
+        source: 'missing',
+        missing: true,
+      });
+    }
+    return this.nodes.get(nodeId);
+  }
+
+  addEdge(fromNode, toNode, kind) {
+    const key = `${fromNode.id}\0${toNode.id}`;
+    if (!this.edges.has(key)) {
+      this.edges.set(key, { from: fromNode.id, to: toNode.id, kind });
+    }
+  }
+
+  /**
+   * Find nodes by id ("common/tasks/create-doc.md"), a path suffix ("tasks/create-doc.md")
+   * or name ("pm", "team-all")
+   */
+  findNodes(query) {
+    const normalized = query.split(path.sep).join('/');
+    return [...this.nodes.values()].filter(
+      (node) =>
+        node.id === normalized ||
+        node.id.endsWith(`/${normalized}`) ||
+        node.name === normalized ||
+        path.basename(node.name, path.extname(node.name)) === normalized,
+    );
+  }
+
+  /**
+   * Reduce the graph to the given nodes plus everything that depends on them (the blast
+   * radius of an edit) and everything they depend on
+   * @param {string[]} nodeIds
+   * @returns {DependencyGraph} A new, filtered graph
+   */
+  focus(nodeIds) {
+    const edges = [...this.edges.values()];
+    const keep = new Set(nodeIds);
+
+    for (const [from, to] of [
+      ['to', 'from'],
+      ['from', 'to'],
+    ]) {
+      const queue = [...nodeIds];
+      const seen = new Set(nodeIds);
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (const edge of edges) {
+          if (edge[from] !== current || seen.has(edge[to])) continue;
+          seen.add(edge[to]);
+          keep.add(edge[to]);
+          queue.push(edge[to]);
+        }
+      }
+    }
+
+    const focused = new DependencyGraph(this.rootDir);
+    for (const id of keep) focused.nodes.set(id, this.nodes.get(id));
+    for (const [key, edge] of this.edges) {
+      if (keep.has(edge.from) && keep.has(edge.to)) focused.edges.set(key, edge);
+    }
+    return focused;
+  }
+
+  toJSON() {
+    const nodes = [...this.nodes.values()].sort((a, b) => a.id.localeCompare(b.id));
+    const edges = [...this.edges.values()].sort(
+      (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to),
+    );
+    return { nodes, edges };
+  }
+
+  toDot() {
+    const { nodes, edges } = this.toJSON();
+    const lines = ['digraph bmad {', '  rankdir=LR;', '  node [fontname="Helvetica"];'];
+
+    for (const [source, group] of groupBySource(nodes)) {
+      lines.push(`  subgraph ${quote(`cluster_${source}`)} {`, `    label=${quote(source)};`);
+      for (const node of group) {
+        const style = node.missing ? ', style=dashed, color=red' : '';
+        lines.push(
+          `    ${quote(node.id)} [label=${quote(node.name)}, shape=${DOT_SHAPES[node.kind]}${style}];`,
+        );
+      }
+      lines.push('  }');
+    }
+
+    for (const edge of edges) {
+      const style = edge.kind === 'references' ? ' [style=dashed]' : '';
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  toMermaid() {
+    const { nodes, edges } = this.toJSON();
+    const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+    const lines = ['graph LR'];
+
+    let groupIndex = 0;
+    for (const [source, group] of groupBySource(nodes)) {
+      lines.push(`  subgraph g${groupIndex++}[${quote(source)}]`);
+      for (const node of group) {
+        lines.push(`    ${ids.get(node.id)}[${quote(node.name)}]`);
+      }
+      lines.push('  end');
+    }
+
+    for (const edge of edges) {
+      const arrow = edge.kind === 'references' ? '-.->' : '-->';
+      lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+    }
+
+    if (nodes.some((node) => node.missing)) {
+      const missingIds = nodes.filter((node) => node.missing).map((node) => ids.get(node.id));
+      lines.push(`  style ${missingIds.join(',')} stroke:#f00,stroke-dasharray:4`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render the graph in one of the supported formats
+   * @param {'json'|'dot'|'mermaid'} format
+   */
+  format(format) {
+    switch (format) {
+      case 'json': {
+        return JSON.stringify(this.toJSON(), null, 2) + '\n';
+      }
+      case 'dot': {
+        return this.toDot();
+      }
+      case 'mermaid': {
+        return this.toMermaid();
+      }
+      default: {
+        throw new Error(`Unknown graph format "${format}" (expected json, dot or mermaid)`);
+      }
+    }
+  }
+}
+
+function groupBySource(nodes) {
+  const groups = new Map();
+  for (const node of nodes) {
+    if (!groups.has(node.source)) groups.set(node.source, []);
+    groups.get(node.source).push(node);
+  }
+  return groups;
+}
+
+function quote(value) {
+  return `"${String(value)
+    .replaceAll('\\', '\\\\')
+    .replaceAll('"', String.raw`\"`)}"`;
+}
+
+module.exports = DependencyGraph;
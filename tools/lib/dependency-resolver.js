@@ -2,18 +2,109 @@ const fs = require('node:fs').promises;
 const path = require('node:path');
 const yaml = require('js-yaml');
 const { extractYamlFromAgent } = require('./yaml-utils');
+const { getMergePatchPath, applyMergePatch } = require('./project-overrides');
+
+const RESOURCE_TYPES = ['tasks', 'templates', 'checklists', 'data', 'utils', 'workflows'];
+
+// Matches {root}/<type>/<name> references inside resource bodies (anchors like #section are ignored)
+const ROOT_REFERENCE_PATTERN = new RegExp(
+  String.raw`\{root\}/(${RESOURCE_TYPES.join('|')})/([\w.-]+)`,
+  'g',
+);
 
 class DependencyResolver {
-  constructor(rootDir) {
+  /**
+   * Resources are looked up layer by layer: project overrides, the expansion pack,
+   * bmad-core, then common. The first layer containing a file wins.
+   * @param {string} rootDir - Repository root containing bmad-core/ and common/
+   * @param {Object} [options]
+   * @param {string} [options.overrideDir] - Project override directory, searched before everything else
+   * @param {string} [options.packDir] - Resolve agents/teams of this expansion pack, preferring its resources
+   * @param {boolean} [options.warnMissing=true] - Log missing resources (unresolved ones are always returned)
+   */
+  constructor(rootDir, options = {}) {
     this.rootDir = rootDir;
     this.bmadCore = path.join(rootDir, 'bmad-core');
     this.common = path.join(rootDir, 'common');
+    this.overrideDir = options.overrideDir || null;
+    this.packDir = options.packDir || null;
+    this.sourceDir = this.packDir || this.bmadCore;
+    this.layers = [
+      { name: 'override', dir: this.overrideDir },
+      { name: this.packDir ? path.basename(this.packDir) : null, dir: this.packDir },
+      { name: 'bmad-core', dir: this.bmadCore },
+      { name: 'common', dir: this.common },
+    ].filter((layer) => layer.dir);
+    this.warnMissing = options.warnMissing !== false;
     this.cache = new Map();
   }
 
+  /**
+   * Find the first layer containing <folder>/<fileName>
+   * @param {string} folder - e.g. "templates" or "agents"
+   * @param {string} fileName
+   * @param {boolean} [includeCommon=true] - common/ only holds shared resources, not agents or teams
+   * @returns {Promise<{path: string, layer: string, searched: string[], shadows: string[]}|null>}
+   *   `searched` lists higher-layer paths that were tried first, `shadows` the lower layers
+   *   that also contain the file
+   */
+  async locate(folder, fileName, includeCommon = true) {
+    const layers = includeCommon ? this.layers : this.layers.filter((l) => l.dir !== this.common);
+    const searched = [];
+    let found = null;
+
+    for (const layer of layers) {
+      const candidate = path.join(layer.dir, folder, fileName);
+      const exists = await fs.access(candidate).then(
+        () => true,
+        () => false,
+      );
+      if (found) {
+        if (exists) found.shadows.push(layer.name);
+      } else if (exists) {
+        found = { path: candidate, layer: layer.name, searched: [...searched], shadows: [] };
+      } else {
+        searched.push(candidate);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Deep-merge a project merge patch (<overrideDir>/<folder>/<name>.merge.yaml) into a file.
+   * Resolved files keep the unpatched text as `baseContent`.
+   * @returns {Promise<{content: string, patches: Array<{path: string, content: string}>, searched: string[]}>}
+   */
+  async applyOverrides(folder, fileName, content) {
+    if (!this.overrideDir) return { content, patches: [], searched: [] };
+
+    const patchPath = getMergePatchPath(this.overrideDir, folder, fileName);
+    let patchContent;
+    try {
+      patchContent = await fs.readFile(patchPath, 'utf8');
+    } catch {
+      return { content, patches: [], searched: [patchPath] };
+    }
+
+    return {
+      content: applyMergePatch(fileName, content, patchContent),
+      patches: [{ path: patchPath, content: patchContent }],
+      searched: [],
+    };
+  }
+
+  async findAgentPath(agentId) {
+    const located = await this.locate('agents', `${agentId}.md`, false);
+    return located?.path || path.join(this.sourceDir, 'agents', `${agentId}.md`);
+  }
+
   async resolveAgentDependencies(agentId) {
-    const agentPath = path.join(this.bmadCore, 'agents', `${agentId}.md`);
-    const agentContent = await fs.readFile(agentPath, 'utf8');
+    const located = await this.locate('agents', `${agentId}.md`, false);
+    const agentPath = located?.path || path.join(this.sourceDir, 'agents', `${agentId}.md`);
+    const baseContent = await fs.readFile(agentPath, 'utf8');
+    const overrides = await this.applyOverrides('agents', `${agentId}.md`, baseContent);
+    const agentContent = overrides.content;
 
     // Extract YAML from markdown content with command cleaning
     const yamlContent = extractYamlFromAgent(agentContent, true);
@@ -23,34 +114,114 @@ class DependencyResolver {
 
     const agentConfig = yaml.load(yamlContent);
 
-    const dependencies = {
+    // Personas are now embedded in agent configs, no need to resolve separately
+
+    // Resolve other dependencies, following references between resources
+    const depTypes = ['tasks', 'templates', 'checklists', 'data', 'utils'];
+    const references = [];
+    for (const depType of depTypes) {
+      const deps = agentConfig.dependencies?.[depType] || [];
+      for (const depId of deps) references.push({ type: depType, id: depId });
+    }
+    const resolved = await this.resolveTransitive(`agents/${agentId}.md`, references);
+
+    return {
       agent: {
         id: agentId,
         path: agentPath,
         content: agentContent,
         config: agentConfig,
+        layer: located?.layer || null,
+        searched: [...(located?.searched || []), ...overrides.searched],
+        baseContent,
+        patches: overrides.patches,
       },
-      resources: [],
+      ...resolved,
     };
+  }
 
-    // Personas are now embedded in agent configs, no need to resolve separately
+  /**
+   * Resolve declared dependencies plus everything they reference, breadth-first.
+   * Each resource carries the chain of references that first pulled it in.
+   * @param {string} origin - Key of the agent/team declaring the dependencies
+   * @param {Array<{type: string, id: string}>} references - Declared dependencies
+   * @returns {Promise<{resources: Object[], cycles: string[][], unresolved: Object[]}>}
+   */
+  async resolveTransitive(origin, references) {
+    const resources = [];
+    const unresolved = [];
+    const edges = new Map();
+    const included = new Set();
+    const queue = references.map((ref) => ({ ...ref, chain: [origin], declared: true }));
 
-    // Resolve other dependencies
-    const depTypes = ['tasks', 'templates', 'checklists', 'data', 'utils'];
-    for (const depType of depTypes) {
-      const deps = agentConfig.dependencies?.[depType] || [];
-      for (const depId of deps) {
-        const resource = await this.loadResource(depType, depId);
-        if (resource) dependencies.resources.push(resource);
+    while (queue.length > 0) {
+      const { type, id, chain, declared } = queue.shift();
+      const resource = await this.loadReference(type, id, declared);
+      const parent = chain.at(-1);
+
+      if (!resource) {
+        unresolved.push({ type, id, chain: [...chain, `${type}/${id}`] });
+        continue;
+      }
+
+      const key = `${resource.type}/${resource.id}`;
+      if (!edges.has(parent)) edges.set(parent, new Set());
+      if (key !== parent) edges.get(parent).add(key);
+      if (included.has(key)) continue;
+
+      included.add(key);
+      const resourceChain = [...chain, key];
+      resources.push({ ...resource, chain: resourceChain });
+
+      for (const ref of this.extractReferences(resource)) {
+        queue.push({ ...ref, chain: resourceChain, declared: false });
       }
     }
 
-    return dependencies;
+    return { resources, cycles: findCycles(edges), unresolved };
+  }
+
+  /**
+   * Load a dependency by reference; names without an extension try .md then .yaml
+   */
+  async loadReference(type, id, warn = true) {
+    if (path.extname(id)) {
+      return this.loadResource(type, id, warn);
+    }
+    for (const extension of ['.md', '.yaml']) {
+      const resource = await this.loadResource(type, `${id}${extension}`, false);
+      if (resource) return resource;
+    }
+    if (warn && this.warnMissing) console.warn(`Resource not found: ${type}/${id}`);
+    return null;
+  }
+
+  /**
+   * Find references to other resources inside a resource: {root}/<type>/<name>
+   * paths in the body and a `dependencies` block in Markdown front-matter
+   */
+  extractReferences(resource) {
+    const references = [];
+
+    for (const match of resource.content.matchAll(ROOT_REFERENCE_PATTERN)) {
+      references.push({ type: match[1], id: match[2].replace(/\.$/, '') });
+    }
+
+    const frontMatter = resource.id.endsWith('.md') ? parseFrontMatter(resource.content) : null;
+    for (const [type, ids] of Object.entries(frontMatter?.dependencies || {})) {
+      if (!RESOURCE_TYPES.includes(type) || !Array.isArray(ids)) continue;
+      for (const id of ids) references.push({ type, id: String(id) });
+    }
+
+    return references;
   }
 
   async resolveTeamDependencies(teamId) {
-    const teamPath = path.join(this.bmadCore, 'agent-teams', `${teamId}.yaml`);
-    const teamContent = await fs.readFile(teamPath, 'utf8');
+    const located = await this.locate('agent-teams', `${teamId}.yaml`, false);
+    const teamPath = located?.path || path.join(this.sourceDir, 'agent-teams', `${teamId}.yaml`);
+    const baseContent = await fs.readFile(teamPath, 'utf8');
+    const overrides = await this.applyOverrides('agent-teams', `${teamId}.yaml`, baseContent);
+    const teamContent = overrides.content;
     const teamConfig = yaml.load(teamContent);
 
     const dependencies = {
@@ -59,17 +230,29 @@ class DependencyResolver {
         path: teamPath,
         content: teamContent,
         config: teamConfig,
+        layer: located?.layer || null,
+        searched: [...(located?.searched || []), ...overrides.searched],
+        baseContent,
+        patches: overrides.patches,
       },
       agents: [],
       resources: new Map(), // Use Map to deduplicate resources
+      cycles: [],
+      unresolved: [],
+    };
+
+    const addResolved = (resolved) => {
+      for (const res of resolved.resources) {
+        if (!dependencies.resources.has(res.path)) dependencies.resources.set(res.path, res);
+      }
+      dependencies.cycles.push(...resolved.cycles);
+      dependencies.unresolved.push(...resolved.unresolved);
     };
 
     // Always add bmad-orchestrator agent first if it's a team
     const bmadAgent = await this.resolveAgentDependencies('bmad-orchestrator');
     dependencies.agents.push(bmadAgent.agent);
-    for (const res of bmadAgent.resources) {
-      dependencies.resources.set(res.path, res);
-    }
+    addResolved(bmadAgent);
 
     // Resolve all agents in the team
     let agentsToResolve = teamConfig.agents || [];
@@ -92,57 +275,45 @@ class DependencyResolver {
       dependencies.agents.push(agentDeps.agent);
 
       // Add resources with deduplication
-      for (const res of agentDeps.resources) {
-        dependencies.resources.set(res.path, res);
-      }
+      addResolved(agentDeps);
     }
 
     // Resolve workflows
-    for (const workflowId of teamConfig.workflows || []) {
-      const resource = await this.loadResource('workflows', workflowId);
-      if (resource) dependencies.resources.set(resource.path, resource);
-    }
+    const workflows = (teamConfig.workflows || []).map((id) => ({ type: 'workflows', id }));
+    addResolved(await this.resolveTransitive(`agent-teams/${teamId}.yaml`, workflows));
 
     // Convert Map back to array
     dependencies.resources = [...dependencies.resources.values()];
+    dependencies.cycles = uniqueCycles(dependencies.cycles);
 
     return dependencies;
   }
 
-  async loadResource(type, id) {
+  async loadResource(type, id, warn = true) {
     const cacheKey = `${type}#${id}`;
     if (this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
 
     try {
-      let content = null;
-      let filePath = null;
-
-      // First try bmad-core
-      try {
-        filePath = path.join(this.bmadCore, type, id);
-        content = await fs.readFile(filePath, 'utf8');
-      } catch {
-        // If not found in bmad-core, try common folder
-        try {
-          filePath = path.join(this.common, type, id);
-          content = await fs.readFile(filePath, 'utf8');
-        } catch {
-          // File not found in either location
-        }
-      }
-
-      if (!content) {
-        console.warn(`Resource not found: ${type}/${id}`);
+      const located = await this.locate(type, id);
+      if (!located) {
+        if (warn && this.warnMissing) console.warn(`Resource not found: ${type}/${id}`);
         return null;
       }
 
+      const baseContent = await fs.readFile(located.path, 'utf8');
+      const overrides = await this.applyOverrides(type, id, baseContent);
       const resource = {
         type,
         id,
-        path: filePath,
-        content,
+        path: located.path,
+        content: overrides.content,
+        layer: located.layer,
+        searched: [...located.searched, ...overrides.searched],
+        shadows: located.shadows,
+        baseContent,
+        patches: overrides.patches,
       };
 
       this.cache.set(cacheKey, resource);
@@ -153,10 +324,53 @@ class DependencyResolver {
     }
   }
 
+  /**
+   * Find the core agent and team bundles whose resolved dependencies include a file
+   * @param {string} filePath - Absolute path of the file
+   * @returns {Promise<{agents: string[], teams: string[]}>}
+   */
+  async findDependentBundles(filePath) {
+    const target = path.resolve(filePath);
+    const dependents = { agents: [], teams: [] };
+
+    for (const agentId of await this.listAgents()) {
+      try {
+        const deps = await this.resolveAgentDependencies(agentId);
+        const paths = [deps.agent.path, ...deps.resources.map((res) => res.path)];
+        if (paths.includes(target)) dependents.agents.push(agentId);
+      } catch {
+        // Unparseable agents are reported when their bundle is built
+      }
+    }
+
+    for (const teamId of await this.listTeams()) {
+      try {
+        const deps = await this.resolveTeamDependencies(teamId);
+        const paths = [
+          deps.team.path,
+          ...deps.agents.map((agent) => agent.path),
+          ...deps.resources.map((res) => res.path),
+        ];
+        if (paths.includes(target)) dependents.teams.push(teamId);
+      } catch {
+        // Unparseable teams are reported when their bundle is built
+      }
+    }
+
+    return dependents;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
   async listAgents() {
     try {
-      const files = await fs.readdir(path.join(this.bmadCore, 'agents'));
-      return files.filter((f) => f.endsWith('.md')).map((f) => f.replace('.md', ''));
+      const files = await fs.readdir(path.join(this.sourceDir, 'agents'));
+      return files
+        .filter((f) => f.endsWith('.md'))
+        .map((f) => f.replace('.md', ''))
+        .sort();
     } catch {
       return [];
     }
@@ -164,12 +378,75 @@ class DependencyResolver {
 
   async listTeams() {
     try {
-      const files = await fs.readdir(path.join(this.bmadCore, 'agent-teams'));
-      return files.filter((f) => f.endsWith('.yaml')).map((f) => f.replace('.yaml', ''));
+      const files = await fs.readdir(path.join(this.sourceDir, 'agent-teams'));
+      return files
+        .filter((f) => f.endsWith('.yaml'))
+        .map((f) => f.replace('.yaml', ''))
+        .sort();
     } catch {
       return [];
     }
   }
 }
 
+/**
+ * Parse a YAML front-matter block at the top of a Markdown resource
+ * (an optional leading HTML comment such as the BMAD banner is skipped)
+ */
+function parseFrontMatter(content) {
+  const match = content
+    .replaceAll('\r', '')
+    .match(/^(?:\s*<!--[\s\S]*?-->)?\s*---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) return null;
+  try {
+    const parsed = yaml.load(match[1]);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Depth-first search for reference cycles
+ * @param {Map<string, Set<string>>} edges - Resource key to referenced resource keys
+ * @returns {string[][]} Each cycle as a chain ending where it started
+ */
+function findCycles(edges) {
+  const cycles = [];
+  const done = new Set();
+  const stack = [];
+
+  const visit = (node) => {
+    const position = stack.indexOf(node);
+    if (position !== -1) {
+      cycles.push([...stack.slice(position), node]);
+      return;
+    }
+    if (done.has(node)) return;
+
+    stack.push(node);
+    for (const next of edges.get(node) || []) visit(next);
+    stack.pop();
+    done.add(node);
+  };
+
+  for (const node of edges.keys()) visit(node);
+  return uniqueCycles(cycles);
+}
+
+function uniqueCycles(cycles) {
+  const seen = new Set();
+  return cycles.filter((cycle) => {
+    // Rotate so the same loop reached from different entry points compares equal
+    const loop = cycle.slice(0, -1);
+    const start = loop.indexOf([...loop].sort()[0]);
+    const key = [...loop.slice(start), ...loop.slice(0, start)].join(' → ');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+DependencyResolver.RESOURCE_TYPES = RESOURCE_TYPES;
+
 module.exports = DependencyResolver;
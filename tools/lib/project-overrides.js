@@ -0,0 +1,143 @@
+/**
+ * Project Overrides - Replace or deep-merge core and expansion pack resources from a
+ * project's .bmad-overrides/ directory
+ *
+ * A file with the same path as a resource (e.g. templates/story-tmpl.yaml) replaces it.
+ * A `<name>.merge.yaml` file (e.g. agents/dev.merge.yaml) is deep-merged into the YAML of
+ * the resource instead: objects merge key by key, lists gain new entries, agent commands
+ * are matched by name and a `null` value removes a key or command.
+ */
+
+const path = require('node:path');
+const yaml = require('js-yaml');
+const { extractYamlFromAgent } = require('./yaml-utils');
+
+const OVERRIDE_DIR = '.bmad-overrides';
+const MERGE_SUFFIX = '.merge.yaml';
+
+/**
+ * Path of the merge patch for a resource, e.g. agents/dev.md → agents/dev.merge.yaml
+ */
+function getMergePatchPath(overrideDir, folder, fileName) {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  return path.join(overrideDir, folder, `${baseName}${MERGE_SUFFIX}`);
+}
+
+function isMergePatch(fileName) {
+  return fileName.endsWith(MERGE_SUFFIX);
+}
+
+/**
+ * Apply a merge patch to a resource
+ * @param {string} fileName - Name of the resource being patched (decides how it is parsed)
+ * @param {string} content - Resource content
+ * @param {string} patchContent - YAML merge patch
+ * @returns {string} Merged content
+ */
+function applyMergePatch(fileName, content, patchContent) {
+  const patch = yaml.load(patchContent) || {};
+  if (typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new TypeError(`Merge patch for ${fileName} must be a YAML mapping`);
+  }
+
+  if (fileName.endsWith('.yaml') || fileName.endsWith('.yml')) {
+    const merged = deepMerge(yaml.load(content) || {}, patch);
+    return yaml.dump(merged, { lineWidth: -1 });
+  }
+
+  if (fileName.endsWith('.md')) {
+    const yamlContent = extractYamlFromAgent(content);
+    if (!yamlContent) {
+      throw new Error(`Cannot merge into ${fileName}: it has no YAML block`);
+    }
+
+    const merged = yaml.dump(deepMerge(yaml.load(yamlContent), patch), { lineWidth: -1 });
+    const normalized = content.replaceAll('\r', '');
+    const yamlBlock = normalized.match(/```ya?ml\n[\s\S]*?\n```/)[0];
+    return normalized.replace(yamlBlock, () => '```yaml\n' + merged.trim() + '\n```');
+  }
+
+  throw new Error(`Cannot merge into ${fileName}: only agents and YAML files can be merged`);
+}
+
+/**
+ * Deep-merge a patch into a value without modifying either
+ */
+function deepMerge(base, patch, key = null) {
+  if (patch === undefined) return base;
+
+  if (key === 'commands' && (Array.isArray(base) || Array.isArray(patch))) {
+    return mergeCommands(toList(base), toList(patch));
+  }
+
+  if (Array.isArray(base) && Array.isArray(patch)) {
+    const merged = [...base];
+    const seen = new Set(base.map((item) => JSON.stringify(item)));
+    for (const item of patch) {
+      if (!seen.has(JSON.stringify(item))) merged.push(item);
+    }
+    return merged;
+  }
+
+  if (isPlainObject(base) && isPlainObject(patch)) {
+    const merged = { ...base };
+    for (const [patchKey, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete merged[patchKey];
+      } else {
+        merged[patchKey] = deepMerge(base[patchKey], value, patchKey);
+      }
+    }
+    return merged;
+  }
+
+  return patch;
+}
+
+/**
+ * Merge agent command lists, matching entries by command name
+ * ("help: Show commands", { help: 'Show commands' } and "*help" all name "help")
+ */
+function mergeCommands(base, patch) {
+  const merged = [...base];
+  for (const command of patch) {
+    const name = getCommandName(command);
+    const index = merged.findIndex((existing) => getCommandName(existing) === name);
+    const removed = isPlainObject(command) && Object.values(command)[0] === null;
+
+    if (index === -1) {
+      if (!removed) merged.push(command);
+    } else if (removed) {
+      merged.splice(index, 1);
+    } else {
+      merged[index] = command;
+    }
+  }
+  return merged;
+}
+
+function getCommandName(command) {
+  const text = isPlainObject(command) ? Object.keys(command)[0] || '' : String(command);
+  return text.replace(/^\*/, '').split(/[\s:]/)[0];
+}
+
+function toList(commands) {
+  if (Array.isArray(commands)) return commands;
+  if (isPlainObject(commands)) {
+    return Object.entries(commands).map(([name, value]) => ({ [name]: value }));
+  }
+  return [];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  OVERRIDE_DIR,
+  MERGE_SUFFIX,
+  getMergePatchPath,
+  isMergePatch,
+  applyMergePatch,
+  deepMerge,
+};
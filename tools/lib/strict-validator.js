@@ -0,0 +1,286 @@
+/**
+ * Strict Validator - Collects every broken reference across core and expansion packs
+ * instead of stopping at the first error or only warning about missing resources
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const yaml = require('js-yaml');
+const DependencyResolver = require('./dependency-resolver');
+const { extractYamlFromAgent } = require('./yaml-utils');
+
+// Matches "task create-doc.md", "templates `prd-tmpl.yaml`" and "the shard-doc task" in command text
+const COMMAND_TARGET_PATTERN =
+  /\b(task|template|checklist)s?\s+`?(\w+-[\w-]*(?:\.(?:md|yaml))?)|\bthe\s+(\w+-[\w-]*)\s+(task|template|checklist)\b/g;
+
+class StrictValidator {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Validate bmad-core (with common) and every expansion pack
+   * @returns {Promise<Object>} Report with configuration errors, unresolved dependencies,
+   *   unknown command targets and orphan resources
+   */
+  async validate() {
+    const report = {
+      valid: true,
+      scopes: [],
+      configurationErrors: [],
+      unresolvedDependencies: [],
+      unknownCommandTargets: [],
+      orphanResources: [],
+    };
+    const referenced = new Set();
+    const candidates = [];
+
+    const scopes = [{ name: 'core', resolver: this.createResolver() }];
+    for (const packName of await this.listExpansionPacks()) {
+      const packDir = path.join(this.rootDir, 'expansion-packs', packName);
+      scopes.push({ name: packName, resolver: this.createResolver(packDir) });
+    }
+
+    for (const scope of scopes) {
+      const summary = await this.validateScope(scope, report, referenced);
+      report.scopes.push(summary);
+
+      const resourceDirs = scope.resolver.packDir
+        ? [scope.resolver.packDir]
+        : [scope.resolver.bmadCore, scope.resolver.common];
+      for (const dir of resourceDirs) {
+        for (const filePath of await listResourceFiles(dir)) {
+          candidates.push({ scope: scope.name, filePath });
+        }
+      }
+    }
+
+    for (const { scope, filePath } of candidates) {
+      if (!referenced.has(filePath)) {
+        report.orphanResources.push({ scope, path: this.toRelative(filePath) });
+      }
+    }
+
+    report.valid =
+      report.configurationErrors.length === 0 &&
+      report.unresolvedDependencies.length === 0 &&
+      report.unknownCommandTargets.length === 0 &&
+      report.orphanResources.length === 0;
+
+    return report;
+  }
+
+  createResolver(packDir) {
+    return new DependencyResolver(this.rootDir, { packDir, warnMissing: false });
+  }
+
+  async validateScope({ name, resolver }, report, referenced) {
+    const agents = await resolver.listAgents();
+    const teams = await resolver.listTeams();
+    const seenUnresolved = new Set();
+
+    const addUnresolved = (unresolved) => {
+      for (const { type, id, chain } of unresolved) {
+        const key = chain.join('>');
+        if (seenUnresolved.has(key)) continue;
+        seenUnresolved.add(key);
+        report.unresolvedDependencies.push({
+          scope: name,
+          source: chain[0],
+          reference: `${type}/${id}`,
+          chain,
+        });
+      }
+    };
+
+    for (const agentId of agents) {
+      let dependencies;
+      try {
+        dependencies = await resolver.resolveAgentDependencies(agentId);
+      } catch (error) {
+        report.configurationErrors.push({
+          scope: name,
+          source: `agents/${agentId}.md`,
+          message: error.message,
+        });
+        continue;
+      }
+
+      for (const resource of dependencies.resources) referenced.add(resource.path);
+      addUnresolved(dependencies.unresolved);
+      await this.checkCommandTargets(name, resolver, dependencies, report);
+    }
+
+    for (const teamId of teams) {
+      let dependencies;
+      try {
+        dependencies = await resolver.resolveTeamDependencies(teamId);
+      } catch (error) {
+        report.configurationErrors.push({
+          scope: name,
+          source: `agent-teams/${teamId}.yaml`,
+          message: error.message,
+        });
+        continue;
+      }
+
+      for (const resource of dependencies.resources) referenced.add(resource.path);
+      // Agent-level problems were already reported above
+      addUnresolved(
+        dependencies.unresolved.filter((entry) => entry.chain[0].startsWith('agent-teams/')),
+      );
+    }
+
+    return { name, agents: agents.length, teams: teams.length };
+  }
+
+  /**
+   * Report commands pointing at tasks/templates/checklists the agent cannot load
+   */
+  async checkCommandTargets(scope, resolver, dependencies, report) {
+    const { agent } = dependencies;
+    const available = new Set(
+      dependencies.resources.map((res) => `${res.type}/${stripExtension(res.id)}`),
+    );
+
+    let commands;
+    try {
+      // Parse without command cleaning so descriptions are kept
+      commands = yaml.load(extractYamlFromAgent(agent.content))?.commands;
+    } catch {
+      return;
+    }
+
+    for (const [command, text] of listCommands(commands)) {
+      for (const match of text.matchAll(COMMAND_TARGET_PATTERN)) {
+        const type = `${match[1] || match[4]}s`;
+        const id = match[2] || match[3];
+        if (available.has(`${type}/${stripExtension(id)}`)) continue;
+
+        const exists = await resolver.loadReference(type, id, false);
+        report.unknownCommandTargets.push({
+          scope,
+          agent: agent.id,
+          command,
+          target: `${type}/${id}`,
+          reason: exists ? 'not declared in agent dependencies' : 'not found',
+        });
+      }
+    }
+  }
+
+  async listExpansionPacks() {
+    try {
+      const entries = await fs.readdir(path.join(this.rootDir, 'expansion-packs'), {
+        withFileTypes: true,
+      });
+      return entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  toRelative(filePath) {
+    return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * List resource files directly inside the resource type folders of a source directory
+ */
+async function listResourceFiles(sourceDir) {
+  const files = [];
+  for (const type of DependencyResolver.RESOURCE_TYPES) {
+    try {
+      const entries = await fs.readdir(path.join(sourceDir, type), { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isFile() && !entry.name.startsWith('.')) {
+          files.push(path.join(sourceDir, type, entry.name));
+        }
+      }
+    } catch {
+      // Folder not present in this source
+    }
+  }
+  return files;
+}
+
+/**
+ * Flatten agent commands (list of strings/objects or a name → description map)
+ * into [commandName, text] pairs
+ */
+function listCommands(commands) {
+  const pairs = [];
+  const collect = (name, value) => {
+    if (typeof value === 'string') {
+      pairs.push([name, value]);
+    } else if (Array.isArray(value)) {
+      for (const item of value) collect(name, item);
+    } else if (value && typeof value === 'object') {
+      for (const [key, nested] of Object.entries(value))
+        collect(name || key.replace(/^\*/, ''), nested);
+    }
+  };
+
+  if (Array.isArray(commands)) {
+    for (const command of commands) {
+      if (typeof command === 'string') {
+        pairs.push([command.replace(/^\*/, '').split(/[\s:]/)[0], command]);
+      } else {
+        collect(null, command);
+      }
+    }
+  } else {
+    collect(null, commands);
+  }
+  return pairs;
+}
+
+function stripExtension(id) {
+  return id.replace(/\.(md|yaml)$/, '');
+}
+
+/**
+ * Render a strict validation report as plain text
+ */
+function formatReport(report) {
+  const lines = [];
+  const section = (title, entries, render) => {
+    if (entries.length === 0) return;
+    lines.push('', `${title} (${entries.length}):`);
+    for (const entry of entries) lines.push(`  ✗ [${entry.scope}] ${render(entry)}`);
+  };
+
+  lines.push('Strict validation');
+  for (const scope of report.scopes) {
+    lines.push(`  ${scope.name}: ${scope.agents} agents, ${scope.teams} teams`);
+  }
+
+  section('Configuration errors', report.configurationErrors, (e) => `${e.source}: ${e.message}`);
+  section(
+    'Unresolved dependencies',
+    report.unresolvedDependencies,
+    (e) =>
+      `${e.source} → ${e.reference}${e.chain.length > 2 ? ` (via ${e.chain.join(' → ')})` : ''}`,
+  );
+  section(
+    'Unknown command targets',
+    report.unknownCommandTargets,
+    (e) => `${e.agent} *${e.command} → ${e.target} (${e.reason})`,
+  );
+  section('Orphan resources', report.orphanResources, (e) => e.path);
+
+  const total =
+    report.configurationErrors.length +
+    report.unresolvedDependencies.length +
+    report.unknownCommandTargets.length +
+    report.orphanResources.length;
+  lines.push('', report.valid ? 'All configurations are valid!' : `Found ${total} issue(s).`);
+
+  return lines.join('\n');
+}
+
+module.exports = { StrictValidator, formatReport };
@@ -0,0 +1,95 @@
+/**
+ * Token Budget - Token estimates, slim-mode compression and size reports for web bundles
+ */
+
+const yaml = require('js-yaml');
+
+// Average characters per token for English prose and Markdown/YAML markup in common LLM
+// tokenizers. Good enough to compare bundles against a chat UI's context limit.
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a text
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Shrink a template for slim bundles: YAML is re-dumped with one-space indentation and
+ * without comments, Markdown loses trailing whitespace and repeated blank lines
+ * @param {string} content - Template content
+ * @param {string} fileName - Template file name, used to pick the format
+ * @returns {string} The compressed template, never longer than the original
+ */
+function compressTemplate(content, fileName) {
+  const stripped = content
+    .replaceAll('\r', '')
+    .replaceAll(/[ \t]+$/gm, '')
+    .replaceAll(/\n{3,}/g, '\n\n');
+  if (!fileName.endsWith('.yaml') && !fileName.endsWith('.yml')) return stripped;
+
+  try {
+    const dumped = yaml.dump(yaml.load(content), { lineWidth: -1, indent: 1, noRefs: true });
+    return dumped.length < stripped.length ? dumped : stripped;
+  } catch {
+    // Not valid YAML - keep the whitespace-compressed version
+    return stripped;
+  }
+}
+
+/**
+ * Build the size report for a set of bundles
+ * @param {Map<string, Object>} stats - Bundle ID to {tokens, bytes, sections, omitted}
+ * @param {number|null} budget - Token budget per bundle
+ */
+function createSizeReport(stats, budget) {
+  const bundles = [...stats.entries()]
+    .map(([bundleId, stat]) => ({
+      bundle: bundleId,
+      tokens: stat.tokens,
+      bytes: stat.bytes,
+      overBudget: budget ? stat.tokens > budget : false,
+      sections: [...stat.sections].sort((a, b) => b.tokens - a.tokens),
+      omitted: stat.omitted || [],
+    }))
+    .sort((a, b) => a.bundle.localeCompare(b.bundle));
+
+  return {
+    budget: budget || null,
+    totalTokens: bundles.reduce((sum, bundle) => sum + bundle.tokens, 0),
+    overBudget: bundles.filter((bundle) => bundle.overBudget).map((bundle) => bundle.bundle),
+    bundles,
+  };
+}
+
+/**
+ * Render the per-bundle breakdown as a Markdown table (readable in a terminal and in CI logs)
+ */
+function formatSizeTable(report) {
+  const rows = report.bundles.map((bundle) => [
+    bundle.bundle,
+    bundle.tokens.toLocaleString('en-US'),
+    `${(bundle.bytes / 1024).toFixed(1)} KB`,
+    report.budget ? `${Math.round((bundle.tokens / report.budget) * 100)}%` : '-',
+    bundle.overBudget ? 'OVER' : 'ok',
+  ]);
+  const header = ['Bundle', 'Tokens', 'Size', 'Budget', 'Status'];
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...rows.map((row) => row[index].length)),
+  );
+
+  const line = (cells) =>
+    `| ${cells.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join(' | ')} |`;
+  const separator = widths.map((width, index) =>
+    index === 0 ? '-'.repeat(width + 2) : '-'.repeat(width + 1) + ':',
+  );
+  return [line(header), `|${separator.join('|')}|`, ...rows.map((row) => line(row))].join('\n');
+}
+
+module.exports = {
+  estimateTokens,
+  compressTemplate,
+  createSizeReport,
+  formatSizeTable,
+};